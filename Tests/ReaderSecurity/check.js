@@ -0,0 +1,280 @@
+// Opens the malicious books in fixtures/ with the web reader and checks that
+// nothing from them can run: no script elements, event handler attributes or
+// script URLs may reach the page. The reader runs in jsdom, which never runs
+// book scripts itself, so the check looks at the resulting DOM.
+//
+// Given a TinyOPDS URL (the fixtures folder must be in its library) it also
+// checks the reader pages the server generates for the FB2 fixtures:
+//
+//   npm test
+//   node check.js http://localhost:8080
+//
+// TINYOPDS_AUTH=user:password is sent as Basic authorization.
+
+'use strict';
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const buffer = require('buffer');
+const { JSDOM } = require('jsdom');
+const JSZip = require('jszip');
+
+const READER_DIR = path.join(__dirname, '..', '..', 'TinyOPDS', 'Resources', 'reader');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const READER_SCRIPTS = ['reader-zip.js', 'reader-mobi.js', 'reader-formats.js', 'reader-main.js'];
+
+const FORBIDDEN_ELEMENTS = new Set(['script', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+    'base', 'meta', 'link', 'form', 'noscript']);
+const URL_ATTRIBUTES = new Set(['href', 'src', 'action', 'formaction', 'data', 'poster', 'background', 'srcset']);
+
+// Markup strings for sanitizeHtml itself, beside the ones the books produce
+const HTML_ATTACKS = [
+    '<script>window.pwned(1)</script>',
+    '<img src=x onerror="window.pwned(2)">',
+    '<a href="javascript:window.pwned(3)">x</a>',
+    '<a href=" java\tscript:window.pwned(4)">x</a>',
+    '<a href="data:text/html,<script>window.pwned(5)</script>">x</a>',
+    '<svg onload="window.pwned(6)"><script>window.pwned(7)</script></svg>',
+    '<iframe srcdoc="<script>window.pwned(8)</script>"></iframe>',
+    '<p style="background:url(javascript:window.pwned(9))">x</p>',
+    '<form action="javascript:window.pwned(10)"><button>x</button></form>',
+    '<div id="x" class="y" onclick="window.pwned(11)">x</div>',
+    '<math><maction actiontype="statusline" href="javascript:window.pwned(12)">x</maction></math>',
+    '</p><script>window.pwned(13)</script><p>',
+    '<p>&lt;script&gt;window.pwned(14)&lt;/script&gt;</p>'
+];
+
+// Reader windows keep timers running until they are closed
+const windows = [];
+afterEach(() => windows.splice(0).forEach(window => window.close()));
+
+function loadReader() {
+    const html = fs.readFileSync(path.join(READER_DIR, 'reader.html'), 'utf8')
+        .replace(/^\uFEFF/, '')
+        .replace(/<script src[^>]*><\/script>/g, '');
+    const dom = new JSDOM(html, { url: 'http://localhost/reader/', runScripts: 'outside-only', pretendToBeVisual: true });
+    const window = dom.window;
+    windows.push(window);
+
+    // Browser APIs jsdom doesn't have, or has without the parts the reader uses
+    let blobs = 0;
+    Object.assign(window, {
+        Blob: buffer.Blob,
+        File: buffer.File,
+        TextDecoder,
+        Response,
+        DecompressionStream,
+        fetch: async () => new Response(null, { status: 404 }),
+        scrollTo: () => { },
+        scrollBy: () => { },
+        pwned: (what) => assert.fail(`Book script ran: ${what}`)
+    });
+    window.URL.createObjectURL = () => `blob:http://localhost/${blobs++}`;
+    window.URL.revokeObjectURL = () => { };
+    window.Element.prototype.scrollIntoView = () => { };
+    window.FileReader = class {
+        readAsArrayBuffer(file) {
+            file.arrayBuffer().then(result => this.onload({ target: { result } }), error => this.onerror(error));
+        }
+    };
+
+    // Classes are declared in the page's global scope, not as window properties
+    const source = READER_SCRIPTS
+        .map(name => fs.readFileSync(path.join(READER_DIR, name), 'utf8').replace(/^\uFEFF/, '')
+            .replace(/^class (\w+) \{/mg, 'window.$1 = class $1 {'))
+        .join('\n;\n');
+    window.eval(source);
+    window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+
+    return window;
+}
+
+// Script URLs with the whitespace and control characters browsers skip removed
+function isScriptUrl(value) {
+    const url = value.replace(/[\s\u0000-\u001f]/g, '').toLowerCase();
+    return /^(javascript|vbscript|data):/.test(url) || url.includes('javascript:');
+}
+
+function findUnsafe(root) {
+    const problems = [];
+    const elements = root.querySelectorAll ? [root, ...root.querySelectorAll('*')] : [...root.childNodes];
+
+    for (const element of elements) {
+        if (!element.localName) continue;
+
+        const name = element.localName.toLowerCase();
+        if (FORBIDDEN_ELEMENTS.has(name)) {
+            problems.push(`<${name}> element`);
+        }
+        if (name === 'style' && /javascript:|expression\s*\(|behavior\s*:|-moz-binding/i.test(element.textContent)) {
+            problems.push(`style element: ${element.textContent.trim().substring(0, 80)}`);
+        }
+
+        for (const attr of element.attributes || []) {
+            const attrName = attr.localName.toLowerCase();
+            if (attrName.startsWith('on')) {
+                problems.push(`${attr.name} attribute on <${name}>`);
+            } else if (URL_ATTRIBUTES.has(attrName) && isScriptUrl(attr.value)) {
+                problems.push(`${attr.name}="${attr.value}" on <${name}>`);
+            } else if (attrName === 'style' && /javascript:|expression\s*\(|behavior\s*:|-moz-binding/i.test(attr.value)) {
+                problems.push(`style="${attr.value}" on <${name}>`);
+            } else if (attrName === 'srcdoc') {
+                problems.push(`srcdoc attribute on <${name}>`);
+            }
+        }
+    }
+    return problems;
+}
+
+async function buildEpub(window) {
+    const zip = new JSZip();
+    const root = path.join(FIXTURES_DIR, 'epub');
+
+    // The mimetype entry comes first and stays uncompressed
+    zip.file('mimetype', fs.readFileSync(path.join(root, 'mimetype')), { compression: 'STORE' });
+    const add = (dir) => {
+        for (const entry of fs.readdirSync(path.join(root, dir), { withFileTypes: true })) {
+            const name = dir ? `${dir}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) {
+                add(name);
+            } else if (name !== 'mimetype') {
+                zip.file(name, fs.readFileSync(path.join(root, name)), { compression: 'DEFLATE' });
+            }
+        }
+    };
+    add('');
+
+    return new window.File([await zip.generateAsync({ type: 'nodebuffer' })], 'malicious.epub');
+}
+
+// Renders everything a book can put on the page: its text, the contents and
+// the book info panel
+async function openBook(window, file) {
+    const reader = window.universalReader;
+    await reader.handleFileSelect(file);
+
+    const error = window.document.querySelector('#bookContent > .error');
+    assert.ok(!error, `The book did not open: ${error && error.textContent}`);
+
+    const all = reader.bookChunks.map((chunk, index) => index);
+    await reader.loadChunks(all);
+    reader.renderAllChunks();
+    reader.renderTOC();
+    reader.renderBookInfo();
+}
+
+function assertRendered(window) {
+    assert.ok(window.document.getElementById('bookContent').textContent.trim(), 'No text was rendered');
+}
+
+function assertSafe(window) {
+    assert.deepStrictEqual(findUnsafe(window.document.body), []);
+}
+
+const fb2Fixtures = fs.readdirSync(FIXTURES_DIR).filter(name => name.endsWith('.fb2')).sort();
+
+test('sanitizeHtml drops scripts, event handlers and script URLs', () => {
+    const window = loadReader();
+    const converter = window.universalReader.formatConverter;
+
+    for (const html of HTML_ATTACKS) {
+        const container = window.document.createElement('div');
+        container.appendChild(converter.sanitizeHtml(html));
+        assert.deepStrictEqual(findUnsafe(container), [], html);
+    }
+});
+
+test('encoded markup stays text', () => {
+    const window = loadReader();
+    const container = window.document.createElement('div');
+    container.appendChild(window.universalReader.formatConverter.sanitizeHtml('<p>&lt;script&gt;x&lt;/script&gt;</p>'));
+    assert.strictEqual(container.textContent, '<script>x</script>');
+});
+
+for (const name of fb2Fixtures) {
+    test(`FB2 fixture ${name}`, async () => {
+        const window = loadReader();
+        const file = new window.File([fs.readFileSync(path.join(FIXTURES_DIR, name))], name);
+        await openBook(window, file);
+
+        assertRendered(window);
+        assertSafe(window);
+    });
+}
+
+test('FB2 fixture titles are shown as text in the contents', async () => {
+    const window = loadReader();
+    const file = new window.File([fs.readFileSync(path.join(FIXTURES_DIR, 'entities.fb2'))], 'entities.fb2');
+    await openBook(window, file);
+
+    const titles = [...window.document.querySelectorAll('#tocContent .toc-item-text')].map(item => item.textContent);
+    assert.ok(titles.includes('<img src=x onerror=window.pwned(\'section title\')>'), titles.join('\n'));
+});
+
+test('EPUB fixture', async () => {
+    const window = loadReader();
+    await openBook(window, await buildEpub(window));
+
+    assertRendered(window);
+    assertSafe(window);
+});
+
+test('error messages are shown as text', () => {
+    const window = loadReader();
+    window.universalReader.showError('<img src=x onerror="window.pwned(\'error\')">');
+    assertSafe(window);
+});
+
+// Server generated pages: every script must carry the nonce of the response's
+// Content-Security-Policy, and the injected book description must hold the
+// book's title as it is, without having broken out of its string
+const server = process.argv[2];
+if (server) {
+    const headers = {};
+    if (process.env.TINYOPDS_AUTH) {
+        headers.Authorization = 'Basic ' + Buffer.from(process.env.TINYOPDS_AUTH).toString('base64');
+    }
+
+    const fetchPage = async (url) => {
+        const response = await fetch(url, { headers });
+        assert.strictEqual(response.status, 200, `${url}: HTTP ${response.status}`);
+
+        const policy = response.headers.get('content-security-policy') || '';
+        const match = /script-src 'nonce-([^']+)'/.exec(policy);
+        assert.ok(match, `${url}: no script nonce in the Content-Security-Policy`);
+
+        const document = new JSDOM(await response.text()).window.document;
+        const scripts = [...document.querySelectorAll('script')];
+        for (const script of scripts) {
+            assert.strictEqual(script.getAttribute('nonce'), match[1], `${url}: script without the nonce: ${script.outerHTML.substring(0, 120)}`);
+        }
+        return { document, scripts };
+    };
+
+    test('server: reader shell', async () => {
+        await fetchPage(new URL('/reader/', server).href);
+    });
+
+    for (const name of fb2Fixtures) {
+        test(`server: reader page of ${name}`, async () => {
+            const source = fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+            const fixture = new JSDOM(source, { contentType: 'text/xml' }).window.document;
+            const id = fixture.querySelector('document-info > id').textContent.trim();
+            const title = fixture.querySelector('title-info > book-title').textContent.trim();
+
+            const shell = await fetchPage(new URL('/reader/', server).href);
+            const page = await fetchPage(new URL(`/reader/${id}`, server).href);
+
+            // The book page has one script more than the shell: the description
+            assert.strictEqual(page.scripts.length, shell.scripts.length + 1, 'Unexpected script elements');
+
+            const injected = page.scripts.find(script => script.textContent.includes('window.tinyOPDSBook'));
+            const sandbox = { window: {}, localStorage: { setItem: () => { } }, JSON };
+            vm.runInNewContext(injected.textContent, sandbox);
+            assert.strictEqual(sandbox.window.tinyOPDSBook.title, title);
+        });
+    }
+}
@@ -0,0 +1 @@
+window.pwned('script file');
@@ -404,6 +404,9 @@ namespace TinyOPDS.Data
                 // Create library statistics table
                 ExecuteNonQuery(DatabaseSchema.CreateLibraryStatsTable);
 
+                // Create reader sync table
+                ExecuteNonQuery(DatabaseSchema.CreateReadingSyncTable);
+
                 // Create FTS5 tables
                 ExecuteNonQuery(DatabaseSchema.CreateBooksFTSTable);
                 ExecuteNonQuery(DatabaseSchema.CreateAuthorsFTSTable);
@@ -773,6 +776,75 @@ namespace TinyOPDS.Data
 
         #endregion
 
+        #region Reading Sync Methods
+
+        /// <summary>
+        /// Stores a synced record unless the stored one was modified later
+        /// </summary>
+        /// <returns>true if the record was stored</returns>
+        public bool SaveSyncRecord(SyncRecord record)
+        {
+            try
+            {
+                WarmUpIfNeeded();
+                int changed = ExecuteNonQuery(DatabaseSchema.InsertReadingSync, CreateSyncParameters(record));
+                if (changed == 0)
+                {
+                    changed = ExecuteNonQuery(DatabaseSchema.UpdateReadingSync, CreateSyncParameters(record));
+                }
+                return changed > 0;
+            }
+            catch (Exception ex)
+            {
+                Log.WriteLine(LogLevel.Error, "Error saving sync record {0}/{1}: {2}", record.Document, record.Kind, ex.Message);
+                return false;
+            }
+        }
+
+        /// <summary>
+        /// Get synced records of the book and the shared preferences of the user
+        /// </summary>
+        public List<SyncRecord> GetSyncRecords(string user, string document)
+        {
+            try
+            {
+                WarmUpIfNeeded();
+                return ExecuteQuery(DatabaseSchema.SelectReadingSync,
+                    reader => new SyncRecord
+                    {
+                        User = GetString(reader, "User"),
+                        Document = GetString(reader, "Document"),
+                        Kind = GetString(reader, "Kind"),
+                        Data = GetString(reader, "Data"),
+                        Updated = GetInt64(reader, "Updated"),
+                        Device = GetString(reader, "Device")
+                    },
+                    CreateParameter("@User", user ?? string.Empty),
+                    CreateParameter("@Document", document ?? string.Empty));
+            }
+            catch (Exception ex)
+            {
+                Log.WriteLine(LogLevel.Error, "Error getting sync records for {0}/{1}: {2}", user, document, ex.Message);
+                return new List<SyncRecord>();
+            }
+        }
+
+        // Parameters can't be shared between commands, every query gets its own set
+        private static IDbDataParameter[] CreateSyncParameters(SyncRecord record)
+        {
+            return new[]
+            {
+                CreateParameter("@User", (object)(record.User ?? string.Empty)),
+                CreateParameter("@Document", (object)(record.Document ?? string.Empty)),
+                CreateParameter("@Kind", record.Kind),
+                CreateParameter("@Data", record.Data),
+                CreateParameter("@Updated", (object)record.Updated),
+                CreateParameter("@Device", record.Device)
+            };
+        }
+
+        #endregion
+
         #region Library Statistics Methods
 
         /// <summary>
@@ -1298,6 +1370,12 @@ namespace TinyOPDS.Data
             return reader.IsDBNull(ordinal) ? 0 : Convert.ToInt32(reader.GetValue(ordinal));
         }
 
+        public static long GetInt64(IDataReader reader, string columnName)
+        {
+            var ordinal = reader.GetOrdinal(columnName);
+            return reader.IsDBNull(ordinal) ? 0L : Convert.ToInt64(reader.GetValue(ordinal));
+        }
+
         public static uint GetUInt32(IDataReader reader, string columnName)
         {
             var ordinal = reader.GetOrdinal(columnName);
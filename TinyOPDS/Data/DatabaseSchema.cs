@@ -127,6 +127,18 @@ namespace TinyOPDS.Data
                 period_days INTEGER DEFAULT NULL        -- For new_books_count - which period was used
             )";
 
+        // Reading state synced between reader clients, one row per user, book and kind
+        public const string CreateReadingSyncTable = @"
+            CREATE TABLE IF NOT EXISTS ReadingSync (
+                User TEXT NOT NULL,             -- Authenticated user name, 'name/password MD5' without HTTP authentication
+                Document TEXT NOT NULL,         -- KOReader document hash, '' for preferences
+                Kind TEXT NOT NULL,             -- 'position', 'annotations', 'prefs' or 'koreader'
+                Data TEXT NOT NULL,             -- JSON as the client sent it
+                Updated INTEGER NOT NULL,       -- Change time on the client, Unix milliseconds
+                Device TEXT,
+                PRIMARY KEY (User, Document, Kind)
+            )";
+
         // FTS5 tables for full-text search
         public const string CreateBooksFTSTable = @"
             CREATE VIRTUAL TABLE IF NOT EXISTS BooksFTS 
@@ -440,6 +452,26 @@ namespace TinyOPDS.Data
 
         #endregion
 
+        #region Reading Sync Queries
+
+        public const string InsertReadingSync = @"
+            INSERT OR IGNORE INTO ReadingSync (User, Document, Kind, Data, Updated, Device)
+            VALUES (@User, @Document, @Kind, @Data, @Updated, @Device)";
+
+        // The last modified change wins, older ones leave the row alone
+        public const string UpdateReadingSync = @"
+            UPDATE ReadingSync
+            SET Data = @Data, Updated = @Updated, Device = @Device
+            WHERE User = @User AND Document = @Document AND Kind = @Kind AND Updated < @Updated";
+
+        // Records of the book and the shared preferences of the user
+        public const string SelectReadingSync = @"
+            SELECT User, Document, Kind, Data, Updated, Device
+            FROM ReadingSync
+            WHERE User = @User AND (Document = @Document OR Document = '')";
+
+        #endregion
+
         #region Select Queries - Books
 
         // MODIFIED: Removed Sequence and NumberInSequence from select
@@ -1799,6 +1799,28 @@ namespace TinyOPDS.Data
 
         #endregion
 
+        #region Reading Sync
+
+        /// <summary>
+        /// Store a synced record unless a later change is already stored
+        /// </summary>
+        public static bool SaveSyncRecord(SyncRecord record)
+        {
+            if (db == null) return false;
+            return db.SaveSyncRecord(record);
+        }
+
+        /// <summary>
+        /// Get synced records of the book and the shared preferences of the user
+        /// </summary>
+        public static List<SyncRecord> GetSyncRecords(string user, string document)
+        {
+            if (db == null) return new List<SyncRecord>();
+            return db.GetSyncRecords(user, document);
+        }
+
+        #endregion
+
         #region Helper Methods
 
         /// <summary>
@@ -0,0 +1,27 @@
+﻿/*
+ * This file is part of TinyOPDS server project
+ * https://github.com/sensboston/tinyopds
+ *
+ * Copyright (c) 2013-2025 SeNSSoFT
+ * SPDX-License-Identifier: MIT
+ *
+ * This module defines the SyncRecord class (reading state shared by readers)
+ *
+ */
+
+namespace TinyOPDS.Data
+{
+    /// <summary>
+    /// Position, annotations or preferences of one book of a user as the last
+    /// client that changed them sent it
+    /// </summary>
+    public class SyncRecord
+    {
+        public string User { get; set; }
+        public string Document { get; set; }
+        public string Kind { get; set; }
+        public string Data { get; set; }
+        public long Updated { get; set; }
+        public string Device { get; set; }
+    }
+}
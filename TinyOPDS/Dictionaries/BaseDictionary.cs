@@ -0,0 +1,53 @@
+﻿/*
+ * This file is part of TinyOPDS server project
+ * https://github.com/sensboston/tinyopds
+ *
+ * Copyright (c) 2013-2025 SeNSSoFT
+ * SPDX-License-Identifier: MIT
+ *
+ * This module defines the base class of local dictionaries
+ * used by the web reader for word lookups
+ *
+ */
+
+using System.Collections.Generic;
+
+namespace TinyOPDS.Dictionaries
+{
+    /// <summary>
+    /// Single dictionary article: headword and definition as HTML fragment
+    /// </summary>
+    public class DictionaryArticle
+    {
+        public string Dictionary { get; set; }
+        public string Headword { get; set; }
+        public string Definition { get; set; }
+    }
+
+    /// <summary>
+    /// Base class for StarDict and DSL dictionaries
+    /// </summary>
+    public abstract class BaseDictionary
+    {
+        public string FileName { get; protected set; }
+        public string Name { get; protected set; }
+
+        /// <summary>
+        /// ISO 639-1 codes of headword and definition languages, empty if unknown
+        /// </summary>
+        public string SourceLanguage { get; set; } = string.Empty;
+        public string TargetLanguage { get; set; } = string.Empty;
+
+        public int WordCount { get; protected set; }
+
+        /// <summary>
+        /// Reads dictionary index into memory
+        /// </summary>
+        public abstract void Load();
+
+        /// <summary>
+        /// Returns articles for the exact headword (case insensitive)
+        /// </summary>
+        public abstract List<DictionaryArticle> Lookup(string word);
+    }
+}
\ No newline at end of file
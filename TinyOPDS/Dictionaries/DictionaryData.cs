@@ -0,0 +1,205 @@
+﻿/*
+ * This file is part of TinyOPDS server project
+ * https://github.com/sensboston/tinyopds
+ *
+ * Copyright (c) 2013-2025 SeNSSoFT
+ * SPDX-License-Identifier: MIT
+ *
+ * Random access to dictionary data files, plain or dictzip (.dz)
+ *
+ */
+
+using System;
+using System.IO;
+using System.IO.Compression;
+
+namespace TinyOPDS.Dictionaries
+{
+    /// <summary>
+    /// Reads article data by offset from a plain file or from a dictzip file:
+    /// gzip split into separately deflated chunks listed in the "RA" extra field
+    /// </summary>
+    public class DictionaryData : IDisposable
+    {
+        private readonly object lockObject = new object();
+        private readonly FileStream stream;
+        private readonly bool isDictZip;
+        private int chunkLength;
+        private int[] chunkSizes;
+        private long[] chunkOffsets;
+
+        // Neighbouring articles usually share a chunk
+        private int cachedChunk = -1;
+        private byte[] cachedData;
+
+        public DictionaryData(string fileName)
+        {
+            stream = new FileStream(fileName, FileMode.Open, FileAccess.Read, FileShare.Read);
+            isDictZip = fileName.EndsWith(".dz", StringComparison.OrdinalIgnoreCase);
+
+            if (isDictZip)
+            {
+                try
+                {
+                    ReadDictZipHeader();
+                }
+                catch
+                {
+                    stream.Dispose();
+                    throw;
+                }
+            }
+        }
+
+        private void ReadDictZipHeader()
+        {
+            var reader = new BinaryReader(stream);
+
+            if (reader.ReadByte() != 0x1f || reader.ReadByte() != 0x8b || reader.ReadByte() != 8)
+                throw new InvalidDataException("Not a gzip file");
+
+            byte flags = reader.ReadByte();
+            stream.Seek(6, SeekOrigin.Current);
+
+            if ((flags & 4) == 0)
+                throw new InvalidDataException("No dictzip random access data, recompress with dictzip");
+
+            int extraLength = reader.ReadUInt16();
+            long extraEnd = stream.Position + extraLength;
+
+            while (stream.Position + 4 <= extraEnd)
+            {
+                byte id1 = reader.ReadByte();
+                byte id2 = reader.ReadByte();
+                int length = reader.ReadUInt16();
+
+                if (id1 == 'R' && id2 == 'A')
+                {
+                    reader.ReadUInt16();
+                    chunkLength = reader.ReadUInt16();
+                    int count = reader.ReadUInt16();
+                    chunkSizes = new int[count];
+                    for (int i = 0; i < count; i++) chunkSizes[i] = reader.ReadUInt16();
+                }
+                else
+                {
+                    stream.Seek(length, SeekOrigin.Current);
+                }
+            }
+
+            if (chunkSizes == null || chunkLength == 0)
+                throw new InvalidDataException("No dictzip random access data, recompress with dictzip");
+
+            stream.Position = extraEnd;
+            if ((flags & 8) != 0) SkipString(reader);
+            if ((flags & 16) != 0) SkipString(reader);
+            if ((flags & 2) != 0) stream.Seek(2, SeekOrigin.Current);
+
+            chunkOffsets = new long[chunkSizes.Length];
+            long offset = stream.Position;
+            for (int i = 0; i < chunkSizes.Length; i++)
+            {
+                chunkOffsets[i] = offset;
+                offset += chunkSizes[i];
+            }
+        }
+
+        private static void SkipString(BinaryReader reader)
+        {
+            while (reader.ReadByte() != 0) { }
+        }
+
+        /// <summary>
+        /// Reads size bytes of uncompressed data starting at offset
+        /// </summary>
+        public byte[] Read(long offset, int size)
+        {
+            lock (lockObject)
+            {
+                var result = new byte[size];
+
+                if (!isDictZip)
+                {
+                    stream.Position = offset;
+                    int read = 0;
+                    while (read < size)
+                    {
+                        int count = stream.Read(result, read, size - read);
+                        if (count == 0) break;
+                        read += count;
+                    }
+                    return result;
+                }
+
+                int written = 0;
+                while (written < size)
+                {
+                    long position = offset + written;
+                    int chunk = (int)(position / chunkLength);
+                    if (chunk >= chunkSizes.Length) break;
+
+                    byte[] data = GetChunk(chunk);
+                    int start = (int)(position % chunkLength);
+                    int count = Math.Min(size - written, data.Length - start);
+                    if (count <= 0) break;
+
+                    Buffer.BlockCopy(data, start, result, written, count);
+                    written += count;
+                }
+                return result;
+            }
+        }
+
+        private byte[] GetChunk(int index)
+        {
+            if (index == cachedChunk) return cachedData;
+
+            var compressed = new byte[chunkSizes[index]];
+            stream.Position = chunkOffsets[index];
+            int read = 0;
+            while (read < compressed.Length)
+            {
+                int count = stream.Read(compressed, read, compressed.Length - read);
+                if (count == 0) break;
+                read += count;
+            }
+
+            // Chunks end with a full flush, not with a final block, so the
+            // deflate stream simply runs out of input
+            using (var deflate = new DeflateStream(new MemoryStream(compressed, 0, read), CompressionMode.Decompress))
+            using (var output = new MemoryStream(chunkLength))
+            {
+                deflate.CopyTo(output);
+                cachedData = output.ToArray();
+            }
+
+            cachedChunk = index;
+            return cachedData;
+        }
+
+        /// <summary>
+        /// Reads the whole file, decompressing gzip and dictzip files
+        /// </summary>
+        public static byte[] ReadAllBytes(string fileName)
+        {
+            if (!fileName.EndsWith(".gz", StringComparison.OrdinalIgnoreCase) &&
+                !fileName.EndsWith(".dz", StringComparison.OrdinalIgnoreCase))
+            {
+                return File.ReadAllBytes(fileName);
+            }
+
+            using (var file = new FileStream(fileName, FileMode.Open, FileAccess.Read, FileShare.Read))
+            using (var gzip = new GZipStream(file, CompressionMode.Decompress))
+            using (var output = new MemoryStream())
+            {
+                gzip.CopyTo(output);
+                return output.ToArray();
+            }
+        }
+
+        public void Dispose()
+        {
+            stream.Dispose();
+        }
+    }
+}
\ No newline at end of file
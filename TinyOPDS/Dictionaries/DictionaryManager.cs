@@ -0,0 +1,434 @@
+﻿/*
+ * This file is part of TinyOPDS server project
+ * https://github.com/sensboston/tinyopds
+ *
+ * Copyright (c) 2013-2025 SeNSSoFT
+ * SPDX-License-Identifier: MIT
+ *
+ * This module finds StarDict and DSL dictionaries in the "Dictionaries"
+ * folder next to the database and looks words up in them
+ *
+ */
+
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Text.RegularExpressions;
+using System.Threading.Tasks;
+
+namespace TinyOPDS.Dictionaries
+{
+    /// <summary>
+    /// Loaded dictionaries; the folder is checked for changes every half a minute
+    /// in the background, by the size and change time of every file, and only the
+    /// dictionaries whose files changed are loaded again. A first level subfolder
+    /// named by a language code ("en", "de"...) sets the headword language of the
+    /// dictionaries inside it
+    /// </summary>
+    public static class DictionaryManager
+    {
+        private static readonly TimeSpan checkInterval = TimeSpan.FromSeconds(30);
+
+        // lockObject guards the current set, its users and the check state
+        private static readonly object lockObject = new object();
+        private static DictionarySet current = new DictionarySet(new List<BaseDictionary>(), new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase));
+        private static DateTime lastCheckTime = DateTime.MinValue;
+        private static bool loading;
+
+        /// <summary>
+        /// Dictionaries loaded from the folder with the state of their files; the
+        /// dictionaries a replaced set doesn't share with the new one are disposed
+        /// when the last lookup reading it is done
+        /// </summary>
+        private class DictionarySet
+        {
+            public readonly List<BaseDictionary> Items;
+            public readonly Dictionary<string, string> States;
+            public List<BaseDictionary> Removed = new List<BaseDictionary>();
+            public int Users;
+            public bool Retired;
+
+            public DictionarySet(List<BaseDictionary> items, Dictionary<string, string> states)
+            {
+                Items = items;
+                States = states;
+            }
+
+            public void Dispose()
+            {
+                foreach (var dictionary in Removed.OfType<IDisposable>())
+                {
+                    dictionary.Dispose();
+                }
+            }
+        }
+
+        public static string DictionariesPath
+        {
+            get { return Path.Combine(Utils.ServiceFilesLocation, "Dictionaries"); }
+        }
+
+        /// <summary>
+        /// Current dictionaries, for their names and languages; articles are read
+        /// through Lookup, which keeps the set alive while it reads
+        /// </summary>
+        public static List<BaseDictionary> Dictionaries
+        {
+            get
+            {
+                CheckForChanges();
+                lock (lockObject)
+                {
+                    return current.Items;
+                }
+            }
+        }
+
+        /// <summary>
+        /// True while dictionaries are being loaded, lookups meanwhile see only
+        /// the ones already loaded
+        /// </summary>
+        public static bool IsLoading
+        {
+            get
+            {
+                lock (lockObject)
+                {
+                    return loading;
+                }
+            }
+        }
+
+        private static DictionarySet Acquire()
+        {
+            CheckForChanges();
+            lock (lockObject)
+            {
+                current.Users++;
+                return current;
+            }
+        }
+
+        private static void Release(DictionarySet set)
+        {
+            lock (lockObject)
+            {
+                set.Users--;
+                if (set.Retired && set.Users == 0) set.Dispose();
+            }
+        }
+
+        // Requests never wait for the folder: the check and the loading run on
+        // the thread pool, one at a time
+        private static void CheckForChanges()
+        {
+            lock (lockObject)
+            {
+                if (loading || DateTime.UtcNow - lastCheckTime < checkInterval) return;
+                lastCheckTime = DateTime.UtcNow;
+                loading = true;
+            }
+
+            Task.Run(() =>
+            {
+                try
+                {
+                    Reload();
+                }
+                catch (Exception ex)
+                {
+                    Log.WriteLine(LogLevel.Error, "Could not load dictionaries: {0}", ex.Message);
+                }
+                finally
+                {
+                    lock (lockObject)
+                    {
+                        loading = false;
+                    }
+                }
+            });
+        }
+
+        // Changed and removed dictionaries are dropped before the changed ones are
+        // read again, so two copies of a dictionary are never in memory together.
+        // The states of files that failed to load are kept too, so they are tried
+        // again only when they change
+        private static void Reload()
+        {
+            Dictionary<string, string> files = GetFileStates();
+            var states = files.Keys
+                .Where(IsDictionaryFile)
+                .ToDictionary(fileName => fileName, fileName => GetDictionaryState(fileName, files), StringComparer.OrdinalIgnoreCase);
+
+            DictionarySet set;
+            lock (lockObject)
+            {
+                set = current;
+            }
+
+            var changed = states.Keys
+                .Where(fileName => !set.States.TryGetValue(fileName, out string state) || state != states[fileName])
+                .OrderBy(fileName => fileName)
+                .ToList();
+            var kept = set.Items
+                .Where(d => states.ContainsKey(d.FileName) && !changed.Contains(d.FileName))
+                .ToList();
+            if (changed.Count == 0 && kept.Count == set.Items.Count && set.States.Count == states.Count) return;
+
+            var unchangedStates = states
+                .Where(state => !changed.Contains(state.Key))
+                .ToDictionary(state => state.Key, state => state.Value, StringComparer.OrdinalIgnoreCase);
+            Publish(new DictionarySet(kept, unchangedStates));
+            if (changed.Count == 0) return;
+
+            var loaded = new List<BaseDictionary>(kept);
+            foreach (string fileName in changed)
+            {
+                BaseDictionary dictionary = LoadDictionary(fileName);
+                if (dictionary != null) loaded.Add(dictionary);
+            }
+            Publish(new DictionarySet(loaded.OrderBy(d => d.FileName).ToList(), states));
+        }
+
+        private static void Publish(DictionarySet set)
+        {
+            lock (lockObject)
+            {
+                DictionarySet old = current;
+                current = set;
+
+                old.Retired = true;
+                old.Removed = old.Items.Where(d => !set.Items.Contains(d)).ToList();
+                if (old.Users == 0) old.Dispose();
+            }
+        }
+
+        // Size and change time of every file in the folder and its subfolders
+        private static Dictionary<string, string> GetFileStates()
+        {
+            var result = new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase);
+            if (!Directory.Exists(DictionariesPath)) return result;
+
+            foreach (string fileName in Directory.GetFiles(DictionariesPath, "*", SearchOption.AllDirectories))
+            {
+                var info = new FileInfo(fileName);
+                result[fileName] = info.Length + ":" + info.LastWriteTimeUtc.Ticks;
+            }
+            return result;
+        }
+
+        // A dictionary is made of the files sharing its name: .idx, .dict, .syn...
+        private static string GetDictionaryState(string fileName, Dictionary<string, string> files)
+        {
+            string basePath = fileName.EndsWith(".dz", StringComparison.OrdinalIgnoreCase) ? fileName.Substring(0, fileName.Length - 3) : fileName;
+            basePath = basePath.Substring(0, basePath.LastIndexOf('.') + 1);
+            return string.Join("|", files.Keys
+                .Where(f => f.StartsWith(basePath, StringComparison.OrdinalIgnoreCase))
+                .OrderBy(f => f)
+                .Select(f => f + ":" + files[f]));
+        }
+
+        private static bool IsDictionaryFile(string fileName)
+        {
+            string name = fileName.ToLowerInvariant();
+            return name.EndsWith(".ifo") || name.EndsWith(".dsl") || name.EndsWith(".dsl.dz");
+        }
+
+        private static BaseDictionary LoadDictionary(string fileName)
+        {
+            BaseDictionary dictionary = CreateDictionary(fileName);
+            if (dictionary == null) return null;
+
+            try
+            {
+                string folderLanguage = GetFolderLanguage(fileName);
+                if (!string.IsNullOrEmpty(folderLanguage)) dictionary.SourceLanguage = folderLanguage;
+
+                dictionary.Load();
+
+                if (string.IsNullOrEmpty(dictionary.SourceLanguage))
+                {
+                    DictionaryLanguages.GuessFromName(dictionary);
+                }
+
+                Log.WriteLine("Dictionary \"{0}\" loaded: {1} words, {2} -> {3}", dictionary.Name, dictionary.WordCount,
+                    string.IsNullOrEmpty(dictionary.SourceLanguage) ? "?" : dictionary.SourceLanguage,
+                    string.IsNullOrEmpty(dictionary.TargetLanguage) ? "?" : dictionary.TargetLanguage);
+                return dictionary;
+            }
+            catch (Exception ex)
+            {
+                (dictionary as IDisposable)?.Dispose();
+                Log.WriteLine(LogLevel.Warning, "Could not load dictionary {0}: {1}", fileName, ex.Message);
+                return null;
+            }
+        }
+
+        private static BaseDictionary CreateDictionary(string fileName)
+        {
+            string name = fileName.ToLowerInvariant();
+            if (name.EndsWith(".ifo")) return new StarDictDictionary(fileName);
+            if (name.EndsWith(".dsl") || name.EndsWith(".dsl.dz")) return new DslDictionary(fileName);
+            return null;
+        }
+
+        private static string GetFolderLanguage(string fileName)
+        {
+            string relativePath = fileName.Substring(DictionariesPath.Length).TrimStart(Path.DirectorySeparatorChar, Path.AltDirectorySeparatorChar);
+            string[] parts = relativePath.Split(Path.DirectorySeparatorChar, Path.AltDirectorySeparatorChar);
+            return parts.Length > 1 ? DictionaryLanguages.ToCode(parts[0]) : string.Empty;
+        }
+
+        /// <summary>
+        /// Looks the word up in dictionaries for the given language (dictionaries of
+        /// unknown language are tried after them); inflected forms are tried when
+        /// the word itself is not found
+        /// </summary>
+        public static List<DictionaryArticle> Lookup(string word, string language, int maxArticles = 10)
+        {
+            var result = new List<DictionaryArticle>();
+            language = DictionaryLanguages.ToCode(language ?? string.Empty);
+
+            List<string> forms = GetLookupForms(word, language);
+            DictionarySet set = Acquire();
+            try
+            {
+                var candidates = set.Items
+                    .Where(d => string.IsNullOrEmpty(language) || string.IsNullOrEmpty(d.SourceLanguage) || d.SourceLanguage == language)
+                    .OrderBy(d => string.IsNullOrEmpty(d.SourceLanguage) ? 1 : 0)
+                    .ToList();
+
+                foreach (BaseDictionary dictionary in candidates)
+                {
+                    foreach (string form in forms)
+                    {
+                        List<DictionaryArticle> articles = dictionary.Lookup(form);
+                        if (articles.Count > 0)
+                        {
+                            result.AddRange(articles);
+                            break;
+                        }
+                    }
+                    if (result.Count >= maxArticles) break;
+                }
+            }
+            finally
+            {
+                Release(set);
+            }
+
+            return result.Take(maxArticles).ToList();
+        }
+
+        private static readonly Regex edgePunctuationRegex = new Regex(@"^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$", RegexOptions.Compiled);
+
+        // Suffix rules for English inflections: ending and its replacement
+        private static readonly string[][] englishSuffixes =
+        {
+            new[] { "ies", "y" }, new[] { "es", "" }, new[] { "s", "" },
+            new[] { "ied", "y" }, new[] { "ed", "" }, new[] { "ed", "e" },
+            new[] { "ing", "" }, new[] { "ing", "e" },
+            new[] { "er", "" }, new[] { "est", "" }, new[] { "ly", "" },
+            new[] { "'s", "" }, new[] { "’s", "" }
+        };
+
+        private static List<string> GetLookupForms(string word, string language)
+        {
+            var forms = new List<string>();
+            string clean = edgePunctuationRegex.Replace(word.Trim(), "");
+            if (clean.Length == 0) return forms;
+
+            forms.Add(clean);
+
+            if (language == "ru" && clean.IndexOf('ё') >= 0)
+            {
+                forms.Add(clean.Replace('ё', 'е'));
+            }
+
+            if (language == "en" || string.IsNullOrEmpty(language))
+            {
+                string lower = clean.ToLowerInvariant();
+                foreach (string[] rule in englishSuffixes)
+                {
+                    if (lower.Length > rule[0].Length + 2 && lower.EndsWith(rule[0]))
+                    {
+                        string stem = lower.Substring(0, lower.Length - rule[0].Length);
+                        forms.Add(stem + rule[1]);
+
+                        // running -> run, stopped -> stop
+                        if (rule[1].Length == 0 && stem.Length > 2 && stem[stem.Length - 1] == stem[stem.Length - 2])
+                        {
+                            forms.Add(stem.Substring(0, stem.Length - 1));
+                        }
+                    }
+                }
+            }
+
+            return forms.Distinct().ToList();
+        }
+    }
+
+    /// <summary>
+    /// Language names and codes used by dictionary headers and file names
+    /// </summary>
+    public static class DictionaryLanguages
+    {
+        private static readonly Dictionary<string, string> codes = new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase)
+        {
+            { "english", "en" }, { "eng", "en" }, { "russian", "ru" }, { "rus", "ru" },
+            { "german", "de" }, { "deu", "de" }, { "ger", "de" }, { "french", "fr" }, { "fra", "fr" }, { "fre", "fr" },
+            { "spanish", "es" }, { "spa", "es" }, { "italian", "it" }, { "ita", "it" },
+            { "ukrainian", "uk" }, { "ukr", "uk" }, { "belarusian", "be" }, { "bel", "be" },
+            { "polish", "pl" }, { "pol", "pl" }, { "czech", "cs" }, { "ces", "cs" }, { "cze", "cs" },
+            { "portuguese", "pt" }, { "por", "pt" }, { "dutch", "nl" }, { "nld", "nl" }, { "dut", "nl" },
+            { "swedish", "sv" }, { "swe", "sv" }, { "norwegian", "no" }, { "nor", "no" },
+            { "danish", "da" }, { "dan", "da" }, { "finnish", "fi" }, { "fin", "fi" },
+            { "greek", "el" }, { "ell", "el" }, { "gre", "el" }, { "latin", "la" }, { "lat", "la" },
+            { "chinese", "zh" }, { "zho", "zh" }, { "chi", "zh" }, { "japanese", "ja" }, { "jpn", "ja" },
+            { "korean", "ko" }, { "kor", "ko" }, { "turkish", "tr" }, { "tur", "tr" },
+            { "hungarian", "hu" }, { "hun", "hu" }, { "bulgarian", "bg" }, { "bul", "bg" },
+            { "serbian", "sr" }, { "srp", "sr" }, { "croatian", "hr" }, { "hrv", "hr" },
+            { "romanian", "ro" }, { "ron", "ro" }, { "rum", "ro" }, { "hebrew", "he" }, { "heb", "he" },
+            { "arabic", "ar" }, { "ara", "ar" }, { "esperanto", "eo" }, { "epo", "eo" },
+            { "latvian", "lv" }, { "lav", "lv" }, { "lithuanian", "lt" }, { "lit", "lt" },
+            { "estonian", "et" }, { "est", "et" }, { "kazakh", "kk" }, { "kaz", "kk" }
+        };
+
+        private static readonly Regex pairRegex = new Regex(@"(?<![\p{L}])(\p{L}{2,10})\s*[-_>]\s*(\p{L}{2,10})(?![\p{L}])", RegexOptions.Compiled);
+
+        /// <summary>
+        /// ISO 639-1 code for a code, three letter code or English language name;
+        /// region subtags are dropped ("en-US" -> "en"), unknown names give ""
+        /// </summary>
+        public static string ToCode(string value)
+        {
+            if (string.IsNullOrEmpty(value)) return string.Empty;
+
+            value = value.Trim().Split('-', '_')[0];
+            if (value.Length == 2 && value.All(char.IsLetter)) return value.ToLowerInvariant();
+            return codes.TryGetValue(value, out string code) ? code : string.Empty;
+        }
+
+        /// <summary>
+        /// Takes languages from names like "En-Ru", "eng-rus" or "English-Russian"
+        /// </summary>
+        public static void GuessFromName(BaseDictionary dictionary)
+        {
+            foreach (string name in new[] { dictionary.Name, Path.GetFileNameWithoutExtension(dictionary.FileName) })
+            {
+                foreach (Match match in pairRegex.Matches(name ?? string.Empty))
+                {
+                    string source = ToCode(match.Groups[1].Value);
+                    string target = ToCode(match.Groups[2].Value);
+                    if (source.Length > 0 && target.Length > 0)
+                    {
+                        dictionary.SourceLanguage = source;
+                        if (string.IsNullOrEmpty(dictionary.TargetLanguage)) dictionary.TargetLanguage = target;
+                        return;
+                    }
+                }
+            }
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,460 @@
+﻿/*
+ * This file is part of TinyOPDS server project
+ * https://github.com/sensboston/tinyopds
+ *
+ * Copyright (c) 2013-2025 SeNSSoFT
+ * SPDX-License-Identifier: MIT
+ *
+ * ABBYY Lingvo DSL dictionary (.dsl or .dsl.dz)
+ *
+ */
+
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.IO.Compression;
+using System.Net;
+using System.Text;
+using System.Text.RegularExpressions;
+
+namespace TinyOPDS.Dictionaries
+{
+    /// <summary>
+    /// DSL source: header lines starting with #, headword lines starting at the
+    /// first column (several in a row share one article) and indented article lines
+    /// with [tag] markup. Only headwords and the byte ranges of their articles stay
+    /// in memory, article text is read from the file when it is looked up
+    /// </summary>
+    public class DslDictionary : BaseDictionary, IDisposable
+    {
+        private struct Article
+        {
+            public string Headword;
+            public long Start;
+            public long End;
+        }
+
+        private readonly List<Article> articles = new List<Article>();
+        private readonly Dictionary<string, List<int>> index = new Dictionary<string, List<int>>(StringComparer.OrdinalIgnoreCase);
+        private Encoding encoding;
+        private DictionaryData data;
+        private string tempFileName;
+
+        private static readonly Regex headerRegex = new Regex("^#(\\w+)\\s+\"?([^\"]*)\"?", RegexOptions.Compiled);
+        private static readonly Regex unsortedPartRegex = new Regex(@"\{[^}]*\}", RegexOptions.Compiled);
+        private static readonly Regex optionalPartRegex = new Regex(@"\([^)]*\)", RegexOptions.Compiled);
+        private static readonly Regex spacesRegex = new Regex(@"\s+", RegexOptions.Compiled);
+
+        public DslDictionary(string fileName)
+        {
+            FileName = fileName;
+            Name = Path.GetFileNameWithoutExtension(fileName.EndsWith(".dz", StringComparison.OrdinalIgnoreCase) ?
+                Path.GetFileNameWithoutExtension(fileName) : fileName);
+        }
+
+        public override void Load()
+        {
+            string textFileName = FileName;
+
+            if (FileName.EndsWith(".dz", StringComparison.OrdinalIgnoreCase))
+            {
+                try
+                {
+                    data = new DictionaryData(FileName);
+                }
+                catch (InvalidDataException)
+                {
+                    // Plain gzip has no random access, it is unpacked to a temporary file
+                    tempFileName = Path.Combine(Path.GetTempPath(), "TinyOPDS_" + Guid.NewGuid().ToString("N") + ".dsl");
+                    using (var file = new FileStream(FileName, FileMode.Open, FileAccess.Read, FileShare.Read))
+                    using (var gzip = new GZipStream(file, CompressionMode.Decompress))
+                    using (var output = File.Create(tempFileName))
+                    {
+                        gzip.CopyTo(output);
+                    }
+                    textFileName = tempFileName;
+                }
+            }
+            if (data == null) data = new DictionaryData(textFileName);
+
+            try
+            {
+                ReadIndex(textFileName, new UTF8Encoding(false, true));
+            }
+            catch (DecoderFallbackException)
+            {
+                articles.Clear();
+                index.Clear();
+                ReadIndex(textFileName, Encoding.GetEncoding(1251));
+            }
+
+            WordCount = index.Count;
+        }
+
+        // The file is read line by line, the offsets are in its unpacked bytes
+        private void ReadIndex(string fileName, Encoding fallback)
+        {
+            encoding = DetectEncoding(fileName, fallback, out int bomLength);
+            int unit = encoding is UnicodeEncoding ? 2 : 1;
+            bool bigEndian = encoding.CodePage == 1201;
+
+            using (var stream = new BufferedStream(OpenText(fileName), 65536))
+            {
+                var lineBytes = new MemoryStream();
+                var headwords = new List<string>();
+                long position = bomLength;
+                int groupStart = -1;
+                bool inHeader = true;
+
+                for (int i = 0; i < bomLength; i++) stream.ReadByte();
+
+                while (true)
+                {
+                    long lineStart = position;
+                    int consumed = ReadLine(stream, lineBytes, unit, bigEndian);
+                    if (consumed == 0) break;
+                    position += consumed;
+
+                    long lineEnd = lineStart + lineBytes.Length;
+                    string line = encoding.GetString(lineBytes.GetBuffer(), 0, (int)lineBytes.Length).TrimEnd('\r');
+
+                    if (line.Trim().Length == 0) continue;
+
+                    if (inHeader && line.StartsWith("#"))
+                    {
+                        ReadHeader(line);
+                        continue;
+                    }
+                    inHeader = false;
+
+                    if (!char.IsWhiteSpace(line[0]))
+                    {
+                        headwords.Add(line.Trim());
+                        continue;
+                    }
+
+                    // First article line after the headwords opens the article,
+                    // the following ones extend it
+                    if (headwords.Count > 0)
+                    {
+                        groupStart = articles.Count;
+                        foreach (string headword in headwords)
+                        {
+                            AddArticle(headword, lineStart, lineEnd);
+                        }
+                        headwords.Clear();
+                    }
+                    else if (groupStart >= 0)
+                    {
+                        ExtendArticles(groupStart, lineEnd);
+                    }
+                }
+            }
+        }
+
+        private Stream OpenText(string fileName)
+        {
+            Stream file = new FileStream(fileName, FileMode.Open, FileAccess.Read, FileShare.Read);
+            return fileName.EndsWith(".dz", StringComparison.OrdinalIgnoreCase) ? new GZipStream(file, CompressionMode.Decompress) : file;
+        }
+
+        private Encoding DetectEncoding(string fileName, Encoding fallback, out int bomLength)
+        {
+            var bytes = new byte[3];
+            int count = 0;
+            using (Stream stream = OpenText(fileName))
+            {
+                int read;
+                while (count < bytes.Length && (read = stream.Read(bytes, count, bytes.Length - count)) > 0) count += read;
+            }
+
+            bomLength = 0;
+            if (count >= 2 && bytes[0] == 0xFF && bytes[1] == 0xFE)
+            {
+                bomLength = 2;
+                return Encoding.Unicode;
+            }
+            if (count >= 2 && bytes[0] == 0xFE && bytes[1] == 0xFF)
+            {
+                bomLength = 2;
+                return Encoding.BigEndianUnicode;
+            }
+            if (count >= 3 && bytes[0] == 0xEF && bytes[1] == 0xBB && bytes[2] == 0xBF)
+            {
+                bomLength = 3;
+                return Encoding.UTF8;
+            }
+
+            // UTF-16 without BOM has zero high bytes in the ASCII header
+            if (count >= 2 && bytes[0] != 0 && bytes[1] == 0) return Encoding.Unicode;
+
+            return fallback;
+        }
+
+        /// <summary>
+        /// Reads the bytes of one line without its line feed; returns the number of
+        /// bytes consumed, 0 at the end of the stream
+        /// </summary>
+        private static int ReadLine(Stream stream, MemoryStream line, int unit, bool bigEndian)
+        {
+            line.SetLength(0);
+            int consumed = 0;
+
+            while (true)
+            {
+                int first = stream.ReadByte();
+                if (first < 0) return consumed;
+                consumed++;
+
+                if (unit == 1)
+                {
+                    if (first == '\n') return consumed;
+                    line.WriteByte((byte)first);
+                    continue;
+                }
+
+                int second = stream.ReadByte();
+                if (second < 0) return consumed;
+                consumed++;
+
+                if (bigEndian ? first == 0 && second == '\n' : first == '\n' && second == 0) return consumed;
+                line.WriteByte((byte)first);
+                line.WriteByte((byte)second);
+            }
+        }
+
+        private void ReadHeader(string line)
+        {
+            Match match = headerRegex.Match(line);
+            if (!match.Success) return;
+
+            string value = match.Groups[2].Value.Trim();
+            switch (match.Groups[1].Value.ToUpperInvariant())
+            {
+                case "NAME":
+                    if (!string.IsNullOrEmpty(value)) Name = value;
+                    break;
+                case "INDEX_LANGUAGE":
+                    if (string.IsNullOrEmpty(SourceLanguage)) SourceLanguage = DictionaryLanguages.ToCode(value);
+                    break;
+                case "CONTENTS_LANGUAGE":
+                    if (string.IsNullOrEmpty(TargetLanguage)) TargetLanguage = DictionaryLanguages.ToCode(value);
+                    break;
+            }
+        }
+
+        private void AddArticle(string headword, long start, long end)
+        {
+            articles.Add(new Article { Headword = CleanHeadword(headword), Start = start, End = end });
+
+            // "{unsorted}" parts are shown but not indexed, "(optional)" parts are
+            // indexed both with and without their text
+            string key = spacesRegex.Replace(unsortedPartRegex.Replace(Unescape(headword), ""), " ").Trim();
+            AddToIndex(spacesRegex.Replace(optionalPartRegex.Replace(key, ""), " ").Trim(), articles.Count - 1);
+            AddToIndex(key.Replace("(", "").Replace(")", ""), articles.Count - 1);
+        }
+
+        private void ExtendArticles(int first, long end)
+        {
+            for (int i = first; i < articles.Count; i++)
+            {
+                Article article = articles[i];
+                article.End = end;
+                articles[i] = article;
+            }
+        }
+
+        private void AddToIndex(string key, int articleIndex)
+        {
+            if (key.Length == 0) return;
+
+            if (!index.TryGetValue(key, out List<int> list))
+            {
+                list = new List<int>(1);
+                index[key] = list;
+            }
+            if (!list.Contains(articleIndex)) list.Add(articleIndex);
+        }
+
+        private static string Unescape(string value)
+        {
+            var result = new StringBuilder(value.Length);
+            for (int i = 0; i < value.Length; i++)
+            {
+                if (value[i] == '\\' && i + 1 < value.Length) i++;
+                result.Append(value[i]);
+            }
+            return result.ToString();
+        }
+
+        private static string CleanHeadword(string headword)
+        {
+            return spacesRegex.Replace(Unescape(headword).Replace("{", "").Replace("}", ""), " ").Trim();
+        }
+
+        public override List<DictionaryArticle> Lookup(string word)
+        {
+            var result = new List<DictionaryArticle>();
+            if (data == null || !index.TryGetValue(word, out List<int> list)) return result;
+
+            foreach (int articleIndex in list)
+            {
+                Article article = articles[articleIndex];
+                result.Add(new DictionaryArticle
+                {
+                    Dictionary = Name,
+                    Headword = article.Headword,
+                    Definition = FormatArticle(encoding.GetString(data.Read(article.Start, (int)(article.End - article.Start))))
+                });
+            }
+            return result;
+        }
+
+        /// <summary>
+        /// Converts DSL markup to HTML, one block per article line; unknown tags are
+        /// dropped with their text kept, sound and picture references are skipped
+        /// </summary>
+        private static string FormatArticle(string body)
+        {
+            var html = new StringBuilder();
+
+            foreach (string rawLine in body.Split('\n'))
+            {
+                string line = rawLine.Trim();
+                if (line.Length == 0) continue;
+
+                int margin = 0;
+                var content = new StringBuilder();
+                int skipDepth = 0;
+
+                for (int i = 0; i < line.Length; i++)
+                {
+                    char c = line[i];
+
+                    if (c == '\\' && i + 1 < line.Length)
+                    {
+                        if (skipDepth == 0) content.Append(WebUtility.HtmlEncode(line[++i].ToString()));
+                        else i++;
+                        continue;
+                    }
+
+                    // {{comments}}
+                    if (c == '{' && i + 1 < line.Length && line[i + 1] == '{')
+                    {
+                        int close = line.IndexOf("}}", i + 2, StringComparison.Ordinal);
+                        i = close < 0 ? line.Length : close + 1;
+                        continue;
+                    }
+
+                    // <<cross reference>>
+                    if (c == '<' && i + 1 < line.Length && line[i + 1] == '<')
+                    {
+                        if (skipDepth == 0) content.Append("<span class=\"dict-ref\">");
+                        i++;
+                        continue;
+                    }
+                    if (c == '>' && i + 1 < line.Length && line[i + 1] == '>')
+                    {
+                        if (skipDepth == 0) content.Append("</span>");
+                        i++;
+                        continue;
+                    }
+
+                    if (c == '[')
+                    {
+                        int close = line.IndexOf(']', i + 1);
+                        if (close > i)
+                        {
+                            string tag = line.Substring(i + 1, close - i - 1);
+                            i = close;
+
+                            bool closing = tag.StartsWith("/");
+                            string name = (closing ? tag.Substring(1) : tag).Split(' ')[0].ToLowerInvariant();
+
+                            if (name == "s" || name == "video")
+                            {
+                                skipDepth = Math.Max(0, skipDepth + (closing ? -1 : 1));
+                                continue;
+                            }
+                            if (skipDepth > 0) continue;
+
+                            if (name.Length == 2 && name[0] == 'm' && char.IsDigit(name[1]))
+                            {
+                                if (!closing) margin = name[1] - '0';
+                                continue;
+                            }
+
+                            content.Append(FormatTag(name, closing));
+                            continue;
+                        }
+                    }
+
+                    if (skipDepth == 0) content.Append(WebUtility.HtmlEncode(c.ToString()));
+                }
+
+                if (content.Length == 0) continue;
+                html.Append(margin > 0 ? "<div class=\"dict-m" + margin + "\">" : "<div>")
+                    .Append(content)
+                    .Append("</div>");
+            }
+
+            return html.ToString();
+        }
+
+        private static string FormatTag(string name, bool closing)
+        {
+            string element;
+            switch (name)
+            {
+                case "b":
+                case "i":
+                case "u":
+                case "sub":
+                case "sup":
+                    return closing ? "</" + name + ">" : "<" + name + ">";
+                case "c":
+                    element = "dict-c";
+                    break;
+                case "ex":
+                    element = "dict-ex";
+                    break;
+                case "com":
+                    element = "dict-com";
+                    break;
+                case "p":
+                    element = "dict-p";
+                    break;
+                case "trn":
+                    element = "dict-trn";
+                    break;
+                case "ref":
+                case "url":
+                    element = "dict-ref";
+                    break;
+                case "t":
+                    element = "dict-phonetic";
+                    break;
+                default:
+                    return string.Empty;
+            }
+            return closing ? "</span>" : "<span class=\"" + element + "\">";
+        }
+
+        public void Dispose()
+        {
+            data?.Dispose();
+
+            if (tempFileName != null)
+            {
+                try
+                {
+                    File.Delete(tempFileName);
+                }
+                catch (IOException ex)
+                {
+                    Log.WriteLine(LogLevel.Warning, "Could not delete {0}: {1}", tempFileName, ex.Message);
+                }
+            }
+        }
+    }
+}
\ No newline at end of file
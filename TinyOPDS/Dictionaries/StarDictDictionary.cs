@@ -0,0 +1,241 @@
+﻿/*
+ * This file is part of TinyOPDS server project
+ * https://github.com/sensboston/tinyopds
+ *
+ * Copyright (c) 2013-2025 SeNSSoFT
+ * SPDX-License-Identifier: MIT
+ *
+ * StarDict dictionary: .ifo description, .idx (or .idx.gz) index,
+ * optional .syn synonyms and .dict (or .dict.dz) articles
+ *
+ */
+
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Net;
+using System.Text;
+
+namespace TinyOPDS.Dictionaries
+{
+    public class StarDictDictionary : BaseDictionary, IDisposable
+    {
+        private struct IndexEntry
+        {
+            public string Word;
+            public long Offset;
+            public int Size;
+        }
+
+        private readonly List<IndexEntry> entries = new List<IndexEntry>();
+        private readonly Dictionary<string, List<int>> index = new Dictionary<string, List<int>>(StringComparer.OrdinalIgnoreCase);
+        private string sameTypeSequence = string.Empty;
+        private int offsetBits = 32;
+        private DictionaryData data;
+
+        public StarDictDictionary(string ifoFileName)
+        {
+            FileName = ifoFileName;
+            Name = Path.GetFileNameWithoutExtension(ifoFileName);
+        }
+
+        public override void Load()
+        {
+            ReadInfo();
+
+            string basePath = FileName.Substring(0, FileName.Length - 4);
+            string idxFileName = FindFile(basePath, ".idx", ".idx.gz");
+            string dictFileName = FindFile(basePath, ".dict", ".dict.dz");
+            if (idxFileName == null || dictFileName == null)
+                throw new FileNotFoundException("StarDict index or data file not found", FileName);
+
+            ReadIndex(DictionaryData.ReadAllBytes(idxFileName));
+
+            string synFileName = FindFile(basePath, ".syn");
+            if (synFileName != null)
+            {
+                ReadSynonyms(File.ReadAllBytes(synFileName));
+            }
+
+            data = new DictionaryData(dictFileName);
+            WordCount = entries.Count;
+        }
+
+        private static string FindFile(string basePath, params string[] extensions)
+        {
+            foreach (string extension in extensions)
+            {
+                if (File.Exists(basePath + extension)) return basePath + extension;
+            }
+            return null;
+        }
+
+        private void ReadInfo()
+        {
+            foreach (string line in File.ReadAllLines(FileName, Encoding.UTF8))
+            {
+                int separator = line.IndexOf('=');
+                if (separator <= 0) continue;
+
+                string key = line.Substring(0, separator).Trim();
+                string value = line.Substring(separator + 1).Trim();
+
+                switch (key)
+                {
+                    case "bookname":
+                        if (!string.IsNullOrEmpty(value)) Name = value;
+                        break;
+                    case "sametypesequence":
+                        sameTypeSequence = value;
+                        break;
+                    case "idxoffsetbits":
+                        offsetBits = value == "64" ? 64 : 32;
+                        break;
+                }
+            }
+        }
+
+        private void ReadIndex(byte[] bytes)
+        {
+            int position = 0;
+            while (position < bytes.Length)
+            {
+                int end = Array.IndexOf(bytes, (byte)0, position);
+                if (end < 0 || end + 1 + offsetBits / 8 + 4 > bytes.Length) break;
+
+                var entry = new IndexEntry { Word = Encoding.UTF8.GetString(bytes, position, end - position) };
+                position = end + 1;
+
+                if (offsetBits == 64)
+                {
+                    entry.Offset = (long)ReadUInt32(bytes, position) << 32 | ReadUInt32(bytes, position + 4);
+                    position += 8;
+                }
+                else
+                {
+                    entry.Offset = ReadUInt32(bytes, position);
+                    position += 4;
+                }
+                entry.Size = (int)ReadUInt32(bytes, position);
+                position += 4;
+
+                AddToIndex(entry.Word, entries.Count);
+                entries.Add(entry);
+            }
+        }
+
+        // Synonym file: word, zero byte and the number of the original index entry
+        private void ReadSynonyms(byte[] bytes)
+        {
+            int position = 0;
+            while (position < bytes.Length)
+            {
+                int end = Array.IndexOf(bytes, (byte)0, position);
+                if (end < 0 || end + 5 > bytes.Length) break;
+
+                string word = Encoding.UTF8.GetString(bytes, position, end - position);
+                int entryIndex = (int)ReadUInt32(bytes, end + 1);
+                position = end + 5;
+
+                if (entryIndex < entries.Count) AddToIndex(word, entryIndex);
+            }
+        }
+
+        private void AddToIndex(string word, int entryIndex)
+        {
+            if (!index.TryGetValue(word, out List<int> list))
+            {
+                list = new List<int>(1);
+                index[word] = list;
+            }
+            if (!list.Contains(entryIndex)) list.Add(entryIndex);
+        }
+
+        private static uint ReadUInt32(byte[] bytes, int position)
+        {
+            return (uint)(bytes[position] << 24 | bytes[position + 1] << 16 | bytes[position + 2] << 8 | bytes[position + 3]);
+        }
+
+        public override List<DictionaryArticle> Lookup(string word)
+        {
+            var articles = new List<DictionaryArticle>();
+            if (data == null || !index.TryGetValue(word, out List<int> list)) return articles;
+
+            foreach (int entryIndex in list)
+            {
+                IndexEntry entry = entries[entryIndex];
+                articles.Add(new DictionaryArticle
+                {
+                    Dictionary = Name,
+                    Headword = entry.Word,
+                    Definition = FormatArticle(data.Read(entry.Offset, entry.Size))
+                });
+            }
+            return articles;
+        }
+
+        /// <summary>
+        /// Converts article fields to HTML; with sametypesequence the type marks are
+        /// omitted from the data and the last field has no terminator or size
+        /// </summary>
+        private string FormatArticle(byte[] bytes)
+        {
+            var html = new StringBuilder();
+            int position = 0;
+
+            if (!string.IsNullOrEmpty(sameTypeSequence))
+            {
+                for (int i = 0; i < sameTypeSequence.Length && position < bytes.Length; i++)
+                {
+                    position = AppendField(html, sameTypeSequence[i], bytes, position, i == sameTypeSequence.Length - 1);
+                }
+            }
+            else
+            {
+                while (position < bytes.Length)
+                {
+                    char type = (char)bytes[position++];
+                    position = AppendField(html, type, bytes, position, false);
+                }
+            }
+
+            return html.ToString();
+        }
+
+        private static int AppendField(StringBuilder html, char type, byte[] bytes, int position, bool last)
+        {
+            // Upper case types are binary data (sounds, pictures) prefixed with their size
+            if (char.IsUpper(type))
+            {
+                if (last || position + 4 > bytes.Length) return bytes.Length;
+                return position + 4 + (int)ReadUInt32(bytes, position);
+            }
+
+            int end = last ? bytes.Length : Array.IndexOf(bytes, (byte)0, position);
+            if (end < 0) end = bytes.Length;
+            string text = Encoding.UTF8.GetString(bytes, position, end - position);
+
+            switch (type)
+            {
+                case 'h':
+                case 'g':
+                case 'x':
+                    html.Append("<div>").Append(text).Append("</div>");
+                    break;
+                case 't':
+                    html.Append("<div class=\"dict-phonetic\">[").Append(WebUtility.HtmlEncode(text)).Append("]</div>");
+                    break;
+                default:
+                    html.Append("<div>").Append(WebUtility.HtmlEncode(text).Replace("\n", "<br>")).Append("</div>");
+                    break;
+            }
+
+            return end + 1;
+        }
+
+        public void Dispose()
+        {
+            data?.Dispose();
+        }
+    }
+}
\ No newline at end of file
@@ -160,6 +160,11 @@
             }
         });
 
+        // Reflect saved state on the new "Save for offline" buttons
+        if (window.tinyOPDSOffline) {
+            window.tinyOPDSOffline.updateButtons();
+        }
+
         // Check if we need to load more (in case viewport is tall)
         setTimeout(() => {
             checkScrollPosition();
@@ -213,16 +218,22 @@
         html += '</div>';
         html += '</div>';
 
+        // Check for FB2 format
+        const hasFB2 = entry.querySelector('link[type="application/fb2+zip"]') || format === 'fb2';
+
         // Read button
         if (bookId) {
             html += `<a class="read-button" href="/reader/${bookId}">Read</a>`;
         }
 
+        // Save for offline button (labels and visibility are handled by offline.js)
+        if (bookId) {
+            html += `<button class="offline-button" type="button" data-book-id="${escapeHtml(bookId)}" data-format="${hasFB2 ? 'fb2' : 'epub'}">Save for offline</button>`;
+        }
+
         // Download links
         html += '<div class="download-links">';
 
-        // Check for FB2 format
-        const hasFB2 = entry.querySelector('link[type="application/fb2+zip"]') || format === 'fb2';
         if (hasFB2 && bookId) {
             html += `<a class="download-link download-fb2" href="/download/${bookId}/fb2">FB2</a>`;
         }
@@ -0,0 +1,180 @@
+﻿// Offline support for TinyOPDS web interface: service worker and "Save for offline"
+(function () {
+    'use strict';
+
+    // Shared with sw.js and the reader
+    const BOOKS_CACHE = 'tinyopds-offline-books';
+
+    // Labels are localized by the catalog page in data-* attributes of this
+    // script's tag, English otherwise
+    const script = document.currentScript;
+    const labels = Object.assign({
+        save: 'Save for offline',
+        saving: 'Saving...',
+        saved: 'Saved offline',
+        remove: 'Remove offline copy',
+        failed: 'Could not save',
+        unavailable: 'Offline saving needs HTTPS'
+    }, script ? { ...script.dataset } : {});
+
+    // Service workers and Cache Storage need a secure context (HTTPS or localhost)
+    const supported = 'serviceWorker' in navigator && 'caches' in window;
+
+    let savedIds = new Set();
+
+    function init() {
+        if (!supported) {
+            // Over plain HTTP the buttons stay, dimmed, and say why they don't work
+            if (window.isSecureContext === false) {
+                initUnavailable();
+            }
+            return;
+        }
+
+        document.documentElement.classList.add('offline-capable');
+
+        navigator.serviceWorker.register('/sw.js')
+            .catch(err => console.warn('Service worker registration failed:', err));
+
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('.offline-button');
+            if (button) {
+                e.preventDefault();
+                toggleBook(button);
+            }
+        });
+
+        loadSavedIds().then(updateButtons);
+    }
+
+    function initUnavailable() {
+        document.documentElement.classList.add('offline-unavailable');
+        updateButtons();
+
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('.offline-button');
+            if (!button || button.hasAttribute('data-busy')) return;
+
+            e.preventDefault();
+            button.setAttribute('data-busy', '');
+            button.textContent = labels.unavailable;
+            setTimeout(() => {
+                button.removeAttribute('data-busy');
+                updateButtons();
+            }, 3000);
+        });
+    }
+
+    async function loadSavedIds() {
+        try {
+            const cache = await caches.open(BOOKS_CACHE);
+            const keys = await cache.keys();
+            savedIds = new Set(keys
+                .map(key => new URL(key.url).pathname.match(/^\/offline\/(.+)\.json$/))
+                .filter(Boolean)
+                .map(match => decodeURIComponent(match[1])));
+        } catch (e) {
+            console.warn('Could not read offline books:', e);
+        }
+    }
+
+    // Also called by infinite-scroll.js for the items it appends
+    function updateButtons() {
+        if (!supported) {
+            document.querySelectorAll('.offline-button:not([data-busy])').forEach(button => {
+                button.textContent = labels.save;
+                button.title = labels.unavailable;
+            });
+            return;
+        }
+
+        document.querySelectorAll('.offline-button:not([data-busy])').forEach(button => {
+            const saved = savedIds.has(button.getAttribute('data-book-id'));
+            button.classList.toggle('saved', saved);
+            button.textContent = saved ? labels.saved : labels.save;
+            button.title = saved ? labels.remove : labels.save;
+        });
+    }
+
+    async function toggleBook(button) {
+        if (button.hasAttribute('data-busy')) return;
+
+        const id = button.getAttribute('data-book-id');
+        const format = button.getAttribute('data-format') || 'epub';
+        if (!id) return;
+
+        button.setAttribute('data-busy', '');
+        button.textContent = labels.saving;
+
+        try {
+            if (savedIds.has(id)) {
+                await removeBook(id);
+                savedIds.delete(id);
+            } else {
+                await saveBook(button, id, format);
+                savedIds.add(id);
+            }
+            button.removeAttribute('data-busy');
+            updateButtons();
+        } catch (e) {
+            console.error('Offline save failed:', e);
+            button.textContent = labels.failed;
+            setTimeout(() => {
+                button.removeAttribute('data-busy');
+                updateButtons();
+            }, 3000);
+        }
+    }
+
+    // The download payload goes to Cache Storage under its own URL, so the service
+    // worker can answer /download/{id}/{format} without network; the metadata entry
+    // lists the book on the offline page and in the reader
+    async function saveBook(button, id, format) {
+        const url = `/download/${id}/${format}`;
+        const response = await fetch(url, { cache: 'no-store' });
+        if (!response.ok) {
+            throw new Error('HTTP ' + response.status);
+        }
+
+        const item = button.closest('.book-item');
+        const text = (selector) => {
+            const element = item && item.querySelector(selector);
+            return element ? element.textContent.trim() : '';
+        };
+
+        const cache = await caches.open(BOOKS_CACHE);
+        await cache.put(url, response);
+        await cache.put(`/offline/${id}.json`, new Response(JSON.stringify({
+            id: id,
+            format: format,
+            url: url,
+            title: text('.book-title'),
+            author: text('.book-author'),
+            saved: Date.now()
+        }), { headers: { 'Content-Type': 'application/json' } }));
+
+        // Ask the browser not to evict saved books under storage pressure
+        if (navigator.storage && navigator.storage.persist) {
+            navigator.storage.persist().catch(() => { });
+        }
+    }
+
+    async function removeBook(id) {
+        const cache = await caches.open(BOOKS_CACHE);
+        const meta = await cache.match(`/offline/${id}.json`);
+        if (meta) {
+            const book = await meta.json();
+            await cache.delete(book.url);
+        }
+        await cache.delete(`/offline/${id}.json`);
+    }
+
+    window.tinyOPDSOffline = { updateButtons: updateButtons };
+
+    // Start when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
\ No newline at end of file
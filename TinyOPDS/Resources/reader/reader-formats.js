@@ -1,14 +1,478 @@
 ﻿// Format conversion utilities - FB2 and EPUB handling
 // Separated as these might need tweaking for format compatibility
 
+const EPUB_SVG_NS = 'http://www.w3.org/2000/svg';
+const EPUB_MATHML_NS = 'http://www.w3.org/1998/Math/MathML';
+
+// Removed together with their content
+const EPUB_DROP_ELEMENTS = new Set([
+    'script', 'style', 'link', 'meta', 'title', 'head', 'base', 'noscript', 'template',
+    'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'param', 'canvas', 'dialog', 'portal',
+    'form', 'input', 'button', 'select', 'option', 'textarea',
+    'foreignobject', 'annotation-xml', 'animate', 'animatemotion', 'animatetransform', 'set', 'handler', 'listener'
+]);
+
+const EPUB_HTML_ELEMENTS = new Set([
+    'a', 'abbr', 'acronym', 'address', 'article', 'aside', 'audio', 'b', 'bdi', 'bdo', 'big', 'blockquote', 'br',
+    'caption', 'center', 'cite', 'code', 'col', 'colgroup', 'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt',
+    'em', 'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup', 'hr',
+    'i', 'img', 'ins', 'kbd', 'li', 'main', 'mark', 'nav', 'ol', 'p', 'pre', 'q', 'rb', 'rp', 'rt', 'rtc', 'ruby',
+    's', 'samp', 'section', 'small', 'source', 'span', 'strike', 'strong', 'sub', 'summary', 'sup',
+    'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'time', 'tr', 'tt', 'u', 'ul', 'var', 'video', 'wbr'
+]);
+
+const EPUB_SVG_ELEMENTS = new Set([
+    'svg', 'g', 'defs', 'symbol', 'use', 'image', 'path', 'rect', 'circle', 'ellipse', 'line', 'polyline',
+    'polygon', 'text', 'tspan', 'textpath', 'desc', 'lineargradient', 'radialgradient', 'stop', 'clippath',
+    'mask', 'pattern', 'marker', 'filter', 'switch', 'a', 'view'
+]);
+
+const EPUB_HTML_ATTRIBUTES = new Set([
+    'alt', 'title', 'dir', 'colspan', 'rowspan', 'headers', 'scope', 'start', 'reversed', 'value', 'type',
+    'width', 'height', 'span', 'abbr', 'datetime', 'role', 'align', 'valign', 'border', 'cellpadding',
+    'cellspacing', 'summary', 'nowrap', 'controls', 'loop', 'muted', 'hidden'
+]);
+
+// Never copied verbatim on SVG/MathML elements
+const EPUB_URL_ATTRIBUTES = new Set([
+    'href', 'src', 'action', 'formaction', 'background', 'dynsrc', 'lowsrc', 'ping', 'codebase', 'data'
+]);
+
+// Book CSS properties that would fight the reader themes
+const EPUB_BLOCKED_CSS = new Set(['color', 'background-color', 'z-index', '-webkit-text-fill-color']);
+
+// Short plain text lines that open a chapter: a heading word, optionally
+// followed by a number or a title, or a bare arabic or roman number
+const TEXT_CHAPTER_PATTERN = /^(?:(?:chapter|part|book|volume|prologue|epilogue|preface|foreword|introduction|afterword|kapitel|teil|chapitre|partie|capítulo|capitolo|rozdział|глава|часть|книга|том|пролог|эпилог|предисловие|вступление|послесловие|розділ|частина)(?=$|[\s.:,\d])|(?:[IVXLCDM]+|\d{1,3})\.?$)/i;
+
+// Comic archive pages, sorted by name with numbers compared as numbers
+const COMIC_IMAGE_TYPES = {
+    jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp', avif: 'image/avif', bmp: 'image/bmp'
+};
+
+// Bytes looked at when guessing a text encoding
+const ENCODING_SAMPLE_SIZE = 32 * 1024;
+
+// Legacy encodings tried when the text is not UTF-8, in order of preference
+// for equal scores (KOI8-R and KOI8-U decode Russian text the same way)
+const ENCODING_CANDIDATES = [
+    'windows-1251', 'koi8-r', 'koi8-u', 'ibm866', 'iso-8859-5',
+    'windows-1252', 'windows-1250', 'iso-8859-2', 'windows-1257', 'windows-1254',
+    'windows-1253', 'iso-8859-7', 'windows-1255', 'iso-8859-8',
+    'shift_jis', 'euc-jp', 'gbk', 'big5', 'euc-kr'
+];
+
+// Letters of each language by frequency, most frequent first; for Latin
+// scripts only the non-ASCII ones. Ranges spread their share evenly over
+// the characters in them
+const ENCODING_MODELS = [
+    { lang: 'ru', letters: 'оеаинтсрвлкмдпуяыьгзбчйхжшюцщэфъё' },
+    { lang: 'uk', letters: 'оанівтеирсклудмпзяьгбчхйшєжцюїщфґ' },
+    { lang: 'be', letters: 'аоніеыркдлсвтумзяпьгбйчўжшхцэёюф' },
+    { lang: 'bg', letters: 'аоеинтрсвлкдпмзяъгубчьцжйшщхюф' },
+    { lang: 'sr', letters: 'аиоенрсјтувдклмпзгбшчцћхжљњђџф' },
+    { lang: 'pl', letters: 'ęąółśżćńź' },
+    { lang: 'cs', letters: 'íáéěýřčšůžúťňďó' },
+    { lang: 'sk', letters: 'áíéýčšžôúľťňďäóĺŕ' },
+    { lang: 'hu', letters: 'éáőöóíüúű' },
+    { lang: 'ro', letters: 'ăîțșâţş' },
+    { lang: 'hr', letters: 'čšžćđ' },
+    { lang: 'de', letters: 'üäößé' },
+    { lang: 'fr', letters: 'éèàçêùâôîûëïœ' },
+    { lang: 'es', letters: 'óíáéñú¿¡ü' },
+    { lang: 'it', letters: 'àèéìòù' },
+    { lang: 'pt', letters: 'ãçáéíóêâõúàô' },
+    { lang: 'sv', letters: 'äåöé' },
+    { lang: 'no', letters: 'øåæé' },
+    { lang: 'fi', letters: 'äöå' },
+    { lang: 'tr', letters: 'ıüşçğö' },
+    { lang: 'lt', letters: 'ėšųūįžčę' },
+    { lang: 'lv', letters: 'āēīšūļņķģčžō' },
+    { lang: 'el', letters: 'αοιετνσυρκπμλςηωγόδέίχθάφήύβώξζψ' },
+    { lang: 'he', letters: 'יוהאלרבמתשנכעדקחפסגזצטםןךףץ' },
+    {
+        lang: 'ja',
+        ranges: [[0x3041, 0x309F, 0.45], [0x30A0, 0x30FF, 0.12], [0x4E00, 0x9FFF, 0.33], [0x3000, 0x303F, 0.06], [0xFF00, 0xFFEF, 0.02]]
+    },
+    {
+        lang: 'zh',
+        letters: '的一是不了在人有我他这个们中来上大为和国地到以说时要就出会可也你对生能而子那得于着下自之年过发后作里用道行所然家种事成方多经么去法学如都同现当没动面起看定天分还进好小部其些主样理心她本前开但因只从想实日',
+        share: 0.35,
+        ranges: [[0x4E00, 0x9FFF, 0.55], [0x3000, 0x303F, 0.06], [0xFF00, 0xFFEF, 0.04]]
+    },
+    {
+        lang: 'zh-Hant',
+        letters: '的一是不了在人有我他這個們中來上大為和國地到以說時要就出會可也你對生能而子那得於著下自之年過發後作裡用道行所然家種事成方多經麼去法學如都同現當沒動面起看定天分還進好小部其些主樣理心她本前開但因只從想實日',
+        share: 0.35,
+        ranges: [[0x4E00, 0x9FFF, 0.55], [0x3000, 0x303F, 0.06], [0xFF00, 0xFFEF, 0.04]]
+    },
+    { lang: 'ko', ranges: [[0xAC00, 0xD7A3, 0.9], [0x3000, 0x303F, 0.03], [0x4E00, 0x9FFF, 0.02]] }
+];
+
+// Encodings the reader can choose from in the book info panel
+const TEXT_ENCODINGS = ['utf-8', 'utf-16le', 'utf-16be'].concat(ENCODING_CANDIDATES);
+
+// Non-ASCII punctuation any language may use
+const ENCODING_PUNCTUATION = '«»“”„‘’‚—–…•·№°§©®™€\u00A0';
+
+// The most frequent words of each language, most frequent first. Character
+// trigrams of the words, weighted by rank, make the language models the text
+// is scored against; the script of the words decides which texts a model
+// competes for. Tags after the code only tell models of one language apart
+const LANGUAGE_WORDS = {
+    en: 'the of and to a in is that it was he for on as with his be at by i you had not but from this have are they which she her or one all were we there an been their has would when who will more no if out so said what up its about into than them can only other could time these then do first any my now like our over man me even made after also did many before must through back where much your way well down should because',
+    de: 'der die und in den von zu das mit sich des auf für ist im dem nicht ein eine als auch es an werden aus er hat dass sie nach wird bei einer um am sind noch wie einem über einen so zum war haben nur oder aber vor zur bis mehr durch man sein wurde sei ich du wir ihr mich dir uns sehr schon wenn doch kann hatte was nun immer',
+    fr: 'de la le et les des en un du une que est pour qui dans par plus pas au sur ne se il elle ce avec son sa ses mais comme ou on nous vous je tout été aux cette leur lui sont bien fait être avait était même dont sans peu aussi ces très encore où si quand deux',
+    es: 'de la que el en y a los se del las un por con no una su para es al lo como más o pero sus le ha me si sin sobre este ya entre cuando todo esta ser son dos también fue había era muy años hasta desde está mi porque qué sólo han yo hay vez puede todos así nos ni parte tiene él uno donde bien tiempo',
+    it: 'di e il la che in a per un è non una le del si da i con sono al della come ma lo gli alla ha dei più anche se nel questo mi ci io era delle suo sua ne cosa quando fatto essere tutto molto lui già ancora così poi dove',
+    pt: 'de a o que e do da em um para é com não uma os no se na por mais as dos como mas foi ao ele das tem à seu sua ou ser quando muito há nos já está eu também só pelo pela até isso ela entre era depois sem mesmo aos ter seus quem nas me esse eles estão você tinha',
+    nl: 'de en van het een in is dat op te zijn met die voor niet aan er om ook als dan maar bij of uit nog wat door ze hij was naar over wel zo kan tot al je ik heeft hebben worden werd geen wordt deze veel meer nu moet zou had waren onder',
+    sv: 'och i att det som en på är av för med till den har de inte om ett han men var jag sig från vi så kan man när år säger hon under också efter eller nu sin där vid mot ska skulle kommer ut får finns vara hade alla andra mycket än här då sedan över bara',
+    no: 'og i det er som på en å til av for med at har ikke den han de var jeg om seg et men så fra vi kan ut hun være etter også skal når eller bare sier mot over hadde blir vil nå der ble dette noe alle andre kunne meg må',
+    da: 'og i at det er en til på som de med for af den har ikke han et var jeg der om men så sig fra vi kan også ud efter eller hun skal når blev være havde bliver vil nu mod alle meget andre kunne dette over hvor sine',
+    fi: 'ja on ei että se oli hän en mutta kun niin ovat tai myös mukaan sen hänen vain kuin mitä jo ole ollut voi nyt sitten joka jonka ne me te he minä sinä kanssa vielä olisi kaikki tämä siitä tässä tuo mikä jos olivat hyvin',
+    pl: 'w i na z się nie do to że jest o jak a co po ale przez tak za od są jego jej ich ten tego był była było być już tylko może dla go mnie mi ze jako bardzo gdy kiedy więc tym też także czy nawet który która które',
+    cs: 'a se na je v že to s z do o i jako ale by jsem jsou pro po tak byl byla bylo být jeho její jejich který která které nebo jen už když ve ze od až také však při jak mu mi si není bude tom této tento',
+    sk: 'a sa na je v že to s z do o i ako ale by som sú pre po tak bol bola bolo byť jeho jej ich ktorý ktorá ktoré alebo len už keď vo zo od až aj však pri mu mi si nie bude tom tejto tento sme ste',
+    hu: 'a az és hogy nem is egy de meg ez volt van csak már még el mint ki be fel le ha mert vagy pedig azt ami aki amely sem lesz kell lehet nagyon most majd után között én te ő mi ők neki őket',
+    ro: 'de și în a la cu nu o pe că se din un care este mai ce au fost ca sau dar el ea pentru lui ei sunt am fi prin după când acest această acum foarte mult tot doar însă fără între',
+    hr: 'i je u se na da za od su to a s o ne kao ali iz koji koja koje bi sam smo ste nije će bio bila bilo ili po do još samo kad pa već što tako jer ga mu ih joj bez',
+    'sr-Latn': 'i je u da se na za ne su od sa kao to a iz što koji koja koje bi sam smo nisam nije će bio bila bilo ili po do još samo kad pa već tako jer ga mu ih joj bez ću',
+    sl: 'in je v se na da za so ki z s pa ne to bi kot tudi iz ali po do še bil bila bilo sem smo ste samo že ker kaj tako jih mu ga nič zelo lahko',
+    tr: 've bir bu da de için ile ne o çok daha gibi ama en var olan olarak her şey sonra kadar ben sen biz onun bana değil ya mi mı ki diye şu oldu olduğu yok zaman',
+    lt: 'ir kad į su iš yra tai bet o jis ji buvo kaip ne nuo dėl apie per ar jo jos kai tik dar jau taip kas mes jūs aš tu savo labai bus gali',
+    lv: 'un ir ka uz ar par no bet kā tas viņš viņa bija vai lai arī pie nav to tikai jau vēl kad es tu mēs jūs savu ļoti būs var',
+    et: 'ja on ei et see oli ta kui aga mis ka siis ning nii või veel ma sa me te nad seda oma selle üle ainult kõik pärast mida juba kes tema väga',
+    ca: 'de la i el que a en els les per un una amb no es del al com més però hi ha seu seva són va ser quan molt també tot aquest aquesta entre fins sobre',
+    id: 'yang dan di itu dengan untuk tidak ini dari dalam akan pada juga saya ke karena tersebut bisa ada mereka lebih kami oleh sudah atau sebagai telah bahwa dia kita harus',
+    eo: 'la kaj de en estas al mi ne por kun li ŝi ili oni tio kiu kio sed ke pli ĉu ankaŭ estis havas nur tre mia sia ĉiu ĝi tiu',
+    la: 'et in est non ad cum ut quod qui quae sed si esse per ex a de nec enim autem sunt hoc eius quam atque vel ab tamen iam erat nos',
+    ru: 'и в не на что я с он как а то это по но все она так его к у же вы за бы из от мне было о ты мы только еще меня уже когда был вот для они сказал даже ее до нет если или ни быть была себя может есть них чтобы очень где там потом время',
+    uk: 'і в не на що я з він як а та це по але все вона так його до у же ви за б із від мені було про ти ми тільки ще мене вже коли був ось для вони сказав навіть її немає якщо або ні бути була себе може є них щоб дуже де там потім час й',
+    be: 'і ў не на што я з ён як а гэта па але усё яна так яго да у жа вы за б ад мне было пра ты мы толькі яшчэ мяне ўжо калі быў вось для яны сказаў нават яе няма ці быць была сябе можа ёсць іх каб вельмі дзе там потым час',
+    bg: 'и на да е се в не за с от че по как са но това той тя ще го ли бе беше като има ако във със си му й ми ни те ние вие аз ти още само когато където много всичко които който която което след през',
+    sr: 'и у је да се на за не су од са као то а из што који која које би сам смо нисам није ће био била било или по до још само кад па већ тако јер га му их јој без ћу',
+    mk: 'и на да во е се не со за од што ќе го ги тој таа тие како но тоа ова беше ли ми ме те си сè само кога каде многу сите која кој кое после преку',
+    kk: 'және бұл мен да де бір деп ол бар үшін еді болып осы екі не жоқ оның біз сіз сен мұндай болды керек қазір тағы өз көп туралы',
+    ar: 'في من على أن إلى عن التي الذي هذا مع ما لا كان هذه و ذلك قد بين كل بعد أو عند إن هو هي لم ثم حتى قبل كما',
+    fa: 'و در به از که این را با است آن برای یک تا می خود هم بود شد کرد نیز ها های او ما شده دیگر اما یا هر باید',
+    ur: 'کے میں کی ہے اور سے کو کا نے یہ پر ہیں وہ تھا بھی کہ ایک جو نہیں ہو گیا کر تھی اس ان لیے'
+};
+
+// Scripts written in one language only; Han text with kana in it is Japanese
+const LANGUAGE_SCRIPTS = {
+    Greek: 'el', Hebrew: 'he', Armenian: 'hy', Georgian: 'ka', Thai: 'th', Devanagari: 'hi',
+    Bengali: 'bn', Tamil: 'ta', Hangul: 'ko', Hiragana: 'ja', Katakana: 'ja', Han: 'zh'
+};
+
+// Scripts of the LANGUAGE_WORDS models
+const LANGUAGE_WORD_SCRIPTS = ['Latin', 'Cyrillic', 'Arabic'];
+
+// Three letter codes some books declare instead of two letter ones
+const LANGUAGE_CODES = {
+    eng: 'en', deu: 'de', ger: 'de', fra: 'fr', fre: 'fr', spa: 'es', ita: 'it', por: 'pt', nld: 'nl', dut: 'nl',
+    swe: 'sv', nor: 'no', nob: 'nb', nno: 'nn', dan: 'da', fin: 'fi', pol: 'pl', ces: 'cs', cze: 'cs', slk: 'sk',
+    slo: 'sk', hun: 'hu', ron: 'ro', rum: 'ro', hrv: 'hr', slv: 'sl', tur: 'tr', lit: 'lt', lav: 'lv', est: 'et',
+    cat: 'ca', ind: 'id', epo: 'eo', lat: 'la', rus: 'ru', ukr: 'uk', bel: 'be', bul: 'bg', srp: 'sr', mkd: 'mk',
+    mac: 'mk', kaz: 'kk', ara: 'ar', fas: 'fa', per: 'fa', urd: 'ur', ell: 'el', gre: 'el', heb: 'he', hye: 'hy',
+    arm: 'hy', kat: 'ka', geo: 'ka', tha: 'th', hin: 'hi', ben: 'bn', tam: 'ta', kor: 'ko', jpn: 'ja', zho: 'zh', chi: 'zh'
+};
+
+// Sections with less text than this keep the book language
+const LANGUAGE_SECTION_MIN_LETTERS = 200;
+
+// FB2 sections larger than this are split at their subsections, smaller
+// neighbours are merged up to it
+const FB2_CHUNK_SIZE = 256 * 1024;
+
+// Splits FB2 source into parts that can be converted one at a time: the
+// description, chunks of the bodies, the contents tree and the binaries as
+// bytes. Sections of the main body get the data-toc-id attributes the contents
+// refer to. Works on the text alone, without a DOM, because it is the source
+// of the parsing Web Worker; it must not use anything outside of itself
+function splitFB2Document(text, chunkSize) {
+    const decodeEntities = (value) => value.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] !== '#') {
+            return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[entity.toLowerCase()] || match;
+        }
+        const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.substring(2), 16) : parseInt(entity.substring(1), 10);
+        return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+    });
+    const plainText = (xml) => decodeEntities(xml.replace(/<[^>]*>/g, ' '));
+    const attribute = (tag, name) => {
+        const match = new RegExp(`\\s${name}\\s*=\\s*(["'])(.*?)\\1`).exec(tag);
+        return match ? decodeEntities(match[2]) : '';
+    };
+
+    // Leftovers of HTML editors that break the XML parser
+    text = text.replace(/<h[1-6]\s+xmlns=""[^>]*>.*?<\/h[1-6]>/gi, '');
+    text = text.replace(/<(div|span|p)\s+xmlns=""[^>]*>.*?<\/\1>/gi, '');
+
+    // Tree of the elements that matter here: the root, its description, bodies
+    // and binaries, sections and their titles; other elements are only counted
+    // on the stack. Nodes keep offsets of the start tag end, content end and end
+    const stack = [];
+    const nameRegex = /[^\s/>]+/y;
+    let root = null;
+    let position = 0;
+
+    // data-toc-id attributes of the source would duplicate or fake the ones
+    // added here, so start tags that have them are rewritten without them
+    const checkStaleIds = text.includes('data-toc-id');
+    const staleTags = new Map();
+
+    while ((position = text.indexOf('<', position)) !== -1) {
+        if (text.startsWith('<!--', position) || text.startsWith('<![CDATA[', position) ||
+            text[position + 1] === '?' || text[position + 1] === '!') {
+            const terminator = text.startsWith('<!--', position) ? '-->' : text.startsWith('<![CDATA[', position) ? ']]>' : '>';
+            const end = text.indexOf(terminator, position + 2);
+            position = end < 0 ? text.length : end + terminator.length;
+            continue;
+        }
+
+        // '>' may appear inside quoted attribute values
+        let end = position + 1;
+        let quote = '';
+        for (; end < text.length; end++) {
+            const ch = text[end];
+            if (quote) {
+                if (ch === quote) quote = '';
+            } else if (ch === '"' || ch === '\'') {
+                quote = ch;
+            } else if (ch === '>') {
+                break;
+            }
+        }
+        if (end >= text.length) break;
+
+        const closing = text[position + 1] === '/';
+        nameRegex.lastIndex = position + (closing ? 2 : 1);
+        const match = nameRegex.exec(text);
+        const tag = match ? match[0] : '';
+        const name = tag.substring(tag.indexOf(':') + 1);
+
+        if (closing) {
+            // Unclosed elements end with their parent, stray closing tags are ignored
+            let index = stack.length - 1;
+            while (index >= 0 && stack[index].name !== name) index--;
+            while (index >= 0 && stack.length > index) {
+                const item = stack.pop();
+                if (item.node) {
+                    item.node.contentEnd = position;
+                    item.node.end = stack.length === index ? end + 1 : position;
+                }
+            }
+        } else {
+            const parent = stack.length > 0 ? stack[stack.length - 1] : null;
+            const parentNode = parent ? parent.node : null;
+            let tracked = !parent;
+
+            if (parentNode) {
+                if (parentNode === root) {
+                    tracked = name === 'description' || name === 'body' || name === 'binary';
+                } else if (parentNode.name === 'body' || parentNode.name === 'section') {
+                    tracked = name === 'section' ||
+                        (name === 'title' && parentNode.name === 'section' && !parentNode.children.some(child => child.name === 'title'));
+                }
+            }
+
+            if (checkStaleIds) {
+                const startTag = text.substring(position, end);
+                if (startTag.includes('data-toc-id')) {
+                    staleTags.set(position, { at: position, end, text: startTag.replace(/\sdata-toc-id\s*=\s*("[^"]*"|'[^']*')/g, '') });
+                }
+            }
+
+            const selfClosing = text[end - 1] === '/';
+            let node = null;
+            if (tracked) {
+                node = { name, tag, start: position, tagEnd: end + 1, contentEnd: end + 1, end: end + 1, children: [] };
+                if (parentNode) {
+                    parentNode.children.push(node);
+                } else if (!root) {
+                    root = node;
+                }
+            }
+            if (!selfClosing) {
+                stack.push({ name, node });
+            }
+        }
+
+        position = end + 1;
+    }
+
+    // Truncated documents: whatever is still open ends with the text
+    for (const item of stack) {
+        if (item.node) {
+            item.node.contentEnd = text.length;
+            item.node.end = text.length;
+        }
+    }
+
+    if (!root || root.name !== 'FictionBook') {
+        throw new Error('Invalid FB2 file');
+    }
+
+    const bodies = root.children.filter(child => child.name === 'body');
+    const description = root.children.find(child => child.name === 'description');
+
+    // Contents of the main body, sections numbered in document order
+    let edits = [];
+    let sectionCounter = 0;
+    const buildToc = (node, level) => node.children.filter(child => child.name === 'section').map(section => {
+        const id = `section_${sectionCounter++}`;
+        const at = section.start + 1 + section.tag.length;
+        const stale = staleTags.get(section.start);
+        if (stale) {
+            const split = at - section.start;
+            stale.text = `${stale.text.substring(0, split)} data-toc-id="${id}"${stale.text.substring(split)}`;
+        } else {
+            edits.push({ at, end: at, text: ` data-toc-id="${id}"` });
+        }
+
+        const titleNode = section.children.find(child => child.name === 'title');
+        const title = titleNode ? plainText(text.substring(titleNode.tagEnd, titleNode.contentEnd)).trim().replace(/\s+/g, ' ') : '';
+
+        return {
+            id: id,
+            title: title || `Section ${sectionCounter}`,
+            level: level,
+            children: buildToc(section, level + 1)
+        };
+    });
+    const toc = bodies.length > 0 ? buildToc(bodies[0], 0) : [];
+    if (staleTags.size > 0) {
+        edits = edits.concat(Array.from(staleTags.values())).sort((a, b) => a.at - b.at);
+    }
+
+    // Source text of a range with the section ids in place
+    const slice = (from, to) => {
+        let low = 0;
+        let high = edits.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (edits[mid].at < from) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+
+        let result = '';
+        let last = from;
+        for (let i = low; i < edits.length && edits[i].at < to; i++) {
+            result += text.substring(last, edits[i].at) + edits[i].text;
+            last = edits[i].end;
+        }
+        return result + text.substring(last, to);
+    };
+
+    // Sections become parts of their own, as does whatever lies between them;
+    // a large section keeps its start tag and title in one part and its
+    // subsections follow it instead of being nested
+    const parts = [];
+    const addRange = (from, to, body) => {
+        if (from < to && /\S/.test(text.substring(from, to))) {
+            parts.push({ from, to, suffix: '', body });
+        }
+    };
+    const addChildren = (from, to, sections, body) => {
+        let start = from;
+        for (const section of sections) {
+            addRange(start, section.start, body);
+            addSection(section, body);
+            start = section.end;
+        }
+        addRange(start, to, body);
+    };
+    const addSection = (section, body) => {
+        const subsections = section.children.filter(child => child.name === 'section');
+        if (section.end - section.start <= chunkSize || subsections.length === 0) {
+            parts.push({ from: section.start, to: section.end, suffix: '', body });
+            return;
+        }
+        parts.push({ from: section.start, to: subsections[0].start, suffix: `</${section.tag}>`, body });
+        addChildren(subsections[0].start, section.contentEnd, subsections, body);
+    };
+
+    bodies.forEach((body, index) => {
+        addChildren(body.tagEnd, body.contentEnd, body.children.filter(child => child.name === 'section'), index);
+    });
+
+    // Neighbouring small parts of the same body are rendered together
+    const merged = [];
+    for (const part of parts) {
+        const last = merged[merged.length - 1];
+        if (last && last.body === part.body && !last.suffix && part.to - last.from <= chunkSize &&
+            !/\S/.test(text.substring(last.to, part.from))) {
+            last.to = part.to;
+            last.suffix = part.suffix;
+        } else {
+            merged.push({ ...part });
+        }
+    }
+
+    const chunks = merged.map(part => {
+        const xml = slice(part.from, part.to) + part.suffix;
+        const plain = plainText(xml);
+        return {
+            xml: xml,
+            body: part.body,
+            chars: plain.replace(/\s+/g, ' ').trim().length,
+            words: part.body > 0 ? 0 : (plain.match(/[\p{L}\p{N}]+/gu) || []).length,
+            images: (xml.match(/<([\w-]+:)?image\b/g) || []).length,
+            ids: Array.from(xml.matchAll(/\sid\s*=\s*(["'])(.*?)\1/g), match => decodeEntities(match[2])),
+            sections: Array.from(xml.matchAll(/\sdata-toc-id="(section_\d+)"/g), match => match[1])
+        };
+    });
+
+    const binaries = [];
+    for (const node of root.children.filter(child => child.name === 'binary')) {
+        const startTag = text.substring(node.start, node.tagEnd);
+        const id = attribute(startTag, 'id');
+        if (!id) continue;
+
+        try {
+            const decoded = atob(text.substring(node.tagEnd, node.contentEnd).replace(/\s/g, ''));
+            const data = new Uint8Array(decoded.length);
+            for (let i = 0; i < decoded.length; i++) {
+                data[i] = decoded.charCodeAt(i);
+            }
+            binaries.push({ id, type: attribute(startTag, 'content-type') || 'image/jpeg', data });
+        } catch (e) {
+            // Broken base64, the image is left out
+        }
+    }
+
+    return {
+        root: text.substring(root.start, root.tagEnd),
+        rootTag: root.tag,
+        description: description ? text.substring(description.start, description.end) : '',
+        chunks,
+        toc,
+        binaries
+    };
+}
+
 class FormatConverter {
     constructor() {
         this.images = {};
+        this.resourceUrls = {};
         this.chapters = [];
         this.detectedLanguage = 'en';
+
+        // Encoding of the open text book, the detected one and the reader's choice
+        this.encoding = null;
+        this.detectedEncoding = null;
+        this.encodingOverride = null;
+
+        // Genre names by FB2 tag, injected by TinyOPDS in its interface language
+        this.genreNames = window.tinyOPDSGenres || {};
     }
 
-    // Encoding detection methods
+    // Encoding detection: BOM, then the declared encoding, then UTF-8 and
+    // UTF-16 checks, then every legacy encoding is tried with TextDecoder and
+    // the result scored against letter frequency models
     detectEncoding(bytes) {
         // UTF-8 BOM
         if (bytes.length >= 3 && bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
@@ -23,585 +487,1905 @@ class FormatConverter {
             return 'utf-16be';
         }
 
-        const sampleSize = Math.min(bytes.length, 8192);
-        const sample = bytes.slice(0, sampleSize);
+        // Cut the sample at a character boundary so UTF-8 validation doesn't
+        // fail on a sequence split in half
+        let sampleSize = Math.min(bytes.length, ENCODING_SAMPLE_SIZE);
+        while (sampleSize < bytes.length && sampleSize > 0 && (bytes[sampleSize] & 0xC0) === 0x80) {
+            sampleSize--;
+        }
+        const sample = bytes.subarray(0, sampleSize);
+
+        const utf16 = this.detectUTF16(sample);
+        if (utf16) {
+            return utf16;
+        }
+
+        // A declaration wins, except a legacy one over text with valid UTF-8
+        // multibyte sequences (converted files often keep the old prolog):
+        // legacy text almost never forms them by chance
+        const declared = this.getDeclaredEncoding(sample);
+        const validUTF8 = this.isValidUTF8(sample);
+        const multibyte = validUTF8 && sample.some(byte => byte >= 0x80);
+        if (declared && (declared === 'utf-8' ? validUTF8 : !multibyte)) {
+            return declared;
+        }
+
+        if (validUTF8) {
+            return 'utf-8';
+        }
+
+        let best = { encoding: 'utf-8', score: -Infinity };
+        for (const encoding of ENCODING_CANDIDATES) {
+            const score = this.scoreEncoding(sample, encoding);
+            if (score > best.score) {
+                best = { encoding, score };
+            }
+        }
+        return best.encoding;
+    }
+
+    // encoding="" in the XML prolog, or the <meta> charset of an HTML page.
+    // UTF-16 declarations are ignored: the prolog was readable byte by byte
+    getDeclaredEncoding(bytes) {
+        const head = String.fromCharCode.apply(null, bytes.subarray(0, 1024));
+        const match = head.match(/^\s*<\?xml[^>]*?\bencoding\s*=\s*["']([\w.:-]+)["']/) ||
+            head.match(/<meta[^>]+charset\s*=\s*["']?([\w.:-]+)/i);
+        if (!match) return null;
+
+        try {
+            const encoding = new TextDecoder(match[1].trim()).encoding;
+            return encoding.startsWith('utf-16') ? null : encoding;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Text without a BOM: ASCII characters have a zero high byte
+    detectUTF16(bytes) {
+        let even = 0;
+        let odd = 0;
+        for (let i = 0; i + 1 < bytes.length; i += 2) {
+            if (bytes[i] === 0 && bytes[i + 1] !== 0) even++;
+            if (bytes[i + 1] === 0 && bytes[i] !== 0) odd++;
+        }
+
+        const pairs = bytes.length / 2;
+        if (odd > pairs * 0.3 && even < pairs * 0.05) return 'utf-16le';
+        if (even > pairs * 0.3 && odd < pairs * 0.05) return 'utf-16be';
+        return null;
+    }
+
+    isValidUTF8(bytes) {
+        let i = 0;
+        while (i < bytes.length) {
+            const byte = bytes[i];
+
+            if (byte < 0x80) {
+                i++;
+            } else if ((byte >> 5) === 0x06) {
+                if (i + 1 >= bytes.length || (bytes[i + 1] >> 6) !== 0x02) {
+                    return false;
+                }
+                i += 2;
+            } else if ((byte >> 4) === 0x0E) {
+                if (i + 2 >= bytes.length ||
+                    (bytes[i + 1] >> 6) !== 0x02 ||
+                    (bytes[i + 2] >> 6) !== 0x02) {
+                    return false;
+                }
+                i += 3;
+            } else if ((byte >> 3) === 0x1E) {
+                if (i + 3 >= bytes.length ||
+                    (bytes[i + 1] >> 6) !== 0x02 ||
+                    (bytes[i + 2] >> 6) !== 0x02 ||
+                    (bytes[i + 3] >> 6) !== 0x02) {
+                    return false;
+                }
+                i += 4;
+            } else {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // Average log-likelihood per non-ASCII byte of the decoded sample under the
+    // language model that fits it best. ASCII decodes the same in every
+    // candidate, so only the other characters are counted
+    scoreEncoding(bytes, encoding) {
+        let text;
+        try {
+            text = new TextDecoder(encoding).decode(bytes);
+        } catch (e) {
+            return -Infinity;
+        }
+
+        let highBytes = 0;
+        for (let i = 0; i < bytes.length; i++) {
+            if (bytes[i] >= 0x80) highBytes++;
+        }
+        if (highBytes === 0) return 0;
+
+        // Characters with the number of times they follow a lowercase letter;
+        // capitals inside words mark a wrong code page (KOI8-R read as
+        // windows-1251 comes out in inverted case)
+        const counts = new Map();
+        let previousLower = false;
+        for (const char of text) {
+            const lower = char.toLowerCase();
+            if (char.charCodeAt(0) >= 0x80) {
+                const key = previousLower && lower !== char ? char + '^' : char;
+                counts.set(key, (counts.get(key) || 0) + 1);
+            }
+            previousLower = lower !== char.toUpperCase() && lower === char;
+        }
+
+        let best = -Infinity;
+        for (const model of this.getEncodingModels()) {
+            let total = 0;
+            for (const [key, count] of counts) {
+                total += count * this.getCharLogProbability(model, key);
+            }
+            best = Math.max(best, total);
+        }
+        return best / highBytes;
+    }
+
+    getCharLogProbability(model, key) {
+        const midWord = key.endsWith('^');
+        const char = midWord ? key.slice(0, -1) : key;
+        const lower = char.toLowerCase();
+
+        let probability = model.letters.get(lower);
+        if (probability === undefined) {
+            const code = lower.codePointAt(0);
+            const range = model.ranges.find(([from, to]) => code >= from && code <= to);
+            if (range) {
+                probability = range[2] / (range[1] - range[0] + 1);
+            } else if (ENCODING_PUNCTUATION.includes(char)) {
+                probability = 0.001;
+            } else if (char === '\uFFFD' || (code >= 0x80 && code <= 0x9F)) {
+                probability = 1e-8;
+            } else {
+                probability = 1e-5;
+            }
+        } else if (lower !== char) {
+            probability *= midWord ? 0.002 : 0.15;
+        }
+        return Math.log(probability);
+    }
+
+    // Models are built once: listed letters get a geometric share of the
+    // model's probability, so the first is some 30 times more likely than
+    // the last
+    getEncodingModels() {
+        if (!FormatConverter.encodingModels) {
+            FormatConverter.encodingModels = ENCODING_MODELS.map(source => {
+                const letters = new Map();
+                const chars = Array.from(source.letters || '');
+                const share = source.share || 1;
+                const ratio = Math.max(0.6, Math.pow(1 / 30, 1 / Math.max(chars.length - 1, 1)));
+                const sum = chars.reduce((total, char, index) => total + Math.pow(ratio, index), 0);
+                chars.forEach((char, index) => {
+                    letters.set(char, share * Math.pow(ratio, index) / sum);
+                });
+                return { lang: source.lang, letters, ranges: source.ranges || [] };
+            });
+        }
+        return FormatConverter.encodingModels;
+    }
+
+    // Decoding methods
+    decodeText(bytes, encoding) {
+        try {
+            return new TextDecoder(encoding).decode(bytes);
+        } catch (e) {
+            console.warn('Decoding failed, using UTF-8 fallback:', e);
+            return new TextDecoder('utf-8').decode(bytes);
+        }
+    }
+
+    // Book text in the encoding the reader chose, or in the detected one; both
+    // are kept for the book info panel
+    decodeBook(bytes) {
+        this.detectedEncoding = this.detectEncoding(bytes);
+        this.encoding = this.encodingOverride || this.detectedEncoding;
+        return this.decodeText(bytes, this.encoding);
+    }
+
+    // XML escaping
+    escapeXml(text) {
+        if (!text) return '';
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    // Character references of XML text, replaced the way the parser would
+    decodeXmlEntities(text) {
+        return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, entity) => {
+            if (entity[0] !== '#') {
+                return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[entity.toLowerCase()] || match;
+            }
+            const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.substring(2), 16) : parseInt(entity.substring(1), 10);
+            return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+        });
+    }
+
+    // Native EPUB rendering: resolves the OPF package and spine, sanitizes every
+    // XHTML document into live DOM nodes and rewrites resources to blob URLs.
+    // Books read from the server in parts only get their documents as chunks
+    async loadEpub(file) {
+        this.revokeResources();
+
+        const zip = await ZipReader.open(file);
+        const readText = (path) => zip.readText(path);
+
+        const containerXml = await readText('META-INF/container.xml');
+        if (!containerXml) {
+            throw new Error('META-INF/container.xml not found');
+        }
+
+        const rootfile = this.parseXml(containerXml).getElementsByTagNameNS('*', 'rootfile')[0];
+        if (!rootfile) {
+            throw new Error('OPF package not found');
+        }
+
+        const opfPath = this.resolvePath('', rootfile.getAttribute('full-path'));
+        const opfDir = this.dirName(opfPath);
+        const opfContent = await readText(opfPath);
+        if (!opfContent) {
+            throw new Error('OPF package not found: ' + opfPath);
+        }
+
+        const opfDoc = this.parseXml(opfContent);
+
+        const manifest = {};
+        for (const item of opfDoc.getElementsByTagNameNS('*', 'item')) {
+            manifest[item.getAttribute('id')] = {
+                path: this.resolvePath(opfDir, item.getAttribute('href') || ''),
+                type: (item.getAttribute('media-type') || '').toLowerCase(),
+                properties: item.getAttribute('properties') || ''
+            };
+        }
+
+        const spine = [];
+        for (const itemRef of opfDoc.getElementsByTagNameNS('*', 'itemref')) {
+            const item = manifest[itemRef.getAttribute('idref')];
+            if (item && this.isHtmlType(item.type)) {
+                spine.push(item);
+            }
+        }
+
+        if (file instanceof RangeFile) {
+            return this.loadEpubChunks(zip, opfDoc, manifest, spine);
+        }
+
+        // Every non-document resource becomes a blob URL
+        this.images = {};
+        for (const item of Object.values(manifest)) {
+            if (this.isHtmlType(item.type) || item.type === 'text/css' || item.type === 'application/x-dtbncx+xml') {
+                continue;
+            }
+
+            const entry = zip.file(item.path);
+            if (!entry) continue;
+
+            try {
+                const data = await zip.readBytes(entry);
+                const url = URL.createObjectURL(new Blob([data], { type: item.type }));
+                this.resourceUrls[item.path] = url;
+                if (item.type.startsWith('image/')) {
+                    this.images[item.path] = url;
+                }
+            } catch (e) {
+                console.warn('Could not load resource:', item.path);
+            }
+        }
+
+        const spineIndex = {};
+        spine.forEach((item, index) => {
+            spineIndex[item.path] = index;
+        });
+
+        const fragment = document.createDocumentFragment();
+        const styles = [];
+        const loadedStyles = new Set();
+        this.chapters = [];
+
+        for (let index = 0; index < spine.length; index++) {
+            const item = spine[index];
+
+            try {
+                const text = await readText(item.path);
+                if (text === null) continue;
+
+                const doc = this.parseXhtml(text);
+                const ctx = {
+                    path: item.path,
+                    dir: this.dirName(item.path),
+                    prefix: `chapter_${index}`,
+                    spineIndex: spineIndex
+                };
+
+                for (const link of doc.querySelectorAll('link[href]')) {
+                    if (!/stylesheet/i.test(link.getAttribute('rel') || '')) continue;
+
+                    const cssPath = this.resolvePath(ctx.dir, link.getAttribute('href'));
+                    if (loadedStyles.has(cssPath)) continue;
+                    loadedStyles.add(cssPath);
+
+                    const css = await readText(cssPath);
+                    if (css) {
+                        styles.push(this.scopeCss(css, this.dirName(cssPath)));
+                    }
+                }
+
+                for (const style of doc.getElementsByTagNameNS('*', 'style')) {
+                    if (style.namespaceURI !== EPUB_SVG_NS) {
+                        styles.push(this.scopeCss(style.textContent, ctx.dir));
+                    }
+                }
+
+                fragment.appendChild(this.createEpubSection(doc, ctx));
+
+                // Flat fallback for books without a usable nav document or NCX
+                const heading = doc.querySelector('h1, h2, h3');
+                const title = (heading && heading.textContent.trim()) ||
+                    (doc.querySelector('title') && doc.querySelector('title').textContent.trim()) ||
+                    `Chapter ${index + 1}`;
+                this.chapters.push({ title: title.replace(/\s+/g, ' '), id: ctx.prefix, level: 0, children: [] });
+            } catch (e) {
+                console.warn('Could not process chapter:', item.path, e);
+            }
+        }
+
+        try {
+            const toc = await this.loadEpubToc(opfDoc, manifest, spineIndex, fragment, readText);
+            if (toc.length > 0) {
+                this.chapters = toc;
+            }
+        } catch (e) {
+            console.warn('Could not read EPUB table of contents:', e);
+        }
+
+        const metadata = this.readEpubMetadata(opfDoc);
+
+        return {
+            title: metadata.title,
+            author: metadata.authors.map(person => person.name).join(', '),
+            metadata: metadata,
+            fragment: fragment,
+            styles: styles.join('\n')
+        };
+    }
+
+    createEpubSection(doc, ctx) {
+        const body = doc.body || doc.getElementsByTagNameNS('*', 'body')[0] || doc.documentElement;
+
+        const section = document.createElement('div');
+        section.id = ctx.prefix;
+        section.className = ['section', 'epub-doc', ...this.prefixClasses(body.getAttribute('class'))].join(' ');
+        section.style.scrollMarginTop = '3em';
+
+        const lang = body.getAttribute('xml:lang') || body.getAttribute('lang') ||
+            doc.documentElement.getAttribute('xml:lang') || doc.documentElement.getAttribute('lang');
+        if (lang) {
+            section.setAttribute('lang', lang);
+        }
+
+        section.appendChild(this.sanitizeChildren(body, ctx));
+        return section;
+    }
+
+    // EPUB read from the server in parts: every spine document is a chunk the
+    // reader renders when it gets near it (see loadEpubChunk). Only the package,
+    // the table of contents and the stylesheets are read up front
+    async loadEpubChunks(zip, opfDoc, manifest, spine) {
+        const spineIndex = {};
+        spine.forEach((item, index) => {
+            spineIndex[item.path] = index;
+        });
+
+        const types = {};
+        for (const item of Object.values(manifest)) {
+            types[item.path] = item.type;
+        }
+
+        this.images = {};
+        const book = {
+            zip,
+            types,
+            spineIndex,
+            resources: new Map(),
+            stylesheets: new Set(),
+            // Sizes are guessed from the documents until they arrive: about half
+            // of an XHTML file is markup
+            chunks: spine.map((item, index) => {
+                const entry = zip.file(item.path);
+                const chars = entry ? Math.round(entry.size / 2) : 0;
+                return {
+                    path: item.path,
+                    chars,
+                    words: Math.round(chars / 6),
+                    images: 0,
+                    ids: [],
+                    sections: [`chapter_${index}`],
+                    body: 0
+                };
+            }),
+            loadChunk: (chunk) => this.loadEpubChunk(book, chunk)
+        };
+
+        const styles = [];
+        for (const item of Object.values(manifest)) {
+            if (item.type !== 'text/css') continue;
+            book.stylesheets.add(item.path);
+            styles.push(await this.loadEpubStylesheet(book, item.path));
+        }
+
+        this.chapters = spine.map((item, index) => ({ title: `Chapter ${index + 1}`, id: `chapter_${index}`, level: 0, children: [] }));
+        try {
+            const toc = await this.loadEpubToc(opfDoc, manifest, spineIndex, null, (path) => zip.readText(path));
+            if (toc.length > 0) {
+                this.chapters = toc;
+            }
+        } catch (e) {
+            console.warn('Could not read EPUB table of contents:', e);
+        }
+
+        const metadata = this.readEpubMetadata(opfDoc);
+
+        // No text is there yet, chapter titles tell the language instead
+        const titles = [];
+        const collectTitles = (items) => items.forEach(item => {
+            titles.push(item.title);
+            collectTitles(item.children);
+        });
+        collectTitles(this.chapters);
+
+        return {
+            title: metadata.title,
+            author: metadata.authors.map(person => person.name).join(', '),
+            metadata: metadata,
+            content: spine.map((item, index) => `<div class="book-chunk" id="chunk_${index}" data-chunk="${index}"></div>`).join(''),
+            chunks: book,
+            styles: styles.join('\n'),
+            languageSample: [metadata.title, ...titles].join('\n')
+        };
+    }
+
+    // One spine document of a book read in parts. The images, media and fonts it
+    // refers to are fetched first, so the sanitizer finds their blob URLs
+    async loadEpubChunk(book, chunk) {
+        const index = book.chunks.indexOf(chunk);
+        const ctx = {
+            path: chunk.path,
+            dir: this.dirName(chunk.path),
+            prefix: `chapter_${index}`,
+            spineIndex: book.spineIndex
+        };
+
+        const text = await book.zip.readText(chunk.path);
+        const doc = this.parseXhtml(text || '<html><body></body></html>');
+
+        const references = [];
+        const styles = [];
+        for (const element of doc.getElementsByTagName('*')) {
+            for (const attr of element.attributes) {
+                const name = attr.localName.toLowerCase();
+                if (name === 'src' || name === 'poster' || name === 'href') {
+                    references.push(attr.value);
+                } else if (name === 'style') {
+                    references.push(...this.findCssUrls(attr.value));
+                }
+            }
+        }
+
+        for (const link of doc.querySelectorAll('link[href]')) {
+            const cssPath = this.resolvePath(ctx.dir, link.getAttribute('href'));
+            if (!/stylesheet/i.test(link.getAttribute('rel') || '') || book.stylesheets.has(cssPath)) continue;
+
+            book.stylesheets.add(cssPath);
+            styles.push(await this.loadEpubStylesheet(book, cssPath));
+        }
+
+        const inlineStyles = Array.from(doc.getElementsByTagNameNS('*', 'style'))
+            .filter(style => style.namespaceURI !== EPUB_SVG_NS)
+            .map(style => style.textContent);
+        inlineStyles.forEach(css => references.push(...this.findCssUrls(css)));
+
+        await this.loadEpubResources(book, references
+            .map(value => value.trim())
+            .filter(value => value && !/^([a-z][a-z0-9+.-]*:|#)/i.test(value))
+            .map(value => this.resolvePath(ctx.dir, value)));
+
+        inlineStyles.forEach(css => styles.push(this.scopeCss(css, ctx.dir)));
+
+        const content = this.createEpubSection(doc, ctx);
+        const plain = content.textContent;
+        return {
+            content,
+            styles: styles.join('\n'),
+            chars: plain.replace(/\s+/g, ' ').trim().length,
+            words: (plain.match(/[\p{L}\p{N}]+/gu) || []).length
+        };
+    }
+
+    async loadEpubStylesheet(book, path) {
+        try {
+            const css = await book.zip.readText(path);
+            if (!css) return '';
+
+            const dir = this.dirName(path);
+            await this.loadEpubResources(book, this.findCssUrls(css)
+                .filter(url => !/^([a-z][a-z0-9+.-]*:|#)/i.test(url))
+                .map(url => this.resolvePath(dir, url)));
+            return this.scopeCss(css, dir);
+        } catch (e) {
+            console.warn('Could not load stylesheet:', path, e);
+            return '';
+        }
+    }
+
+    // Blob URLs for resources of a book read in parts, each fetched once; a
+    // failed one is tried again by the next document that needs it
+    loadEpubResources(book, paths) {
+        return Promise.all(paths.map(path => {
+            const type = book.types[path];
+            if (!type || this.isHtmlType(type) || this.resourceUrls[path]) return null;
+
+            if (!book.resources.has(path)) {
+                book.resources.set(path, book.zip.readBytes(path)
+                    .then(data => {
+                        if (data === null) return;
+
+                        const url = URL.createObjectURL(new Blob([data], { type }));
+                        this.resourceUrls[path] = url;
+                        if (type.startsWith('image/')) {
+                            this.images[path] = url;
+                        }
+                    })
+                    .catch(e => {
+                        console.warn('Could not load resource:', path, e);
+                        book.resources.delete(path);
+                    }));
+            }
+            return book.resources.get(path);
+        }));
+    }
+
+    findCssUrls(css) {
+        return Array.from(css.matchAll(/url\(\s*(['"]?)(.*?)\1\s*\)/gi), match => match[2].trim());
+    }
+
+    // Book info from the OPF metadata. Creators without a role, or with "aut",
+    // are the authors; EPUB3 details (roles, title types, series positions,
+    // display order) come as <meta refines="#id"> refinements
+    readEpubMetadata(opfDoc) {
+        const root = opfDoc.getElementsByTagNameNS('*', 'metadata')[0] || opfDoc;
+        const elements = (name) => Array.from(root.getElementsByTagNameNS('*', name));
+        const clean = (node) => node.textContent.replace(/\s+/g, ' ').trim();
+
+        const refinements = new Map();
+        const metas = elements('meta');
+        for (const meta of metas) {
+            const target = (meta.getAttribute('refines') || '').replace(/^#/, '');
+            const property = meta.getAttribute('property');
+            if (!target || !property) continue;
+
+            if (!refinements.has(target)) {
+                refinements.set(target, {});
+            }
+            refinements.get(target)[property] = clean(meta);
+        }
+        const refined = (node, property) => (refinements.get(node.getAttribute('id')) || {})[property] || '';
+
+        // Main title first, a subtitle is shown after it
+        const titles = elements('title').filter(node => clean(node));
+        const mainTitle = titles.find(node => refined(node, 'title-type') === 'main') || titles[0];
+        const subtitle = titles.find(node => refined(node, 'title-type') === 'subtitle');
+
+        const people = elements('creator').concat(elements('contributor'))
+            .map((node, index) => ({
+                name: clean(node),
+                role: this.getCreatorRole(opfDoc, node),
+                creator: node.localName === 'creator',
+                order: parseInt(refined(node, 'display-seq'), 10) || index + 1000
+            }))
+            .filter(person => person.name)
+            .sort((a, b) => a.order - b.order);
+
+        let authors = people.filter(person => person.creator && (!person.role || person.role === 'aut'));
+        if (authors.length === 0) {
+            authors = people.filter(person => person.creator);
+        }
+        const person = (entry) => ({ name: entry.name, catalogName: this.getCatalogName(entry.name) });
+
+        // calibre keeps the series in EPUB2 metas, EPUB3 has collections
+        const sequences = [];
+        const metaContent = (name) => {
+            const meta = metas.find(node => node.getAttribute('name') === name);
+            return meta ? (meta.getAttribute('content') || '').trim() : '';
+        };
+        if (metaContent('calibre:series')) {
+            sequences.push({ name: metaContent('calibre:series'), number: this.formatSequenceNumber(metaContent('calibre:series_index')) });
+        }
+        for (const meta of metas) {
+            if (meta.getAttribute('property') !== 'belongs-to-collection' || meta.getAttribute('refines')) continue;
+
+            const name = clean(meta);
+            if (name && !sequences.some(sequence => sequence.name === name)) {
+                sequences.push({ name, number: this.formatSequenceNumber(refined(meta, 'group-position')) });
+            }
+        }
+
+        const identifiers = elements('identifier').map(node => {
+            const value = clean(node);
+            const scheme = (node.getAttribute('opf:scheme') ||
+                node.getAttributeNS('http://www.idpf.org/2007/opf', 'scheme') ||
+                refined(node, 'identifier-type') ||
+                (value.match(/^urn:(\w+):/i) || [])[1] || '').toLowerCase();
+            return { scheme, value: value.replace(/^urn:\w+:/i, '') };
+        }).filter(identifier => identifier.value);
+        const isbn = identifiers.find(identifier => identifier.scheme === 'isbn');
+        const bookId = identifiers.find(identifier => identifier !== isbn);
+
+        const first = (name) => {
+            const node = elements(name).find(n => clean(n));
+            return node ? clean(node) : '';
+        };
+        const modified = metas.find(node => node.getAttribute('property') === 'dcterms:modified' && !node.getAttribute('refines'));
+
+        return {
+            title: mainTitle ? clean(mainTitle) : '',
+            subtitle: subtitle && subtitle !== mainTitle ? clean(subtitle) : '',
+            authors: authors.map(person),
+            translators: people.filter(entry => entry.role === 'trl').map(person),
+            contributors: people
+                .filter(entry => !authors.includes(entry) && entry.role !== 'trl')
+                .map(entry => ({ name: entry.name, role: entry.role })),
+            sequences,
+            genres: elements('subject').map(clean).filter(Boolean).map(name => ({ tag: '', name })),
+            keywords: '',
+            language: elements('language').map(clean).filter(Boolean).join(', '),
+            sourceLanguage: '',
+            date: first('date'),
+            original: null,
+            publication: {
+                title: '',
+                publisher: first('publisher'),
+                city: '',
+                year: '',
+                isbn: isbn ? isbn.value : '',
+                sequences: []
+            },
+            document: {
+                authors: [],
+                program: '',
+                date: modified ? clean(modified) : '',
+                id: bookId ? bookId.value : '',
+                version: '',
+                sources: elements('source').map(clean).filter(Boolean)
+            },
+            rights: first('rights')
+        };
+    }
+
+    // Author names as the TinyOPDS catalog stores them, "Last First Middle",
+    // so book info links lead to the right /author page
+    getCatalogName(name) {
+        let words;
+        const comma = name.indexOf(',');
+        if (comma > 0) {
+            // "Smith, John" already starts with the last name
+            words = [name.substring(0, comma)].concat(name.substring(comma + 1).split(' '));
+        } else {
+            words = name.split(' ');
+            if (words.length > 1) {
+                words.unshift(words.pop());
+            }
+        }
+        return this.capitalizeName(words.join(' '));
+    }
+
+    // Same as the server's Capitalize: every word starts with a capital letter,
+    // words in all capitals are lowered first
+    capitalizeName(name) {
+        return name.split(' ').filter(Boolean).map(word => {
+            if (word.length < 2) return word;
+            if (word === word.toUpperCase()) {
+                word = word.toLowerCase();
+            }
+            return word.charAt(0).toUpperCase() + word.substring(1);
+        }).join(' ');
+    }
+
+    formatSequenceNumber(value) {
+        const number = parseFloat(value);
+        return number > 0 ? String(number) : '';
+    }
+
+    // EPUB3 nav document first, EPUB2 NCX as the fallback
+    async loadEpubToc(opfDoc, manifest, spineIndex, fragment, readText) {
+        const items = Object.values(manifest);
+
+        const nav = items.find(item => item.properties.split(/\s+/).includes('nav'));
+        if (nav) {
+            const text = await readText(nav.path);
+            const toc = text ? this.parseEpubNav(this.parseXhtml(text), this.dirName(nav.path), spineIndex, fragment) : [];
+            if (toc.length > 0) return toc;
+        }
+
+        const spineNode = opfDoc.getElementsByTagNameNS('*', 'spine')[0];
+        const ncx = manifest[spineNode ? spineNode.getAttribute('toc') : ''] ||
+            items.find(item => item.type === 'application/x-dtbncx+xml');
+        if (ncx) {
+            const text = await readText(ncx.path);
+            if (text) {
+                return this.parseEpubNcx(this.parseXml(text), this.dirName(ncx.path), spineIndex, fragment);
+            }
+        }
+
+        return [];
+    }
+
+    parseEpubNav(doc, baseDir, spineIndex, fragment) {
+        const navs = Array.from(doc.getElementsByTagNameNS('*', 'nav'));
+        const tocNav = navs.find(nav => {
+            const type = nav.getAttributeNS('http://www.idpf.org/2007/ops', 'type') || nav.getAttribute('epub:type') || '';
+            return type.split(/\s+/).includes('toc');
+        }) || navs[0];
+        if (!tocNav) return [];
+
+        const list = Array.from(tocNav.children).find(child => child.localName === 'ol');
+        if (!list) return [];
+
+        const processList = (ol, level) => {
+            const result = [];
+
+            for (const li of ol.children) {
+                if (li.localName !== 'li') continue;
+
+                let label = null;
+                let childList = null;
+                for (const child of li.children) {
+                    if (!label && (child.localName === 'a' || child.localName === 'span')) {
+                        label = child;
+                    } else if (child.localName === 'ol') {
+                        childList = child;
+                    }
+                }
+
+                const children = childList ? processList(childList, level + 1) : [];
+                const href = label && label.localName === 'a' ? label.getAttribute('href') : null;
+                const title = label ? (label.getAttribute('title') || label.textContent).trim().replace(/\s+/g, ' ') : '';
+
+                this.addTocEntry(result, {
+                    id: href ? this.resolveTocTarget(baseDir, href, spineIndex, fragment) : null,
+                    title: title,
+                    level: level,
+                    children: children
+                });
+            }
+
+            return result;
+        };
+
+        return processList(list, 0);
+    }
+
+    parseEpubNcx(doc, baseDir, spineIndex, fragment) {
+        const navMap = doc.getElementsByTagNameNS('*', 'navMap')[0];
+        if (!navMap) return [];
+
+        const processPoints = (parent, level) => {
+            const result = [];
+
+            for (const point of parent.children) {
+                if (point.localName !== 'navPoint') continue;
+
+                const label = point.getElementsByTagNameNS('*', 'text')[0];
+                const content = Array.from(point.children).find(child => child.localName === 'content');
+                const src = content ? content.getAttribute('src') : null;
+
+                this.addTocEntry(result, {
+                    id: src ? this.resolveTocTarget(baseDir, src, spineIndex, fragment) : null,
+                    title: label ? label.textContent.trim().replace(/\s+/g, ' ') : '',
+                    level: level,
+                    children: processPoints(point, level + 1)
+                });
+            }
+
+            return result;
+        };
+
+        return processPoints(navMap, 0);
+    }
+
+    // Entries without a target in the book take the target of their first child,
+    // or are replaced by their children when there is nothing to point at
+    addTocEntry(result, entry) {
+        if (!entry.id && entry.children.length > 0) {
+            entry.id = entry.children[0].id;
+        }
+        if (!entry.id) {
+            result.push(...entry.children);
+            return;
+        }
+        if (!entry.title) {
+            entry.title = `Chapter ${result.length + 1}`;
+        }
+        result.push(entry);
+    }
+
+    // Maps a nav/NCX href to the id of the rendered chapter or anchor inside it
+    resolveTocTarget(baseDir, href, spineIndex, fragment) {
+        const hashIndex = href.indexOf('#');
+        const path = hashIndex >= 0 ? href.substring(0, hashIndex) : href;
+        const index = spineIndex[this.resolvePath(baseDir, path)];
+        if (index === undefined) return null;
+
+        let anchor = hashIndex >= 0 ? href.substring(hashIndex + 1) : '';
+        try {
+            anchor = decodeURIComponent(anchor);
+        } catch (e) {
+            // Keep malformed escapes as is
+        }
+
+        // Books read in parts don't have their documents yet, anchors are kept
+        // as they are and the reader falls back to the chapter when one is missing
+        const prefix = `chapter_${index}`;
+        if (anchor && (!fragment || fragment.getElementById(`${prefix}__${anchor}`))) {
+            return `${prefix}__${anchor}`;
+        }
+        return prefix;
+    }
+
+    // EPUB2 keeps the role in opf:role, EPUB3 in a <meta refines="#id" property="role">
+    getCreatorRole(opfDoc, creator) {
+        const role = creator.getAttribute('opf:role') || creator.getAttributeNS('http://www.idpf.org/2007/opf', 'role');
+        if (role) return role.toLowerCase();
+
+        const id = creator.getAttribute('id');
+        if (!id) return '';
+
+        for (const meta of opfDoc.getElementsByTagNameNS('*', 'meta')) {
+            if (meta.getAttribute('refines') === '#' + id && meta.getAttribute('property') === 'role') {
+                return meta.textContent.trim().toLowerCase();
+            }
+        }
+        return '';
+    }
+
+    // Book info for formats without their own metadata model, in the shape
+    // readEpubMetadata and readFB2Metadata return
+    createMetadata(values) {
+        return Object.assign({
+            title: '',
+            subtitle: '',
+            authors: [],
+            translators: [],
+            contributors: [],
+            sequences: [],
+            genres: [],
+            keywords: '',
+            language: '',
+            sourceLanguage: '',
+            date: '',
+            original: null,
+            publication: null,
+            document: null,
+            rights: ''
+        }, values);
+    }
+
+    fileTitle(file) {
+        return file.name.replace(/\.[^.]+$/, '').replace(/[_]+/g, ' ').trim();
+    }
+
+    // Parsed HTML documents become sections the same way EPUB spine items do;
+    // links between them use their paths. Contents come from the headings
+    renderHtmlDocuments(documents) {
+        const spineIndex = {};
+        documents.forEach((item, index) => {
+            spineIndex[item.path] = index;
+        });
+
+        const fragment = document.createDocumentFragment();
+        const styles = [];
+        const toc = [];
+        const parents = [];
+
+        documents.forEach((item, index) => {
+            const doc = item.doc;
+            const ctx = {
+                path: item.path,
+                dir: this.dirName(item.path),
+                prefix: `chapter_${index}`,
+                spineIndex: spineIndex
+            };
+
+            for (const style of doc.querySelectorAll('style')) {
+                styles.push(this.scopeCss(style.textContent, ctx.dir));
+            }
+            styles.push(...(item.styles || []));
+
+            const body = doc.body || doc.documentElement;
+            const section = document.createElement('div');
+            section.id = ctx.prefix;
+            section.className = ['section', 'epub-doc', ...this.prefixClasses(body.getAttribute('class'))].join(' ');
+            section.style.scrollMarginTop = '3em';
+
+            const lang = body.getAttribute('lang') || doc.documentElement.getAttribute('lang');
+            if (lang) {
+                section.setAttribute('lang', lang);
+            }
+
+            section.appendChild(this.sanitizeChildren(body, ctx));
+            fragment.appendChild(section);
+
+            let headings = 0;
+            for (const heading of section.querySelectorAll('h1, h2, h3')) {
+                const title = heading.textContent.replace(/\s+/g, ' ').trim();
+                if (!title) continue;
+
+                if (!heading.id) {
+                    heading.id = `${ctx.prefix}__heading_${headings}`;
+                }
+                headings++;
+
+                const rank = parseInt(heading.localName.substring(1), 10);
+                while (parents.length > 0 && parents[parents.length - 1].rank >= rank) {
+                    parents.pop();
+                }
+                const entry = { title, id: heading.id, level: parents.length, children: [] };
+                (parents.length > 0 ? parents[parents.length - 1].entry.children : toc).push(entry);
+                parents.push({ rank, entry });
+            }
+
+            // Sections without headings still get an entry when there are several
+            if (headings === 0 && documents.length > 1) {
+                toc.push({ title: `Chapter ${index + 1}`, id: ctx.prefix, level: 0, children: [] });
+                parents.length = 0;
+            }
+        });
+
+        this.chapters = toc;
+        return { fragment, styles: styles.join('\n') };
+    }
+
+    // Standalone HTML page
+    async loadHtml(file) {
+        this.revokeResources();
+        this.images = {};
+
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const doc = new DOMParser().parseFromString(this.decodeBook(bytes), 'text/html');
+        const rendered = this.renderHtmlDocuments([{ path: file.name, doc }]);
+
+        const meta = (name) => {
+            const node = doc.querySelector(`meta[name="${name}" i]`);
+            return node ? (node.getAttribute('content') || '').trim() : '';
+        };
+        const title = (doc.querySelector('title') && doc.querySelector('title').textContent.replace(/\s+/g, ' ').trim()) ||
+            this.fileTitle(file);
+        const authors = meta('author') ? [{ name: meta('author'), catalogName: this.getCatalogName(meta('author')) }] : [];
+
+        if (this.chapters.length === 0) {
+            this.chapters = [{ title, id: 'chapter_0', level: 0, children: [] }];
+        }
+
+        return {
+            title,
+            author: authors.map(person => person.name).join(', '),
+            metadata: this.createMetadata({
+                title,
+                authors,
+                keywords: meta('keywords'),
+                language: doc.documentElement.getAttribute('lang') || ''
+            }),
+            fragment: rendered.fragment,
+            styles: rendered.styles
+        };
+    }
 
-        if (this.isValidUTF8(sample)) {
-            const decoder = new TextDecoder('utf-8');
-            const text = decoder.decode(sample);
-            if (text.includes('<?xml') || text.includes('<FictionBook') || text.includes('encoding=')) {
-                return 'utf-8';
-            }
+    // Plain text: paragraphs are separated by blank lines, by indented first
+    // lines, or are single lines, whichever the file uses; short lines that
+    // look like chapter titles open new sections
+    async loadText(file) {
+        this.revokeResources();
+        this.images = {};
 
-            let nonAsciiCount = 0;
-            for (let i = 0; i < sample.length; i++) {
-                if (sample[i] >= 128) nonAsciiCount++;
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const text = this.decodeBook(bytes).replace(/\r\n?/g, '\n');
+
+        const lines = text.replace(/^\n+|\s+$/g, '').split('\n');
+        const filled = lines.filter(line => line.trim()).length;
+        const blank = lines.length - filled;
+        const indented = lines.filter(line => /^[ \t　]+\S/.test(line)).length;
+        const mode = blank >= filled * 0.2 ? 'blank' : indented >= filled * 0.2 ? 'indent' : 'line';
+
+        const paragraphs = [];
+        let current = null;
+        let afterBlank = true;
+        for (const line of lines) {
+            const trimmed = line.trim();
+            if (!trimmed) {
+                current = null;
+                afterBlank = true;
+                continue;
             }
 
-            if (nonAsciiCount / sample.length < 0.05) {
-                return 'utf-8';
+            const starts = current === null || mode === 'line' || (mode === 'indent' && /^[ \t　]/.test(line));
+            if (starts) {
+                current = { text: trimmed, lines: 1, afterBlank };
+                paragraphs.push(current);
+            } else {
+                current.text += ' ' + trimmed;
+                current.lines++;
             }
+            afterBlank = false;
         }
 
-        const highBytes = [];
-        let totalHighBytes = 0;
-        for (let i = 0; i < sample.length; i++) {
-            if (sample[i] >= 128) {
-                highBytes.push(sample[i]);
-                totalHighBytes++;
+        const isHeading = (paragraph) => paragraph.lines === 1 && paragraph.text.length <= 80 &&
+            (paragraph.afterBlank || mode !== 'blank') && TEXT_CHAPTER_PATTERN.test(paragraph.text);
+
+        this.chapters = [];
+        let html = '';
+        let open = false;
+        for (const paragraph of paragraphs) {
+            if (isHeading(paragraph) || !open) {
+                const id = `chapter_${this.chapters.length}`;
+                html += (open ? '</div>' : '') + `<div class="section" id="${id}" style="scroll-margin-top: 3em;">`;
+                open = true;
+
+                if (isHeading(paragraph)) {
+                    this.chapters.push({ title: paragraph.text, id, level: 0, children: [] });
+                    html += `<h2>${this.escapeXml(paragraph.text)}</h2>`;
+                    continue;
+                }
+                this.chapters.push({ title: this.fileTitle(file), id, level: 0, children: [] });
             }
+            html += `<p>${this.escapeXml(paragraph.text)}</p>`;
+        }
+        if (open) {
+            html += '</div>';
         }
 
-        if (totalHighBytes === 0) {
-            return 'utf-8';
+        const title = this.fileTitle(file);
+        return {
+            title,
+            author: '',
+            metadata: this.createMetadata({ title }),
+            content: html,
+            languageSample: text.substring(0, 20000)
+        };
+    }
+
+    // MOBI and AZW3. Old MOBI markup is cut into documents at page breaks and
+    // its filepos links (byte offsets) get anchors to point at; KF8 text is
+    // HTML already, only its kindle: references need rewriting
+    async loadMobi(file) {
+        this.revokeResources();
+        this.images = {};
+
+        const mobi = await MobiReader.open(file);
+        const text = mobi.readText();
+
+        for (const image of mobi.readImages()) {
+            const path = `image_${image.number}`;
+            const url = URL.createObjectURL(new Blob([image.data], { type: image.type }));
+            this.resourceUrls[path] = url;
+            this.images[path] = url;
         }
 
-        let shouldCheckLegacy = !this.isValidUTF8(sample);
-        if (!shouldCheckLegacy) {
-            const suspiciousPatterns = totalHighBytes > sample.length * 0.3;
-            shouldCheckLegacy = suspiciousPatterns;
+        const documents = mobi.kf8 ? this.splitKf8Text(mobi, text) : this.splitMobiText(mobi, text);
+        const rendered = this.renderHtmlDocuments(documents);
+
+        const exth = (type) => mobi.exthStrings(type);
+        const title = exth(MOBI_EXTH_TITLE)[0] || mobi.title || mobi.name || this.fileTitle(file);
+        const authors = exth(MOBI_EXTH_AUTHOR).map(name => ({ name, catalogName: this.getCatalogName(name) }));
+        const metadata = this.createMetadata({
+            title,
+            authors,
+            contributors: exth(MOBI_EXTH_CONTRIBUTOR).map(name => ({ name, role: '' })),
+            genres: exth(MOBI_EXTH_SUBJECT).map(name => ({ tag: '', name })),
+            language: exth(MOBI_EXTH_LANGUAGE).join(', '),
+            date: exth(MOBI_EXTH_DATE)[0] || '',
+            publication: {
+                title: '',
+                publisher: exth(MOBI_EXTH_PUBLISHER)[0] || '',
+                city: '',
+                year: '',
+                isbn: exth(MOBI_EXTH_ISBN)[0] || '',
+                sequences: []
+            },
+            rights: exth(MOBI_EXTH_RIGHTS)[0] || ''
+        });
+
+        // The cover record is numbered from the first image, like recindex
+        const cover = mobi.exthNumber(MOBI_EXTH_COVER);
+        const coverUrl = cover >= 0 ? this.images[`image_${cover + 1}`] : null;
+        if (coverUrl && rendered.fragment.firstChild && !rendered.fragment.querySelector(`img[src="${coverUrl}"]`)) {
+            const img = document.createElement('img');
+            img.src = coverUrl;
+            img.alt = 'Cover';
+            img.className = 'mobi-cover';
+            rendered.fragment.firstChild.insertBefore(img, rendered.fragment.firstChild.firstChild);
         }
 
-        if (!shouldCheckLegacy) {
-            return 'utf-8';
+        if (this.chapters.length === 0) {
+            this.chapters = [{ title, id: 'chapter_0', level: 0, children: [] }];
         }
 
-        const cp866Score = this.scoreCyrillicCP866(highBytes);
-        const win1251Score = this.scoreCyrillicWin1251(highBytes);
-        const koi8rScore = this.scoreCyrillicKOI8R(highBytes);
-        const win1252Score = this.scoreWesternWin1252(highBytes);
-        const iso88591Score = this.scoreWesternISO88591(highBytes);
+        return {
+            title,
+            author: authors.map(person => person.name).join(', '),
+            metadata,
+            fragment: rendered.fragment,
+            styles: rendered.styles
+        };
+    }
+
+    splitMobiText(mobi, bytes) {
+        // One character per byte, so filepos values are string offsets
+        let markup = '';
+        for (let i = 0; i < bytes.length; i += 8192) {
+            markup += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+        }
 
-        const scores = [
-            { encoding: 'cp866', score: cp866Score },
-            { encoding: 'windows-1251', score: win1251Score },
-            { encoding: 'koi8-r', score: koi8rScore },
-            { encoding: 'windows-1252', score: win1252Score },
-            { encoding: 'iso-8859-1', score: iso88591Score }
-        ];
+        const targets = new Set();
+        for (const match of markup.matchAll(/\bfilepos\s*=\s*["']?(\d+)/gi)) {
+            targets.add(parseInt(match[1], 10));
+        }
 
-        scores.sort((a, b) => b.score - a.score);
+        // Targets inside a tag move to its start
+        let anchored = '';
+        let position = 0;
+        for (const target of Array.from(targets).sort((a, b) => a - b)) {
+            if (target > markup.length) break;
 
-        if (scores[0].score > 0.6) {
-            return scores[0].encoding;
+            let at = target;
+            if (markup.lastIndexOf('<', at - 1) > markup.lastIndexOf('>', at - 1)) {
+                at = markup.lastIndexOf('<', at - 1);
+            }
+            at = Math.max(at, position);
+            anchored += markup.substring(position, at) + `<a id="filepos${target}"></a>`;
+            position = at;
         }
+        anchored += markup.substring(position);
 
-        return 'utf-8';
-    }
+        const parts = anchored.split(/<mbp:pagebreak[^>]*>/i);
+        const owners = {};
+        parts.forEach((part, index) => {
+            for (const match of part.matchAll(/<a id="filepos(\d+)">/g)) {
+                owners[match[1]] = index;
+            }
+        });
 
-    isValidUTF8(bytes) {
-        let i = 0;
-        while (i < bytes.length) {
-            const byte = bytes[i];
+        return parts.map((part, index) => {
+            const html = part
+                .replace(/\bfilepos\s*=\s*["']?0*(\d+)["']?/gi, (match, target) =>
+                    `href="part_${owners[target] !== undefined ? owners[target] : index}.html#filepos${target}"`)
+                .replace(/\brecindex\s*=\s*["']?(\d+)["']?/gi, (match, number) => `src="image_${parseInt(number, 10)}"`);
 
-            if (byte < 0x80) {
-                i++;
-            } else if ((byte >> 5) === 0x06) {
-                if (i + 1 >= bytes.length || (bytes[i + 1] >> 6) !== 0x02) {
-                    return false;
-                }
-                i += 2;
-            } else if ((byte >> 4) === 0x0E) {
-                if (i + 2 >= bytes.length ||
-                    (bytes[i + 1] >> 6) !== 0x02 ||
-                    (bytes[i + 2] >> 6) !== 0x02) {
-                    return false;
+            const partBytes = new Uint8Array(html.length);
+            for (let i = 0; i < html.length; i++) {
+                partBytes[i] = html.charCodeAt(i);
+            }
+            const doc = new DOMParser().parseFromString(this.decodeText(partBytes, mobi.encoding), 'text/html');
+            return { path: `part_${index}.html`, doc };
+        }).filter(item => item.doc.body && (item.doc.body.textContent.trim() || item.doc.querySelector('img')));
+    }
+
+    // Without the skeleton and fragment indexes the text flow is split at its
+    // <html> tags; the HTML parser puts fragments stored after a skeleton into
+    // its body. Stylesheets are further flows
+    splitKf8Text(mobi, bytes) {
+        const decoder = new TextDecoder(mobi.encoding);
+        const flows = mobi.readFlows(bytes);
+        const kindleNumber = (value) => parseInt(value, 32);
+
+        return decoder.decode(flows[0]).split(/(?=<html[\s>])/i).map((html, index) => {
+            html = html.replace(/kindle:embed:([0-9A-V]+)(\?[^"')\s]*)?/gi, (match, number) => `image_${kindleNumber(number)}`);
+            const doc = new DOMParser().parseFromString(html, 'text/html');
+
+            const styles = [];
+            for (const link of doc.querySelectorAll('link[href^="kindle:flow:"]')) {
+                const flow = flows[kindleNumber(link.getAttribute('href').substring(12).split('?')[0])];
+                if (flow && /css/i.test(link.getAttribute('href'))) {
+                    styles.push(this.scopeCss(decoder.decode(flow), ''));
                 }
-                i += 3;
-            } else if ((byte >> 3) === 0x1E) {
-                if (i + 3 >= bytes.length ||
-                    (bytes[i + 1] >> 6) !== 0x02 ||
-                    (bytes[i + 2] >> 6) !== 0x02 ||
-                    (bytes[i + 3] >> 6) !== 0x02) {
-                    return false;
+            }
+            return { path: `part_${index}.html`, doc, styles };
+        }).filter(item => item.doc.body && (item.doc.body.textContent.trim() || item.doc.querySelector('img')));
+    }
+
+    // Comic book archive: every image is a page, shown one per screen. Pages
+    // in several folders get a contents entry per folder
+    async loadComic(file) {
+        this.revokeResources();
+        this.images = {};
+
+        const zip = await ZipReader.open(file);
+        const pages = zip.names
+            .filter(name => !/(^|\/)(__MACOSX|\.)/.test(name) && COMIC_IMAGE_TYPES[name.split('.').pop().toLowerCase()])
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' }));
+        if (pages.length === 0) {
+            throw new Error('No images found in archive');
+        }
+
+        const info = await zip.readText('ComicInfo.xml');
+        const infoDoc = info ? this.parseXml(info) : null;
+        const field = (name) => {
+            const node = infoDoc && infoDoc.getElementsByTagName(name)[0];
+            return node ? node.textContent.trim() : '';
+        };
+
+        const fragment = document.createDocumentFragment();
+        const folders = new Set(pages.map(name => this.dirName(name)));
+        this.chapters = [];
+
+        let section = null;
+        for (let index = 0; index < pages.length; index++) {
+            const name = pages[index];
+            const folder = this.dirName(name);
+
+            if (!section || (folders.size > 1 && folder !== this.dirName(pages[index - 1]))) {
+                section = document.createElement('div');
+                section.id = `chapter_${this.chapters.length}`;
+                section.className = 'section';
+                fragment.appendChild(section);
+                if (folders.size > 1) {
+                    this.chapters.push({ title: folder.split('/').pop() || this.fileTitle(file), id: section.id, level: 0, children: [] });
                 }
-                i += 4;
-            } else {
-                return false;
+            }
+
+            const data = await zip.readBytes(name);
+            const url = URL.createObjectURL(new Blob([data], { type: COMIC_IMAGE_TYPES[name.split('.').pop().toLowerCase()] }));
+            this.resourceUrls[name] = url;
+            this.images[name] = url;
+
+            const page = document.createElement('div');
+            page.className = 'comic-page';
+            page.id = `page_${index + 1}`;
+            const img = document.createElement('img');
+            img.src = url;
+            img.alt = `${index + 1}`;
+            page.appendChild(img);
+            section.appendChild(page);
+
+            if (folders.size === 1) {
+                this.chapters.push({ title: `${index + 1}`, id: page.id, level: 0, children: [] });
             }
         }
-        return true;
+
+        const title = [field('Series'), field('Number') && '#' + field('Number'), field('Title')].filter(Boolean).join(' ') ||
+            this.fileTitle(file);
+        const writers = field('Writer').split(',').map(name => name.trim()).filter(Boolean);
+        const authors = writers.map(name => ({ name, catalogName: this.getCatalogName(name) }));
+        const contributors = ['Penciller', 'Inker', 'Colorist', 'Letterer', 'CoverArtist', 'Editor']
+            .flatMap(role => field(role).split(',').map(name => name.trim()).filter(Boolean)
+                .map(name => ({ name, role: role === 'Editor' ? 'edt' : 'ill' })));
+
+        return {
+            title,
+            author: authors.map(person => person.name).join(', '),
+            metadata: this.createMetadata({
+                title,
+                authors,
+                contributors,
+                sequences: field('Series') ? [{ name: field('Series'), number: this.formatSequenceNumber(field('Number')) }] : [],
+                genres: field('Genre').split(',').map(name => name.trim()).filter(Boolean).map(name => ({ tag: '', name })),
+                language: field('LanguageISO'),
+                date: [field('Year'), field('Month'), field('Day')].filter(Boolean).join('-'),
+                publication: field('Publisher') ? {
+                    title: '', publisher: field('Publisher'), city: '', year: field('Year'), isbn: '', sequences: []
+                } : null
+            }),
+            fragment,
+            styles: '',
+            comic: true
+        };
     }
 
-    // Encoding scoring methods
-    scoreCyrillicCP866(highBytes) {
-        let score = 0;
-        for (let byte of highBytes) {
-            if ((byte >= 0x80 && byte <= 0xAF) || (byte >= 0xE0 && byte <= 0xEF)) {
-                score++;
-            } else if ((byte >= 0xB0 && byte <= 0xDF) || (byte >= 0xF0 && byte <= 0xFF)) {
-                score -= 0.5;
-            }
+    revokeResources() {
+        for (const url of Object.values(this.resourceUrls || {})) {
+            URL.revokeObjectURL(url);
         }
-        return score / Math.max(highBytes.length, 1);
+        this.resourceUrls = {};
     }
 
-    scoreCyrillicWin1251(highBytes) {
-        let score = 0;
-        for (let byte of highBytes) {
-            if ((byte >= 0xC0 && byte <= 0xFF) || byte === 0xB8 || byte === 0xA8) {
-                score++;
-            } else if (byte >= 0x80 && byte <= 0xBF) {
-                if (byte === 0xA0 || byte === 0xA9 || byte === 0xAE) {
-                    score += 0.1;
-                } else {
-                    score -= 0.3;
-                }
-            }
+    isHtmlType(type) {
+        return type === 'application/xhtml+xml' || type === 'text/html';
+    }
+
+    parseXml(text) {
+        return new DOMParser().parseFromString(text, 'text/xml');
+    }
+
+    // XHTML first; documents relying on HTML entities fall back to the HTML parser
+    parseXhtml(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xhtml+xml');
+        if (doc.getElementsByTagName('parsererror').length === 0) {
+            return doc;
         }
-        return score / Math.max(highBytes.length, 1);
+        return new DOMParser().parseFromString(text, 'text/html');
     }
 
-    scoreCyrillicKOI8R(highBytes) {
-        let score = 0;
-        for (let byte of highBytes) {
-            if ((byte >= 0xC1 && byte <= 0xDF) || (byte >= 0xE0 && byte <= 0xFF)) {
-                score++;
-            } else if (byte >= 0x80 && byte <= 0xC0) {
-                score -= 0.5;
+    dirName(path) {
+        const index = path.lastIndexOf('/');
+        return index >= 0 ? path.substring(0, index) : '';
+    }
+
+    // Resolves an href against a directory inside the archive
+    resolvePath(baseDir, href) {
+        let clean = href.split('#')[0].split('?')[0];
+        try {
+            clean = decodeURIComponent(clean);
+        } catch (e) {
+            // Keep malformed escapes as is
+        }
+
+        const parts = clean.startsWith('/') || !baseDir ? [] : baseDir.split('/');
+        for (const part of clean.split('/')) {
+            if (part === '..') {
+                parts.pop();
+            } else if (part && part !== '.') {
+                parts.push(part);
             }
         }
-        return score / Math.max(highBytes.length, 1);
+        return parts.join('/');
+    }
+
+    resolveResourceUrl(baseDir, href) {
+        const value = href.trim();
+        if (/^data:image\//i.test(value)) return value;
+        if (/^[a-z][a-z0-9+.-]*:/i.test(value)) return null;
+        return this.resourceUrls[this.resolvePath(baseDir, value)] || null;
     }
 
-    scoreWesternWin1252(highBytes) {
-        let score = 0;
-        const commonWin1252 = [0x80, 0x82, 0x83, 0x84, 0x85, 0x86, 0x87, 0x88, 0x89, 0x8A, 0x8B, 0x8C, 0x8E,
-            0x91, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9A, 0x9B, 0x9C, 0x9E, 0x9F,
-            0xA0, 0xA1, 0xA2, 0xA3, 0xA4, 0xA5, 0xA6, 0xA7, 0xA8, 0xA9, 0xAA, 0xAB, 0xAC, 0xAD, 0xAE, 0xAF,
-            0xB0, 0xB1, 0xB2, 0xB3, 0xB4, 0xB5, 0xB6, 0xB7, 0xB8, 0xB9, 0xBA, 0xBB, 0xBC, 0xBD, 0xBE, 0xBF,
-            0xC0, 0xC1, 0xC2, 0xC3, 0xC4, 0xC5, 0xC6, 0xC7, 0xC8, 0xC9, 0xCA, 0xCB, 0xCC, 0xCD, 0xCE, 0xCF,
-            0xD0, 0xD1, 0xD2, 0xD3, 0xD4, 0xD5, 0xD6, 0xD7, 0xD8, 0xD9, 0xDA, 0xDB, 0xDC, 0xDD, 0xDE, 0xDF,
-            0xE0, 0xE1, 0xE2, 0xE3, 0xE4, 0xE5, 0xE6, 0xE7, 0xE8, 0xE9, 0xEA, 0xEB, 0xEC, 0xED, 0xEE, 0xEF,
-            0xF0, 0xF1, 0xF2, 0xF3, 0xF4, 0xF5, 0xF6, 0xF7, 0xF8, 0xF9, 0xFA, 0xFB, 0xFC, 0xFD, 0xFE, 0xFF];
+    // Book class names get a prefix so reader styles and book styles never collide
+    prefixClasses(classNames) {
+        return (classNames || '').split(/\s+/).filter(Boolean).map(name => 'epub-' + name);
+    }
+
+    // Markup built from FB2 goes through the same allow-list as EPUB documents
+    // before it reaches the page; only its ids, classes and links are kept as
+    // they are, since the converter made them
+    sanitizeHtml(html) {
+        const doc = new DOMParser().parseFromString(`<!DOCTYPE html><body>${html}</body>`, 'text/html');
+        return this.sanitizeChildren(doc.body, { generated: true, dir: '', prefix: '' });
+    }
 
-        for (let byte of highBytes) {
-            if (commonWin1252.includes(byte)) {
-                score += 0.5;
+    sanitizeChildren(source, ctx) {
+        const fragment = document.createDocumentFragment();
+        for (const child of source.childNodes) {
+            const node = this.sanitizeNode(child, ctx);
+            if (node) {
+                fragment.appendChild(node);
             }
         }
-        return score / Math.max(highBytes.length, 1);
+        return fragment;
+    }
+
+    // Allow-list DOM builder: unknown HTML elements are unwrapped, dangerous ones
+    // are dropped together with their content
+    sanitizeNode(node, ctx) {
+        if (node.nodeType === Node.TEXT_NODE || node.nodeType === Node.CDATA_SECTION_NODE) {
+            return document.createTextNode(node.data);
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            return null;
+        }
+
+        const name = node.localName;
+        const lowerName = name.toLowerCase();
+        const ns = node.namespaceURI;
+
+        if (EPUB_DROP_ELEMENTS.has(lowerName)) {
+            return null;
+        }
+
+        let element;
+        if (ns === EPUB_SVG_NS) {
+            if (!EPUB_SVG_ELEMENTS.has(lowerName) && !lowerName.startsWith('fe')) return null;
+            element = document.createElementNS(EPUB_SVG_NS, name);
+        } else if (ns === EPUB_MATHML_NS) {
+            element = document.createElementNS(EPUB_MATHML_NS, name);
+        } else if (EPUB_HTML_ELEMENTS.has(lowerName)) {
+            element = document.createElement(lowerName);
+        } else {
+            return this.sanitizeChildren(node, ctx);
+        }
+
+        this.copyAttributes(node, element, ctx);
+        element.appendChild(this.sanitizeChildren(node, ctx));
+        return element;
     }
 
-    scoreWesternISO88591(highBytes) {
-        let score = 0;
-        for (let byte of highBytes) {
-            if (byte >= 0xA0) {
-                score += 0.3;
+    copyAttributes(source, target, ctx) {
+        const foreign = target.namespaceURI === EPUB_SVG_NS || target.namespaceURI === EPUB_MATHML_NS;
+
+        for (const attr of source.attributes) {
+            const name = attr.localName.toLowerCase();
+            const value = attr.value;
+
+            if (name.startsWith('on') || attr.name === 'xmlns' || attr.prefix === 'xmlns') {
+                continue;
+            }
+
+            if (name === 'id') {
+                target.setAttribute('id', ctx.generated ? value : `${ctx.prefix}__${value}`);
+            } else if (name === 'class') {
+                const classes = ctx.generated ? value.split(/\s+/).filter(Boolean) : this.prefixClasses(value);
+                if (classes.length > 0) {
+                    target.setAttribute('class', classes.join(' '));
+                }
+            } else if (name === 'style') {
+                const style = this.sanitizeStyle(value, ctx.dir, ctx.prefix);
+                if (style) {
+                    target.setAttribute('style', style);
+                }
+            } else if (name === 'lang') {
+                target.setAttribute('lang', value);
+            } else if ((name === 'type' && attr.prefix === 'epub') || name === 'epub:type') {
+                target.setAttribute('data-epub-type', value);
+            } else if (name === 'href') {
+                this.rewriteHref(target, value, ctx);
+            } else if (name === 'src' || name === 'poster') {
+                const url = ctx.generated ? (/^blob:/.test(value) ? value : null) : this.resolveResourceUrl(ctx.dir, value);
+                if (url) {
+                    target.setAttribute(name, url);
+                }
+            } else if (foreign && !EPUB_URL_ATTRIBUTES.has(name)) {
+                // Local paint servers, masks and filters refer to prefixed ids
+                target.setAttribute(attr.localName, value.replace(/url\(\s*#([^)\s]+)\s*\)/g, `url(#${ctx.prefix}__$1)`));
+            } else if (EPUB_HTML_ATTRIBUTES.has(name) || name.startsWith('aria-')) {
+                target.setAttribute(attr.localName, value);
             }
         }
-        return score / Math.max(highBytes.length, 1);
     }
 
-    // Decoding methods
-    decodeText(bytes, encoding) {
-        try {
-            if (['utf-8', 'utf-16le', 'utf-16be', 'iso-8859-1', 'windows-1252'].includes(encoding)) {
-                const decoder = new TextDecoder(encoding);
-                return decoder.decode(bytes);
+    // Internal links point to prefixed ids, external ones open in a new tab,
+    // anything else is dropped
+    rewriteHref(target, value, ctx) {
+        const href = value.trim();
+        const isLink = target.localName === 'a';
+
+        if (/^[a-z][a-z0-9+.-]*:/i.test(href)) {
+            if (isLink && /^(https?|mailto):/i.test(href)) {
+                target.setAttribute('href', href);
+                target.setAttribute('target', '_blank');
+                target.setAttribute('rel', 'noopener noreferrer');
             }
+            return;
+        }
 
-            if (encoding === 'windows-1251') {
-                return this.decodeWindows1251(bytes);
-            } else if (encoding === 'cp866') {
-                return this.decodeCP866(bytes);
-            } else if (encoding === 'koi8-r') {
-                return this.decodeKOI8R(bytes);
+        // Links of generated markup already point at the reader's own ids
+        if (ctx.generated) {
+            if (isLink && href.startsWith('#')) {
+                target.setAttribute('href', href);
             }
+            return;
+        }
 
-            const decoder = new TextDecoder('utf-8');
-            return decoder.decode(bytes);
+        const hashIndex = href.indexOf('#');
+        const path = hashIndex >= 0 ? href.substring(0, hashIndex) : href;
+        let fragment = hashIndex >= 0 ? href.substring(hashIndex + 1) : '';
+        try {
+            fragment = decodeURIComponent(fragment);
         } catch (e) {
-            console.warn('Decoding failed, using UTF-8 fallback:', e);
-            const decoder = new TextDecoder('utf-8');
-            return decoder.decode(bytes);
+            // Keep malformed escapes as is
         }
-    }
 
-    decodeWindows1251(bytes) {
-        const win1251Map = {
-            0x80: 0x0402, 0x81: 0x0403, 0x82: 0x201A, 0x83: 0x0453, 0x84: 0x201E, 0x85: 0x2026, 0x86: 0x2020, 0x87: 0x2021,
-            0x88: 0x20AC, 0x89: 0x2030, 0x8A: 0x0409, 0x8B: 0x2039, 0x8C: 0x040A, 0x8D: 0x040C, 0x8E: 0x040B, 0x8F: 0x040F,
-            0x90: 0x0452, 0x91: 0x2018, 0x92: 0x2019, 0x93: 0x201C, 0x94: 0x201D, 0x95: 0x2022, 0x96: 0x2013, 0x97: 0x2014,
-            0x98: 0x0098, 0x99: 0x2122, 0x9A: 0x0459, 0x9B: 0x203A, 0x9C: 0x045A, 0x9D: 0x045C, 0x9E: 0x045B, 0x9F: 0x045F,
-            0xA0: 0x00A0, 0xA1: 0x040E, 0xA2: 0x045E, 0xA3: 0x0408, 0xA4: 0x00A4, 0xA5: 0x0490, 0xA6: 0x00A6, 0xA7: 0x00A7,
-            0xA8: 0x0401, 0xA9: 0x00A9, 0xAA: 0x0404, 0xAB: 0x00AB, 0xAC: 0x00AC, 0xAD: 0x00AD, 0xAE: 0x00AE, 0xAF: 0x0407,
-            0xB0: 0x00B0, 0xB1: 0x00B1, 0xB2: 0x0406, 0xB3: 0x0456, 0xB4: 0x0491, 0xB5: 0x00B5, 0xB6: 0x00B6, 0xB7: 0x00B7,
-            0xB8: 0x0451, 0xB9: 0x2116, 0xBA: 0x0454, 0xBB: 0x00BB, 0xBC: 0x0458, 0xBD: 0x0405, 0xBE: 0x0455, 0xBF: 0x0457
-        };
+        const resolved = path ? this.resolvePath(ctx.dir, path) : ctx.path;
+        const spineIndex = ctx.spineIndex[resolved];
 
-        let result = '';
-        for (let i = 0; i < bytes.length; i++) {
-            const byte = bytes[i];
-            if (byte < 0x80) {
-                result += String.fromCharCode(byte);
-            } else if (byte >= 0xC0) {
-                result += String.fromCharCode(0x0410 + (byte - 0xC0));
-            } else if (win1251Map[byte]) {
-                result += String.fromCharCode(win1251Map[byte]);
-            } else {
-                result += String.fromCharCode(byte);
-            }
+        if (spineIndex !== undefined) {
+            const prefix = `chapter_${spineIndex}`;
+            target.setAttribute('href', '#' + (fragment ? `${prefix}__${fragment}` : prefix));
+        } else if (!isLink && this.resourceUrls[resolved]) {
+            target.setAttribute('href', this.resourceUrls[resolved]);
         }
-        return result;
     }
 
-    decodeCP866(bytes) {
-        let result = '';
-        for (let i = 0; i < bytes.length; i++) {
-            const byte = bytes[i];
-            if (byte < 0x80) {
-                result += String.fromCharCode(byte);
-            } else if (byte >= 0x80 && byte <= 0x9F) {
-                result += String.fromCharCode(0x0410 + (byte - 0x80));
-            } else if (byte >= 0xA0 && byte <= 0xAF) {
-                result += String.fromCharCode(0x0420 + (byte - 0xA0));
-            } else if (byte >= 0xE0 && byte <= 0xEF) {
-                result += String.fromCharCode(0x0430 + (byte - 0xE0));
-            } else if (byte >= 0xF0 && byte <= 0xFF) {
-                if (byte <= 0xF5) {
-                    result += String.fromCharCode(0x0440 + (byte - 0xF0));
-                } else if (byte === 0xF6) {
-                    result += String.fromCharCode(0x0451);
-                } else {
-                    result += String.fromCharCode(byte);
+    sanitizeStyle(style, baseDir, prefix) {
+        return style
+            .replace(/expression\s*\(|javascript:|behavior\s*:|-moz-binding/gi, '')
+            .replace(/position\s*:\s*(fixed|sticky)/gi, 'position: static')
+            .replace(/url\(\s*(['"]?)(.*?)\1\s*\)/gi, (match, quote, url) => {
+                if (url.startsWith('#')) {
+                    return prefix ? `url("#${prefix}__${url.substring(1)}")` : 'none';
                 }
-            } else {
-                result += String.fromCharCode(byte);
-            }
-        }
-        return result;
+                const resolved = this.resolveResourceUrl(baseDir, url);
+                return resolved ? `url("${resolved}")` : 'none';
+            })
+            .trim();
     }
 
-    decodeKOI8R(bytes) {
-        let result = '';
-        for (let i = 0; i < bytes.length; i++) {
-            const byte = bytes[i];
-            if (byte < 0x80) {
-                result += String.fromCharCode(byte);
-            } else if (byte >= 0xC1 && byte <= 0xDF) {
-                const offset = byte - 0xC1;
-                if (offset < 16) {
-                    result += String.fromCharCode(0x0430 + offset);
-                } else {
-                    result += String.fromCharCode(0x0430 + offset + 1);
+    // Parses book CSS with the browser's own parser (in an inert document) and
+    // re-serializes it scoped under .epub-doc, without rules that fight the reader
+    scopeCss(cssText, baseDir) {
+        const doc = document.implementation.createHTMLDocument('');
+        const style = doc.createElement('style');
+        style.textContent = cssText;
+        doc.head.appendChild(style);
+
+        if (!style.sheet) return '';
+        return this.serializeCssRules(style.sheet.cssRules, baseDir);
+    }
+
+    serializeCssRules(rules, baseDir) {
+        let css = '';
+
+        for (const rule of rules) {
+            if (rule.type === CSSRule.STYLE_RULE) {
+                const scoped = this.scopeSelector(rule.selectorText);
+                const declarations = this.filterDeclarations(rule.style, baseDir, scoped.root);
+                if (declarations) {
+                    css += `${scoped.selector} { ${declarations} }\n`;
                 }
-            } else if (byte >= 0xE0 && byte <= 0xFF) {
-                const offset = byte - 0xE0;
-                if (offset < 16) {
-                    result += String.fromCharCode(0x0410 + offset);
-                } else {
-                    result += String.fromCharCode(0x0410 + offset + 1);
+            } else if (rule.type === CSSRule.MEDIA_RULE) {
+                const inner = this.serializeCssRules(rule.cssRules, baseDir);
+                if (inner) {
+                    css += `@media ${rule.media.mediaText} {\n${inner}}\n`;
                 }
-            } else if (byte === 0xB3) {
-                result += String.fromCharCode(0x0451);
-            } else if (byte === 0xA3) {
-                result += String.fromCharCode(0x0401);
-            } else {
-                result += String.fromCharCode(byte);
+            } else if (rule.type === CSSRule.FONT_FACE_RULE) {
+                css += `@font-face { ${this.sanitizeStyle(rule.style.cssText, baseDir)} }\n`;
             }
+            // @import, @page, @namespace and the rest are dropped
         }
-        return result;
+
+        return css;
     }
 
-    // XML escaping
-    escapeXml(text) {
-        if (!text) return '';
-        return text
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;')
-            .replace(/"/g, '&quot;')
-            .replace(/'/g, '&apos;');
+    scopeSelector(selectorText) {
+        let root = false;
+
+        const selector = selectorText.split(',').map(part => {
+            let s = part.trim().replace(/^(?::root|html)(?=$|[\s>+~.#:[])\s*>?\s*/i, '');
+
+            const onBody = /^body(?=$|[\s>+~.#:[])/i.test(s);
+            if (onBody) {
+                s = s.substring(4);
+            }
+            if (onBody || s === '') {
+                root = true;
+            }
+
+            // Rewrite class and id selectors outside of quoted strings
+            s = s.split(/("[^"]*"|'[^']*')/).map((chunk, i) => i % 2 === 1 ? chunk : chunk
+                .replace(/\.(-?[_a-zA-Z][\w-]*)/g, '.epub-$1')
+                .replace(/#(-?[_a-zA-Z][\w-]*)/g, '[id$="__$1"]')).join('');
+
+            return onBody || s === '' ? '.epub-doc' + s : '.epub-doc ' + s;
+        }).join(', ');
+
+        return { selector, root };
     }
 
-    // EPUB to FB2 conversion
-    async convertEpubToFb2(file) {
-        const zip = await JSZip.loadAsync(file);
+    filterDeclarations(style, baseDir, root) {
+        const declarations = [];
 
-        const containerXml = await zip.file('META-INF/container.xml').async('string');
-        const containerDoc = new DOMParser().parseFromString(containerXml, 'text/xml');
-        const opfPath = containerDoc.querySelector('rootfile').getAttribute('full-path');
-        const opfDir = opfPath.substring(0, opfPath.lastIndexOf('/'));
+        for (let i = 0; i < style.length; i++) {
+            const name = style[i];
 
-        const opfContent = await zip.file(opfPath).async('string');
-        const opfDoc = new DOMParser().parseFromString(opfContent, 'text/xml');
+            if (EPUB_BLOCKED_CSS.has(name)) continue;
+            if (root && /^(font-size|font-family|line-height|margin|padding|width|height|min-|max-)/.test(name)) continue;
 
-        const title = opfDoc.querySelector('metadata title')?.textContent || 'Untitled';
-        const creator = opfDoc.querySelector('metadata creator')?.textContent || 'Unknown Author';
+            const value = style.getPropertyValue(name);
+            if (name === 'position' && /fixed|sticky/i.test(value)) continue;
 
-        const spine = opfDoc.querySelectorAll('spine itemref');
-        const manifest = {};
-        opfDoc.querySelectorAll('manifest item').forEach(item => {
-            manifest[item.getAttribute('id')] = {
-                href: item.getAttribute('href'),
-                type: item.getAttribute('media-type')
+            const important = style.getPropertyPriority(name) ? ' !important' : '';
+            declarations.push(`${name}: ${this.sanitizeStyle(value, baseDir)}${important};`);
+        }
+
+        return declarations.join(' ');
+    }
+
+    // Parses the FB2 document in a Web Worker; where workers can't be created
+    // (no support, or a content security policy without blob: workers) the
+    // same code runs here
+    splitFB2(text) {
+        if (typeof Worker === 'undefined' || typeof URL.createObjectURL !== 'function') {
+            return Promise.resolve(splitFB2Document(text, FB2_CHUNK_SIZE));
+        }
+
+        const source = `${splitFB2Document}
+self.onmessage = (e) => {
+    try {
+        const result = splitFB2Document(e.data.text, e.data.chunkSize);
+        self.postMessage({ result }, result.binaries.map(binary => binary.data.buffer));
+    } catch (error) {
+        self.postMessage({ error: error.message });
+    }
+};`;
+
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+            let worker;
+            const finish = () => {
+                worker.terminate();
+                URL.revokeObjectURL(url);
+            };
+
+            try {
+                worker = new Worker(url);
+            } catch (e) {
+                URL.revokeObjectURL(url);
+                resolve(splitFB2Document(text, FB2_CHUNK_SIZE));
+                return;
+            }
+
+            worker.onmessage = (e) => {
+                finish();
+                if (e.data.error) {
+                    reject(new Error(e.data.error));
+                } else {
+                    resolve(e.data.result);
+                }
             };
+            worker.onerror = (e) => {
+                e.preventDefault();
+                finish();
+                try {
+                    resolve(splitFB2Document(text, FB2_CHUNK_SIZE));
+                } catch (error) {
+                    reject(error);
+                }
+            };
+            worker.postMessage({ text, chunkSize: FB2_CHUNK_SIZE });
         });
+    }
 
+    // Binaries stay bytes until an image is actually used: reading images[id]
+    // creates its blob URL, which revokeResources releases with the book
+    setFB2Images(binaries) {
         this.images = {};
-        const imageMap = {};
-        let imageIndex = 0;
-
-        // Load images
-        for (let id in manifest) {
-            const item = manifest[id];
-            if (item.type && item.type.startsWith('image/')) {
-                const imagePath = opfDir ? `${opfDir}/${item.href}` : item.href;
-                try {
-                    const imageData = await zip.file(imagePath).async('base64');
-                    const imageId = `image${imageIndex++}`;
-                    this.images[imageId] = `data:${item.type};base64,${imageData}`;
-                    imageMap[item.href] = imageId;
-                    imageMap[imagePath] = imageId;
-                } catch (e) {
-                    console.warn('Could not load image:', imagePath);
+        for (const binary of binaries) {
+            let url = null;
+            Object.defineProperty(this.images, binary.id, {
+                enumerable: true,
+                configurable: true,
+                get: () => {
+                    if (!url) {
+                        url = URL.createObjectURL(new Blob([binary.data], { type: binary.type }));
+                        this.resourceUrls['#' + binary.id] = url;
+                    }
+                    return url;
                 }
-            }
+            });
         }
+    }
 
-        let fb2Content = `<?xml version="1.0" encoding="UTF-8"?>
-<FictionBook xmlns="http://www.gribuser.ru/xml/fictionbook/2.0" xmlns:l="http://www.w3.org/1999/xlink">
-<description>
-    <title-info>
-        <book-title>${this.escapeXml(title)}</book-title>
-        <author>
-            <first-name>${this.escapeXml(creator)}</first-name>
-        </author>
-    </title-info>
-</description>
-<body>`;
-
-        this.chapters = [];
-        let chapterIndex = 0;
+    // Parses a part of a split FB2 document inside its root element, which
+    // declares the namespaces the part uses
+    parseFB2Part(book, xml) {
+        return this.parseXml(`${book.root}${xml}</${book.rootTag}>`);
+    }
 
-        for (let itemRef of spine) {
-            const id = itemRef.getAttribute('idref');
-            if (!manifest[id]) continue;
+    // Sanitized DOM of a part of a split FB2 document
+    convertFB2Chunk(book, chunk) {
+        const doc = this.parseFB2Part(book, chunk.xml);
+        if (doc.getElementsByTagName('parsererror').length === 0) {
+            return this.sanitizeHtml(this.convertFB2ToHTML(doc.documentElement));
+        }
 
-            const href = manifest[id].href;
-            const chapterPath = opfDir ? `${opfDir}/${href}` : href;
+        // Keep the text of a malformed part readable
+        console.warn('Malformed FB2 part, showing its text only');
+        const text = new DOMParser().parseFromString(chunk.xml, 'text/html').body.textContent;
+        const paragraph = document.createElement('p');
+        paragraph.textContent = text.replace(/\s+/g, ' ').trim();
+        return paragraph;
+    }
 
-            try {
-                const chapterHtml = await zip.file(chapterPath).async('string');
-                const fb2Chapter = this.convertHtmlToFb2(chapterHtml, opfDir, imageMap, chapterIndex);
-                fb2Content += fb2Chapter;
-
-                const chapterDoc = new DOMParser().parseFromString(chapterHtml, 'text/html');
-                const chapterTitle = chapterDoc.querySelector('h1, h2, h3, title')?.textContent || `Chapter ${chapterIndex + 1}`;
-                this.chapters.push({ title: chapterTitle, id: `chapter_${chapterIndex}` });
-                chapterIndex++;
-            } catch (e) {
-                console.warn('Could not process chapter:', chapterPath);
+    // Text of a part of a split FB2 document without converting it, with the
+    // offsets its contents sections start at; search uses it for the parts not
+    // rendered yet
+    getFB2ChunkText(chunk) {
+        const sections = [];
+        const tags = /<[^>]*>/g;
+        let text = '';
+        let last = 0;
+        let match;
+
+        while ((match = tags.exec(chunk.xml))) {
+            text += this.decodeXmlEntities(chunk.xml.substring(last, match.index));
+            last = tags.lastIndex;
+
+            const section = /\sdata-toc-id="(section_\d+)"/.exec(match[0]);
+            if (section) {
+                sections.push({ id: section[1], at: text.length });
             }
         }
+        text += this.decodeXmlEntities(chunk.xml.substring(last));
 
-        fb2Content += '</body>';
-
-        // Add binary images
-        for (let imageId in this.images) {
-            const base64Data = this.images[imageId].split(',')[1];
-            const mimeType = this.images[imageId].match(/data:([^;]+);/)[1];
-            fb2Content += `<binary id="${imageId}" content-type="${mimeType}">${base64Data}</binary>`;
-        }
+        return { original: text, sections };
+    }
 
-        fb2Content += '</FictionBook>';
-        return fb2Content;
+    // FB2 ids get a prefix so they never collide with generated section ids
+    fb2IdAttribute(element) {
+        const id = element.getAttribute('id');
+        return id ? ` id="fb2_${this.escapeXml(id)}"` : '';
     }
 
-    // HTML to FB2 conversion - FIXED paragraph handling
-    convertHtmlToFb2(html, baseDir, imageMap, chapterIndex) {
-        const doc = new DOMParser().parseFromString(html, 'text/html');
-        let fb2 = `<section id="chapter_${chapterIndex}">`;
+    fb2AlignAttribute(element) {
+        const align = element.getAttribute('align');
+        return /^(left|right|center)$/.test(align) ? ` style="text-align: ${align};"` : '';
+    }
 
-        const processElement = (element) => {
-            let result = '';
+    // colspan, rowspan, align and valign of table cells; anything else is dropped
+    fb2CellAttributes(cell) {
+        let attributes = this.fb2IdAttribute(cell);
 
-            for (let node of element.childNodes) {
-                if (node.nodeType === Node.TEXT_NODE) {
-                    const text = this.escapeXml(node.textContent);
-                    // Only add text if it's not just whitespace
-                    if (text.trim()) {
-                        result += text;
-                    }
-                } else if (node.nodeType === Node.ELEMENT_NODE) {
-                    const tag = node.tagName.toLowerCase();
-
-                    switch (tag) {
-                        case 'h1':
-                        case 'h2':
-                        case 'h3':
-                        case 'h4':
-                        case 'h5':
-                        case 'h6':
-                            result += `<title>${processElement(node)}</title>`;
-                            break;
-                        case 'p':
-                            const content = processElement(node);
-                            if (content.trim()) {
-                                // Just add paragraph without extra spacing
-                                result += `<p>${content}</p>`;
-                            }
-                            break;
-                        case 'div':
-                            // Process div content but check if it contains block elements
-                            const divContent = processElement(node);
-                            if (divContent.trim()) {
-                                // Check if div contains its own paragraphs or just inline content
-                                const hasBlockElements = Array.from(node.children).some(child =>
-                                    ['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'div', 'blockquote'].includes(child.tagName.toLowerCase())
-                                );
-
-                                if (!hasBlockElements && divContent.trim()) {
-                                    // Treat as paragraph if div contains only inline content
-                                    result += `<p>${divContent}</p>`;
-                                } else {
-                                    // Div contains block elements, just add the content
-                                    result += divContent;
-                                }
-                            }
-                            break;
-                        case 'em':
-                        case 'i':
-                            result += `<emphasis>${processElement(node)}</emphasis>`;
-                            break;
-                        case 'strong':
-                        case 'b':
-                            result += `<strong>${processElement(node)}</strong>`;
-                            break;
-                        case 'br':
-                            result += '<empty-line/>';
-                            break;
-                        case 'img':
-                            let src = node.getAttribute('src');
-                            if (src) {
-                                src = src.replace(/^\.\.\//, '').replace(/^\.\//, '');
-                                let imageId = null;
-                                if (imageMap[src]) {
-                                    imageId = imageMap[src];
-                                } else {
-                                    const fullPath = baseDir ? `${baseDir}/${src}` : src;
-                                    if (imageMap[fullPath]) {
-                                        imageId = imageMap[fullPath];
-                                    }
-                                }
-                                if (imageId) {
-                                    result += `<image l:href="#${imageId}"/>`;
-                                }
-                            }
-                            break;
-                        case 'a':
-                            result += processElement(node);
-                            break;
-                        case 'blockquote':
-                            result += `<cite>${processElement(node)}</cite>`;
-                            break;
-                        case 'pre':
-                        case 'code':
-                            const codeContent = node.textContent || '';
-                            if (codeContent.trim()) {
-                                result += `<p>${this.escapeXml(codeContent)}</p>`;
-                            }
-                            break;
-                        case 'ul':
-                        case 'ol':
-                            for (let li of node.children) {
-                                if (li.tagName && li.tagName.toLowerCase() === 'li') {
-                                    result += `<p>• ${processElement(li)}</p>`;
-                                }
-                            }
-                            break;
-                        case 'hr':
-                            result += '<empty-line/><p>* * *</p><empty-line/>';
-                            needsSpacing = false;
-                            break;
-                        default:
-                            // For any other tags, just process their content
-                            result += processElement(node);
-                    }
-                }
+        for (const name of ['colspan', 'rowspan']) {
+            const value = cell.getAttribute(name);
+            if (/^\d+$/.test(value || '')) {
+                attributes += ` ${name}="${value}"`;
             }
+        }
 
-            return result;
-        };
-
-        fb2 += processElement(doc.body || doc.documentElement);
-        fb2 += '</section>';
+        const styles = [];
+        const align = cell.getAttribute('align');
+        if (/^(left|right|center)$/.test(align)) {
+            styles.push(`text-align: ${align};`);
+        }
+        const valign = cell.getAttribute('valign');
+        if (/^(top|middle|bottom)$/.test(valign)) {
+            styles.push(`vertical-align: ${valign};`);
+        }
+        if (styles.length > 0) {
+            attributes += ` style="${styles.join(' ')}"`;
+        }
 
-        return fb2;
+        return attributes;
     }
 
-    // Extract FB2 TOC with tree structure
-    extractFB2TOC(xmlDoc) {
-        let sectionCounter = 0;
+    getGenreName(tag) {
+        return this.genreNames[tag] || tag;
+    }
 
-        // Helper function to extract title text from title element
-        const getTitleText = (titleElement) => {
-            if (!titleElement) return null;
-            // Get text content, removing extra whitespace
-            return titleElement.textContent.trim().replace(/\s+/g, ' ');
+    // FB2 person: the display name and the catalog one, which TinyOPDS builds
+    // from the name parts in "Last First Middle" order
+    readFB2Person(node) {
+        const part = (name) => {
+            const child = Array.from(node.children).find(element => element.localName === name);
+            return child ? child.textContent.replace(/\s+/g, ' ').trim() : '';
         };
 
-        // Recursive function to process sections
-        const processSections = (parentElement, level = 0) => {
-            const sections = [];
-
-            // Only process direct child elements
-            for (let child of parentElement.children) {
-                if (child.tagName.toLowerCase() === 'section') {
-                    // Generate ID for this section
-                    const sectionId = `section_${sectionCounter++}`;
-
-                    // CRITICAL FIX: Set the ID as an attribute on the XML element
-                    // This allows convertFB2ToHTML to find and use the same ID
-                    child.setAttribute('data-toc-id', sectionId);
-
-                    // Find direct child title element (not nested in subsections)
-                    let titleElement = null;
-                    for (let el of child.children) {
-                        if (el.tagName.toLowerCase() === 'title') {
-                            titleElement = el;
-                            break;
-                        }
-                    }
+        const first = part('first-name');
+        const middle = part('middle-name');
+        const last = part('last-name');
+        const name = [first, middle, last].filter(Boolean).join(' ') || part('nickname');
+        if (!name) return null;
+
+        const catalogName = this.capitalizeName(last || first || middle ? [last, first, middle].join(' ') : name);
+        return { name, catalogName };
+    }
 
-                    const titleText = getTitleText(titleElement);
+    // Book info from the FB2 description: title-info, src-title-info for
+    // translations, publish-info for the paper edition and document-info
+    readFB2Metadata(xmlDoc) {
+        const section = (name) => xmlDoc.querySelector(`description > ${name}`);
+        const children = (parent, name) => parent ?
+            Array.from(parent.children).filter(element => element.localName === name) : [];
+        const text = (parent, name) => children(parent, name)
+            .map(element => element.textContent.replace(/\s+/g, ' ').trim())
+            .filter(Boolean)
+            .join(', ');
+        const people = (parent, name) => children(parent, name).map(node => this.readFB2Person(node)).filter(Boolean);
+
+        // Sequences may nest, the inner one being a subseries
+        const sequences = (parent) => parent ? Array.from(parent.getElementsByTagName('sequence'))
+            .map(node => ({
+                name: (node.getAttribute('name') || '').trim(),
+                number: this.formatSequenceNumber(node.getAttribute('number'))
+            }))
+            .filter(sequence => sequence.name) : [];
+
+        const titleInfo = section('title-info');
+        const sourceInfo = section('src-title-info');
+        const publishInfo = section('publish-info');
+        const documentInfo = section('document-info');
+
+        const dateNode = children(titleInfo, 'date')[0];
+        const documentDate = children(documentInfo, 'date')[0];
+
+        return {
+            title: text(titleInfo, 'book-title'),
+            subtitle: '',
+            authors: people(titleInfo, 'author'),
+            translators: people(titleInfo, 'translator'),
+            contributors: [],
+            sequences: sequences(titleInfo),
+            genres: children(titleInfo, 'genre')
+                .map(node => node.textContent.trim())
+                .filter(Boolean)
+                .map(tag => ({ tag, name: this.getGenreName(tag) })),
+            keywords: text(titleInfo, 'keywords'),
+            language: text(titleInfo, 'lang'),
+            sourceLanguage: text(titleInfo, 'src-lang'),
+            date: dateNode ? (dateNode.textContent.trim() || dateNode.getAttribute('value') || '') : '',
+            original: sourceInfo ? {
+                title: text(sourceInfo, 'book-title'),
+                authors: people(sourceInfo, 'author'),
+                language: text(sourceInfo, 'lang')
+            } : null,
+            publication: publishInfo ? {
+                title: text(publishInfo, 'book-name'),
+                publisher: text(publishInfo, 'publisher'),
+                city: text(publishInfo, 'city'),
+                year: text(publishInfo, 'year'),
+                isbn: text(publishInfo, 'isbn'),
+                sequences: sequences(publishInfo)
+            } : null,
+            document: documentInfo ? {
+                authors: people(documentInfo, 'author'),
+                program: text(documentInfo, 'program-used'),
+                date: documentDate ? (documentDate.textContent.trim() || documentDate.getAttribute('value') || '') : '',
+                id: text(documentInfo, 'id'),
+                version: text(documentInfo, 'version'),
+                sources: children(documentInfo, 'src-url').map(node => node.textContent.trim()).filter(Boolean)
+            } : null,
+            rights: ''
+        };
+    }
 
-                    const sectionData = {
-                        id: sectionId,
-                        title: titleText || `Section ${sectionCounter}`,
-                        level: level,
-                        children: []
-                    };
+    // Title page from the title-info: cover, title, authors, sequences, genres and annotation
+    generateFB2TitlePage(titleInfo, title, author, coverHtml) {
+        let html = `<div class="title-page"><h1 class="book-title">${this.escapeXml(title)}</h1>`;
+        html += `<p class="author">${this.escapeXml(author)}</p>`;
 
-                    // Process nested sections recursively
-                    const nestedSections = processSections(child, level + 1);
-                    if (nestedSections.length > 0) {
-                        sectionData.children = nestedSections;
-                    }
+        if (titleInfo) {
+            for (const sequence of titleInfo.getElementsByTagName('sequence')) {
+                const name = (sequence.getAttribute('name') || '').trim();
+                if (!name) continue;
 
-                    sections.push(sectionData);
-                }
+                const number = this.formatSequenceNumber(sequence.getAttribute('number'));
+                html += `<p class="sequence">${this.escapeXml(number ? `${name} #${number}` : name)}</p>`;
             }
+        }
 
-            return sections;
-        };
+        html += coverHtml;
 
-        // Find the main body element
-        const bodies = xmlDoc.getElementsByTagName('body');
-        let mainBody = null;
-        if (bodies.length > 0) {
-            mainBody = bodies[0];
-        }
+        if (titleInfo) {
+            const genres = Array.from(titleInfo.getElementsByTagName('genre'))
+                .map(genre => genre.textContent.trim())
+                .filter(Boolean)
+                .map(tag => this.getGenreName(tag));
+            if (genres.length > 0) {
+                html += `<p class="genres">${genres.map(genre => `<span class="genre">${this.escapeXml(genre)}</span>`).join(' ')}</p>`;
+            }
 
-        if (!mainBody) {
-            console.warn('No main body found in FB2 document');
-            return [];
+            const annotation = titleInfo.getElementsByTagName('annotation')[0];
+            if (annotation) {
+                html += `<div class="annotation">${this.convertFB2ToHTML(annotation)}</div>`;
+            }
         }
 
-        // Extract TOC from main body only
-        const toc = processSections(mainBody);
-        return toc;
+        return html + '</div>';
+    }
+
+    // Internal links point to the prefixed FB2 ids; note references are marked so
+    // the reader can show the note in a popup instead of jumping away
+    convertFB2Link(link) {
+        const href = (link.getAttributeNS('http://www.w3.org/1999/xlink', 'href') ||
+            link.getAttribute('l:href') || link.getAttribute('xlink:href') || '').trim();
+        const content = this.convertFB2ToHTML(link);
+
+        if (href.startsWith('#') && href.length > 1) {
+            const noteClass = link.getAttribute('type') === 'note' ? ' class="noteref"' : '';
+            return `<a href="#fb2_${this.escapeXml(href.substring(1))}"${noteClass}>${content}</a>`;
+        }
+        if (/^(https?|mailto):/i.test(href)) {
+            return `<a href="${this.escapeXml(href)}" target="_blank" rel="noopener noreferrer">${content}</a>`;
+        }
+        return content;
     }
 
     // FB2 to HTML conversion with TOC support and poetry tags
@@ -610,7 +2394,7 @@ class FormatConverter {
 
         for (const child of element.childNodes) {
             if (child.nodeType === Node.TEXT_NODE) {
-                html += child.textContent;
+                html += this.escapeXml(child.textContent);
             } else if (child.nodeType === Node.ELEMENT_NODE) {
                 switch (child.tagName.toLowerCase()) {
                     case 'title':
@@ -618,7 +2402,36 @@ class FormatConverter {
                         html += `<h${level}>${this.convertFB2ToHTML(child)}</h${level}>`;
                         break;
                     case 'p':
-                        html += `<p>${this.convertFB2ToHTML(child)}</p>`;
+                        html += `<p${this.fb2IdAttribute(child)}>${this.convertFB2ToHTML(child)}</p>`;
+                        break;
+                    case 'a':
+                        html += this.convertFB2Link(child);
+                        break;
+                    case 'strikethrough':
+                        html += `<s>${this.convertFB2ToHTML(child)}</s>`;
+                        break;
+                    case 'sup':
+                    case 'sub':
+                    case 'code':
+                        html += `<${child.localName}>${this.convertFB2ToHTML(child)}</${child.localName}>`;
+                        break;
+                    case 'style':
+                        // Named inline style, defined by the book's own stylesheet if at all
+                        const styleName = (child.getAttribute('name') || '').replace(/[^\w-]/g, '');
+                        html += `<span class="fb2-style${styleName ? ' fb2-style-' + styleName : ''}">${this.convertFB2ToHTML(child)}</span>`;
+                        break;
+                    case 'annotation':
+                        html += `<div${this.fb2IdAttribute(child)} class="annotation">${this.convertFB2ToHTML(child)}</div>`;
+                        break;
+                    case 'table':
+                        html += `<table${this.fb2IdAttribute(child)}>${this.convertFB2ToHTML(child)}</table>`;
+                        break;
+                    case 'tr':
+                        html += `<tr${this.fb2AlignAttribute(child)}>${this.convertFB2ToHTML(child)}</tr>`;
+                        break;
+                    case 'th':
+                    case 'td':
+                        html += `<${child.localName}${this.fb2CellAttributes(child)}>${this.convertFB2ToHTML(child)}</${child.localName}>`;
                         break;
                     case 'emphasis':
                         html += `<em>${this.convertFB2ToHTML(child)}</em>`;
@@ -627,20 +2440,22 @@ class FormatConverter {
                         html += `<strong>${this.convertFB2ToHTML(child)}</strong>`;
                         break;
                     case 'section':
-                        // Use the ID that was set by extractFB2TOC
+                        // Use the ID that splitFB2Document gave the section
                         const tocId = child.getAttribute('data-toc-id');
-                        if (tocId) {
-                            html += `<div id="${tocId}" class="section" style="scroll-margin-top: 3em;">${this.convertFB2ToHTML(child)}</div>`;
+                        if (tocId && /^section_\d+$/.test(tocId)) {
+                            // The section's own FB2 id stays reachable through an empty anchor
+                            const anchor = child.getAttribute('id') ? `<span${this.fb2IdAttribute(child)}></span>` : '';
+                            html += `<div id="${this.escapeXml(tocId)}" class="section" style="scroll-margin-top: 3em;">${anchor}${this.convertFB2ToHTML(child)}</div>`;
                         } else {
-                            // Fallback if no TOC ID was set (shouldn't happen for main body sections)
-                            html += `<div class="section" style="scroll-margin-top: 3em;">${this.convertFB2ToHTML(child)}</div>`;
+                            // Sections of the notes bodies have no TOC ID, only their FB2 id
+                            html += `<div${this.fb2IdAttribute(child)} class="section" style="scroll-margin-top: 3em;">${this.convertFB2ToHTML(child)}</div>`;
                         }
                         break;
                     case 'image':
                         const href = child.getAttribute('l:href') || child.getAttribute('xlink:href');
                         const imageId = href?.replace('#', '');
                         if (imageId && this.images[imageId]) {
-                            html += `<img src="${this.images[imageId]}" alt="Image">`;
+                            html += `<img src="${this.escapeXml(this.images[imageId])}" alt="Image">`;
                         }
                         break;
                     case 'empty-line':
@@ -649,7 +2464,7 @@ class FormatConverter {
 
                     // Poetry tags support
                     case 'poem':
-                        html += '<div class="poem">';
+                        html += `<div${this.fb2IdAttribute(child)} class="poem">`;
                         // Process poem title if exists
                         for (let poemChild of child.children) {
                             if (poemChild.tagName.toLowerCase() === 'title') {
@@ -669,7 +2484,7 @@ class FormatConverter {
 
                     case 'v':
                         // Verse line
-                        html += `<p class="verse">${this.convertFB2ToHTML(child)}</p>`;
+                        html += `<p${this.fb2IdAttribute(child)} class="verse">${this.convertFB2ToHTML(child)}</p>`;
                         break;
 
                     case 'text-author':
@@ -677,19 +2492,19 @@ class FormatConverter {
                         break;
 
                     case 'epigraph':
-                        html += '<div class="epigraph">';
+                        html += `<div${this.fb2IdAttribute(child)} class="epigraph">`;
                         html += this.convertFB2ToHTML(child);
                         html += '</div>';
                         break;
 
                     case 'cite':
-                        html += '<blockquote class="cite">';
+                        html += `<blockquote${this.fb2IdAttribute(child)} class="cite">`;
                         html += this.convertFB2ToHTML(child);
                         html += '</blockquote>';
                         break;
 
                     case 'subtitle':
-                        html += `<h3 class="subtitle">${this.convertFB2ToHTML(child)}</h3>`;
+                        html += `<h3${this.fb2IdAttribute(child)} class="subtitle">${this.convertFB2ToHTML(child)}</h3>`;
                         break;
 
                     case 'date':
@@ -715,7 +2530,7 @@ class FormatConverter {
 
         for (const item of tocItems) {
             html += '<li>';
-            html += `<a href="#${item.id}" class="toc-link">${this.escapeXml(item.title)}</a>`;
+            html += `<a href="#${this.escapeXml(item.id)}" class="toc-link">${this.escapeXml(item.title)}</a>`;
 
             // Add nested children if they exist
             if (item.children && item.children.length > 0) {
@@ -729,41 +2544,169 @@ class FormatConverter {
         return html;
     }
 
-    // Language detection
-    detectLanguage(text) {
-        const cleanText = text.replace(/<[^>]*>/g, '');
-        const sample = cleanText.substring(0, Math.min(2000, cleanText.length));
-
-        const cyrillicPattern = /[\u0400-\u04FF]/g;
-        const latinPattern = /[a-zA-Z]/g;
+    // Languages
 
-        const cyrillicMatches = (sample.match(cyrillicPattern) || []).length;
-        const latinMatches = (sample.match(latinPattern) || []).length;
+    // Two letter code of a declared language; region subtags are dropped,
+    // lists like "ru, en" give the first one and unknown values give ''
+    normalizeLanguage(value) {
+        const code = String(value || '').trim().split(/[\s,;]+/)[0].split(/[-_]/)[0].toLowerCase();
+        if (/^[a-z]{2}$/.test(code)) return code;
+        return LANGUAGE_CODES[code] || '';
+    }
 
-        if (cyrillicMatches > 0 && cyrillicMatches > latinMatches * 0.2) {
-            return 'ru';
+    // The declared language wins unless its script is hardly used in the text
+    // (a wrong FB2 lang is common); otherwise the language the text looks like
+    detectLanguage(text, declared) {
+        const language = this.normalizeLanguage(declared);
+        if (language) {
+            const scripts = this.getLanguageScripts(language);
+            const counts = this.countScripts(this.getLanguageSample(text));
+            const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+            const own = scripts.reduce((sum, script) => sum + counts[script], 0);
+            if (scripts.length === 0 || own >= total * 0.2) {
+                return language;
+            }
         }
 
-        if (/[äöüßÄÖÜ]/.test(sample)) {
-            return 'de';
+        const detected = this.classifyLanguage(text);
+        return detected ? detected.lang : (language || 'en');
+    }
+
+    // Lowercased text of up to 5000 characters, markup removed
+    getLanguageSample(text) {
+        return String(text || '').substring(0, 20000)
+            .replace(/<[^>]*>/g, ' ')
+            .replace(/&[#\w]+;/g, ' ')
+            .substring(0, 5000)
+            .toLowerCase();
+    }
+
+    // Letters of each known script in the sample
+    countScripts(sample) {
+        const counts = {};
+        for (const script of LANGUAGE_WORD_SCRIPTS.concat(Object.keys(LANGUAGE_SCRIPTS))) {
+            counts[script] = (sample.match(new RegExp(`\\p{Script=${script}}`, 'gu')) || []).length;
         }
+        return counts;
+    }
 
-        if (/[éèêëàâçîôûÉÈÊËÀÂÇÎÔÛ]/.test(sample)) {
-            return 'fr';
+    // Language of a text sample: by script for scripts of one language, by
+    // the trigram models otherwise. Confidence is the lead of the best model
+    // over the best one of another language per feature; null for text with
+    // too few letters
+    classifyLanguage(text) {
+        const sample = this.getLanguageSample(text);
+        const counts = this.countScripts(sample);
+
+        let script = Object.keys(counts).reduce((best, name) => counts[name] > counts[best] ? name : best);
+        if (counts[script] < 20) return null;
+        if (script === 'Han' && counts.Hiragana + counts.Katakana > counts.Han * 0.1) {
+            script = 'Hiragana';
+        }
+        if (LANGUAGE_SCRIPTS[script]) {
+            return { lang: LANGUAGE_SCRIPTS[script], script, confidence: 1 };
         }
 
-        if (/[ąćęłńśźżĄĆĘŁŃŚŹŻ]/.test(sample)) {
-            return 'pl';
+        const trigrams = new Map();
+        const letters = new Map();
+        for (const word of sample.match(/[\p{L}\p{M}]+/gu) || []) {
+            this.forEachTrigram(word, trigram => trigrams.set(trigram, (trigrams.get(trigram) || 0) + 1));
+            for (const letter of word) {
+                letters.set(letter, (letters.get(letter) || 0) + 1);
+            }
         }
 
-        if (/[ñáéíóúÑÁÉÍÓÚ]/.test(sample)) {
-            return 'es';
+        const features = [...trigrams.values(), ...letters.values()].reduce((sum, count) => sum + count, 0);
+        const scores = this.getLanguageModels()
+            .filter(model => model.script === script)
+            .map(model => {
+                let score = 0;
+                trigrams.forEach((count, trigram) => {
+                    score += count * (model.trigrams.get(trigram) || model.trigramFloor);
+                });
+                letters.forEach((count, letter) => {
+                    score += count * (model.letters.get(letter) || model.letterFloor);
+                });
+                return { lang: model.lang, score };
+            })
+            .sort((a, b) => b.score - a.score);
+
+        if (scores.length === 0) return null;
+        const runnerUp = scores.find(entry => entry.lang !== scores[0].lang);
+        const lead = runnerUp ? scores[0].score - runnerUp.score : features;
+        return { lang: scores[0].lang, script, confidence: lead / features };
+    }
+
+    // Calls back with the trigrams of a word padded with spaces
+    forEachTrigram(word, callback) {
+        const chars = [' ', ...word, ' '];
+        for (let i = 0; i + 3 <= chars.length; i++) {
+            callback(chars[i] + chars[i + 1] + chars[i + 2]);
         }
+    }
 
-        if (/[àèéìòùÀÈÉÌÒÙ]/.test(sample)) {
-            return 'it';
+    // Log probabilities of trigrams and letters in the frequent words, the
+    // word at rank n counted as 1/n
+    getLanguageModels() {
+        if (!FormatConverter.languageModels) {
+            FormatConverter.languageModels = Object.keys(LANGUAGE_WORDS).map(key => {
+                const words = LANGUAGE_WORDS[key].split(' ');
+                const trigrams = new Map();
+                const letters = new Map();
+                let trigramTotal = 0;
+                let letterTotal = 0;
+
+                words.forEach((word, rank) => {
+                    const weight = 1 / (rank + 1);
+                    this.forEachTrigram(word, trigram => {
+                        trigrams.set(trigram, (trigrams.get(trigram) || 0) + weight);
+                        trigramTotal += weight;
+                    });
+                    for (const letter of word) {
+                        letters.set(letter, (letters.get(letter) || 0) + weight);
+                        letterTotal += weight;
+                    }
+                });
+
+                trigrams.forEach((weight, trigram) => trigrams.set(trigram, Math.log(weight / trigramTotal)));
+                letters.forEach((weight, letter) => letters.set(letter, Math.log(weight / letterTotal)));
+
+                return {
+                    lang: key.split('-')[0],
+                    script: LANGUAGE_WORD_SCRIPTS.find(name => new RegExp(`\\p{Script=${name}}`, 'u').test(words[0])),
+                    trigrams,
+                    letters,
+                    trigramFloor: Math.log(1e-5),
+                    letterFloor: Math.log(1e-4)
+                };
+            });
         }
+        return FormatConverter.languageModels;
+    }
 
-        return 'en';
+    // Scripts a language is written in, empty when it is not modelled
+    getLanguageScripts(language) {
+        return Object.keys(LANGUAGE_SCRIPTS)
+            .filter(script => LANGUAGE_SCRIPTS[script] === language)
+            .concat(this.getLanguageModels().filter(model => model.lang === language).map(model => model.script));
+    }
+
+    // Sets lang on sections whose text is clearly in another language than
+    // the one they inherit, so hyphenation, speech and dictionary lookups
+    // follow the text. Sections that declare a language keep it
+    markSectionLanguages(root, language) {
+        root.querySelectorAll('.section:not([lang])').forEach(section => {
+            const parent = section.parentElement && section.parentElement.closest('[lang]');
+            const inherited = parent && root.contains(parent) && parent !== root ?
+                parent.getAttribute('lang').split('-')[0].toLowerCase() : language;
+
+            const text = section.textContent.substring(0, 5000);
+            if ((text.match(/\p{L}/gu) || []).length < LANGUAGE_SECTION_MIN_LETTERS) return;
+
+            const detected = this.classifyLanguage(text);
+            if (detected && detected.lang !== inherited && detected.confidence >= 0.1) {
+                section.setAttribute('lang', detected.lang);
+            }
+        });
     }
 }
\ No newline at end of file
@@ -3,16 +3,26 @@
 class UniversalReader {
     constructor() {
         // Initialize properties
-        this.themes = ['light', 'dark', 'sepia'];
+        this.themes = ['light', 'dark', 'sepia', 'custom'];
         this.currentThemeIndex = 0;
-        this.fonts = ['font-serif', 'font-sans', 'font-mono'];
-        this.fontClasses = ['serif', 'sans', 'mono'];
-        this.currentFontIndex = 0;
+
+        // Used instead of the chosen theme while theme.js reports night
+        this.nightThemeIndex = 1;
+        this.customColors = { background: '#ffffff', text: '#333333', link: '#007acc' };
+
+        // Font is a built-in stack name, 'local:<family>' for an installed font
+        // or 'upload:<id>' for a WOFF2 file kept in IndexedDB
+        this.builtinFonts = ['serif', 'sans', 'mono'];
+        this.fontFamily = 'serif';
+        this.uploadedFonts = [];
+        this.localFonts = [];
+        this.typography = { lineHeight: 1.5, paragraphSpacing: 0.9, textIndent: 1.5, justify: true, hyphenation: true };
         this.fontSize = 16;
         this.margins = 40;
         this.widthMode = 'standard';
         this.bookTitle = '';
         this.bookAuthor = '';
+        this.bookMetadata = null;
         this.menuVisible = false;
         this.tocVisible = false;
         this.images = {};
@@ -21,6 +31,209 @@ class UniversalReader {
         this.isScrolling = false;
         this.detectedLanguage = 'en';
 
+        // FB2 books, and EPUB books read from the server in parts, are split into
+        // chunks that are rendered only when they come into view, see setupChunks
+        this.chunkedBook = null;
+        this.bookChunks = [];
+        this.chunkIds = new Map();
+        this.chunkObserver = null;
+        this.bookTextLength = 0;
+        this.bookWordCount = 0;
+
+        // Download of the injected book, cancelled from the loading screen
+        this.loadController = null;
+
+        // Paginated (page-flip) mode state
+        this.readingMode = 'scroll';
+        this.currentPage = 0;
+        this.totalPages = 1;
+        this.pageWidth = 0;
+
+        // Reading position persistence
+        this.bookKey = null;
+        this.currentFile = null;
+        this.positionRestored = false;
+        this.anchorSelector = 'p, h1, h2, h3, h4, h5, h6, img';
+        this.maxStoredPositions = 200;
+
+        // Bookmarks, highlights and notes of the current book
+        this.annotations = [];
+        this.highlightColors = ['yellow', 'green', 'blue', 'pink'];
+        this.editingAnnotationId = null;
+
+        // In-book full-text search: indexes by chunk, -1 for the text outside chunks
+        this.searchIndexes = new Map();
+        this.searchNeedle = '';
+        this.searchResults = [];
+        this.currentSearchResult = -1;
+        this.maxSearchResults = 500;
+
+        // Footnote popup and the way back from internal links
+        this.footnoteTargetId = null;
+        this.backAnchor = null;
+
+        // Read aloud: spoken blocks, the chapter each block belongs to and the
+        // sentence being read; utterance ids tell stale speechSynthesis events apart
+        this.ttsSelector = 'p, h1, h2, h3, h4, h5, h6, li, dt, dd, td, th';
+        this.ttsBlocks = [];
+        this.ttsChapterOf = [];
+        this.ttsBlockIndex = -1;
+        this.ttsSentences = [];
+        this.ttsSentenceIndex = 0;
+        this.ttsLanguage = 'en';
+        this.ttsVoices = new Map();
+        this.ttsPlaying = false;
+        this.ttsUtteranceId = 0;
+        this.ttsRate = 1;
+        this.ttsRates = [0.75, 1, 1.25, 1.5, 1.75, 2];
+        this.ttsSleepTimer = null;
+        this.ttsSleepAtChapterEnd = false;
+
+        // Reading statistics: word offsets of the position blocks, active reading
+        // time measured between ticks and a rolling words-per-minute sample
+        this.statsBlocks = [];
+        this.statsWordOffsets = null;
+        this.statsBlockChapters = [];
+        this.statsLastWord = null;
+        this.statsPendingWords = 0;
+        this.statsSample = { seconds: 0, words: 0 };
+        this.statsLastTick = Date.now();
+        this.statsLastActivity = 0;
+        this.statsTickInterval = 30000;
+        this.statsIdleLimit = 180000;
+        this.statsMaxWordJump = 2000;
+        this.defaultWordsPerMinute = 200;
+
+        // Dictionary lookups go to the server, saved words stay in localStorage
+        this.dictionaryUrl = '/dictionary/lookup';
+        this.lookupWord = null;
+        this.maxLookupLength = 100;
+
+        // Positions, annotations and preferences are synced through the server;
+        // changes wait in a localStorage queue until they are sent, so nothing
+        // read offline is lost. Books are identified by KOReader's document hash.
+        // A server without HTTP sign-in asks for a sync account instead
+        this.syncUrl = '/sync/';
+        this.syncEnabled = location.protocol !== 'file:';
+        this.syncAccount = null;
+        this.syncAccountNeeded = false;
+        this.syncDocument = null;
+        this.syncDevice = null;
+        this.syncTimer = null;
+        this.syncFlushing = false;
+        this.syncDelay = 5000;
+        this.syncRetryDelay = 60000;
+        this.syncKeepaliveLimit = 60 * 1024;
+
+        // Image viewer: gallery of the book images, zoom and pan of the shown one
+        // and the pointers currently on the stage
+        this.viewerImages = [];
+        this.viewerIndex = 0;
+        this.viewerScale = 1;
+        this.viewerX = 0;
+        this.viewerY = 0;
+        this.viewerMaxScale = 8;
+        this.viewerPointers = new Map();
+        this.viewerGesture = null;
+
+        // Touch gestures, each one can be switched off in the settings panel;
+        // the touch and pinch in progress are kept between touch events
+        this.gestures = { swipe: true, pinch: true, longPress: true, edgeSwipe: true, autoHideToolbar: true };
+        this.gestureToggles = {
+            gestureSwipe: 'swipe',
+            gesturePinch: 'pinch',
+            gestureLongPress: 'longPress',
+            gestureEdgeSwipe: 'edgeSwipe',
+            autoHideToolbar: 'autoHideToolbar'
+        };
+        this.touch = null;
+        this.pinch = null;
+        this.longPressTimer = null;
+        this.longPressDelay = 500;
+        this.edgeSwipeWidth = 24;
+        this.lastScrollY = 0;
+        this.minFontSize = 12;
+        this.maxFontSize = 32;
+
+        // Keyboard commands, named after their strings, and the keys for them in
+        // each profile. Keys are written the way getKeyName makes them; keys set
+        // by hand replace the profile ones for that command
+        this.keyActions = {
+            nextPage: () => this.scrollPage(1),
+            previousPage: () => this.scrollPage(-1),
+            scrollDown: () => this.scrollLines(1),
+            scrollUp: () => this.scrollLines(-1),
+            nextChapter: () => this.goToAdjacentChapter(1),
+            previousChapter: () => this.goToAdjacentChapter(-1),
+            bookStart: () => this.goToProgress(0, Date.now()),
+            bookEnd: () => this.goToProgress(100, Date.now()),
+            tableOfContents: () => this.tocVisible ? this.hideTOC() : this.showTOC(),
+            toggleMenu: () => this.toggleMenu(),
+            addBookmark: () => this.toggleBookmark(),
+            search: () => this.showSearch(),
+            fullscreen: () => this.toggleFullscreen(),
+            increaseFont: () => this.changeFontSize(2),
+            decreaseFont: () => this.changeFontSize(-2),
+            keyboardShortcuts: () => this.showKeys()
+        };
+        this.keyProfiles = {
+            browser: {
+                nextPage: ['Space', 'PageDown', 'ArrowRight'],
+                previousPage: ['Shift+Space', 'PageUp', 'ArrowLeft'],
+                scrollDown: ['ArrowDown'],
+                scrollUp: ['ArrowUp'],
+                nextChapter: ['Ctrl+ArrowRight'],
+                previousChapter: ['Ctrl+ArrowLeft'],
+                bookStart: ['Home'],
+                bookEnd: ['End'],
+                tableOfContents: ['t'],
+                toggleMenu: ['m'],
+                addBookmark: ['b'],
+                search: ['Ctrl+f', '/'],
+                fullscreen: ['f'],
+                increaseFont: ['Ctrl+=', 'Ctrl++'],
+                decreaseFont: ['Ctrl+-'],
+                keyboardShortcuts: ['?']
+            },
+            vim: {
+                nextPage: ['Space', 'Ctrl+f', 'l'],
+                previousPage: ['Shift+Space', 'Ctrl+b', 'h'],
+                scrollDown: ['j'],
+                scrollUp: ['k'],
+                nextChapter: [']'],
+                previousChapter: ['['],
+                bookStart: ['g'],
+                bookEnd: ['G'],
+                tableOfContents: ['t'],
+                toggleMenu: [':'],
+                addBookmark: ['m'],
+                search: ['/'],
+                fullscreen: ['f'],
+                increaseFont: ['+', '='],
+                decreaseFont: ['-'],
+                keyboardShortcuts: ['?']
+            },
+            // Page turners and e-reader keyboards only have page keys
+            ereader: {
+                nextPage: ['PageDown', 'Space', 'ArrowRight', 'ArrowDown'],
+                previousPage: ['PageUp', 'Shift+Space', 'ArrowLeft', 'ArrowUp'],
+                nextChapter: [']'],
+                previousChapter: ['['],
+                bookStart: ['Home'],
+                bookEnd: ['End'],
+                tableOfContents: ['t'],
+                toggleMenu: ['m'],
+                addBookmark: ['b'],
+                search: ['Ctrl+f', '/'],
+                fullscreen: ['f'],
+                increaseFont: ['Ctrl+=', 'Ctrl++'],
+                decreaseFont: ['Ctrl+-'],
+                keyboardShortcuts: ['?']
+            }
+        };
+        this.keymap = { profile: 'browser', custom: {} };
+        this.keyCapture = null;
+
         // Create format converter instance
         this.formatConverter = new FormatConverter();
 
@@ -30,14 +243,169 @@ class UniversalReader {
             openBook: 'Open Book',
             decreaseFont: 'Decrease Font',
             increaseFont: 'Increase Font',
-            changeFont: 'Change Font',
-            changeTheme: 'Change Theme',
+            readingSettings: 'Reading Settings',
+            theme: 'Theme',
+            themeLight: 'Light',
+            themeDark: 'Dark',
+            themeSepia: 'Sepia',
+            themeCustom: 'Custom',
+            themeModeManual: 'Always use this theme',
+            themeModeSystem: 'Follow system dark mode',
+            themeModeSchedule: 'Night theme on a schedule',
+            nightFrom: 'Night from',
+            nightTo: 'to',
+            nightTheme: 'Night theme',
+            warmFilter: 'Warm light at night',
+            backgroundColor: 'Background',
+            textColor: 'Text',
+            linkColor: 'Links',
+            font: 'Font',
+            fontSerif: 'Serif',
+            fontSans: 'Sans-serif',
+            fontMono: 'Monospace',
+            systemFonts: 'System fonts',
+            uploadFont: 'Upload WOFF2',
+            removeFont: 'Remove font',
+            fontUploadFailed: 'Could not load font',
+            lineHeight: 'Line height',
+            paragraphSpacing: 'Paragraph spacing',
+            textIndent: 'First-line indent',
+            justifyText: 'Justify text',
+            hyphenation: 'Hyphenation',
+            gestures: 'Gestures',
+            gestureSwipe: 'Swipe to turn pages',
+            gesturePinch: 'Pinch to change font size',
+            gestureLongPress: 'Long press to select a word',
+            gestureEdgeSwipe: 'Swipe from the left edge for contents',
+            autoHideToolbar: 'Hide menu button while reading',
+            keyboard: 'Keyboard',
+            keyboardShortcuts: 'Keyboard Shortcuts',
+            keyProfileBrowser: 'Browser',
+            keyProfileVim: 'Vim',
+            keyProfileEreader: 'E-reader page keys',
+            changeKey: 'Change',
+            pressKey: 'Press a key...',
+            resetKeys: 'Reset to profile',
+            noKey: '—',
+            nextPage: 'Next Page',
+            previousPage: 'Previous Page',
+            scrollDown: 'Scroll Down',
+            scrollUp: 'Scroll Up',
+            bookStart: 'Start of Book',
+            bookEnd: 'End of Book',
+            toggleMenu: 'Show / Hide Menu',
+            presets: 'Presets',
+            presetName: 'Preset name',
+            noPreset: '—',
             decreaseMargins: 'Decrease Margins',
             increaseMargins: 'Increase Margins',
             standardWidth: 'Standard Width',
             fullWidth: 'Full Width',
             fullscreen: 'Fullscreen',
+            readingMode: 'Scroll / Pages',
+            pageOf: 'Page {0} of {1}',
+            resumedAt: 'Resumed at {0}%',
+            startOver: 'Start over',
+            syncedPosition: 'Continued from another device at {0}%',
+            syncAccount: 'Sync account',
+            syncAccountHint: 'This server has no sign-in. Choose a name and password to sync reading between devices; KOReader progress sync with this server takes the same ones',
+            syncAccountActive: 'Syncing as {0}',
+            syncAccountName: 'Name',
+            syncAccountPassword: 'Password',
+            forget: 'Forget',
+            annotations: 'Bookmarks & Notes',
+            addBookmark: 'Add Bookmark',
+            noAnnotations: 'No bookmarks or notes yet',
+            lookUp: 'Look up',
+            lookingUp: 'Looking up...',
+            noDefinitions: 'No definitions found for "{0}"',
+            dictionaryUnavailable: 'Dictionary is not available',
+            dictionaryLoading: 'Dictionaries are loading, try again in a moment',
+            saveWord: 'Save word',
+            wordSaved: 'Saved',
+            vocabulary: 'Vocabulary',
+            noVocabulary: 'No saved words yet',
+            bookInfo: 'Book Info',
+            noBookInfo: 'No book is open',
+            infoTitle: 'Title',
+            infoAuthors: 'Authors',
+            infoTranslators: 'Translators',
+            infoContributors: 'Contributors',
+            infoSeries: 'Series',
+            infoGenres: 'Genres',
+            infoKeywords: 'Keywords',
+            infoLanguage: 'Language',
+            infoSourceLanguage: 'Original language',
+            infoDate: 'Date',
+            infoOriginal: 'Original',
+            infoPublication: 'Publication',
+            infoPublisher: 'Publisher',
+            infoCity: 'City',
+            infoYear: 'Year',
+            infoIsbn: 'ISBN',
+            infoDocument: 'Document',
+            infoProgram: 'Program',
+            infoVersion: 'Version',
+            infoId: 'ID',
+            infoSource: 'Source',
+            infoRights: 'Rights',
+            infoEncoding: 'Encoding',
+            encodingAuto: 'Automatic ({0})',
+            roleEditor: 'editor',
+            roleIllustrator: 'illustrator',
+            roleNarrator: 'narrator',
+            bookmark: 'Bookmark',
+            note: 'Note',
+            save: 'Save',
+            delete: 'Delete',
+            exportAnnotations: 'Export',
+            importAnnotations: 'Import',
+            importFailed: 'Could not import annotations',
+            search: 'Search',
+            searchPlaceholder: 'Search in book',
+            searchNoResults: 'Nothing found',
+            searchResultsCount: '{0} of {1}',
+            goToNote: 'Go to note',
+            back: 'Back',
+            readAloud: 'Read Aloud',
+            playPause: 'Play / Pause',
+            previousSentence: 'Previous Sentence',
+            nextSentence: 'Next Sentence',
+            previousChapter: 'Previous Chapter',
+            nextChapter: 'Next Chapter',
+            speechRate: 'Speed',
+            sleepTimer: 'Sleep Timer',
+            sleepOff: 'No sleep timer',
+            sleepMinutes: '{0} min',
+            sleepEndOfChapter: 'End of chapter',
+            readingStats: 'Reading Statistics',
+            statsToday: 'Today',
+            statsWeek: 'Last 7 days',
+            statsTotal: 'Total',
+            statsSpeed: 'Speed',
+            statsThisBook: 'This book',
+            statsFinishedBooks: 'Finished books',
+            statsNoFinishedBooks: 'No finished books yet',
+            wordsPerMinute: '{0} wpm',
+            wordsCount: '{0} words',
+            timeLeft: '{0} left in chapter · {1} left in book',
+            timeLeftInBook: '{0} left in book',
+            minutesShort: '{0} min',
+            hoursShort: '{0} h {1} min',
+            exportCsv: 'Export CSV',
+            exportJson: 'Export JSON',
+            previousImage: 'Previous image',
+            nextImage: 'Next image',
+            zoomIn: 'Zoom in',
+            zoomOut: 'Zoom out',
+            saveImage: 'Save image',
+            close: 'Close',
             loading: 'Loading...',
+            loadProgress: '{0}% ({1} of {2} MB)',
+            loadCancelled: 'Loading cancelled',
+            chapterError: 'Could not load this chapter',
+            cancel: 'Cancel',
+            retry: 'Retry',
             errorLoading: 'Error loading file',
             noTitle: 'Untitled',
             unknownAuthor: 'Unknown Author',
@@ -50,6 +418,7 @@ class UniversalReader {
         this.loadPreferences();
         this.checkMobile();
         this.applyLocalization();
+        this.initSync();
 
         // Auto-load book if data is injected
         this.checkForInjectedBook();
@@ -67,9 +436,64 @@ class UniversalReader {
         this.clickTop = document.getElementById('clickTop');
         this.clickBottom = document.getElementById('clickBottom');
         this.fontIndicator = document.getElementById('fontIndicator');
+        this.settingsOverlay = document.getElementById('settingsOverlay');
+        this.fontSelect = document.getElementById('fontSelect');
+        this.fontFileInput = document.getElementById('fontFileInput');
+        this.presetSelect = document.getElementById('presetSelect');
+        this.presetName = document.getElementById('presetName');
+        this.syncAccountName = document.getElementById('syncAccountName');
+        this.syncAccountPassword = document.getElementById('syncAccountPassword');
         this.tocOverlay = document.getElementById('tocOverlay');
         this.tocContent = document.getElementById('tocContent');
         this.tocClose = document.getElementById('tocClose');
+        this.readingModeToggle = document.getElementById('readingModeToggle');
+        this.readingModeIndicator = document.getElementById('readingModeIndicator');
+        this.pageIndicator = document.getElementById('pageIndicator');
+        this.resumeToast = document.getElementById('resumeToast');
+        this.resumeText = document.getElementById('resumeText');
+        this.startOverBtn = document.getElementById('startOver');
+        this.annotationsOverlay = document.getElementById('annotationsOverlay');
+        this.annotationsContent = document.getElementById('annotationsContent');
+        this.annotationsFileInput = document.getElementById('annotationsFileInput');
+        this.selectionPopup = document.getElementById('selectionPopup');
+        this.noteOverlay = document.getElementById('noteOverlay');
+        this.noteQuote = document.getElementById('noteQuote');
+        this.noteText = document.getElementById('noteText');
+        this.searchPanel = document.getElementById('searchPanel');
+        this.searchInput = document.getElementById('searchInput');
+        this.searchCount = document.getElementById('searchCount');
+        this.searchResultsEl = document.getElementById('searchResults');
+        this.footnotePopup = document.getElementById('footnotePopup');
+        this.footnoteContent = document.getElementById('footnoteContent');
+        this.footnoteGoTo = document.getElementById('footnoteGoTo');
+        this.backLink = document.getElementById('backLink');
+        this.ttsButton = document.getElementById('ttsButton');
+        this.ttsPanel = document.getElementById('ttsPanel');
+        this.ttsPlayBtn = document.getElementById('ttsPlay');
+        this.ttsRateSelect = document.getElementById('ttsRate');
+        this.ttsSleepSelect = document.getElementById('ttsSleep');
+        this.timeLeftEl = document.getElementById('timeLeft');
+        this.statsOverlay = document.getElementById('statsOverlay');
+        this.statsContent = document.getElementById('statsContent');
+        this.dictionaryPopup = document.getElementById('dictionaryPopup');
+        this.dictionaryContent = document.getElementById('dictionaryContent');
+        this.dictionarySave = document.getElementById('dictionarySave');
+        this.vocabularyOverlay = document.getElementById('vocabularyOverlay');
+        this.vocabularyContent = document.getElementById('vocabularyContent');
+        this.bookInfoOverlay = document.getElementById('bookInfoOverlay');
+        this.bookInfoContent = document.getElementById('bookInfoContent');
+        this.keysOverlay = document.getElementById('keysOverlay');
+        this.keysContent = document.getElementById('keysContent');
+        this.keyProfileSelect = document.getElementById('keyProfile');
+        this.imageViewer = document.getElementById('imageViewer');
+        this.imageViewerStage = document.getElementById('imageViewerStage');
+        this.imageViewerImage = document.getElementById('imageViewerImage');
+        this.imageViewerCounter = document.getElementById('imageViewerCounter');
+
+        // Scoped stylesheets of the open book; appended last so they follow the reader styles
+        this.bookStyles = document.createElement('style');
+        this.bookStyles.id = 'bookStyles';
+        document.head.appendChild(this.bookStyles);
     }
 
     loadLocalization() {
@@ -90,13 +514,20 @@ class UniversalReader {
             'openFile': this.strings.openBook,
             'decreaseFont': this.strings.decreaseFont,
             'increaseFont': this.strings.increaseFont,
-            'fontToggle': this.strings.changeFont,
-            'themeToggle': this.strings.changeTheme,
+            'settingsButton': this.strings.readingSettings,
             'decreaseMargins': this.strings.decreaseMargins,
             'increaseMargins': this.strings.increaseMargins,
             'standardWidth': this.strings.standardWidth,
             'fullWidth': this.strings.fullWidth,
-            'fullscreen': this.strings.fullscreen
+            'fullscreen': this.strings.fullscreen,
+            'readingModeToggle': this.strings.readingMode,
+            'bookmarkButton': this.strings.addBookmark,
+            'annotationsButton': this.strings.annotations,
+            'searchButton': this.strings.search,
+            'ttsButton': this.strings.readAloud,
+            'statsButton': this.strings.readingStats,
+            'vocabularyButton': this.strings.vocabulary,
+            'bookInfoButton': this.strings.bookInfo
         };
 
         for (let [id, text] of Object.entries(tooltips)) {
@@ -113,14 +544,142 @@ class UniversalReader {
         if (tocTitle) {
             tocTitle.textContent = this.strings.tableOfContents;
         }
+
+        this.startOverBtn.textContent = this.strings.startOver;
+
+        document.getElementById('annotationsTitle').textContent = this.strings.annotations;
+        document.getElementById('noteTitle').textContent = this.strings.note;
+        document.getElementById('noteSave').textContent = this.strings.save;
+        document.getElementById('noteDelete').textContent = this.strings.delete;
+        document.getElementById('annotationsExport').title = this.strings.exportAnnotations;
+        document.getElementById('annotationsImport').title = this.strings.importAnnotations;
+        const settingsLabels = {
+            'settingsTitle': this.strings.readingSettings,
+            'themeLabel': this.strings.theme,
+            'themeLight': this.strings.themeLight,
+            'themeDark': this.strings.themeDark,
+            'themeSepia': this.strings.themeSepia,
+            'themeCustom': this.strings.themeCustom,
+            'nightFromLabel': this.strings.nightFrom,
+            'nightToLabel': this.strings.nightTo,
+            'nightThemeLabel': this.strings.nightTheme,
+            'warmFilterLabel': this.strings.warmFilter,
+            'backgroundColorLabel': this.strings.backgroundColor,
+            'textColorLabel': this.strings.textColor,
+            'linkColorLabel': this.strings.linkColor,
+            'fontLabel': this.strings.font,
+            'localFontsButton': this.strings.systemFonts,
+            'uploadFontButton': this.strings.uploadFont,
+            'lineHeightLabel': this.strings.lineHeight,
+            'paragraphSpacingLabel': this.strings.paragraphSpacing,
+            'textIndentLabel': this.strings.textIndent,
+            'justifyTextLabel': this.strings.justifyText,
+            'hyphenationLabel': this.strings.hyphenation,
+            'gesturesLabel': this.strings.gestures,
+            'gestureSwipeLabel': this.strings.gestureSwipe,
+            'gesturePinchLabel': this.strings.gesturePinch,
+            'gestureLongPressLabel': this.strings.gestureLongPress,
+            'gestureEdgeSwipeLabel': this.strings.gestureEdgeSwipe,
+            'autoHideToolbarLabel': this.strings.autoHideToolbar,
+            'keyboardLabel': this.strings.keyboard,
+            'keysButton': this.strings.keyboardShortcuts,
+            'presetsLabel': this.strings.presets,
+            'presetSave': this.strings.save,
+            'presetDelete': this.strings.delete,
+            'syncAccountLabel': this.strings.syncAccount,
+            'syncAccountSave': this.strings.save,
+            'syncAccountForget': this.strings.forget
+        };
+        for (let [id, text] of Object.entries(settingsLabels)) {
+            document.getElementById(id).textContent = text;
+        }
+        document.getElementById('removeFontButton').title = this.strings.removeFont;
+        this.presetName.placeholder = this.strings.presetName;
+        this.syncAccountName.placeholder = this.strings.syncAccountName;
+        this.syncAccountPassword.placeholder = this.strings.syncAccountPassword;
+        const modeLabels = {
+            manual: this.strings.themeModeManual,
+            system: this.strings.themeModeSystem,
+            schedule: this.strings.themeModeSchedule
+        };
+        for (const option of document.getElementById('themeMode').options) {
+            option.textContent = modeLabels[option.value];
+        }
+        const profileLabels = {
+            browser: this.strings.keyProfileBrowser,
+            vim: this.strings.keyProfileVim,
+            ereader: this.strings.keyProfileEreader
+        };
+        for (const option of this.keyProfileSelect.options) {
+            option.textContent = profileLabels[option.value];
+        }
+        const themeNames = {
+            light: this.strings.themeLight,
+            dark: this.strings.themeDark,
+            sepia: this.strings.themeSepia,
+            custom: this.strings.themeCustom
+        };
+        const nightTheme = document.getElementById('nightTheme');
+        nightTheme.innerHTML = '';
+        this.themes.forEach((theme, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = themeNames[theme];
+            nightTheme.appendChild(option);
+        });
+
+        this.renderFontOptions();
+        this.renderPresetOptions();
+
+        document.getElementById('statsTitle').textContent = this.strings.readingStats;
+        document.getElementById('statsExportCsv').title = this.strings.exportCsv;
+        document.getElementById('statsExportJson').title = this.strings.exportJson;
+        document.getElementById('selectionDefine').title = this.strings.lookUp;
+        document.getElementById('vocabularyTitle').textContent = this.strings.vocabulary;
+        document.getElementById('vocabularyExportCsv').title = this.strings.exportCsv;
+        document.getElementById('vocabularyExportJson').title = this.strings.exportJson;
+        document.getElementById('bookInfoTitle').textContent = this.strings.bookInfo;
+        document.getElementById('keysTitle').textContent = this.strings.keyboardShortcuts;
+        document.getElementById('keysReset').title = this.strings.resetKeys;
+        this.searchInput.placeholder = this.strings.searchPlaceholder;
+        this.footnoteGoTo.textContent = this.strings.goToNote;
+        this.backLink.textContent = '↩ ' + this.strings.back;
+
+        const ttsTitles = {
+            'ttsPlay': this.strings.playPause,
+            'ttsPrevSentence': this.strings.previousSentence,
+            'ttsNextSentence': this.strings.nextSentence,
+            'ttsPrevChapter': this.strings.previousChapter,
+            'ttsNextChapter': this.strings.nextChapter,
+            'ttsRate': this.strings.speechRate,
+            'ttsSleep': this.strings.sleepTimer
+        };
+        for (let [id, text] of Object.entries(ttsTitles)) {
+            document.getElementById(id).title = text;
+        }
+
+        const imageViewerTitles = {
+            'imageViewerPrev': this.strings.previousImage,
+            'imageViewerNext': this.strings.nextImage,
+            'imageViewerZoomIn': this.strings.zoomIn,
+            'imageViewerZoomOut': this.strings.zoomOut,
+            'imageViewerSave': this.strings.saveImage,
+            'imageViewerClose': this.strings.close
+        };
+        for (let [id, text] of Object.entries(imageViewerTitles)) {
+            document.getElementById(id).title = text;
+        }
+
+        const sleepOptions = { off: this.strings.sleepOff, chapter: this.strings.sleepEndOfChapter };
+        for (const option of this.ttsSleepSelect.options) {
+            option.textContent = sleepOptions[option.value] ||
+                this.strings.sleepMinutes.replace('{0}', option.value);
+        }
     }
 
     bindEvents() {
         this.menuToggle.onclick = () => this.toggleMenu();
 
-        this.clickTop.onclick = () => this.scrollPage(-1);
-        this.clickBottom.onclick = () => this.scrollPage(1);
-
         const tocBtn = document.getElementById('tocButton');
         if (tocBtn) {
             tocBtn.onclick = () => this.showTOC();
@@ -147,9 +706,7 @@ class UniversalReader {
 
         document.getElementById('decreaseFont').onclick = () => this.changeFontSize(-2);
         document.getElementById('increaseFont').onclick = () => this.changeFontSize(2);
-        document.getElementById('fontToggle').onclick = () => this.toggleFont();
-
-        document.getElementById('themeToggle').onclick = () => this.toggleTheme();
+        this.bindSettingsEvents();
 
         document.getElementById('decreaseMargins').onclick = () => this.changeMargins(-10);
         document.getElementById('increaseMargins').onclick = () => this.changeMargins(10);
@@ -159,40 +716,216 @@ class UniversalReader {
 
         document.getElementById('fullscreen').onclick = () => this.toggleFullscreen();
 
+        this.readingModeToggle.onclick = () => this.toggleReadingMode();
+
         window.onscroll = () => {
             this.updateProgress();
             if (!this.isScrolling) {
                 this.updateCurrentChapter();
+                this.trackScrollDirection();
             }
+            this.schedulePositionSave();
         };
 
+        this.startOverBtn.onclick = (e) => {
+            e.stopPropagation();
+            this.startOver();
+        };
+
+        // Flush the pending position when the tab is hidden or closed
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.savePosition();
+                this.recordReadingTime();
+                this.flushSync(true);
+            } else {
+                this.statsLastTick = Date.now();
+            }
+        });
+        window.addEventListener('pagehide', () => {
+            this.savePosition();
+            this.recordReadingTime();
+            this.flushSync(true);
+        });
+
         document.onkeydown = (e) => this.handleKeyboard(e);
 
+        window.addEventListener('resize', () => {
+            if (this.readingMode === 'paginated') {
+                this.updatePagination(true);
+            }
+        });
+
+        this.bindGestures();
+
         document.onclick = (e) => {
             if (!this.toolbar.contains(e.target) &&
                 !this.menuToggle.contains(e.target) &&
                 this.menuVisible) {
                 this.toggleMenu();
             }
+            this.handleReaderClick(e);
+        };
+
+        this.bindAnnotationEvents();
+        this.bindSearchEvents();
+        this.bindSpeechEvents();
+        this.bindStatsEvents();
+        this.bindImageViewerEvents();
+        this.bindDictionaryEvents();
+        this.bindBookInfoEvents();
+        this.bindKeysEvents();
+
+        this.footnoteGoTo.onclick = () => {
+            const targetId = this.footnoteTargetId;
+            this.hideFootnote();
+            this.followInternalLink(targetId);
         };
+        document.getElementById('footnoteClose').onclick = () => this.hideFootnote();
+        this.backLink.onclick = () => this.goBack();
+    }
+
+    // Click areas don't capture pointer events (so text can be selected),
+    // clicks are hit-tested against their rectangles instead
+    handleReaderClick(e) {
+        if (!window.getSelection().isCollapsed) return;
+
+        const target = e.target;
+
+        // Internal book links are followed by the reader so paginated mode stays aligned;
+        // links to notes open in a popup
+        const link = target.closest('a[href^="#"]');
+        if (link && (this.bookContent.contains(link) || this.footnotePopup.contains(link))) {
+            e.preventDefault();
+            const targetId = decodeURIComponent(link.getAttribute('href').substring(1));
+
+            if (this.bookContent.contains(link) && this.showFootnote(targetId, link)) {
+                return;
+            }
+
+            this.hideFootnote();
+            this.followInternalLink(targetId);
+            return;
+        }
+
+        // A tap outside of an open footnote only closes it
+        if (this.footnotePopup.classList.contains('visible') && !this.footnotePopup.contains(target)) {
+            this.hideFootnote();
+            return;
+        }
+
+        if (this.dictionaryPopup.classList.contains('visible') && !this.dictionaryPopup.contains(target)) {
+            this.hideDefinition();
+            return;
+        }
+
+        if (target.closest('a, button, input, textarea, select, .toolbar, .menu-toggle, .toc-overlay, .selection-popup, .resume-toast, .search-panel, .footnote-popup, .tts-panel, .image-viewer')) {
+            return;
+        }
+
+        const image = target.closest('img');
+        if (image && this.bookContent.contains(image)) {
+            this.showImageViewer(image.src);
+            return;
+        }
+
+        const mark = target.closest('.annotation-mark');
+        if (mark) {
+            this.showNoteEditor(mark.getAttribute('data-annotation-id'));
+            return;
+        }
+
+        if (this.isInsideElement(this.clickTop, e)) {
+            this.scrollPage(-1);
+        } else if (this.isInsideElement(this.clickBottom, e)) {
+            this.scrollPage(1);
+        }
+    }
+
+    isInsideElement(element, e) {
+        if (element.style.display === 'none') return false;
+        const rect = element.getBoundingClientRect();
+        return e.clientX >= rect.left && e.clientX < rect.right &&
+            e.clientY >= rect.top && e.clientY < rect.bottom;
     }
 
     checkForInjectedBook() {
-        // Check if book data was injected by TinyOPDS
+        this.registerServiceWorker();
+
+        // Without injected data this is the reader shell the service worker serves
+        // offline; it opens the copy saved with "Save for offline"
+        if (!window.tinyOPDSBook) {
+            this.loadOfflineBook();
+        }
+
+        // Check if a book was injected by TinyOPDS
         if (window.tinyOPDSBook) {
-            setTimeout(() => {
-                const dataUrl = window.tinyOPDSBook.data;
-                fetch(dataUrl)
-                    .then(res => res.blob())
-                    .then(blob => {
-                        const file = new File([blob], window.tinyOPDSBook.fileName, {
-                            type: blob.type
-                        });
-                        this.handleFileSelect(file);
-                    })
-                    .catch(err => console.error('Error loading injected book:', err));
-            }, 500);
+            this.loadInjectedBook();
+        }
+    }
+
+    // EPUB is asked for with a Range request for the end of the file, where the
+    // ZIP directory is: a server answering 206 lets the book be read in parts,
+    // chapter by chapter. Anything else is downloaded whole with a progress bar
+    async loadInjectedBook() {
+        const book = window.tinyOPDSBook;
+        const controller = new AbortController();
+        this.loadController = controller;
+        this.showLoading(true);
+
+        try {
+            const headers = { 'X-TinyOPDS-Reader': '1' };
+            if (book.fileName.toLowerCase().endsWith('.epub')) {
+                headers.Range = `bytes=-${22 + 0xFFFF}`;
+            }
+
+            const response = await fetch(book.url, { headers, credentials: 'same-origin', signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            let file;
+            if (response.status === 206) {
+                file = await RangeFile.fromResponse(book.url, book.fileName, response);
+                file.signal = controller.signal;
+            } else {
+                file = await this.readWithProgress(response, book.fileName);
+            }
+
+            await this.handleFileSelect(file, () => this.loadInjectedBook());
+        } catch (error) {
+            console.error('Error loading injected book:', error);
+            this.showError(this.getLoadErrorMessage(error), () => this.loadInjectedBook());
+        } finally {
+            if (this.loadController === controller) {
+                this.loadController = null;
+            }
+        }
+    }
+
+    async readWithProgress(response, fileName) {
+        const type = response.headers.get('Content-Type') || '';
+        const total = Number(response.headers.get('Content-Length')) || 0;
+        if (!response.body || total === 0) {
+            return new File([await response.blob()], fileName, { type });
         }
+
+        const reader = response.body.getReader();
+        const parts = [];
+        let received = 0;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            parts.push(value);
+            received += value.length;
+            this.showLoadProgress(received, total);
+        }
+        return new File(parts, fileName, { type });
+    }
+
+    getLoadErrorMessage(error) {
+        return error.name === 'AbortError' ? this.strings.loadCancelled : `${this.strings.errorLoading}: ${error.message}`;
     }
 
     toggleMenu() {
@@ -230,20 +963,22 @@ class UniversalReader {
             return;
         }
 
+        const currentId = this.getCurrentChapterId();
+
         // Helper function to render tree structure
         const renderTOCItems = (items, level = 0) => {
             let html = '';
 
             for (const item of items) {
-                const isCurrent = this.isCurrentChapter(item.id);
+                const isCurrent = item.id === currentId;
                 const indent = level * 20; // Indentation for nested items
 
                 html += `
                     <div class="toc-item ${isCurrent ? 'current' : ''}"
                          style="padding-left: ${indent}px;"
-                         data-chapter-id="${item.id}"
+                         data-chapter-id="${this.formatConverter.escapeXml(String(item.id))}"
                          data-level="${level}">
-                        <span class="toc-item-text">${item.title}</span>
+                        <span class="toc-item-text">${this.formatConverter.escapeXml(item.title)}</span>
                     </div>
                 `;
 
@@ -268,26 +1003,45 @@ class UniversalReader {
         });
     }
 
-    // Helper method to check if a chapter is current
-    isCurrentChapter(chapterId) {
-        // This is a simplified check - you might want to enhance this
-        const element = document.getElementById(chapterId);
-        if (element) {
-            const scrollTop = window.scrollY;
-            const elementTop = element.offsetTop;
-            const elementBottom = elementTop + element.offsetHeight;
-            return scrollTop >= elementTop - 150 && scrollTop < elementBottom;
+    // The last TOC entry whose target starts above the reading point; nested
+    // entries often point at headings inside a chapter, not at whole sections
+    getCurrentChapterId() {
+        if (this.readingMode === 'paginated') {
+            const range = this.getChapterPageRange();
+            return range ? range.id : null;
         }
-        return false;
+
+        const readingPoint = window.scrollY + 150;
+        let currentId = null;
+        for (const item of this.flattenChapters(this.chapters)) {
+            const element = this.getChapterElement(item.id);
+            if (!element) continue;
+
+            const top = element.getBoundingClientRect().top + window.scrollY;
+            if (top > readingPoint) break;
+            currentId = item.id;
+        }
+        return currentId;
     }
 
     navigateToChapter(chapterId) {
-        const element = document.getElementById(chapterId);
+        if (this.waitForChunk(this.findChunk(chapterId), () => this.navigateToChapter(chapterId))) {
+            this.hideTOC();
+            return;
+        }
 
-        if (element) {
+        // Anchors of books read in parts were not checked, the chapter stands in for a missing one
+        this.renderChunkOf(chapterId);
+        const element = this.getChapterElement(chapterId);
+
+        if (element && this.readingMode === 'paginated') {
+            this.goToPage(this.getElementPage(element));
+            this.hideTOC();
+        } else if (element) {
             this.isScrolling = true;
 
-            const elementTop = element.offsetTop;
+            // Targets may sit inside positioned blocks, so offsetTop is not enough
+            const elementTop = element.getBoundingClientRect().top + window.scrollY;
             const offset = 0;
 
             // Remove history manipulation - just scroll
@@ -307,260 +1061,4596 @@ class UniversalReader {
         }
     }
 
-    updateCurrentChapter() {
-        if (this.chapters.length === 0) return;
+    // Jumps to an anchor inside the book and offers a way back to where the reader was
+    followInternalLink(targetId) {
+        if (this.waitForChunk(this.findChunk(targetId), () => this.followInternalLink(targetId))) return;
 
-        // Update current chapter highlighting in TOC if it's visible
-        if (this.tocVisible) {
-            this.renderTOC();
+        this.renderChunkOf(targetId);
+        if (!this.getChapterElement(targetId)) return;
+
+        this.backAnchor = this.getPositionAnchor();
+        this.navigateToChapter(targetId);
+        if (this.backAnchor) {
+            this.backLink.classList.add('visible');
         }
     }
 
-    scrollPage(direction) {
-        const viewportHeight = window.innerHeight;
-        const lineHeight = this.fontSize * 1.8;
-        const scrollAmount = (viewportHeight * 0.9) + (lineHeight * 1.5);
-
-        const oldScrollBehavior = document.body.style.scrollBehavior;
-        document.body.style.scrollBehavior = 'smooth';
-
-        window.scrollBy({
-            top: scrollAmount * direction,
-            behavior: 'smooth'
-        });
+    goBack() {
+        if (this.backAnchor) {
+            this.restorePosition(this.backAnchor);
+        }
+        this.hideBackLink();
+    }
 
-        setTimeout(() => {
-            document.body.style.scrollBehavior = oldScrollBehavior;
-        }, 500);
+    hideBackLink() {
+        this.backAnchor = null;
+        this.backLink.classList.remove('visible');
     }
 
-    checkMobile() {
-        const isMobile = window.innerWidth <= 768;
-        if (isMobile) {
-            this.setWidthMode('full-width');
-        }
+    // FB2 note references and EPUB noterefs (or links to EPUB footnote asides)
+    isNoteReference(link, target) {
+        const types = (element) => (element.getAttribute('data-epub-type') || '').split(/\s+/);
+        return link.classList.contains('noteref') ||
+            types(link).includes('noteref') ||
+            types(target).some(type => type === 'footnote' || type === 'endnote' || type === 'rearnote');
     }
 
-    async handleFileSelect(file) {
-        if (!file) return;
+    // Shows the note a link points to next to the link (or as a bottom sheet on
+    // narrow screens); returns false when the link is not a note reference
+    showFootnote(targetId, link) {
+        const shown = () => {
+            if (!this.showFootnote(targetId, link)) {
+                this.followInternalLink(targetId);
+            }
+        };
+        if (this.waitForChunk(this.findChunk(targetId), shown)) return true;
 
-        const fileName = file.name.toLowerCase();
-        this.showLoading(true);
+        this.renderChunkOf(targetId);
+        let note = document.getElementById(targetId);
+        if (!note || !this.isNoteReference(link, note)) return false;
 
-        try {
-            let fb2Content;
+        // Empty anchors stand for the section they start
+        if (!note.hasChildNodes() && note.parentElement) {
+            note = note.parentElement;
+        }
 
-            if (fileName.endsWith('.epub')) {
-                fb2Content = await this.formatConverter.convertEpubToFb2(file);
-                this.images = this.formatConverter.images;
-                this.chapters = this.formatConverter.chapters;
-            } else if (fileName.endsWith('.fb2.zip') || fileName.endsWith('.zip')) {
-                fb2Content = await this.extractFB2FromZip(file);
-            } else if (fileName.endsWith('.fb2')) {
-                fb2Content = await this.readFile(file);
-            } else {
-                throw new Error('Unsupported file format');
-            }
+        const clone = note.cloneNode(true);
+        clone.removeAttribute('id');
+        clone.querySelectorAll('[id]').forEach(element => element.removeAttribute('id'));
 
-            const bookData = await this.parseFB2(fb2Content);
-            this.displayBook(bookData);
+        // FB2 note sections carry their number as a title, the link already shows it
+        if (clone.classList.contains('section')) {
+            const heading = clone.querySelector(':scope > h1, :scope > h2, :scope > h3');
+            if (heading) {
+                heading.remove();
+            }
+        }
 
-            this.clickTop.style.display = 'block';
-            this.clickBottom.style.display = 'block';
+        this.footnoteContent.innerHTML = '';
+        this.footnoteContent.appendChild(clone);
+        this.footnoteContent.style.fontFamily = getComputedStyle(this.bookContent).fontFamily;
+        this.footnoteContent.style.fontSize = Math.max(12, this.fontSize - 2) + 'px';
+        this.footnoteContent.scrollTop = 0;
+        this.footnoteTargetId = targetId;
 
-        } catch (error) {
-            console.error('Error processing file:', error);
-            this.showError(this.strings.errorLoading + ': ' + error.message);
-        } finally {
-            this.showLoading(false);
-        }
+        this.placePopup(this.footnotePopup, link.getBoundingClientRect());
+        return true;
     }
 
-    async extractFB2FromZip(file) {
-        try {
-            const zip = await JSZip.loadAsync(file);
+    // Shows a popup below (or above) the given rectangle, or as a bottom sheet on narrow screens
+    placePopup(popup, rect) {
+        const sheet = window.innerWidth <= 768;
+        popup.classList.toggle('sheet', sheet);
+        popup.style.left = '';
+        popup.style.top = '';
+        popup.classList.add('visible');
 
-            let fb2File = null;
-            for (let fileName in zip.files) {
-                if (fileName.toLowerCase().endsWith('.fb2')) {
-                    fb2File = zip.files[fileName];
-                    break;
-                }
-            }
+        if (!sheet) {
+            const width = popup.offsetWidth;
+            const height = popup.offsetHeight;
 
-            if (!fb2File) {
-                throw new Error('FB2 file not found in archive');
+            const left = Math.min(Math.max(10, rect.left + rect.width / 2 - width / 2), window.innerWidth - width - 10);
+            let top = rect.bottom + 8;
+            if (top + height > window.innerHeight - 10) {
+                top = Math.max(10, rect.top - height - 8);
             }
 
-            return await fb2File.async('string');
-        } catch (error) {
-            throw new Error('Error extracting archive: ' + error.message);
+            popup.style.left = left + 'px';
+            popup.style.top = top + 'px';
         }
     }
 
-    readFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                const arrayBuffer = e.target.result;
-                const uint8Array = new Uint8Array(arrayBuffer);
-                const encoding = this.formatConverter.detectEncoding(uint8Array);
-                const text = this.formatConverter.decodeText(uint8Array, encoding);
-                resolve(text);
-            };
-            reader.onerror = () => reject(new Error('Error reading file'));
-            reader.readAsArrayBuffer(file);
-        });
+    hideFootnote() {
+        this.footnotePopup.classList.remove('visible');
+        this.footnoteContent.innerHTML = '';
+        this.footnoteTargetId = null;
     }
 
-    async parseFB2(content) {
-        const parser = new DOMParser();
-        content = content.replace(/<h[1-6]\s+xmlns=""[^>]*>.*?<\/h[1-6]>/gi, '');
-        content = content.replace(/<(div|span|p)\s+xmlns=""[^>]*>.*?<\/\1>/gi, '');
-        const xmlDoc = parser.parseFromString(content, 'text/xml');
+    bindImageViewerEvents() {
+        document.getElementById('imageViewerClose').onclick = () => this.hideImageViewer();
+        document.getElementById('imageViewerPrev').onclick = () => this.showViewerImage(this.viewerIndex - 1);
+        document.getElementById('imageViewerNext').onclick = () => this.showViewerImage(this.viewerIndex + 1);
+        document.getElementById('imageViewerZoomIn').onclick = () => this.zoomViewer(this.viewerScale * 1.5);
+        document.getElementById('imageViewerZoomOut').onclick = () => this.zoomViewer(this.viewerScale / 1.5);
+        document.getElementById('imageViewerSave').onclick = () => this.saveViewerImage();
 
-        if (xmlDoc.getElementsByTagName('parsererror').length > 0) {
-            throw new Error('Invalid FB2 file');
-        }
+        this.imageViewerImage.onload = () => this.resetViewerZoom();
 
-        // Extract images
-        const binaryNodes = xmlDoc.querySelectorAll('binary');
-        binaryNodes.forEach(node => {
-            const id = node.getAttribute('id');
-            const contentType = node.getAttribute('content-type') || 'image/jpeg';
-            const base64Data = node.textContent.replace(/\s/g, '');
-            this.images[id] = `data:${contentType};base64,${base64Data}`;
-        });
+        const stage = this.imageViewerStage;
 
-        // Store images in converter for HTML generation
-        this.formatConverter.images = this.images;
+        stage.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const point = this.getViewerPoint(e.clientX, e.clientY);
+            this.zoomViewer(this.viewerScale * Math.exp(-e.deltaY * 0.002), point);
+        }, { passive: false });
 
-        // Extract metadata
-        const titleNode = xmlDoc.querySelector('title-info book-title');
-        const title = titleNode ? titleNode.textContent : this.strings.noTitle;
+        stage.ondblclick = (e) => {
+            const point = this.getViewerPoint(e.clientX, e.clientY);
+            this.zoomViewer(this.viewerScale > 1 ? 1 : 2.5, point);
+        };
 
-        const authorNode = xmlDoc.querySelector('title-info author');
-        let author = this.strings.unknownAuthor;
-        if (authorNode) {
-            const firstName = authorNode.querySelector('first-name')?.textContent || '';
-            const lastName = authorNode.querySelector('last-name')?.textContent || '';
-            const middleName = authorNode.querySelector('middle-name')?.textContent || '';
-            author = `${firstName} ${middleName} ${lastName}`.replace(/\s+/g, ' ').trim();
-        }
+        // One pointer pans (or swipes to the next image when not zoomed),
+        // two pointers pinch-zoom around their midpoint
+        stage.onpointerdown = (e) => {
+            stage.setPointerCapture?.(e.pointerId);
+            this.viewerPointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            this.startViewerGesture();
+        };
 
-        // Extract cover
-        let coverHtml = '';
-        const coverpage = xmlDoc.querySelector('coverpage image');
-        if (coverpage) {
-            const href = coverpage.getAttribute('l:href') || coverpage.getAttribute('xlink:href');
-            const imageId = href?.replace('#', '');
-            if (imageId && this.images[imageId]) {
-                coverHtml = `<img src="${this.images[imageId]}" alt="Cover" style="max-height: 400px;">`;
-            }
-        }
+        stage.onpointermove = (e) => {
+            if (!this.viewerPointers.has(e.pointerId) || !this.viewerGesture) return;
+            this.viewerPointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
 
-        // IMPORTANT: Extract TOC FIRST - this sets up the ID map
-        this.chapters = this.formatConverter.extractFB2TOC(xmlDoc);
+            const gesture = this.viewerGesture;
+            const points = [...this.viewerPointers.values()];
 
-        // THEN Convert to HTML using corrected body selection logic
-        const bodyNodes = xmlDoc.querySelectorAll('body');
-        let htmlContent = `<h1>${title}</h1><p class="author">${author}</p>${coverHtml}`;
+            if (points.length >= 2 && gesture.distance) {
+                const distance = Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y);
+                const scale = this.clampViewerScale(gesture.scale * distance / gesture.distance);
+                const center = this.getViewerPoint((points[0].x + points[1].x) / 2, (points[0].y + points[1].y) / 2);
+                this.viewerX = center.x - (gesture.center.x - gesture.x) * scale / gesture.scale;
+                this.viewerY = center.y - (gesture.center.y - gesture.y) * scale / gesture.scale;
+                this.viewerScale = scale;
+            } else if (this.viewerScale > 1) {
+                this.viewerX = gesture.x + points[0].x - gesture.startX;
+                this.viewerY = gesture.y + points[0].y - gesture.startY;
+            }
+            this.applyViewerTransform();
+        };
 
-        // FIXED: Use first body element as main body per FB2 standard
-        // In FB2 format, the first body is always the main text content
-        if (bodyNodes.length > 0) {
-            htmlContent += this.formatConverter.convertFB2ToHTML(bodyNodes[0]);
-        } else {
-            console.warn('No body elements found in FB2 document');
-        }
+        const endPointer = (e) => {
+            const gesture = this.viewerGesture;
+            this.viewerPointers.delete(e.pointerId);
 
-        return {
-            title,
-            author,
-            content: htmlContent
+            if (gesture && !gesture.distance && this.viewerScale <= 1 && e.type === 'pointerup') {
+                const dx = e.clientX - gesture.startX;
+                const dy = e.clientY - gesture.startY;
+                if (Math.abs(dx) > 50 && Math.abs(dx) > Math.abs(dy) * 1.5) {
+                    this.showViewerImage(this.viewerIndex + (dx < 0 ? 1 : -1));
+                    this.viewerGesture = null;
+                    return;
+                }
+            }
+
+            // The remaining finger continues as a pan from where it is
+            this.startViewerGesture();
         };
+        stage.onpointerup = endPointer;
+        stage.onpointercancel = endPointer;
     }
 
-    displayBook(bookData) {
-        this.bookTitle = bookData.title;
-        this.bookAuthor = bookData.author;
-        this.bookTitleEl.textContent = this.bookTitle;
-        this.bookAuthorEl.textContent = this.bookAuthor;
-        this.bookContent.innerHTML = bookData.content;
-        this.bookContent.style.display = 'block';
+    // Gallery in reading order: images shown in the book first, then the
+    // remaining book images (covers and pictures not referenced by the text)
+    buildImageGallery() {
+        const names = new Map(Object.entries(this.images).map(([name, url]) => [url, name]));
+        const urls = new Set();
 
-        this.detectedLanguage = this.formatConverter.detectLanguage(bookData.content);
+        for (const image of this.bookContent.querySelectorAll('img')) {
+            if (image.src) {
+                urls.add(image.src);
+            }
+        }
+        for (const url of names.keys()) {
+            urls.add(url);
+        }
 
-        this.applyFontSize();
-        this.applyTheme();
-        this.applyFont();
-        this.applyMargins();
-        this.applyWidthMode();
-        this.applyHyphenation();
+        return [...urls].map(url => ({ url, name: names.get(url) || '' }));
+    }
 
-        if (this.menuVisible) {
-            this.toggleMenu();
+    showImageViewer(url) {
+        this.viewerImages = this.buildImageGallery();
+
+        let index = this.viewerImages.findIndex(image => image.url === url);
+        if (index < 0) {
+            this.viewerImages.unshift({ url, name: '' });
+            index = 0;
         }
 
-        this.currentChapterIndex = -1;
-        this.isScrolling = false;
+        const multiple = this.viewerImages.length > 1;
+        document.getElementById('imageViewerPrev').style.display = multiple ? '' : 'none';
+        document.getElementById('imageViewerNext').style.display = multiple ? '' : 'none';
 
-        window.scrollTo({ top: 0, behavior: 'smooth' });
+        this.hideFootnote();
+        this.imageViewer.classList.add('visible');
+        this.showViewerImage(index);
     }
 
-    applyHyphenation() {
-        this.bookContent.classList.add('hyphens-enabled');
-        this.bookContent.classList.remove('hyphens-disabled');
-        this.bookContent.setAttribute('lang', this.detectedLanguage);
-        document.documentElement.setAttribute('lang', this.detectedLanguage);
-
-        // Force reflow
-        this.bookContent.style.display = 'none';
-        this.bookContent.offsetHeight;
-        this.bookContent.style.display = 'block';
+    hideImageViewer() {
+        this.imageViewer.classList.remove('visible');
+        this.imageViewerImage.removeAttribute('src');
+        this.viewerImages = [];
+        this.viewerPointers.clear();
+        this.viewerGesture = null;
     }
 
-    changeFontSize(delta) {
-        this.fontSize = Math.max(12, Math.min(32, this.fontSize + delta));
-        this.applyFontSize();
-        this.savePreferences();
+    showViewerImage(index) {
+        const count = this.viewerImages.length;
+        if (count === 0) return;
+
+        this.viewerIndex = (index + count) % count;
+        const image = this.viewerImages[this.viewerIndex];
+
+        this.resetViewerZoom();
+        this.imageViewerImage.src = image.url;
+        this.imageViewerImage.alt = image.name;
+        this.imageViewerCounter.textContent = count > 1 ? `${this.viewerIndex + 1} / ${count}` : '';
     }
 
-    applyFontSize() {
+    startViewerGesture() {
+        const points = [...this.viewerPointers.values()];
+        if (points.length === 0) {
+            this.viewerGesture = null;
+            return;
+        }
+
+        this.viewerGesture = {
+            startX: points[0].x,
+            startY: points[0].y,
+            x: this.viewerX,
+            y: this.viewerY,
+            scale: this.viewerScale,
+            distance: points.length >= 2 ? Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y) || 1 : 0,
+            center: points.length >= 2 ? this.getViewerPoint((points[0].x + points[1].x) / 2, (points[0].y + points[1].y) / 2) : null
+        };
+    }
+
+    // Screen point relative to the stage center, the origin of the image transform
+    getViewerPoint(clientX, clientY) {
+        const rect = this.imageViewerStage.getBoundingClientRect();
+        return { x: clientX - rect.left - rect.width / 2, y: clientY - rect.top - rect.height / 2 };
+    }
+
+    clampViewerScale(scale) {
+        return Math.max(1, Math.min(this.viewerMaxScale, scale));
+    }
+
+    // Zooms keeping the given stage point (the center by default) in place
+    zoomViewer(scale, point = { x: 0, y: 0 }) {
+        scale = this.clampViewerScale(scale);
+        this.viewerX = point.x - (point.x - this.viewerX) * scale / this.viewerScale;
+        this.viewerY = point.y - (point.y - this.viewerY) * scale / this.viewerScale;
+        this.viewerScale = scale;
+        this.applyViewerTransform();
+    }
+
+    resetViewerZoom() {
+        this.viewerScale = 1;
+        this.viewerX = 0;
+        this.viewerY = 0;
+        this.applyViewerTransform();
+    }
+
+    // Pan is limited so the zoomed image always covers the stage where it can
+    applyViewerTransform() {
+        const image = this.imageViewerImage;
+        const stage = this.imageViewerStage;
+        const maxX = Math.max(0, (image.offsetWidth * this.viewerScale - stage.clientWidth) / 2);
+        const maxY = Math.max(0, (image.offsetHeight * this.viewerScale - stage.clientHeight) / 2);
+
+        this.viewerX = Math.max(-maxX, Math.min(maxX, this.viewerX));
+        this.viewerY = Math.max(-maxY, Math.min(maxY, this.viewerY));
+
+        image.style.transform = `translate(${this.viewerX}px, ${this.viewerY}px) scale(${this.viewerScale})`;
+        stage.classList.toggle('zoomed', this.viewerScale > 1);
+    }
+
+    async saveViewerImage() {
+        const image = this.viewerImages[this.viewerIndex];
+        if (!image) return;
+
+        try {
+            const blob = await (await fetch(image.url)).blob();
+            const extension = (blob.type.split('/')[1] || 'jpg').replace('jpeg', 'jpg').replace(/\+.*$/, '');
+
+            let name = image.name.split('/').pop().replace(/[\\:*?"<>|]/g, '_');
+            if (!name) {
+                name = (this.bookTitle || 'image').replace(/[\\/:*?"<>|]/g, '_') + '-' + (this.viewerIndex + 1);
+            }
+            if (!/\.\w{2,4}$/.test(name)) {
+                name += '.' + extension;
+            }
+
+            this.downloadFile(blob, blob.type, name);
+        } catch (e) {
+            console.error('Could not save image:', e);
+        }
+    }
+
+    updateCurrentChapter() {
+        if (this.chapters.length === 0) return;
+
+        // Update current chapter highlighting in TOC if it's visible
+        if (this.tocVisible) {
+            this.renderTOC();
+        }
+    }
+
+    scrollPage(direction) {
+        if (this.readingMode === 'paginated') {
+            this.turnPage(direction);
+            return;
+        }
+
+        const viewportHeight = window.innerHeight;
+        const lineHeight = this.fontSize * 1.8;
+        const scrollAmount = (viewportHeight * 0.9) + (lineHeight * 1.5);
+
+        const oldScrollBehavior = document.body.style.scrollBehavior;
+        document.body.style.scrollBehavior = 'smooth';
+
+        window.scrollBy({
+            top: scrollAmount * direction,
+            behavior: 'smooth'
+        });
+
+        setTimeout(() => {
+            document.body.style.scrollBehavior = oldScrollBehavior;
+        }, 500);
+    }
+
+    toggleReadingMode() {
+        this.readingMode = this.readingMode === 'paginated' ? 'scroll' : 'paginated';
+        this.applyReadingMode();
+        this.savePreferences();
+    }
+
+    applyReadingMode() {
+        const paginated = this.readingMode === 'paginated';
+        const wasPaginated = document.body.classList.contains('paginated');
+
+        this.readingModeToggle.classList.toggle('active', paginated);
+        this.readingModeIndicator.textContent = paginated ? '⇔' : '⇕';
+
+        if (paginated === wasPaginated) {
+            this.refreshLayout();
+            return;
+        }
+
+        // Carry the reading position over as a content anchor
+        const anchor = this.getPositionAnchor();
+
+        document.body.classList.toggle('paginated', paginated);
+
+        if (paginated) {
+            window.scrollTo(0, 0);
+            this.updatePagination(false);
+        } else {
+            this.readerContainer.style.height = '';
+            this.bookContent.style.columnWidth = '';
+            this.bookContent.style.columnGap = '';
+            this.bookContent.scrollLeft = 0;
+            this.currentPage = 0;
+            this.totalPages = 1;
+            this.chapterPages = [];
+            this.updateProgress();
+        }
+
+        if (anchor) {
+            this.restorePosition(anchor);
+        }
+
+        // Chunks are watched in the page columns or in the window
+        if (this.bookChunks.length > 0) {
+            this.observeChunks();
+        }
+    }
+
+    // Recalculates page geometry after anything that changes text flow
+    refreshLayout() {
+        this.sizeChunkPlaceholders();
+        if (this.readingMode === 'paginated') {
+            this.updatePagination(true);
+        }
+    }
+
+    // Debounced relayout, used while images are still decoding
+    scheduleLayoutRefresh() {
+        clearTimeout(this.layoutTimer);
+        this.layoutTimer = setTimeout(() => this.refreshLayout(), 100);
+    }
+
+    updatePagination(keepPosition) {
+        const anchor = keepPosition ? this.getPositionAnchor() : null;
+
+        this.readerContainer.style.height = window.innerHeight + 'px';
+
+        // One column per screen: column width plus gap equals the visible width,
+        // so page N starts exactly at scrollLeft = N * pageWidth
+        this.pageWidth = this.bookContent.clientWidth;
+        this.bookContent.style.columnWidth = Math.max(1, this.pageWidth - this.margins * 2) + 'px';
+        this.bookContent.style.columnGap = (this.margins * 2) + 'px';
+
+        this.totalPages = Math.max(1, Math.ceil((this.bookContent.scrollWidth - this.margins) / this.pageWidth));
+
+        // Cache chapter start pages, in document order
+        this.chapterPages = [];
+        for (const item of this.flattenChapters(this.chapters)) {
+            const element = this.getChapterElement(item.id);
+            if (element) {
+                this.chapterPages.push({ id: item.id, start: this.getElementPage(element) });
+            }
+        }
+
+        if (anchor) {
+            this.restorePosition(anchor);
+        } else {
+            this.goToPage(this.currentPage);
+        }
+    }
+
+    flattenChapters(items, result = []) {
+        for (const item of items) {
+            result.push(item);
+            if (item.children && item.children.length > 0) {
+                this.flattenChapters(item.children, result);
+            }
+        }
+        return result;
+    }
+
+    getElementPage(element) {
+        if (!this.pageWidth) return 0;
+
+        // First client rect is the fragment in the column where the element starts
+        const rects = element.getClientRects();
+        const left = rects.length > 0 ? rects[0].left : element.getBoundingClientRect().left;
+        const offset = left - this.bookContent.getBoundingClientRect().left + this.bookContent.scrollLeft;
+        return Math.max(0, Math.min(this.totalPages - 1, Math.floor(offset / this.pageWidth)));
+    }
+
+    goToPage(page) {
+        this.currentPage = Math.max(0, Math.min(this.totalPages - 1, page));
+        this.bookContent.scrollLeft = this.currentPage * this.pageWidth;
+
+        this.updateProgress();
+        this.updatePageIndicator();
+        this.updateCurrentChapter();
+        this.schedulePositionSave();
+    }
+
+    turnPage(direction) {
+        this.goToPage(this.currentPage + direction);
+        this.updateToolbarAutoHide(direction);
+    }
+
+    // Returns { id, start, end } page range of the chapter shown on the current page
+    getChapterPageRange() {
+        if (!this.chapterPages || this.chapterPages.length === 0) return null;
+
+        let current = null;
+        let end = this.totalPages - 1;
+
+        for (const chapter of this.chapterPages) {
+            if (chapter.start <= this.currentPage) {
+                current = chapter;
+            } else {
+                end = chapter.start - 1;
+                break;
+            }
+        }
+
+        if (!current) return null;
+        return { id: current.id, start: current.start, end: Math.max(current.start, end) };
+    }
+
+    updatePageIndicator() {
+        const range = this.getChapterPageRange();
+        const page = range ? this.currentPage - range.start + 1 : this.currentPage + 1;
+        const total = range ? range.end - range.start + 1 : this.totalPages;
+
+        this.pageIndicator.textContent = this.strings.pageOf
+            .replace('{0}', page)
+            .replace('{1}', total);
+    }
+
+    // Horizontal swipe turns pages in both reading modes, a swipe starting at the
+    // left edge opens the contents, pinch scales the text and long press selects
+    // the word under the finger for the selection popup
+    bindGestures() {
+        document.addEventListener('touchstart', (e) => {
+            this.cancelLongPress();
+
+            if (e.touches.length === 2) {
+                this.touch = null;
+                if (this.gestures.pinch && !this.pinch && this.isReadingTouch(e.target)) {
+                    this.pinch = {
+                        distance: this.getTouchDistance(e.touches),
+                        fontSize: this.fontSize,
+                        anchor: this.getPositionAnchor()
+                    };
+                }
+                return;
+            }
+            if (e.touches.length !== 1 || this.pinch) return;
+
+            const touch = e.touches[0];
+            this.touch = { x: touch.clientX, y: touch.clientY, target: e.target, moved: false, longPress: false };
+
+            if (this.gestures.longPress && this.bookContent.contains(e.target)) {
+                this.longPressTimer = setTimeout(() => this.handleLongPress(), this.longPressDelay);
+            }
+        }, { passive: true });
+
+        // Not passive: a pinch over the book scales the text, not the whole page
+        document.addEventListener('touchmove', (e) => {
+            if (this.pinch && e.touches.length === 2) {
+                e.preventDefault();
+                const scale = this.getTouchDistance(e.touches) / this.pinch.distance;
+                this.setFontSizeLive(Math.round(this.pinch.fontSize * scale));
+                return;
+            }
+
+            if (this.touch && !this.touch.moved) {
+                const touch = e.touches[0];
+                if (Math.abs(touch.clientX - this.touch.x) > 10 || Math.abs(touch.clientY - this.touch.y) > 10) {
+                    this.touch.moved = true;
+                    this.cancelLongPress();
+                }
+            }
+        }, { passive: false });
+
+        document.addEventListener('touchend', (e) => {
+            this.cancelLongPress();
+
+            if (this.pinch) {
+                if (e.touches.length === 0) this.endPinch();
+                return;
+            }
+
+            const start = this.touch;
+            this.touch = null;
+            if (!start || start.longPress || this.tocVisible || !this.isReadingTouch(start.target)) return;
+
+            const touch = e.changedTouches[0];
+            const dx = touch.clientX - start.x;
+            const dy = touch.clientY - start.y;
+            if (Math.abs(dx) <= 50 || Math.abs(dx) <= Math.abs(dy) * 1.5) return;
+
+            if (this.gestures.edgeSwipe && dx > 0 && start.x <= this.edgeSwipeWidth) {
+                this.showTOC();
+            } else if (this.gestures.swipe) {
+                this.scrollPage(dx < 0 ? 1 : -1);
+            }
+        }, { passive: true });
+
+        document.addEventListener('touchcancel', () => {
+            this.cancelLongPress();
+            this.touch = null;
+            if (this.pinch) this.endPinch();
+        }, { passive: true });
+
+        // Keep the browser menu from replacing the word picked by a long press
+        document.addEventListener('contextmenu', (e) => {
+            if (this.touch && this.gestures.longPress && this.bookContent.contains(e.target)) {
+                e.preventDefault();
+            }
+        });
+
+        // Mouse wheel flips pages too, throttled so one notch is one page
+        let lastWheel = 0;
+        window.addEventListener('wheel', (e) => {
+            if (this.readingMode !== 'paginated' || this.tocVisible) return;
+
+            const now = Date.now();
+            if (now - lastWheel < 300 || Math.abs(e.deltaY) < 1) return;
+            lastWheel = now;
+            this.turnPage(e.deltaY > 0 ? 1 : -1);
+        }, { passive: true });
+    }
+
+    // Touches on the toolbar, panels and popups belong to their controls
+    isReadingTouch(target) {
+        return !target.closest('.toolbar, .menu-toggle, .toc-overlay, .tts-panel, .selection-popup, .footnote-popup, .image-viewer, input, select, textarea');
+    }
+
+    getTouchDistance(touches) {
+        return Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY) || 1;
+    }
+
+    // Only the font size changes while pinching; layout and position follow at the end
+    setFontSizeLive(size) {
+        size = Math.max(this.minFontSize, Math.min(this.maxFontSize, size));
+        if (size === this.fontSize) return;
+        this.fontSize = size;
+        this.applyFontSize();
+    }
+
+    endPinch() {
+        const pinch = this.pinch;
+        this.pinch = null;
+        if (this.fontSize === pinch.fontSize) return;
+
+        if (this.readingMode === 'paginated') {
+            this.updatePagination(false);
+        }
+        if (pinch.anchor) {
+            this.restorePosition(pinch.anchor);
+        }
+        this.savePreferences();
+    }
+
+    cancelLongPress() {
+        clearTimeout(this.longPressTimer);
+        this.longPressTimer = null;
+    }
+
+    handleLongPress() {
+        const touch = this.touch;
+        if (!touch || touch.moved) return;
+
+        if (this.selectWordAt(touch.x, touch.y)) {
+            touch.longPress = true;
+            this.updateSelectionPopup();
+        }
+    }
+
+    // Selects the word under a screen point; false when there is no text there
+    selectWordAt(x, y) {
+        let node = null;
+        let offset = 0;
+
+        if (document.caretRangeFromPoint) {
+            const range = document.caretRangeFromPoint(x, y);
+            if (range) {
+                node = range.startContainer;
+                offset = range.startOffset;
+            }
+        } else if (document.caretPositionFromPoint) {
+            const position = document.caretPositionFromPoint(x, y);
+            if (position) {
+                node = position.offsetNode;
+                offset = position.offset;
+            }
+        }
+
+        if (!node || node.nodeType !== Node.TEXT_NODE || !this.bookContent.contains(node)) return false;
+
+        const text = node.data;
+        const isWordChar = (ch) => /[\p{L}\p{N}\p{M}'’-]/u.test(ch);
+        let start = offset;
+        let end = offset;
+        while (start > 0 && isWordChar(text[start - 1])) start--;
+        while (end < text.length && isWordChar(text[end])) end++;
+        if (start === end) return false;
+
+        const range = document.createRange();
+        range.setStart(node, start);
+        range.setEnd(node, end);
+
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+        return true;
+    }
+
+    trackScrollDirection() {
+        const scrollY = window.scrollY;
+        if (Math.abs(scrollY - this.lastScrollY) < 10) return;
+
+        this.updateToolbarAutoHide(scrollY > this.lastScrollY && scrollY > 50 ? 1 : -1);
+        this.lastScrollY = scrollY;
+    }
+
+    // Smart header on small screens: the menu button slides away while reading
+    // forward and comes back on the way back; it stays while the menu is open
+    updateToolbarAutoHide(direction) {
+        const enabled = this.gestures.autoHideToolbar && window.innerWidth <= 768;
+        if (this.pinch || (enabled && this.menuVisible)) return;
+
+        this.menuToggle.classList.toggle('auto-hidden', enabled && direction > 0);
+    }
+
+    // Reading position is stored as a content anchor (section id + block index
+    // inside that section) so it survives font, margin and width changes
+    getPositionAnchor() {
+        const blocks = this.bookContent.querySelectorAll(this.anchorSelector);
+        if (blocks.length === 0) return null;
+
+        const index = this.findFirstVisibleBlock(blocks);
+        return this.getBlockAnchor(blocks[index], index, blocks.length);
+    }
+
+    // Blocks outside of sections count within their chunk, so anchors don't
+    // depend on which chunks happen to be rendered
+    getBlockAnchor(block, index, total) {
+        const section = block.closest('.section[id], .book-chunk[id]');
+        const scope = section || this.bookContent;
+        const paragraph = Array.prototype.indexOf.call(scope.querySelectorAll(this.anchorSelector), block);
+
+        return {
+            section: section ? section.id : '',
+            paragraph: Math.max(0, paragraph),
+            progress: this.getBlockProgress(block, index, total)
+        };
+    }
+
+    // Percentage of the book before the block; in chunked books rendered blocks
+    // are only a part of it, so the chunk's place in the text is used
+    getBlockProgress(block, index, total) {
+        if (this.bookChunks.length === 0) {
+            return Math.round((index / total) * 1000) / 10;
+        }
+
+        const owner = block.closest('.book-chunk');
+        if (!owner || this.bookTextLength === 0) return 0;
+
+        const chunk = this.bookChunks[owner.dataset.chunk];
+        const blocks = owner.querySelectorAll(this.anchorSelector);
+        const position = Array.prototype.indexOf.call(blocks, block) / blocks.length;
+        return Math.round(((chunk.offset + position * chunk.chars) / this.bookTextLength) * 1000) / 10;
+    }
+
+    resolveBlock(anchor) {
+        const section = anchor.section ? document.getElementById(anchor.section) : null;
+
+        // Part of a chunk that is not rendered yet
+        if (anchor.section && !section && this.findChunk(anchor.section) >= 0) return null;
+
+        const scope = section || this.bookContent;
+        const blocks = scope.querySelectorAll(this.anchorSelector);
+        return blocks[Math.min(anchor.paragraph, blocks.length - 1)] || section;
+    }
+
+    // Binary search over blocks in document order
+    findFirstVisibleBlock(blocks) {
+        let low = 0;
+        let high = blocks.length - 1;
+
+        if (this.readingMode === 'paginated') {
+            // First block starting on or after the current page; if it starts later,
+            // the previous block is the one flowing onto this page
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (this.getElementPage(blocks[mid]) >= this.currentPage) {
+                    high = mid;
+                } else {
+                    low = mid + 1;
+                }
+            }
+            if (low > 0 && this.getElementPage(blocks[low]) > this.currentPage) {
+                low--;
+            }
+            return low;
+        }
+
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (blocks[mid].getBoundingClientRect().bottom > 0) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+        return low;
+    }
+
+    restorePosition(anchor) {
+        if (this.waitForChunk(this.findChunk(anchor.section), () => this.restorePosition(anchor))) return;
+
+        this.renderChunkOf(anchor.section);
+        const block = this.resolveBlock(anchor);
+        if (block) {
+            this.showBlock(block);
+        }
+    }
+
+    // Goes to a share of the book, for progress from readers that have no
+    // anchor this one understands; the position is stored with the given time
+    goToProgress(progress, updated) {
+        let share = Math.min(1, Math.max(0, progress / 100));
+        let blocks = this.bookContent.querySelectorAll(this.anchorSelector);
+
+        if (this.bookChunks.length > 0 && this.bookTextLength > 0) {
+            const offset = share * this.bookTextLength;
+            let index = this.bookChunks.findIndex(chunk => chunk.offset + chunk.chars > offset);
+            if (index < 0) index = this.bookChunks.length - 1;
+
+            if (this.waitForChunk(index, () => this.goToProgress(progress, updated))) return;
+
+            const chunk = this.bookChunks[index];
+            this.renderChunks([index]);
+            blocks = chunk.element.querySelectorAll(this.anchorSelector);
+            share = chunk.chars > 0 ? (offset - chunk.offset) / chunk.chars : 0;
+        }
+
+        const block = blocks[Math.min(blocks.length - 1, Math.floor(share * blocks.length))];
+        if (!block) return;
+
+        this.showBlock(block);
+
+        const all = this.bookContent.querySelectorAll(this.anchorSelector);
+        this.storePosition({ ...this.getBlockAnchor(block, Array.prototype.indexOf.call(all, block), all.length), updated });
+    }
+
+    showBlock(block) {
+        if (this.readingMode === 'paginated') {
+            this.goToPage(this.getElementPage(block));
+        } else {
+            const top = block.getBoundingClientRect().top + window.scrollY;
+            window.scrollTo({ top: Math.max(0, top - 10), behavior: 'auto' });
+            this.updateProgress();
+        }
+    }
+
+    async getBookKey(file) {
+        const injected = window.tinyOPDSBook;
+        if (injected && injected.id && injected.fileName === file.name) {
+            return 'id:' + injected.id;
+        }
+
+        // FNV-1a over the file bytes for books opened from disk
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < bytes.length; i++) {
+            hash ^= bytes[i];
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return 'hash:' + (hash >>> 0).toString(16) + '-' + bytes.length;
+    }
+
+    // KOReader's partial MD5: 1 KB samples at 0 and at 1 KB × 4^i, so the same
+    // file has the same id on e-ink devices without being read whole. Books
+    // read from the server fetch the samples side by side. They are hashed as
+    // served, an FB2 as its fb2.zip, the file KOReader gets from the catalog
+    async getSyncDocument(file) {
+        const offsets = [];
+        for (let i = -1; i <= 10; i++) {
+            const offset = i < 0 ? 0 : 1024 * Math.pow(4, i);
+            if (offset >= file.size) break;
+            offsets.push(offset);
+        }
+        const samples = await Promise.all(offsets.map(async offset =>
+            new Uint8Array(await file.slice(offset, offset + 1024).arrayBuffer())));
+
+        const bytes = new Uint8Array(samples.reduce((sum, sample) => sum + sample.length, 0));
+        let position = 0;
+        for (const sample of samples) {
+            bytes.set(sample, position);
+            position += sample.length;
+        }
+        return this.md5(bytes);
+    }
+
+    md5(bytes) {
+        const shifts = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+        const constants = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) | 0);
+
+        // Padding: 0x80, zeros and the bit length, to a multiple of 64 bytes
+        const length = bytes.length;
+        const padded = new Uint8Array((((length + 8) >> 6) + 1) << 6);
+        padded.set(bytes);
+        padded[length] = 0x80;
+        const view = new DataView(padded.buffer);
+        view.setUint32(padded.length - 8, (length * 8) >>> 0, true);
+        view.setUint32(padded.length - 4, Math.floor(length / 0x20000000), true);
+
+        const state = [0x67452301, 0xefcdab89 | 0, 0x98badcfe | 0, 0x10325476];
+        for (let offset = 0; offset < padded.length; offset += 64) {
+            let [a, b, c, d] = state;
+            for (let i = 0; i < 64; i++) {
+                let f, g;
+                if (i < 16) {
+                    f = (b & c) | (~b & d);
+                    g = i;
+                } else if (i < 32) {
+                    f = (d & b) | (~d & c);
+                    g = (5 * i + 1) % 16;
+                } else if (i < 48) {
+                    f = b ^ c ^ d;
+                    g = (3 * i + 5) % 16;
+                } else {
+                    f = c ^ (b | ~d);
+                    g = (7 * i) % 16;
+                }
+
+                const shift = shifts[(i >> 4) * 4 + (i % 4)];
+                const sum = (a + f + constants[i] + view.getUint32(offset + g * 4, true)) | 0;
+                a = d;
+                d = c;
+                c = b;
+                b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0;
+            }
+            state[0] = (state[0] + a) | 0;
+            state[1] = (state[1] + b) | 0;
+            state[2] = (state[2] + c) | 0;
+            state[3] = (state[3] + d) | 0;
+        }
+
+        return state.map(word => [0, 8, 16, 24]
+            .map(bits => ((word >>> bits) & 0xff).toString(16).padStart(2, '0'))
+            .join('')).join('');
+    }
+
+    loadStoredPositions() {
+        try {
+            return JSON.parse(localStorage.getItem('reader-positions') || '{}');
+        } catch (e) {
+            console.warn('Could not load reading positions:', e);
+            return {};
+        }
+    }
+
+    loadPosition() {
+        if (!this.bookKey) return null;
+        return this.loadStoredPositions()[this.bookKey] || null;
+    }
+
+    schedulePositionSave() {
+        clearTimeout(this.positionTimer);
+        this.positionTimer = setTimeout(() => this.savePosition(), 500);
+    }
+
+    savePosition() {
+        clearTimeout(this.positionTimer);
+
+        // Don't overwrite the stored position before it has been restored
+        if (!this.bookKey || !this.positionRestored) return;
+
+        const anchor = this.getPositionAnchor();
+        if (!anchor) return;
+
+        // Only a move counts as a change, so a position that came from another
+        // device keeps its time until the reader actually goes somewhere
+        const previous = this.loadPosition();
+        if (!previous || previous.section !== anchor.section || previous.paragraph !== anchor.paragraph) {
+            const position = { ...anchor, updated: Date.now() };
+            this.storePosition(position);
+            this.queueSync('position', this.syncDocument, position.updated, this.getSyncPosition(position));
+        }
+
+        this.trackReadingPosition();
+    }
+
+    storePosition(position) {
+        const positions = this.loadStoredPositions();
+        positions[this.bookKey] = position;
+
+        // Keep only the most recently read books
+        const keys = Object.keys(positions);
+        if (keys.length > this.maxStoredPositions) {
+            keys.sort((a, b) => (positions[b].updated || 0) - (positions[a].updated || 0))
+                .slice(this.maxStoredPositions)
+                .forEach(key => delete positions[key]);
+        }
+
+        try {
+            localStorage.setItem('reader-positions', JSON.stringify(positions));
+        } catch (e) {
+            console.warn('Could not save reading position:', e);
+        }
+    }
+
+    waitForImages() {
+        const pending = Array.from(this.bookContent.querySelectorAll('img'))
+            .filter(img => !img.complete)
+            .map(img => new Promise(resolve => {
+                img.addEventListener('load', resolve, { once: true });
+                img.addEventListener('error', resolve, { once: true });
+            }));
+        return Promise.all(pending);
+    }
+
+    async resumeReading() {
+        const saved = this.loadPosition();
+
+        if (!saved || (saved.section === '' && saved.paragraph === 0)) {
+            this.positionRestored = true;
+            return;
+        }
+
+        await this.waitForImages();
+        await this.loadChunks([this.findChunk(saved.section)]);
+        this.refreshLayout();
+        this.restorePosition(saved);
+        this.positionRestored = true;
+
+        this.showResumeToast(saved.progress);
+    }
+
+    showResumeToast(progress, message = this.strings.resumedAt) {
+        this.resumeText.textContent = message.replace('{0}', Math.round(progress || 0));
+        this.resumeToast.classList.add('visible');
+
+        clearTimeout(this.resumeToastTimer);
+        this.resumeToastTimer = setTimeout(() => this.resumeToast.classList.remove('visible'), 8000);
+    }
+
+    startOver() {
+        this.resumeToast.classList.remove('visible');
+
+        if (this.readingMode === 'paginated') {
+            this.goToPage(0);
+        } else {
+            window.scrollTo({ top: 0, behavior: 'smooth' });
+        }
+
+        const positions = this.loadStoredPositions();
+        delete positions[this.bookKey];
+        localStorage.setItem('reader-positions', JSON.stringify(positions));
+    }
+
+    initSync() {
+        if (!this.syncEnabled) return;
+
+        this.syncDevice = localStorage.getItem('reader-device');
+        if (!this.syncDevice) {
+            this.syncDevice = this.createAnnotationId();
+            localStorage.setItem('reader-device', this.syncDevice);
+        }
+
+        try {
+            this.syncAccount = JSON.parse(localStorage.getItem('reader-sync-account') || 'null');
+        } catch (e) {
+            console.warn('Could not load sync account:', e);
+        }
+        this.renderSyncAccount();
+
+        window.addEventListener('online', () => this.flushSync());
+        this.pullSync('');
+    }
+
+    // Sent the way KOReader sends its account: the name and the MD5 of the
+    // password. A server with HTTP sign-in syncs under the signed-in user
+    getSyncHeaders() {
+        return this.syncAccount ? { 'x-auth-user': this.syncAccount.user, 'x-auth-key': this.syncAccount.key } : {};
+    }
+
+    // The server has no sign-in and no account was given: changes wait in the
+    // queue until one is
+    requireSyncAccount() {
+        this.syncAccountNeeded = true;
+        this.renderSyncAccount();
+    }
+
+    saveSyncAccount() {
+        const user = this.syncAccountName.value.trim();
+        const password = this.syncAccountPassword.value;
+        if (!user || !password) {
+            (user ? this.syncAccountPassword : this.syncAccountName).focus();
+            return;
+        }
+
+        this.syncAccount = { user, key: this.md5(new TextEncoder().encode(password)) };
+        localStorage.setItem('reader-sync-account', JSON.stringify(this.syncAccount));
+        this.syncAccountPassword.value = '';
+        this.renderSyncAccount();
+
+        this.pullSync(this.syncDocument || '');
+    }
+
+    forgetSyncAccount() {
+        this.syncAccount = null;
+        localStorage.removeItem('reader-sync-account');
+        this.renderSyncAccount();
+    }
+
+    renderSyncAccount() {
+        document.getElementById('syncAccountSection').classList.toggle('visible', this.syncAccountNeeded || !!this.syncAccount);
+        document.getElementById('syncAccountNote').textContent = this.syncAccount ?
+            this.strings.syncAccountActive.replace('{0}', this.syncAccount.user) : this.strings.syncAccountHint;
+        document.getElementById('syncAccountForget').style.display = this.syncAccount ? '' : 'none';
+        this.syncAccountName.value = this.syncAccount ? this.syncAccount.user : '';
+    }
+
+    loadSyncQueue() {
+        try {
+            return JSON.parse(localStorage.getItem('reader-sync-queue') || '[]');
+        } catch (e) {
+            console.warn('Could not load sync queue:', e);
+            return [];
+        }
+    }
+
+    saveSyncQueue(queue) {
+        try {
+            localStorage.setItem('reader-sync-queue', JSON.stringify(queue));
+        } catch (e) {
+            console.warn('Could not save sync queue:', e);
+        }
+    }
+
+    // Only the latest change of each record waits in the queue
+    queueSync(kind, document, updated, data) {
+        if (!this.syncEnabled || document === null) return;
+
+        const queue = this.loadSyncQueue().filter(change => change.kind !== kind || change.document !== document);
+        queue.push({ document, kind, updated, data });
+        this.saveSyncQueue(queue);
+
+        clearTimeout(this.syncTimer);
+        this.syncTimer = setTimeout(() => this.flushSync(), this.syncDelay);
+    }
+
+    // Sends queued changes one by one; a change the server already has a later
+    // version of is replaced by that version, failed ones are retried later.
+    // When the page is being hidden they all go at once with keepalive, which
+    // browsers allow for 64 KB of request bodies in flight: changes beyond that
+    // go without it and stay queued for the next visit if the page is gone first
+    async flushSync(keepalive = false) {
+        clearTimeout(this.syncTimer);
+        if (!this.syncEnabled || this.syncFlushing) return;
+        this.syncFlushing = true;
+
+        try {
+            if (keepalive) {
+                let budget = this.syncKeepaliveLimit;
+                await Promise.all(this.loadSyncQueue().map(change => {
+                    const body = this.getSyncBody(change);
+                    const size = new Blob([body]).size;
+                    const fits = size <= budget;
+                    if (fits) budget -= size;
+                    return this.sendSyncChange(change, body, fits);
+                }));
+            } else {
+                let change;
+                while ((change = this.loadSyncQueue()[0])) {
+                    if (!await this.sendSyncChange(change, this.getSyncBody(change), false)) break;
+                }
+            }
+        } catch (e) {
+            console.warn('Could not send reading sync changes:', e);
+            this.syncTimer = setTimeout(() => this.flushSync(), this.syncRetryDelay);
+        } finally {
+            this.syncFlushing = false;
+        }
+    }
+
+    getSyncBody(change) {
+        return JSON.stringify({ ...change, device: this.syncDevice, data: JSON.stringify(change.data) });
+    }
+
+    // Returns false when the server asks for a sync account first
+    async sendSyncChange(change, body, keepalive) {
+        const response = await fetch(this.syncUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...this.getSyncHeaders() },
+            body,
+            credentials: 'same-origin',
+            keepalive
+        });
+
+        if (response.status === 403) {
+            this.requireSyncAccount();
+            return false;
+        }
+
+        // A change the server rejects won't be accepted later either
+        if (!response.ok && response.status !== 400) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        this.saveSyncQueue(this.loadSyncQueue().filter(queued =>
+            queued.kind !== change.kind || queued.document !== change.document || queued.updated !== change.updated));
+
+        const result = response.ok ? await response.json() : null;
+        if (result && !result.stored && result.record) {
+            this.applySyncRecord(result.record);
+        }
+        return true;
+    }
+
+    // Sends pending changes, then takes the server records newer than the local
+    // state and queues the local state the server has no newer copy of
+    async pullSync(document) {
+        if (!this.syncEnabled || document === null) return;
+        await this.flushSync();
+
+        try {
+            const response = await fetch(`${this.syncUrl}?document=${encodeURIComponent(document)}`,
+                { headers: this.getSyncHeaders(), credentials: 'same-origin' });
+            if (response.status === 403) {
+                this.requireSyncAccount();
+            }
+            if (!response.ok) return;
+
+            const records = (await response.json()).records
+                .filter(record => record.document === document || record.kind === 'prefs')
+                .sort((a, b) => a.updated - b.updated);
+            records.forEach(record => this.applySyncRecord(record));
+
+            const kinds = document ? ['prefs', 'position', 'annotations'] : ['prefs'];
+            for (const kind of kinds) {
+                const local = this.getSyncState(kind);
+                const remote = Math.max(0, ...records
+                    .filter(record => record.kind === kind || (kind === 'position' && record.kind === 'koreader'))
+                    .map(record => record.updated));
+
+                if (local && (local.updated > remote || remote === 0)) {
+                    this.queueSync(kind, kind === 'prefs' ? '' : document, local.updated || Date.now(), local.data);
+                }
+            }
+        } catch (e) {
+            console.warn('Could not load reading sync records:', e);
+        }
+    }
+
+    // Local record with its change time, a queued change counts as local
+    getSyncState(kind) {
+        const document = kind === 'prefs' ? '' : this.syncDocument;
+        const pending = this.loadSyncQueue().find(change => change.kind === kind && change.document === document);
+        if (pending) return pending;
+
+        if (kind === 'prefs') {
+            try {
+                const { updated, ...prefs } = JSON.parse(localStorage.getItem('reader-prefs') || '{}');
+                return Object.keys(prefs).length > 0 ? { updated: updated || 0, data: prefs } : null;
+            } catch (e) {
+                return null;
+            }
+        }
+
+        if (!this.bookKey || document === null) return null;
+
+        if (kind === 'position') {
+            const position = this.loadPosition();
+            return position ? { updated: position.updated || 0, data: this.getSyncPosition(position) } : null;
+        }
+
+        const stored = this.loadStoredAnnotations()[this.bookKey];
+        if (!stored) return null;
+
+        const updated = stored.updated || Math.max(0, ...stored.items.map(a => a.updated || a.created || 0));
+        return { updated, data: { title: stored.title, author: stored.author, items: stored.items } };
+    }
+
+    applySyncRecord(record) {
+        const bookRecord = record.kind !== 'prefs';
+        if (bookRecord && (!this.bookKey || record.document !== this.syncDocument)) return;
+
+        const local = this.getSyncState(record.kind === 'koreader' ? 'position' : record.kind);
+        if (local && local.updated >= record.updated) return;
+
+        let data;
+        try {
+            data = JSON.parse(record.data);
+        } catch (e) {
+            console.warn('Invalid reading sync record:', e);
+            return;
+        }
+
+        switch (record.kind) {
+            case 'prefs':
+                this.applySyncedPreferences(data, record.updated);
+                break;
+
+            case 'annotations': {
+                const stored = this.loadStoredAnnotations();
+                if (Array.isArray(data.items) && data.items.length > 0) {
+                    stored[this.bookKey] = { title: data.title, author: data.author, items: data.items, updated: record.updated };
+                } else {
+                    delete stored[this.bookKey];
+                }
+                localStorage.setItem('reader-annotations', JSON.stringify(stored));
+                this.loadAnnotations();
+                this.renderAnnotations();
+                break;
+            }
+
+            case 'position': {
+                const position = { section: data.section, paragraph: data.paragraph, progress: data.progress, updated: record.updated };
+                this.storePosition(position);
+                if (this.positionRestored) {
+                    this.restorePosition(position);
+                    this.showResumeToast(position.progress, this.strings.syncedPosition);
+                }
+                break;
+            }
+
+            case 'koreader': {
+                const progress = Number(data.percentage) * 100;
+                if (this.positionRestored && isFinite(progress)) {
+                    this.goToProgress(progress, record.updated);
+                    this.showResumeToast(progress, this.strings.syncedPosition);
+                }
+                break;
+            }
+        }
+    }
+
+    getSyncPosition(position) {
+        return {
+            section: position.section,
+            paragraph: position.paragraph,
+            progress: position.progress,
+            percentage: (position.progress || 0) / 100,
+            xpointer: this.getXPointer(position.section)
+        };
+    }
+
+    // Section start in KOReader's terms: EPUB spine documents are DocFragments,
+    // FB2 sections are addressed by their place in the main body
+    getXPointer(sectionId) {
+        const fileName = this.currentFile ? this.currentFile.name.toLowerCase() : '';
+        const spineMatch = /^chapter_(\d+)$/.exec(sectionId || '');
+        if (spineMatch && fileName.endsWith('.epub')) {
+            return `/body/DocFragment[${Number(spineMatch[1]) + 1}]/body`;
+        }
+
+        const toc = this.chunkedBook && this.chunkedBook.toc;
+        const path = toc && sectionId ? this.findSectionPath(toc, sectionId) : null;
+        return path ? '/FictionBook/body/' + path.map(index => `section[${index + 1}]`).join('/') : undefined;
+    }
+
+    findSectionPath(items, id) {
+        for (let i = 0; i < items.length; i++) {
+            if (items[i].id === id) return [i];
+
+            const path = this.findSectionPath(items[i].children, id);
+            if (path) return [i, ...path];
+        }
+        return null;
+    }
+
+    bindAnnotationEvents() {
+        document.getElementById('bookmarkButton').onclick = () => this.toggleBookmark();
+        document.getElementById('annotationsButton').onclick = () => this.showAnnotations();
+        document.getElementById('annotationsClose').onclick = () => this.hideAnnotations();
+        document.getElementById('annotationsExport').onclick = () => this.exportAnnotations();
+        document.getElementById('annotationsImport').onclick = () => this.annotationsFileInput.click();
+        this.annotationsFileInput.onchange = (e) => {
+            this.importAnnotations(e.target.files[0]);
+            e.target.value = '';
+        };
+
+        this.annotationsOverlay.onclick = (e) => {
+            if (e.target === this.annotationsOverlay) {
+                this.hideAnnotations();
+            }
+        };
+
+        document.getElementById('noteClose').onclick = () => this.hideNoteEditor();
+        document.getElementById('noteSave').onclick = () => this.saveNote();
+        document.getElementById('noteDelete').onclick = () => {
+            this.removeAnnotation(this.editingAnnotationId);
+            this.hideNoteEditor();
+        };
+        this.noteOverlay.onclick = (e) => {
+            if (e.target === this.noteOverlay) {
+                this.hideNoteEditor();
+            }
+        };
+
+        this.selectionPopup.querySelectorAll('[data-color]').forEach(btn => {
+            btn.onclick = (e) => {
+                e.stopPropagation();
+                this.createHighlight(btn.getAttribute('data-color'));
+            };
+        });
+        document.getElementById('selectionNote').onclick = (e) => {
+            e.stopPropagation();
+            const annotation = this.createHighlight(this.highlightColors[0]);
+            if (annotation) {
+                this.showNoteEditor(annotation.id);
+            }
+        };
+
+        // Keep the popup from clearing the selection before a color is picked
+        this.selectionPopup.onmousedown = (e) => e.preventDefault();
+
+        document.addEventListener('selectionchange', () => {
+            clearTimeout(this.selectionTimer);
+            this.selectionTimer = setTimeout(() => this.updateSelectionPopup(), 200);
+        });
+    }
+
+    loadStoredAnnotations() {
+        try {
+            return JSON.parse(localStorage.getItem('reader-annotations') || '{}');
+        } catch (e) {
+            console.warn('Could not load annotations:', e);
+            return {};
+        }
+    }
+
+    loadAnnotations() {
+        const stored = this.loadStoredAnnotations()[this.bookKey];
+        this.annotations = stored ? stored.items : [];
+        this.renderAnnotationMarks();
+    }
+
+    saveAnnotations() {
+        if (!this.bookKey) return;
+
+        const stored = this.loadStoredAnnotations();
+        const updated = Date.now();
+        if (this.annotations.length > 0) {
+            stored[this.bookKey] = {
+                title: this.bookTitle,
+                author: this.bookAuthor,
+                items: this.annotations,
+                updated: updated
+            };
+        } else {
+            delete stored[this.bookKey];
+        }
+
+        try {
+            localStorage.setItem('reader-annotations', JSON.stringify(stored));
+        } catch (e) {
+            console.warn('Could not save annotations:', e);
+        }
+
+        // Removing the last annotation is sent too, as an empty list
+        this.queueSync('annotations', this.syncDocument, updated,
+            { title: this.bookTitle, author: this.bookAuthor, items: this.annotations });
+    }
+
+    createAnnotationId() {
+        return Date.now().toString(36) + Math.random().toString(36).substring(2, 8);
+    }
+
+    toggleBookmark() {
+        const anchor = this.getPositionAnchor();
+        if (!anchor) return;
+
+        const existing = this.annotations.find(a => a.type === 'bookmark' &&
+            a.start.section === anchor.section && a.start.paragraph === anchor.paragraph);
+
+        if (existing) {
+            this.removeAnnotation(existing.id);
+            return;
+        }
+
+        const block = this.resolveBlock(anchor);
+        this.annotations.push({
+            id: this.createAnnotationId(),
+            type: 'bookmark',
+            start: { section: anchor.section, paragraph: anchor.paragraph, offset: 0 },
+            progress: anchor.progress,
+            text: block ? block.textContent.trim().substring(0, 120) : '',
+            created: Date.now()
+        });
+
+        this.saveAnnotations();
+        this.renderAnnotationMarks();
+    }
+
+    // Converts a DOM point into { section, paragraph, offset } inside its block
+    getTextAnchor(node, offset) {
+        const element = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+        const block = element ? element.closest(this.anchorSelector) : null;
+        if (!block || !this.bookContent.contains(block)) return null;
+
+        const range = document.createRange();
+        range.setStart(block, 0);
+        range.setEnd(node, offset);
+
+        const blocks = this.bookContent.querySelectorAll(this.anchorSelector);
+        const index = Array.prototype.indexOf.call(blocks, block);
+        const anchor = this.getBlockAnchor(block, index, blocks.length);
+
+        return {
+            section: anchor.section,
+            paragraph: anchor.paragraph,
+            offset: range.toString().length,
+            progress: anchor.progress
+        };
+    }
+
+    // Converts { section, paragraph, offset } back into a text node position
+    findTextPosition(anchor) {
+        const block = this.resolveBlock(anchor);
+        if (!block) return null;
+
+        const walker = document.createTreeWalker(block, NodeFilter.SHOW_TEXT);
+        let remaining = anchor.offset;
+        let node;
+        let last = null;
+
+        while ((node = walker.nextNode())) {
+            if (remaining <= node.length) {
+                return { node, offset: remaining };
+            }
+            remaining -= node.length;
+            last = node;
+        }
+
+        return last ? { node: last, offset: last.length } : null;
+    }
+
+    updateSelectionPopup() {
+        const selection = window.getSelection();
+
+        if (selection.isCollapsed || selection.rangeCount === 0 ||
+            !this.bookContent.contains(selection.anchorNode)) {
+            this.selectionPopup.classList.remove('visible');
+            return;
+        }
+
+        const rect = selection.getRangeAt(0).getBoundingClientRect();
+        const popupWidth = this.selectionPopup.offsetWidth || 200;
+        const left = Math.max(8, Math.min(window.innerWidth - popupWidth - 8, rect.left + rect.width / 2 - popupWidth / 2));
+        const top = rect.top > 60 ? rect.top - 50 : rect.bottom + 10;
+
+        this.selectionPopup.style.left = left + 'px';
+        this.selectionPopup.style.top = top + 'px';
+        this.selectionPopup.classList.add('visible');
+    }
+
+    createHighlight(color) {
+        const selection = window.getSelection();
+        if (selection.isCollapsed || selection.rangeCount === 0) return null;
+
+        const range = selection.getRangeAt(0);
+        const start = this.getTextAnchor(range.startContainer, range.startOffset);
+        const end = this.getTextAnchor(range.endContainer, range.endOffset);
+
+        if (!start || !end) return null;
+
+        const annotation = {
+            id: this.createAnnotationId(),
+            type: 'highlight',
+            color: color,
+            start: { section: start.section, paragraph: start.paragraph, offset: start.offset },
+            end: { section: end.section, paragraph: end.paragraph, offset: end.offset },
+            progress: start.progress,
+            text: range.toString().trim().substring(0, 500),
+            note: '',
+            created: Date.now()
+        };
+
+        this.annotations.push(annotation);
+        this.saveAnnotations();
+        this.wrapAnnotation(annotation);
+
+        selection.removeAllRanges();
+        this.selectionPopup.classList.remove('visible');
+
+        return annotation;
+    }
+
+    removeAnnotation(id) {
+        this.annotations = this.annotations.filter(a => a.id !== id);
+        this.saveAnnotations();
+        this.renderAnnotationMarks();
+
+        if (this.annotationsOverlay.classList.contains('visible')) {
+            this.renderAnnotations();
+        }
+    }
+
+    renderAnnotationMarks() {
+        // Unwrap previous highlights
+        this.bookContent.querySelectorAll('mark.annotation-mark').forEach(mark => {
+            const parent = mark.parentNode;
+            while (mark.firstChild) {
+                parent.insertBefore(mark.firstChild, mark);
+            }
+            parent.removeChild(mark);
+            parent.normalize();
+        });
+        this.bookContent.querySelectorAll('.bookmarked').forEach(el => el.classList.remove('bookmarked'));
+        this.resetSearchIndexes();
+
+        for (const annotation of this.annotations) {
+            if (annotation.type === 'bookmark') {
+                const block = this.resolveBlock(annotation.start);
+                if (block) {
+                    block.classList.add('bookmarked');
+                }
+            } else {
+                this.wrapAnnotation(annotation);
+            }
+        }
+    }
+
+    // Wraps every text node inside the annotation range with a <mark>
+    wrapAnnotation(annotation) {
+        const start = this.findTextPosition(annotation.start);
+        const end = this.findTextPosition(annotation.end);
+        if (!start || !end) return;
+
+        const range = document.createRange();
+        try {
+            range.setStart(start.node, start.offset);
+            range.setEnd(end.node, end.offset);
+        } catch (e) {
+            console.warn('Could not restore annotation range:', annotation.id);
+            return;
+        }
+
+        const root = range.commonAncestorContainer.nodeType === Node.TEXT_NODE ?
+            range.commonAncestorContainer.parentNode : range.commonAncestorContainer;
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+
+        // Collect segments first: splitting text nodes mutates the live range
+        const segments = [];
+        let node;
+        while ((node = walker.nextNode())) {
+            if (!range.intersectsNode(node)) continue;
+            const from = node === range.startContainer ? range.startOffset : 0;
+            const to = node === range.endContainer ? range.endOffset : node.length;
+            if (to > from && node.data.substring(from, to).trim()) {
+                segments.push({ node, from, to });
+            }
+        }
+
+        for (const segment of segments) {
+            let target = segment.node;
+            if (segment.to < target.length) {
+                target.splitText(segment.to);
+            }
+            if (segment.from > 0) {
+                target = target.splitText(segment.from);
+            }
+
+            const mark = document.createElement('mark');
+            mark.className = `annotation-mark hl-${annotation.color}${annotation.note ? ' has-note' : ''}`;
+            mark.setAttribute('data-annotation-id', annotation.id);
+            target.parentNode.insertBefore(mark, target);
+            mark.appendChild(target);
+        }
+
+        this.resetSearchIndexes();
+    }
+
+    showAnnotations() {
+        this.annotationsOverlay.classList.add('visible');
+        this.renderAnnotations();
+
+        if (this.menuVisible) {
+            this.toggleMenu();
+        }
+    }
+
+    hideAnnotations() {
+        this.annotationsOverlay.classList.remove('visible');
+    }
+
+    renderAnnotations() {
+        this.annotationsContent.innerHTML = '';
+
+        if (this.annotations.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'toc-empty';
+            empty.textContent = this.strings.noAnnotations;
+            this.annotationsContent.appendChild(empty);
+            return;
+        }
+
+        const sorted = [...this.annotations].sort((a, b) => (a.progress || 0) - (b.progress || 0));
+
+        for (const annotation of sorted) {
+            const item = document.createElement('div');
+            item.className = `toc-item annotation-item annotation-${annotation.type}`;
+
+            const icon = document.createElement('span');
+            icon.className = annotation.type === 'bookmark' ? 'annotation-icon' : `annotation-icon hl-${annotation.color}`;
+            icon.textContent = annotation.type === 'bookmark' ? '🔖' : '';
+            item.appendChild(icon);
+
+            const body = document.createElement('div');
+            body.className = 'annotation-body';
+
+            const quote = document.createElement('div');
+            quote.className = 'annotation-text';
+            quote.textContent = annotation.text || this.strings.bookmark;
+            body.appendChild(quote);
+
+            if (annotation.note) {
+                const note = document.createElement('div');
+                note.className = 'annotation-note';
+                note.textContent = annotation.note;
+                body.appendChild(note);
+            }
+
+            const meta = document.createElement('div');
+            meta.className = 'annotation-meta';
+            meta.textContent = `${Math.round(annotation.progress || 0)}% · ${new Date(annotation.created).toLocaleDateString()}`;
+            body.appendChild(meta);
+
+            item.appendChild(body);
+
+            const remove = document.createElement('button');
+            remove.className = 'annotation-delete';
+            remove.textContent = '✕';
+            remove.title = this.strings.delete;
+            remove.onclick = (e) => {
+                e.stopPropagation();
+                this.removeAnnotation(annotation.id);
+            };
+            item.appendChild(remove);
+
+            item.onclick = () => {
+                this.hideAnnotations();
+                this.restorePosition(annotation.start);
+            };
+
+            this.annotationsContent.appendChild(item);
+        }
+    }
+
+    showNoteEditor(id) {
+        const annotation = this.annotations.find(a => a.id === id);
+        if (!annotation) return;
+
+        this.editingAnnotationId = id;
+        this.noteQuote.textContent = annotation.text || '';
+        this.noteText.value = annotation.note || '';
+        this.noteOverlay.classList.add('visible');
+        this.noteText.focus();
+    }
+
+    hideNoteEditor() {
+        this.noteOverlay.classList.remove('visible');
+        this.editingAnnotationId = null;
+    }
+
+    saveNote() {
+        const annotation = this.annotations.find(a => a.id === this.editingAnnotationId);
+        if (annotation) {
+            annotation.note = this.noteText.value.trim();
+            annotation.updated = Date.now();
+            this.saveAnnotations();
+            this.renderAnnotationMarks();
+        }
+        this.hideNoteEditor();
+    }
+
+    exportAnnotations() {
+        this.saveAnnotations();
+
+        const data = {
+            format: 'tinyopds-annotations',
+            version: 1,
+            exported: new Date().toISOString(),
+            books: this.loadStoredAnnotations()
+        };
+
+        this.downloadFile(JSON.stringify(data, null, 2), 'application/json', 'tinyopds-annotations.json');
+    }
+
+    downloadFile(content, type, fileName) {
+        const blob = new Blob([content], { type });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    async importAnnotations(file) {
+        if (!file) return;
+
+        try {
+            const data = JSON.parse(await file.text());
+            if (data.format !== 'tinyopds-annotations' || !data.books) {
+                throw new Error('Unknown file format');
+            }
+
+            // Merge by annotation id, keeping the most recently changed copy
+            const stored = this.loadStoredAnnotations();
+            for (const [key, book] of Object.entries(data.books)) {
+                if (!book || !Array.isArray(book.items)) continue;
+
+                const target = stored[key] || { title: book.title, author: book.author, items: [] };
+                const byId = new Map(target.items.map(a => [a.id, a]));
+                for (const item of book.items) {
+                    const existing = byId.get(item.id);
+                    if (!existing || (item.updated || item.created) > (existing.updated || existing.created)) {
+                        byId.set(item.id, item);
+                    }
+                }
+                target.items = Array.from(byId.values());
+                stored[key] = target;
+            }
+
+            localStorage.setItem('reader-annotations', JSON.stringify(stored));
+            this.loadAnnotations();
+            if (this.bookKey && data.books[this.bookKey]) {
+                this.saveAnnotations();
+            }
+            this.renderAnnotations();
+        } catch (e) {
+            console.error('Error importing annotations:', e);
+            alert(this.strings.importFailed + ': ' + e.message);
+        }
+    }
+
+    bindSearchEvents() {
+        document.getElementById('searchButton').onclick = () => this.showSearch();
+        document.getElementById('searchClose').onclick = () => this.hideSearch();
+        document.getElementById('searchPrev').onclick = () => this.goToSearchResult(this.currentSearchResult - 1);
+        document.getElementById('searchNext').onclick = () => this.goToSearchResult(this.currentSearchResult + 1);
+
+        this.searchInput.oninput = () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.runSearch(this.searchInput.value), 250);
+        };
+
+        this.searchInput.onkeydown = (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.goToSearchResult(this.currentSearchResult + (e.shiftKey ? -1 : 1));
+            }
+        };
+    }
+
+    showSearch() {
+        this.searchPanel.classList.add('visible');
+        this.searchInput.focus();
+        this.searchInput.select();
+
+        if (this.menuVisible) {
+            this.toggleMenu();
+        }
+    }
+
+    hideSearch() {
+        this.searchPanel.classList.remove('visible');
+        this.searchInput.blur();
+        this.clearSearchHighlights();
+    }
+
+    // Case-insensitive, diacritic-insensitive form of the text, folded as a
+    // whole since character by character it takes seconds on a large book.
+    // Й is kept as is (it is a separate letter), Ё folds to Е via NFD and the
+    // final ς to σ
+    normalizeSearchText(text) {
+        return text.toLowerCase()
+            .normalize('NFD')
+            .replace(/\u0438\u0306/g, '\u0439')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/\u03c2/g, '\u03c3');
+    }
+
+    // Normalized text with a map from every normalized character back to its
+    // offset in the original one; most texts keep their length and need no map
+    foldSearchText(original) {
+        const normalized = this.normalizeSearchText(original);
+        if (normalized.length === original.length) {
+            return { normalized, map: null };
+        }
+
+        let folded = '';
+        const map = [];
+        let offset = 0;
+        for (const ch of original) {
+            const part = this.normalizeSearchText(ch);
+            for (let i = 0; i < part.length; i++) {
+                map.push(offset);
+            }
+            folded += part;
+            offset += ch.length;
+        }
+        map.push(offset);
+
+        return { normalized: folded, map: Int32Array.from(map) };
+    }
+
+    // Text nodes under the root and where each starts in their joined text;
+    // chunks inside the root are left to their own indexes
+    collectSearchNodes(root) {
+        const nodes = [];
+        const nodeStarts = [];
+        let original = '';
+
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+            acceptNode: node => node.nodeType === Node.TEXT_NODE ? NodeFilter.FILTER_ACCEPT :
+                node.classList.contains('book-chunk') ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_SKIP
+        });
+        let node;
+        while ((node = walker.nextNode())) {
+            nodes.push(node);
+            nodeStarts.push(original.length);
+            original += node.data;
+        }
+
+        return { nodes, nodeStarts, original };
+    }
+
+    // Searchable text of a chunk, or of everything outside chunks for key -1:
+    // the rendered text when the chunk is on the page, otherwise its fetched
+    // content or FB2 source, so a search never converts and lays out the whole
+    // book. Null for chunks that have not arrived
+    getSearchIndex(key) {
+        let index = this.searchIndexes.get(key);
+        if (index) return index;
+
+        const chunk = key >= 0 ? this.bookChunks[key] : null;
+        if (!chunk) {
+            index = this.collectSearchNodes(this.bookContent);
+        } else if (chunk.rendered) {
+            index = this.collectSearchNodes(chunk.element);
+        } else if (chunk.content) {
+            index = this.collectSearchNodes(chunk.content);
+        } else if (chunk.xml) {
+            index = this.formatConverter.getFB2ChunkText(chunk);
+        } else {
+            return null;
+        }
+
+        index.rendered = !chunk || chunk.rendered;
+        index.matches = null;
+        Object.assign(index, this.foldSearchText(index.original));
+        this.searchIndexes.set(key, index);
+        return index;
+    }
+
+    // Indexes of rendered text go stale when its nodes change
+    resetSearchIndexes(keys) {
+        for (const [key, index] of this.searchIndexes) {
+            if (keys ? keys.includes(key) : index.rendered) {
+                this.searchIndexes.delete(key);
+            }
+        }
+    }
+
+    // Normalized offsets of every match of the needle, kept for the last needle
+    findSearchMatches(index, needle) {
+        if (!index.matches || index.matches.needle !== needle) {
+            const positions = [];
+            let from = 0;
+            let position;
+            while ((position = index.normalized.indexOf(needle, from)) !== -1) {
+                positions.push(position);
+                from = position + needle.length;
+            }
+            index.matches = { needle, positions };
+        }
+        return index.matches.positions;
+    }
+
+    toOriginalOffset(index, position) {
+        return index.map ? index.map[position] : position;
+    }
+
+    // Text offset to { node, offset } via binary search over node starts
+    resolveSearchOffset(index, offset) {
+        const { nodes, nodeStarts } = index;
+        let low = 0;
+        let high = nodeStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (nodeStarts[mid] <= offset) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return { node: nodes[low], offset: Math.min(offset - nodeStarts[low], nodes[low].length) };
+    }
+
+    // Range of a result on the page, found again by its number among the
+    // matches of its chunk; null while the chunk is not rendered
+    createSearchRange(result) {
+        const chunk = this.bookChunks[result.chunk];
+        if (chunk && !chunk.rendered) return null;
+
+        const index = this.getSearchIndex(result.chunk);
+        const positions = this.findSearchMatches(index, this.searchNeedle);
+        if (positions.length === 0) return null;
+
+        const position = positions[Math.min(result.occurrence, positions.length - 1)];
+        const start = this.resolveSearchOffset(index, this.toOriginalOffset(index, position));
+        const end = this.resolveSearchOffset(index, this.toOriginalOffset(index, position + this.searchNeedle.length));
+        const range = document.createRange();
+        range.setStart(start.node, start.offset);
+        range.setEnd(end.node, end.offset);
+        return range;
+    }
+
+    getChapterTitle(node, titles, fallback) {
+        const element = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+        let section = element ? element.closest('.section[id]') : null;
+
+        while (section) {
+            if (titles.has(section.id)) {
+                return titles.get(section.id);
+            }
+            section = section.parentElement ? section.parentElement.closest('.section[id]') : null;
+        }
+        return fallback;
+    }
+
+    // Title of the chapter a chunk of the main text starts in: the last
+    // contents entry of the chunks before it
+    getChunkTitle(key, chapters) {
+        let title = this.bookTitle;
+        if (key < 0 || this.bookChunks[key].body > 0) return title;
+
+        for (const chapter of chapters) {
+            if (this.findChunk(chapter.id) >= key) break;
+            title = chapter.title;
+        }
+        return title;
+    }
+
+    // Chapter of a match: the section around it on the page, or the last
+    // section starting before it in the FB2 source
+    getSearchResultTitle(index, offset, titles, fallback) {
+        if (index.nodes) {
+            return index.nodes.length > 0
+                ? this.getChapterTitle(this.resolveSearchOffset(index, offset).node, titles, fallback)
+                : fallback;
+        }
+
+        let title = fallback;
+        for (const section of index.sections) {
+            if (section.at > offset) break;
+            if (titles.has(section.id)) {
+                title = titles.get(section.id);
+            }
+        }
+        return title;
+    }
+
+    runSearch(query) {
+        this.clearSearchHighlights();
+        this.searchResults = [];
+        this.currentSearchResult = -1;
+        this.searchResultsEl.innerHTML = '';
+
+        const needle = this.normalizeSearchText(query.trim());
+        if (needle.length < 2) {
+            this.searchCount.textContent = '';
+            return;
+        }
+
+        // Books read in parts have their chunks fetched first; nothing is rendered
+        const book = this.chunkedBook;
+        const unloaded = this.bookChunks
+            .map((chunk, index) => index)
+            .filter(index => !this.bookChunks[index].rendered && !this.bookChunks[index].error && !this.isChunkLoaded(index));
+        if (unloaded.length > 0) {
+            this.searchCount.textContent = this.strings.loading;
+            this.loadChunks(unloaded).then(() => {
+                if (this.chunkedBook === book) {
+                    this.runSearch(this.searchInput.value);
+                }
+            });
+            return;
+        }
+
+        this.searchNeedle = needle;
+        const chapters = this.flattenChapters(this.chapters);
+        const titles = new Map(chapters.map(c => [c.id, c.title]));
+        const fragment = document.createDocumentFragment();
+        const keys = [-1, ...this.bookChunks.map((chunk, index) => index)];
+
+        for (const key of keys) {
+            if (this.searchResults.length >= this.maxSearchResults) break;
+
+            const index = this.getSearchIndex(key);
+            if (!index) continue;
+
+            const positions = this.findSearchMatches(index, needle);
+            if (positions.length === 0) continue;
+
+            const { original } = index;
+            const fallback = this.getChunkTitle(key, chapters);
+            for (let occurrence = 0; occurrence < positions.length && this.searchResults.length < this.maxSearchResults; occurrence++) {
+                const start = this.toOriginalOffset(index, positions[occurrence]);
+                const end = this.toOriginalOffset(index, positions[occurrence] + needle.length);
+                const resultIndex = this.searchResults.length;
+                this.searchResults.push({ chunk: key, occurrence });
+
+                const item = document.createElement('div');
+                item.className = 'search-result';
+
+                const chapter = document.createElement('div');
+                chapter.className = 'search-result-chapter';
+                chapter.textContent = this.getSearchResultTitle(index, start, titles, fallback);
+                item.appendChild(chapter);
+
+                const snippetStart = Math.max(0, start - 40);
+                const snippetEnd = Math.min(original.length, end + 40);
+                const snippet = document.createElement('div');
+                snippet.className = 'search-result-snippet';
+                snippet.appendChild(document.createTextNode((snippetStart > 0 ? '…' : '') +
+                    original.substring(snippetStart, start).replace(/\s+/g, ' ')));
+                const hit = document.createElement('b');
+                hit.textContent = original.substring(start, end);
+                snippet.appendChild(hit);
+                snippet.appendChild(document.createTextNode(original.substring(end, snippetEnd).replace(/\s+/g, ' ') +
+                    (snippetEnd < original.length ? '…' : '')));
+                item.appendChild(snippet);
+
+                item.onclick = () => this.goToSearchResult(resultIndex);
+                fragment.appendChild(item);
+            }
+        }
+
+        if (this.searchResults.length === 0) {
+            this.searchCount.textContent = this.strings.searchNoResults;
+            return;
+        }
+
+        this.searchResultsEl.appendChild(fragment);
+        this.updateSearchHighlights();
+        this.updateSearchCount();
+    }
+
+    supportsHighlights() {
+        return typeof CSS !== 'undefined' && CSS.highlights && typeof Highlight !== 'undefined';
+    }
+
+    // Highlights the matches on rendered text without touching the DOM where
+    // supported; the others get theirs when their chunk is rendered
+    updateSearchHighlights() {
+        if (!this.supportsHighlights() || this.searchResults.length === 0) return;
+
+        const ranges = this.searchResults.map(result => this.createSearchRange(result)).filter(range => range);
+        CSS.highlights.set('search-results', new Highlight(...ranges));
+    }
+
+    goToSearchResult(index) {
+        const count = this.searchResults.length;
+        if (count === 0) return;
+
+        this.currentSearchResult = (index + count) % count;
+        const result = this.searchResults[this.currentSearchResult];
+
+        // Only the chunk of the match is rendered to find it on the page
+        const chunk = this.bookChunks[result.chunk];
+        if (chunk) {
+            if (this.waitForChunk(result.chunk, () => this.goToSearchResult(this.currentSearchResult))) return;
+            this.renderChunks([result.chunk]);
+        }
+
+        const range = this.createSearchRange(result);
+        const target = range || (chunk ? chunk.element : null);
+
+        if (target) {
+            if (this.readingMode === 'paginated') {
+                this.goToPage(this.getElementPage(target));
+            } else {
+                const rect = target.getBoundingClientRect();
+                window.scrollTo({ top: Math.max(0, rect.top + window.scrollY - window.innerHeight / 3), behavior: 'auto' });
+            }
+        }
+
+        // Without a range the rendered chunk no longer has the match its source had
+        if (this.supportsHighlights()) {
+            if (range) {
+                CSS.highlights.set('search-current', new Highlight(range));
+            } else {
+                CSS.highlights.delete('search-current');
+            }
+        } else if (range) {
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+        }
+
+        Array.from(this.searchResultsEl.children).forEach((item, i) => {
+            item.classList.toggle('current', i === this.currentSearchResult);
+        });
+        const current = this.searchResultsEl.children[this.currentSearchResult];
+        if (current) {
+            current.scrollIntoView({ block: 'nearest' });
+        }
+
+        this.updateSearchCount();
+    }
+
+    updateSearchCount() {
+        const total = this.searchResults.length + (this.searchResults.length >= this.maxSearchResults ? '+' : '');
+        this.searchCount.textContent = this.strings.searchResultsCount
+            .replace('{0}', this.currentSearchResult + 1)
+            .replace('{1}', total);
+    }
+
+    clearSearchHighlights() {
+        if (this.supportsHighlights()) {
+            CSS.highlights.delete('search-results');
+            CSS.highlights.delete('search-current');
+        }
+    }
+
+    supportsSpeech() {
+        return 'speechSynthesis' in window && typeof SpeechSynthesisUtterance !== 'undefined';
+    }
+
+    bindSpeechEvents() {
+        if (!this.supportsSpeech()) {
+            this.ttsButton.style.display = 'none';
+            return;
+        }
+
+        this.ttsButton.onclick = () => this.showSpeech();
+        this.ttsPlayBtn.onclick = () => this.toggleSpeech();
+        document.getElementById('ttsPrevSentence').onclick = () => this.skipSentence(-1);
+        document.getElementById('ttsNextSentence').onclick = () => this.skipSentence(1);
+        document.getElementById('ttsPrevChapter').onclick = () => this.skipSpeechChapter(-1);
+        document.getElementById('ttsNextChapter').onclick = () => this.skipSpeechChapter(1);
+        document.getElementById('ttsClose').onclick = () => this.hideSpeech();
+
+        this.ttsRateSelect.innerHTML = this.ttsRates
+            .map(rate => `<option value="${rate}">${rate}×</option>`)
+            .join('');
+        this.ttsRateSelect.onchange = () => {
+            this.ttsRate = parseFloat(this.ttsRateSelect.value) || 1;
+            this.savePreferences();
+
+            // The rate of a running utterance can't be changed, restart the sentence
+            if (this.ttsPlaying) {
+                this.speakSentence();
+            }
+        };
+
+        this.ttsSleepSelect.onchange = () => this.setSleepTimer(this.ttsSleepSelect.value);
+
+        // Voices are loaded asynchronously in Chrome
+        speechSynthesis.addEventListener('voiceschanged', () => {
+            this.ttsVoices.clear();
+        });
+    }
+
+    showSpeech() {
+        this.ttsPanel.classList.add('visible');
+
+        if (this.menuVisible) {
+            this.toggleMenu();
+        }
+
+        this.startSpeech();
+    }
+
+    hideSpeech() {
+        this.pauseSpeech();
+        this.setSleepTimer('off');
+        this.clearSpeechHighlight();
+        this.ttsBlockIndex = -1;
+        this.ttsPanel.classList.remove('visible');
+    }
+
+    toggleSpeech() {
+        if (this.ttsPlaying) {
+            this.pauseSpeech();
+        } else {
+            this.startSpeech();
+        }
+    }
+
+    // Continues from the current sentence while it is on screen, otherwise starts
+    // at the first visible block, which after a reload is the saved position
+    startSpeech() {
+        if (this.ttsBlocks.length === 0) {
+            this.collectSpeechBlocks();
+            if (this.ttsBlocks.length === 0) return;
+        }
+
+        const current = this.ttsBlocks[this.ttsBlockIndex];
+        if (!current || !this.isBlockOnScreen(current)) {
+            this.loadSpeechBlock(this.findFirstVisibleBlock(this.ttsBlocks), 1);
+        }
+
+        this.ttsPlaying = true;
+        this.updateSpeechButton();
+        this.speakSentence();
+    }
+
+    pauseSpeech() {
+        this.ttsPlaying = false;
+        this.ttsUtteranceId++;
+        if (this.supportsSpeech()) {
+            speechSynthesis.cancel();
+        }
+        this.updateSpeechButton();
+    }
+
+    updateSpeechButton() {
+        this.ttsPlayBtn.textContent = this.ttsPlaying ? '⏸' : '▶';
+    }
+
+    isBlockOnScreen(block) {
+        if (this.readingMode === 'paginated') {
+            return this.getElementPage(block) === this.currentPage;
+        }
+        const rect = block.getBoundingClientRect();
+        return rect.bottom > 0 && rect.top < window.innerHeight;
+    }
+
+    // Innermost text blocks outside of notes, tagged with their chapters for
+    // chapter skipping and the sleep timer
+    collectSpeechBlocks() {
+        this.ttsBlocks = Array.from(this.bookContent.querySelectorAll(this.ttsSelector))
+            .filter(block => !block.querySelector(this.ttsSelector) &&
+                !block.closest('.notes-body, aside, .title-page') &&
+                block.textContent.trim() !== '');
+
+        this.ttsChapterOf = this.getBlockChapters(this.ttsBlocks);
+        this.ttsBlockIndex = -1;
+    }
+
+    // Index of the last TOC entry at or before each block (-1 before the first one);
+    // TOC targets may be anchors inside a chapter rather than its container
+    getBlockChapters(blocks) {
+        const targets = this.flattenChapters(this.chapters)
+            .map(chapter => this.getChapterElement(chapter.id))
+            .filter(Boolean);
+
+        let chapter = -1;
+        return Array.from(blocks, block => {
+            while (chapter + 1 < targets.length &&
+                (targets[chapter + 1] === block ||
+                    targets[chapter + 1].compareDocumentPosition(block) & Node.DOCUMENT_POSITION_FOLLOWING)) {
+                chapter++;
+            }
+            return chapter;
+        });
+    }
+
+    // Text nodes of a block without note reference markers and ruby annotations
+    getSpeechTextNodes(block) {
+        const walker = document.createTreeWalker(block, NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => node.parentElement.closest('a.noteref, a[data-epub-type~="noteref"], rt')
+                ? NodeFilter.FILTER_REJECT
+                : NodeFilter.FILTER_ACCEPT
+        });
+
+        const nodes = [];
+        let node;
+        while ((node = walker.nextNode())) {
+            nodes.push(node);
+        }
+        return nodes;
+    }
+
+    splitSentences(text, language) {
+        const sentences = [];
+        const add = (start, end) => {
+            const segment = text.substring(start, end);
+            const leading = segment.length - segment.trimStart().length;
+            const trimmed = segment.trim();
+            if (/[\p{L}\p{N}]/u.test(trimmed)) {
+                sentences.push({ start: start + leading, end: start + leading + trimmed.length, text: trimmed });
+            }
+        };
+
+        if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+            const segmenter = new Intl.Segmenter(language || this.detectedLanguage, { granularity: 'sentence' });
+            for (const segment of segmenter.segment(text)) {
+                add(segment.index, segment.index + segment.segment.length);
+            }
+            return sentences;
+        }
+
+        const pattern = /[^.!?…]+(?:[.!?…]+["'»”’)\]]*|$)/g;
+        let match;
+        while ((match = pattern.exec(text))) {
+            add(match.index, match.index + match[0].length);
+        }
+        return sentences;
+    }
+
+    // Moves to the next block with speakable text in the given direction
+    loadSpeechBlock(index, direction) {
+        for (;;) {
+            // Past the rendered text reading continues into the next chunk
+            if (index < 0 || index >= this.ttsBlocks.length) {
+                const edge = this.ttsBlocks[index < 0 ? 0 : this.ttsBlocks.length - 1];
+                if (!edge || !this.renderNextChunk(edge, direction)) {
+                    return false;
+                }
+                index = this.ttsBlocks.indexOf(edge) + direction;
+                continue;
+            }
+
+            const text = this.getSpeechTextNodes(this.ttsBlocks[index]).map(node => node.data).join('');
+            const language = this.getTextLanguage(this.ttsBlocks[index]);
+            const sentences = this.splitSentences(text, language);
+            if (sentences.length > 0) {
+                this.ttsBlockIndex = index;
+                this.ttsLanguage = language;
+                this.ttsSentences = sentences;
+                this.ttsSentenceIndex = direction < 0 ? sentences.length - 1 : 0;
+                return true;
+            }
+            index += direction;
+        }
+    }
+
+    // Voice for a language, chosen once per language; sections in another
+    // language than the book are read with a voice of their own
+    getSpeechVoice(language) {
+        if (this.ttsVoices.has(language)) {
+            return this.ttsVoices.get(language);
+        }
+
+        const voices = speechSynthesis.getVoices()
+            .filter(voice => voice.lang.toLowerCase().replace('_', '-').split('-')[0] === language);
+
+        const voice = voices.find(voice => voice.default) ||
+            voices.find(voice => voice.localService) ||
+            voices[0] || null;
+        if (voices.length > 0) {
+            this.ttsVoices.set(language, voice);
+        }
+        return voice;
+    }
+
+    speakSentence() {
+        const sentence = this.ttsSentences[this.ttsSentenceIndex];
+        if (!sentence) return;
+
+        const id = ++this.ttsUtteranceId;
+        speechSynthesis.cancel();
+
+        const utterance = new SpeechSynthesisUtterance(sentence.text);
+        utterance.lang = this.ttsLanguage;
+        utterance.rate = this.ttsRate;
+        const voice = this.getSpeechVoice(this.ttsLanguage);
+        if (voice) {
+            utterance.voice = voice;
+        }
+
+        utterance.onend = () => {
+            if (id === this.ttsUtteranceId && this.ttsPlaying) {
+                this.advanceSpeech();
+            }
+        };
+        utterance.onerror = (e) => {
+            if (id === this.ttsUtteranceId && e.error !== 'interrupted' && e.error !== 'canceled') {
+                console.warn('Speech synthesis error:', e.error);
+                this.pauseSpeech();
+            }
+        };
+
+        this.highlightSentence();
+        speechSynthesis.speak(utterance);
+    }
+
+    advanceSpeech() {
+        if (this.ttsSentenceIndex + 1 < this.ttsSentences.length) {
+            this.ttsSentenceIndex++;
+            this.speakSentence();
+            return;
+        }
+
+        const chapter = this.ttsChapterOf[this.ttsBlockIndex];
+        if (!this.loadSpeechBlock(this.ttsBlockIndex + 1, 1)) {
+            this.pauseSpeech();
+            return;
+        }
+
+        if (this.ttsSleepAtChapterEnd && this.ttsChapterOf[this.ttsBlockIndex] !== chapter) {
+            this.setSleepTimer('off');
+            this.pauseSpeech();
+            this.highlightSentence();
+            return;
+        }
+
+        this.speakSentence();
+    }
+
+    skipSentence(direction) {
+        if (this.ttsBlockIndex < 0) return;
+
+        const index = this.ttsSentenceIndex + direction;
+        if (index >= 0 && index < this.ttsSentences.length) {
+            this.ttsSentenceIndex = index;
+        } else if (!this.loadSpeechBlock(this.ttsBlockIndex + direction, direction)) {
+            return;
+        }
+        this.continueSpeech();
+    }
+
+    // Forward goes to the next chapter; back goes to the start of the current
+    // chapter, or to the previous one when already at its start
+    skipSpeechChapter(direction) {
+        if (this.ttsBlockIndex < 0) return;
+
+        const current = this.ttsChapterOf[this.ttsBlockIndex];
+        let chapterStart = this.ttsChapterOf.indexOf(current);
+        let target;
+
+        // The chapter boundary may lie in a chunk that is not rendered yet
+        if (direction > 0) {
+            target = this.ttsChapterOf.findIndex(chapter => chapter > current);
+            while (target < 0 && this.renderNextChunk(this.ttsBlocks[this.ttsBlocks.length - 1], 1)) {
+                target = this.ttsChapterOf.findIndex(chapter => chapter > current);
+            }
+        } else if (this.ttsBlockIndex > chapterStart || this.ttsSentenceIndex > 0) {
+            while (chapterStart === 0 && this.renderNextChunk(this.ttsBlocks[0], -1)) {
+                chapterStart = this.ttsChapterOf.indexOf(current);
+            }
+            target = chapterStart;
+        } else {
+            target = chapterStart > 0 ? this.ttsChapterOf.indexOf(this.ttsChapterOf[chapterStart - 1]) : 0;
+        }
+
+        if (target < 0 || !this.loadSpeechBlock(target, 1)) return;
+        this.continueSpeech();
+    }
+
+    continueSpeech() {
+        if (this.ttsPlaying) {
+            this.speakSentence();
+        } else {
+            this.highlightSentence();
+        }
+    }
+
+    getSentenceRange() {
+        const block = this.ttsBlocks[this.ttsBlockIndex];
+        const sentence = this.ttsSentences[this.ttsSentenceIndex];
+        if (!block || !sentence) return null;
+
+        // Text nodes are looked up again each time, annotation marks may have split them
+        const range = document.createRange();
+        let offset = 0;
+        let started = false;
+        for (const node of this.getSpeechTextNodes(block)) {
+            const end = offset + node.length;
+            if (!started && sentence.start < end) {
+                range.setStart(node, sentence.start - offset);
+                started = true;
+            }
+            if (started && sentence.end <= end) {
+                range.setEnd(node, sentence.end - offset);
+                return range;
+            }
+            offset = end;
+        }
+        return started ? range : null;
+    }
+
+    // Highlights the sentence and keeps it in view above the controls
+    highlightSentence() {
+        this.clearSpeechHighlight();
+
+        const block = this.ttsBlocks[this.ttsBlockIndex];
+        const range = this.getSentenceRange();
+        if (!block || !range) return;
+
+        if (this.supportsHighlights()) {
+            CSS.highlights.set('tts-sentence', new Highlight(range));
+        } else {
+            block.classList.add('tts-current');
+        }
+
+        if (this.readingMode === 'paginated') {
+            const page = this.getElementPage(range);
+            if (page !== this.currentPage) {
+                this.goToPage(page);
+            }
+            return;
+        }
+
+        const rect = range.getBoundingClientRect();
+        const bottomLimit = window.innerHeight - this.ttsPanel.offsetHeight - 20;
+        if (rect.top < 20 || rect.bottom > bottomLimit) {
+            window.scrollTo({ top: Math.max(0, rect.top + window.scrollY - window.innerHeight / 3), behavior: 'smooth' });
+        }
+    }
+
+    clearSpeechHighlight() {
+        if (this.supportsHighlights()) {
+            CSS.highlights.delete('tts-sentence');
+        }
+        this.bookContent.querySelectorAll('.tts-current').forEach(block => block.classList.remove('tts-current'));
+    }
+
+    // 'off', a number of minutes or 'chapter' to stop when the chapter ends
+    setSleepTimer(value) {
+        clearTimeout(this.ttsSleepTimer);
+        this.ttsSleepTimer = null;
+        this.ttsSleepAtChapterEnd = value === 'chapter';
+
+        const minutes = parseInt(value, 10);
+        if (minutes > 0) {
+            this.ttsSleepTimer = setTimeout(() => {
+                this.setSleepTimer('off');
+                this.pauseSpeech();
+            }, minutes * 60000);
+        }
+
+        this.ttsSleepSelect.value = value;
+    }
+
+    bindStatsEvents() {
+        document.getElementById('statsButton').onclick = () => this.showStats();
+        document.getElementById('statsClose').onclick = () => this.hideStats();
+        document.getElementById('statsExportCsv').onclick = () => this.exportStats('csv');
+        document.getElementById('statsExportJson').onclick = () => this.exportStats('json');
+
+        this.statsOverlay.onclick = (e) => {
+            if (e.target === this.statsOverlay) {
+                this.hideStats();
+            }
+        };
+
+        // Time only counts while the reader is being used (or read aloud)
+        const markActivity = () => {
+            this.statsLastActivity = Date.now();
+        };
+        ['scroll', 'keydown', 'pointerdown', 'wheel', 'touchstart'].forEach(type => {
+            window.addEventListener(type, markActivity, { passive: true });
+        });
+
+        setInterval(() => this.recordReadingTime(), this.statsTickInterval);
+    }
+
+    loadStats() {
+        try {
+            const stats = JSON.parse(localStorage.getItem('reader-stats') || '{}');
+            return { wpm: 0, days: {}, books: {}, ...stats };
+        } catch (e) {
+            console.warn('Could not load reading statistics:', e);
+            return { wpm: 0, days: {}, books: {} };
+        }
+    }
+
+    saveStats(stats) {
+        try {
+            localStorage.setItem('reader-stats', JSON.stringify(stats));
+        } catch (e) {
+            console.warn('Could not save reading statistics:', e);
+        }
+    }
+
+    getBookStats(stats) {
+        const book = stats.books[this.bookKey] || (stats.books[this.bookKey] = {
+            seconds: 0,
+            words: 0,
+            wpm: 0,
+            started: Date.now(),
+            finished: null
+        });
+        book.title = this.bookTitle;
+        book.author = this.bookAuthor;
+        book.lastRead = Date.now();
+        return book;
+    }
+
+    // Local calendar day, so the daily totals match the reader's own days
+    getDateKey(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    // Word counts of the same blocks the reading position is anchored to
+    indexBookWords() {
+        this.indexStatsBlocks();
+        this.statsLastWord = null;
+        this.statsPendingWords = 0;
+        this.statsSample = { seconds: 0, words: 0 };
+    }
+
+    // Word offset of every rendered block from the start of the book; blocks of
+    // a chunk start at the words of the chunks before it, so offsets stay valid
+    // as more chunks are rendered
+    indexStatsBlocks() {
+        const chunked = this.bookChunks.length > 0;
+        this.statsBlocks = Array.from(this.bookContent.querySelectorAll(this.anchorSelector));
+        this.statsWordOffsets = new Int32Array(this.statsBlocks.length + 1);
+
+        let words = 0;
+        let owner = null;
+        this.statsBlocks.forEach((block, index) => {
+            const chunk = chunked ? block.closest('.book-chunk') : null;
+            if (chunk && chunk !== owner) {
+                owner = chunk;
+                words = this.bookChunks[chunk.dataset.chunk].wordOffset;
+            }
+
+            this.statsWordOffsets[index] = words;
+            if ((chunk || !chunked) && !block.closest('.notes-body')) {
+                words += (block.textContent.match(/[\p{L}\p{N}]+/gu) || []).length;
+            }
+        });
+        this.statsWordOffsets[this.statsBlocks.length] = chunked ? this.bookWordCount : words;
+
+        this.statsBlockChapters = this.getBlockChapters(this.statsBlocks);
+    }
+
+    // Where the words of the block's chunk end; a chapter never runs past it
+    getStatsChunkEnd(index) {
+        const offsets = this.statsWordOffsets;
+        const owner = this.bookChunks.length > 0 ? this.statsBlocks[index].closest('.book-chunk') : null;
+        if (!owner) return offsets[offsets.length - 1];
+
+        const chunk = this.bookChunks[owner.dataset.chunk];
+        return chunk.wordOffset + chunk.words;
+    }
+
+    getCurrentStatsBlock() {
+        return this.statsBlocks.length > 0 ? this.findFirstVisibleBlock(this.statsBlocks) : -1;
+    }
+
+    // Counts words passed while moving forward; jumps (TOC, search, links) are not reading
+    trackReadingPosition() {
+        const index = this.getCurrentStatsBlock();
+        if (index < 0 || !this.bookKey) return;
+
+        const word = this.statsWordOffsets[index];
+        if (this.statsLastWord !== null) {
+            const delta = word - this.statsLastWord;
+            if (delta > 0 && delta <= this.statsMaxWordJump) {
+                this.statsPendingWords += delta;
+            }
+        }
+        this.statsLastWord = word;
+
+        if (index === this.statsBlocks.length - 1 && this.bookChunks.every(chunk => chunk.rendered)) {
+            const stats = this.loadStats();
+            const book = this.getBookStats(stats);
+            if (!book.finished) {
+                book.finished = Date.now();
+                this.saveStats(stats);
+            }
+        }
+
+        this.updateTimeLeft();
+    }
+
+    // Adds the time since the last tick to today and the current book if the
+    // reader was active, and folds words read into the rolling speed
+    recordReadingTime() {
+        const now = Date.now();
+        const elapsed = Math.min(now - this.statsLastTick, this.statsTickInterval);
+        this.statsLastTick = now;
+
+        const active = this.ttsPlaying || now - this.statsLastActivity < this.statsIdleLimit;
+        if (!this.bookKey || !this.positionRestored || !active || elapsed <= 0) return;
+
+        const seconds = elapsed / 1000;
+        const stats = this.loadStats();
+        const book = this.getBookStats(stats);
+        const today = this.getDateKey(new Date());
+
+        stats.days[today] = (stats.days[today] || 0) + seconds;
+        book.seconds += seconds;
+        book.words += this.statsPendingWords;
+
+        this.statsSample.seconds += seconds;
+        this.statsSample.words += this.statsPendingWords;
+        this.statsPendingWords = 0;
+
+        // Two minute samples, implausible ones (skimming, idle page) are dropped
+        if (this.statsSample.seconds >= 120) {
+            const wpm = this.statsSample.words / (this.statsSample.seconds / 60);
+            if (wpm >= 30 && wpm <= 1500) {
+                book.wpm = book.wpm ? book.wpm * 0.7 + wpm * 0.3 : wpm;
+                stats.wpm = stats.wpm ? stats.wpm * 0.8 + wpm * 0.2 : wpm;
+            }
+            this.statsSample = { seconds: 0, words: 0 };
+        }
+
+        this.saveStats(stats);
+        this.updateTimeLeft();
+    }
+
+    getWordsPerMinute() {
+        const stats = this.loadStats();
+        const book = stats.books[this.bookKey];
+        return (book && book.wpm) || stats.wpm || this.defaultWordsPerMinute;
+    }
+
+    formatDuration(minutes) {
+        minutes = Math.max(1, Math.round(minutes));
+        if (minutes < 60) {
+            return this.strings.minutesShort.replace('{0}', minutes);
+        }
+        return this.strings.hoursShort
+            .replace('{0}', Math.floor(minutes / 60))
+            .replace('{1}', minutes % 60);
+    }
+
+    updateTimeLeft() {
+        const index = this.getCurrentStatsBlock();
+        if (index < 0) {
+            this.timeLeftEl.textContent = '';
+            return;
+        }
+
+        const offsets = this.statsWordOffsets;
+        const wpm = this.getWordsPerMinute();
+        const bookLeft = this.formatDuration((offsets[offsets.length - 1] - offsets[index]) / wpm);
+
+        const chapter = this.statsBlockChapters[index];
+        if (chapter < 0) {
+            this.timeLeftEl.textContent = this.strings.timeLeftInBook.replace('{0}', bookLeft);
+            return;
+        }
+
+        let end = index + 1;
+        while (end < this.statsBlocks.length && this.statsBlockChapters[end] === chapter) {
+            end++;
+        }
+        const chapterEnd = Math.min(offsets[end], this.getStatsChunkEnd(index));
+        const chapterLeft = this.formatDuration((chapterEnd - offsets[index]) / wpm);
+        this.timeLeftEl.textContent = this.strings.timeLeft
+            .replace('{0}', chapterLeft)
+            .replace('{1}', bookLeft);
+    }
+
+    showStats() {
+        this.recordReadingTime();
+        this.statsOverlay.classList.add('visible');
+        this.renderStats();
+
+        if (this.menuVisible) {
+            this.toggleMenu();
+        }
+    }
+
+    hideStats() {
+        this.statsOverlay.classList.remove('visible');
+    }
+
+    renderStats() {
+        const stats = this.loadStats();
+        const now = new Date();
+        const minutes = (seconds) => this.formatDuration(seconds / 60);
+
+        const sumDays = (count) => {
+            let total = 0;
+            for (let i = 0; i < count; i++) {
+                const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() - i);
+                total += stats.days[this.getDateKey(day)] || 0;
+            }
+            return total;
+        };
+        const total = Object.values(stats.days).reduce((sum, seconds) => sum + seconds, 0);
+
+        this.statsContent.innerHTML = '';
+
+        const summary = document.createElement('div');
+        summary.className = 'stats-summary';
+        const cards = [
+            [this.strings.statsToday, minutes(sumDays(1))],
+            [this.strings.statsWeek, minutes(sumDays(7))],
+            [this.strings.statsTotal, minutes(total)],
+            [this.strings.statsSpeed, this.strings.wordsPerMinute.replace('{0}', Math.round(stats.wpm || this.defaultWordsPerMinute))]
+        ];
+        for (const [label, value] of cards) {
+            const card = document.createElement('div');
+            card.className = 'stats-card';
+            const valueEl = document.createElement('div');
+            valueEl.className = 'stats-value';
+            valueEl.textContent = value;
+            const labelEl = document.createElement('div');
+            labelEl.className = 'stats-label';
+            labelEl.textContent = label;
+            card.append(valueEl, labelEl);
+            summary.appendChild(card);
+        }
+        this.statsContent.appendChild(summary);
+
+        // Daily reading time over the last two weeks
+        const chart = document.createElement('div');
+        chart.className = 'stats-chart';
+        const days = [];
+        for (let i = 13; i >= 0; i--) {
+            const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() - i);
+            days.push({ day, seconds: stats.days[this.getDateKey(day)] || 0 });
+        }
+        const max = Math.max(60, ...days.map(d => d.seconds));
+        for (const { day, seconds } of days) {
+            const column = document.createElement('div');
+            column.className = 'stats-column';
+            column.title = `${day.toLocaleDateString()}: ${seconds > 0 ? minutes(seconds) : '0'}`;
+            const bar = document.createElement('div');
+            bar.className = 'stats-bar';
+            bar.style.height = Math.round((seconds / max) * 100) + '%';
+            const label = document.createElement('div');
+            label.className = 'stats-day';
+            label.textContent = day.getDate();
+            column.append(bar, label);
+            chart.appendChild(column);
+        }
+        this.statsContent.appendChild(chart);
+
+        const book = stats.books[this.bookKey];
+        if (book) {
+            this.appendStatsHeading(this.strings.statsThisBook);
+            this.appendStatsItem(book.title, [
+                minutes(book.seconds),
+                this.strings.wordsCount.replace('{0}', book.words),
+                book.wpm ? this.strings.wordsPerMinute.replace('{0}', Math.round(book.wpm)) : ''
+            ]);
+        }
+
+        this.appendStatsHeading(this.strings.statsFinishedBooks);
+        const finished = Object.values(stats.books)
+            .filter(b => b.finished)
+            .sort((a, b) => b.finished - a.finished);
+
+        if (finished.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'toc-empty';
+            empty.textContent = this.strings.statsNoFinishedBooks;
+            this.statsContent.appendChild(empty);
+        }
+        for (const b of finished) {
+            this.appendStatsItem(b.title, [b.author, new Date(b.finished).toLocaleDateString(), minutes(b.seconds)]);
+        }
+    }
+
+    appendStatsHeading(text) {
+        const heading = document.createElement('div');
+        heading.className = 'stats-heading';
+        heading.textContent = text;
+        this.statsContent.appendChild(heading);
+    }
+
+    appendStatsItem(title, details) {
+        const item = document.createElement('div');
+        item.className = 'toc-item stats-item';
+        const titleEl = document.createElement('div');
+        titleEl.textContent = title || this.strings.noTitle;
+        const meta = document.createElement('div');
+        meta.className = 'annotation-meta';
+        meta.textContent = details.filter(Boolean).join(' · ');
+        item.append(titleEl, meta);
+        this.statsContent.appendChild(item);
+    }
+
+    exportStats(format) {
+        this.recordReadingTime();
+        const stats = this.loadStats();
+
+        if (format === 'json') {
+            const data = { format: 'tinyopds-reading-stats', version: 1, exported: new Date().toISOString(), ...stats };
+            this.downloadFile(JSON.stringify(data, null, 2), 'application/json', 'tinyopds-reading-stats.json');
+            return;
+        }
+
+        const date = (time) => time ? this.getDateKey(new Date(time)) : '';
+
+        const rows = [['type', 'date', 'title', 'author', 'minutes', 'words', 'wpm', 'finished']];
+        for (const day of Object.keys(stats.days).sort()) {
+            rows.push(['day', day, '', '', Math.round(stats.days[day] / 60), '', '', '']);
+        }
+        for (const book of Object.values(stats.books)) {
+            rows.push(['book', date(book.lastRead), book.title, book.author, Math.round(book.seconds / 60),
+                book.words, Math.round(book.wpm) || '', date(book.finished)]);
+        }
+
+        this.downloadFile(this.toCsv(rows), 'text/csv', 'tinyopds-reading-stats.csv');
+    }
+
+    // BOM so spreadsheet applications pick UTF-8 for non-Latin text
+    toCsv(rows) {
+        const cell = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+        };
+        return '\uFEFF' + rows.map(row => row.map(cell).join(',')).join('\r\n');
+    }
+
+    bindDictionaryEvents() {
+        document.getElementById('selectionDefine').onclick = (e) => {
+            e.stopPropagation();
+            this.lookupSelection();
+        };
+        document.getElementById('dictionaryClose').onclick = () => this.hideDefinition();
+        this.dictionarySave.onclick = () => this.saveLookupWord();
+
+        document.getElementById('vocabularyButton').onclick = () => this.showVocabulary();
+        document.getElementById('vocabularyClose').onclick = () => this.hideVocabulary();
+        document.getElementById('vocabularyExportCsv').onclick = () => this.exportVocabulary('csv');
+        document.getElementById('vocabularyExportJson').onclick = () => this.exportVocabulary('json');
+
+        this.vocabularyOverlay.onclick = (e) => {
+            if (e.target === this.vocabularyOverlay) {
+                this.hideVocabulary();
+            }
+        };
+    }
+
+    // Language of the text around a node: the nearest lang attribute inside
+    // the book (declared by EPUB sections or set on sections detected to be
+    // in another language), else the book language
+    getTextLanguage(node) {
+        const element = node && (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement);
+        const owner = element && element.closest('[lang]');
+        const language = owner && this.bookContent.contains(owner) ? owner.getAttribute('lang') : this.detectedLanguage;
+        return (language || 'en').split('-')[0].toLowerCase();
+    }
+
+    lookupSelection() {
+        const selection = window.getSelection();
+        if (selection.isCollapsed || selection.rangeCount === 0) return;
+
+        const range = selection.getRangeAt(0);
+        const word = range.toString().trim().replace(/\s+/g, ' ');
+        if (!word || word.length > this.maxLookupLength) return;
+
+        this.lookupWord = {
+            word,
+            language: this.getTextLanguage(range.startContainer),
+            context: this.getSelectionContext(range),
+            definition: ''
+        };
+
+        this.selectionPopup.classList.remove('visible');
+        this.showDefinition(range.getBoundingClientRect());
+    }
+
+    // The sentence the selection starts in, kept with saved words
+    getSelectionContext(range) {
+        const start = range.startContainer;
+        const element = start.nodeType === Node.ELEMENT_NODE ? start : start.parentElement;
+        const block = element && element.closest(this.ttsSelector);
+        if (!block || !this.bookContent.contains(block)) return '';
+
+        const before = document.createRange();
+        before.setStart(block, 0);
+        before.setEnd(range.startContainer, range.startOffset);
+        const offset = before.toString().length;
+
+        const text = block.textContent;
+        const sentence = this.splitSentences(text, this.getTextLanguage(block)).find(s => s.start <= offset && offset < s.end);
+        return (sentence ? sentence.text : text.trim()).substring(0, 500);
+    }
+
+    async showDefinition(rect) {
+        const lookup = this.lookupWord;
+
+        this.hideFootnote();
+        this.dictionaryContent.innerHTML = '';
+        this.dictionaryContent.appendChild(this.createDictionaryMessage(this.strings.lookingUp));
+        this.dictionarySave.disabled = true;
+        this.dictionarySave.textContent = this.strings.saveWord;
+        this.placePopup(this.dictionaryPopup, rect);
+
+        let articles = null;
+        let loading = false;
+        try {
+            const url = `${this.dictionaryUrl}?word=${encodeURIComponent(lookup.word)}&lang=${encodeURIComponent(lookup.language)}`;
+            const response = await fetch(url, { credentials: 'same-origin' });
+            if (response.ok) {
+                ({ articles, loading } = await response.json());
+            }
+        } catch (e) {
+            console.warn('Dictionary lookup failed:', e);
+        }
+
+        // Another word may have been looked up meanwhile
+        if (this.lookupWord !== lookup) return;
+
+        this.dictionaryContent.innerHTML = '';
+
+        if (!articles) {
+            this.dictionaryContent.appendChild(this.createDictionaryMessage(this.strings.dictionaryUnavailable));
+        } else if (articles.length === 0 && loading) {
+            this.dictionaryContent.appendChild(this.createDictionaryMessage(this.strings.dictionaryLoading));
+        } else if (articles.length === 0) {
+            this.dictionaryContent.appendChild(this.createDictionaryMessage(this.strings.noDefinitions.replace('{0}', lookup.word)));
+        } else {
+            for (const article of articles) {
+                const item = document.createElement('div');
+                item.className = 'dictionary-article';
+
+                const heading = document.createElement('div');
+                heading.className = 'dictionary-headword';
+                heading.textContent = article.headword;
+
+                const source = document.createElement('span');
+                source.className = 'dictionary-name';
+                source.textContent = article.dictionary;
+                heading.appendChild(source);
+
+                const definition = document.createElement('div');
+                definition.className = 'dictionary-definition';
+                definition.appendChild(this.sanitizeDefinition(article.definition));
+
+                item.appendChild(heading);
+                item.appendChild(definition);
+                this.dictionaryContent.appendChild(item);
+            }
+
+            // Plain text of the first article for the vocabulary, one line per block
+            const first = this.dictionaryContent.querySelector('.dictionary-definition');
+            lookup.definition = Array.from(first.childNodes, node => node.textContent.trim())
+                .filter(Boolean).join(' ').substring(0, 300);
+        }
+
+        this.dictionarySave.disabled = false;
+        if (this.loadVocabulary().some(item => item.word.toLowerCase() === lookup.word.toLowerCase() && item.language === lookup.language)) {
+            this.dictionarySave.textContent = this.strings.wordSaved;
+        }
+        this.placePopup(this.dictionaryPopup, rect);
+    }
+
+    createDictionaryMessage(text) {
+        const message = document.createElement('div');
+        message.className = 'dictionary-message';
+        message.textContent = text;
+        return message;
+    }
+
+    hideDefinition() {
+        this.dictionaryPopup.classList.remove('visible');
+        this.dictionaryContent.innerHTML = '';
+        this.lookupWord = null;
+    }
+
+    // Dictionary articles are third-party HTML (StarDict 'h' and XDXF entries):
+    // only basic formatting survives, XDXF tags become styled spans and
+    // everything else is unwrapped to its text
+    sanitizeDefinition(html) {
+        const allowed = new Set(['B', 'I', 'U', 'EM', 'STRONG', 'SUB', 'SUP', 'BR', 'P', 'DIV', 'SPAN', 'UL', 'OL', 'LI', 'BLOCKQUOTE', 'SMALL']);
+        const dropped = new Set(['SCRIPT', 'STYLE', 'IFRAME', 'OBJECT', 'EMBED', 'IMG', 'AUDIO', 'VIDEO', 'SVG', 'MATH', 'TEMPLATE', 'LINK', 'META', 'FORM']);
+        const xdxf = { K: 'dict-headword', TR: 'dict-phonetic', EX: 'dict-ex', ABR: 'dict-p', C: 'dict-c', CO: 'dict-com', KREF: 'dict-ref', DTRN: 'dict-trn' };
+
+        const source = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html').body;
+        const fragment = document.createDocumentFragment();
+
+        const copy = (from, to) => {
+            for (const node of from.childNodes) {
+                if (node.nodeType === Node.TEXT_NODE) {
+                    to.appendChild(document.createTextNode(node.data));
+                    continue;
+                }
+                if (node.nodeType !== Node.ELEMENT_NODE) continue;
+
+                const tag = node.tagName.toUpperCase();
+                if (dropped.has(tag)) continue;
+
+                if (allowed.has(tag) || xdxf[tag]) {
+                    const element = document.createElement(allowed.has(tag) ? tag.toLowerCase() : 'span');
+                    const className = xdxf[tag] || (node.getAttribute('class') || '').split(/\s+/).filter(name => /^dict-[\w-]+$/.test(name)).join(' ');
+                    if (className) {
+                        element.className = className;
+                    }
+                    copy(node, element);
+                    to.appendChild(element);
+                } else {
+                    copy(node, to);
+                }
+            }
+        };
+
+        copy(source, fragment);
+        return fragment;
+    }
+
+    loadVocabulary() {
+        try {
+            return JSON.parse(localStorage.getItem('reader-vocabulary') || '[]');
+        } catch (e) {
+            console.warn('Could not load vocabulary:', e);
+            return [];
+        }
+    }
+
+    saveVocabulary(items) {
+        try {
+            localStorage.setItem('reader-vocabulary', JSON.stringify(items));
+        } catch (e) {
+            console.warn('Could not save vocabulary:', e);
+        }
+    }
+
+    // Saving a word again refreshes its definition and context
+    saveLookupWord() {
+        const lookup = this.lookupWord;
+        if (!lookup) return;
+
+        const items = this.loadVocabulary().filter(item =>
+            !(item.word.toLowerCase() === lookup.word.toLowerCase() && item.language === lookup.language));
+
+        items.unshift({
+            id: this.createAnnotationId(),
+            word: lookup.word,
+            language: lookup.language,
+            definition: lookup.definition,
+            context: lookup.context,
+            book: this.bookTitle,
+            bookKey: this.bookKey,
+            created: Date.now()
+        });
+
+        this.saveVocabulary(items);
+        this.dictionarySave.textContent = this.strings.wordSaved;
+    }
+
+    showVocabulary() {
+        this.vocabularyOverlay.classList.add('visible');
+        this.renderVocabulary();
+
+        if (this.menuVisible) {
+            this.toggleMenu();
+        }
+    }
+
+    hideVocabulary() {
+        this.vocabularyOverlay.classList.remove('visible');
+    }
+
+    renderVocabulary() {
+        const items = this.loadVocabulary();
+        this.vocabularyContent.innerHTML = '';
+
+        if (items.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'toc-empty';
+            empty.textContent = this.strings.noVocabulary;
+            this.vocabularyContent.appendChild(empty);
+            return;
+        }
+
+        for (const entry of items) {
+            const item = document.createElement('div');
+            item.className = 'toc-item vocabulary-item';
+
+            const body = document.createElement('div');
+            body.className = 'annotation-body';
+
+            const word = document.createElement('div');
+            word.className = 'vocabulary-word';
+            word.textContent = entry.word;
+            body.appendChild(word);
+
+            if (entry.definition) {
+                const definition = document.createElement('div');
+                definition.className = 'annotation-note';
+                definition.textContent = entry.definition;
+                body.appendChild(definition);
+            }
+
+            if (entry.context) {
+                const context = document.createElement('div');
+                context.className = 'annotation-text';
+                context.textContent = entry.context;
+                body.appendChild(context);
+            }
+
+            const meta = document.createElement('div');
+            meta.className = 'annotation-meta';
+            meta.textContent = [entry.language, entry.book, new Date(entry.created).toLocaleDateString()].filter(Boolean).join(' · ');
+            body.appendChild(meta);
+
+            item.appendChild(body);
+
+            const remove = document.createElement('button');
+            remove.className = 'annotation-delete';
+            remove.textContent = '✕';
+            remove.title = this.strings.delete;
+            remove.onclick = (e) => {
+                e.stopPropagation();
+                this.saveVocabulary(this.loadVocabulary().filter(i => i.id !== entry.id));
+                this.renderVocabulary();
+            };
+            item.appendChild(remove);
+
+            this.vocabularyContent.appendChild(item);
+        }
+    }
+
+    // CSV imports into flashcard applications: word, definition and context come first
+    exportVocabulary(format) {
+        const items = this.loadVocabulary();
+
+        if (format === 'json') {
+            const data = { format: 'tinyopds-vocabulary', version: 1, exported: new Date().toISOString(), items };
+            this.downloadFile(JSON.stringify(data, null, 2), 'application/json', 'tinyopds-vocabulary.json');
+            return;
+        }
+
+        const rows = [['word', 'definition', 'context', 'language', 'book', 'date']];
+        for (const item of items) {
+            rows.push([item.word, item.definition, item.context, item.language, item.book, this.getDateKey(new Date(item.created))]);
+        }
+        this.downloadFile(this.toCsv(rows), 'text/csv', 'tinyopds-vocabulary.csv');
+    }
+
+    bindBookInfoEvents() {
+        document.getElementById('bookInfoButton').onclick = () => this.showBookInfo();
+        document.getElementById('bookInfoClose').onclick = () => this.hideBookInfo();
+
+        this.bookInfoOverlay.onclick = (e) => {
+            if (e.target === this.bookInfoOverlay) {
+                this.hideBookInfo();
+            }
+        };
+    }
+
+    showBookInfo() {
+        this.bookInfoOverlay.classList.add('visible');
+        this.renderBookInfo();
+
+        if (this.menuVisible) {
+            this.toggleMenu();
+        }
+    }
+
+    hideBookInfo() {
+        this.bookInfoOverlay.classList.remove('visible');
+    }
+
+    // Values are lists of { text, href } items; authors, series and genres link
+    // to their TinyOPDS catalog pages
+    renderBookInfo() {
+        const metadata = this.bookMetadata;
+        this.bookInfoContent.innerHTML = '';
+
+        if (!metadata) {
+            const empty = document.createElement('div');
+            empty.className = 'toc-empty';
+            empty.textContent = this.strings.noBookInfo;
+            this.bookInfoContent.appendChild(empty);
+            return;
+        }
+
+        const text = (value) => value ? [{ text: value }] : [];
+        const people = (list) => list.map(person => ({ text: person.name, href: '/author/' + encodeURIComponent(person.catalogName) }));
+        const sequences = (list, linked) => list.map(sequence => ({
+            text: sequence.number ? `${sequence.name} #${sequence.number}` : sequence.name,
+            href: linked ? '/sequence/' + encodeURIComponent(sequence.name) : ''
+        }));
+        const roles = { edt: this.strings.roleEditor, ill: this.strings.roleIllustrator, nrt: this.strings.roleNarrator };
+
+        this.appendBookInfoGroup('', [
+            [this.strings.infoTitle, text([metadata.title, metadata.subtitle].filter(Boolean).join('. '))],
+            [this.strings.infoAuthors, people(metadata.authors)],
+            [this.strings.infoTranslators, metadata.translators.map(person => ({ text: person.name }))],
+            [this.strings.infoContributors, metadata.contributors.map(person => ({
+                text: person.role ? `${person.name} (${roles[person.role] || person.role})` : person.name
+            }))],
+            [this.strings.infoSeries, sequences(metadata.sequences, true)],
+            [this.strings.infoGenres, metadata.genres.map(genre => ({
+                text: genre.name,
+                href: genre.tag ? '/genre/' + encodeURIComponent(genre.tag) : ''
+            }))],
+            [this.strings.infoKeywords, text(metadata.keywords)],
+            [this.strings.infoLanguage, text(metadata.language)],
+            [this.strings.infoSourceLanguage, text(metadata.sourceLanguage)],
+            [this.strings.infoDate, text(metadata.date)],
+            [this.strings.infoRights, text(metadata.rights)]
+        ]);
+        this.appendEncodingRow();
+
+        if (metadata.original) {
+            this.appendBookInfoGroup(this.strings.infoOriginal, [
+                [this.strings.infoTitle, text(metadata.original.title)],
+                [this.strings.infoAuthors, metadata.original.authors.map(person => ({ text: person.name }))],
+                [this.strings.infoLanguage, text(metadata.original.language)]
+            ]);
+        }
+
+        if (metadata.publication) {
+            this.appendBookInfoGroup(this.strings.infoPublication, [
+                [this.strings.infoTitle, text(metadata.publication.title)],
+                [this.strings.infoPublisher, text(metadata.publication.publisher)],
+                [this.strings.infoCity, text(metadata.publication.city)],
+                [this.strings.infoYear, text(metadata.publication.year)],
+                [this.strings.infoIsbn, text(metadata.publication.isbn)],
+                [this.strings.infoSeries, sequences(metadata.publication.sequences, false)]
+            ]);
+        }
+
+        if (metadata.document) {
+            this.appendBookInfoGroup(this.strings.infoDocument, [
+                [this.strings.infoAuthors, metadata.document.authors.map(person => ({ text: person.name }))],
+                [this.strings.infoProgram, text(metadata.document.program)],
+                [this.strings.infoDate, text(metadata.document.date)],
+                [this.strings.infoVersion, text(metadata.document.version)],
+                [this.strings.infoId, text(metadata.document.id)],
+                [this.strings.infoSource, metadata.document.sources.map(source => ({
+                    text: source,
+                    href: /^https?:\/\//i.test(source) ? source : ''
+                }))]
+            ]);
+        }
+    }
+
+    // Text books show the encoding they were decoded with; choosing another
+    // one reopens the book in it
+    appendEncodingRow() {
+        const converter = this.formatConverter;
+        if (!converter.encoding) return;
+
+        const select = document.createElement('select');
+        select.className = 'settings-select';
+
+        const auto = document.createElement('option');
+        auto.value = '';
+        auto.textContent = this.strings.encodingAuto.replace('{0}', converter.detectedEncoding);
+        select.appendChild(auto);
+
+        for (const encoding of TEXT_ENCODINGS) {
+            const option = document.createElement('option');
+            option.value = encoding;
+            option.textContent = encoding;
+            select.appendChild(option);
+        }
+        select.value = converter.encodingOverride || '';
+        select.onchange = () => this.setEncodingOverride(select.value);
+
+        const term = document.createElement('dt');
+        term.textContent = this.strings.infoEncoding;
+        const value = document.createElement('dd');
+        value.appendChild(select);
+
+        const list = document.createElement('dl');
+        list.className = 'book-info-list';
+        list.append(term, value);
+        this.bookInfoContent.appendChild(list);
+    }
+
+    loadEncodingOverride() {
+        try {
+            const stored = JSON.parse(localStorage.getItem('reader-encodings') || '{}');
+            return stored[this.bookKey] || null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    setEncodingOverride(encoding) {
+        if (!this.bookKey || !this.currentFile) return;
+
+        try {
+            const stored = JSON.parse(localStorage.getItem('reader-encodings') || '{}');
+            if (encoding) {
+                stored[this.bookKey] = encoding;
+            } else {
+                delete stored[this.bookKey];
+            }
+            localStorage.setItem('reader-encodings', JSON.stringify(stored));
+        } catch (e) {
+            console.warn('Could not save book encoding:', e);
+        }
+
+        this.hideBookInfo();
+        this.handleFileSelect(this.currentFile);
+    }
+
+    // Rows without values are left out, and so is a group without rows
+    appendBookInfoGroup(heading, rows) {
+        rows = rows.filter(([, values]) => values.length > 0);
+        if (rows.length === 0) return;
+
+        if (heading) {
+            const headingEl = document.createElement('div');
+            headingEl.className = 'book-info-heading';
+            headingEl.textContent = heading;
+            this.bookInfoContent.appendChild(headingEl);
+        }
+
+        const list = document.createElement('dl');
+        list.className = 'book-info-list';
+        for (const [label, values] of rows) {
+            const term = document.createElement('dt');
+            term.textContent = label;
+
+            const value = document.createElement('dd');
+            values.forEach((item, index) => {
+                if (index > 0) {
+                    value.appendChild(document.createTextNode(', '));
+                }
+                if (item.href) {
+                    const link = document.createElement('a');
+                    link.href = item.href;
+                    link.textContent = item.text;
+                    if (/^https?:/i.test(item.href)) {
+                        link.target = '_blank';
+                        link.rel = 'noopener noreferrer';
+                    }
+                    value.appendChild(link);
+                } else {
+                    value.appendChild(document.createTextNode(item.text));
+                }
+            });
+
+            list.append(term, value);
+        }
+        this.bookInfoContent.appendChild(list);
+    }
+
+    checkMobile() {
+        const isMobile = window.innerWidth <= 768;
+        if (isMobile) {
+            this.setWidthMode('full-width');
+        }
+    }
+
+    registerServiceWorker() {
+        if ('serviceWorker' in navigator && location.protocol !== 'file:') {
+            navigator.serviceWorker.register('/sw.js')
+                .catch(err => console.warn('Service worker registration failed:', err));
+        }
+    }
+
+    async loadOfflineBook() {
+        const match = location.pathname.match(/\/reader\/([^/]+)$/);
+        if (!match || !('caches' in window)) return;
+
+        try {
+            const cache = await caches.open('tinyopds-offline-books');
+            const meta = await cache.match(`/offline/${match[1]}.json`);
+            if (!meta) return;
+
+            const book = await meta.json();
+            const response = await cache.match(book.url);
+            if (!response) return;
+
+            const blob = await response.blob();
+            const fileName = `${book.id}.${book.format === 'fb2' ? 'fb2.zip' : 'epub'}`;
+
+            // Same key as the online reader, so positions and notes carry over
+            window.tinyOPDSBook = { id: book.id, fileName: fileName, title: book.title, author: book.author };
+            this.handleFileSelect(new File([blob], fileName, { type: blob.type }));
+        } catch (e) {
+            console.error('Error loading offline book:', e);
+        }
+    }
+
+    // A retry callback puts a button on the error screen
+    async handleFileSelect(file, retry) {
+        if (!file) return;
+
+        const fileName = file.name.toLowerCase();
+        this.showLoading(true);
+
+        this.savePosition();
+        this.positionRestored = false;
+
+        try {
+            let bookData;
+
+            this.bookKey = await this.getBookKey(file);
+            this.syncDocument = await this.getSyncDocument(file);
+            this.currentFile = file;
+            this.images = {};
+            this.formatConverter.encoding = null;
+            this.formatConverter.encodingOverride = this.loadEncodingOverride();
+
+            const loader = this.getFormatLoader(fileName);
+            if (loader) {
+                // EPUB and the other formats are rendered natively, FB2 conversion
+                // is only for FB2 sources
+                bookData = await loader.call(this.formatConverter, file);
+                bookData.title = bookData.title || this.strings.noTitle;
+                bookData.author = bookData.author || this.strings.unknownAuthor;
+                this.images = this.formatConverter.images;
+                this.chapters = this.formatConverter.chapters;
+            } else {
+                let fb2Content;
+
+                if (fileName.endsWith('.fb2.zip') || fileName.endsWith('.zip')) {
+                    fb2Content = await this.extractFB2FromZip(file);
+                } else if (fileName.endsWith('.fb2')) {
+                    fb2Content = await this.readFile(file);
+                } else {
+                    throw new Error('Unsupported file format');
+                }
+
+                this.formatConverter.revokeResources();
+                bookData = await this.parseFB2(fb2Content);
+            }
+
+            this.displayBook(bookData);
+
+            this.clickTop.style.display = 'block';
+            this.clickBottom.style.display = 'block';
+
+        } catch (error) {
+            console.error('Error processing file:', error);
+            this.showError(this.getLoadErrorMessage(error), retry);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    getFormatLoader(fileName) {
+        const converter = this.formatConverter;
+        const extension = fileName.split('.').pop();
+
+        switch (extension) {
+            case 'epub':
+                return converter.loadEpub;
+            case 'mobi':
+            case 'azw':
+            case 'azw3':
+            case 'prc':
+                return converter.loadMobi;
+            case 'html':
+            case 'htm':
+            case 'xhtml':
+                return converter.loadHtml;
+            case 'txt':
+                return converter.loadText;
+            case 'cbz':
+                return converter.loadComic;
+            default:
+                return null;
+        }
+    }
+
+    async extractFB2FromZip(file) {
+        try {
+            const zip = await ZipReader.open(file);
+
+            const fb2Name = zip.names.find(name => name.toLowerCase().endsWith('.fb2'));
+            if (!fb2Name) {
+                throw new Error('FB2 file not found in archive');
+            }
+
+            // Decode like a plain .fb2 so windows-1251 books inside archives work too
+            const bytes = await zip.readBytes(fb2Name);
+            return this.formatConverter.decodeBook(bytes);
+        } catch (error) {
+            throw new Error('Error extracting archive: ' + error.message);
+        }
+    }
+
+    readFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                const arrayBuffer = e.target.result;
+                const uint8Array = new Uint8Array(arrayBuffer);
+                resolve(this.formatConverter.decodeBook(uint8Array));
+            };
+            reader.onerror = () => reject(new Error('Error reading file'));
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    // The document is split in a worker; only the description is parsed here,
+    // the bodies become empty chunks converted as they come into view
+    async parseFB2(content) {
+        const book = await this.formatConverter.splitFB2(content);
+
+        this.formatConverter.setFB2Images(book.binaries);
+        this.images = this.formatConverter.images;
+
+        const xmlDoc = this.formatConverter.parseFB2Part(book, book.description);
+
+        const metadata = this.formatConverter.readFB2Metadata(xmlDoc);
+        const title = metadata.title || this.strings.noTitle;
+        const author = metadata.authors.map(person => person.name).join(', ') || this.strings.unknownAuthor;
+
+        // Extract cover
+        let coverHtml = '';
+        const coverpage = xmlDoc.querySelector('coverpage image');
+        if (coverpage) {
+            const href = coverpage.getAttribute('l:href') || coverpage.getAttribute('xlink:href');
+            const imageId = href?.replace('#', '');
+            if (imageId && this.images[imageId]) {
+                coverHtml = `<img src="${this.formatConverter.escapeXml(this.images[imageId])}" alt="Cover" style="max-height: 400px;">`;
+            }
+        }
+
+        this.chapters = book.toc;
+
+        const titlePage = document.createElement('div');
+        titlePage.appendChild(this.formatConverter.sanitizeHtml(this.formatConverter.generateFB2TitlePage(
+            xmlDoc.querySelector('title-info'), title, author, coverHtml)));
+        let htmlContent = titlePage.innerHTML;
+
+        if (book.chunks.length === 0) {
+            console.warn('No body elements found in FB2 document');
+        }
+
+        // The first body is the main text; further bodies hold notes and comments
+        // and follow it so note references have something to point at
+        let body = 0;
+        book.chunks.forEach((chunk, index) => {
+            if (chunk.body !== body) {
+                htmlContent += (body > 0 ? '</div>' : '') + '<div class="notes-body">';
+                body = chunk.body;
+            }
+            htmlContent += `<div class="book-chunk" id="chunk_${index}" data-chunk="${index}"></div>`;
+        });
+        if (body > 0) {
+            htmlContent += '</div>';
+        }
+
+        return {
+            title,
+            author,
+            metadata,
+            content: htmlContent,
+            chunks: book,
+            languageSample: book.chunks.length > 0 ? book.chunks[0].xml.substring(0, 20000) : ''
+        };
+    }
+
+    displayBook(bookData) {
+        this.bookTitle = bookData.title;
+        this.bookAuthor = bookData.author;
+        this.bookMetadata = bookData.metadata || null;
+        this.bookTitleEl.textContent = this.bookTitle;
+        this.bookAuthorEl.textContent = this.bookAuthor;
+        if (bookData.fragment) {
+            this.bookContent.innerHTML = '';
+            this.bookContent.appendChild(bookData.fragment);
+        } else {
+            this.bookContent.innerHTML = bookData.content;
+        }
+        this.setupChunks(bookData.chunks);
+        this.bookStyles.textContent = bookData.styles || '';
+        document.body.classList.toggle('comic-book', !!bookData.comic);
+        this.bookContent.style.display = 'block';
+        this.searchIndexes.clear();
+        this.hideFootnote();
+        this.hideBackLink();
+        if (this.ttsPanel.classList.contains('visible')) {
+            this.hideSpeech();
+        }
+        this.ttsBlocks = [];
+
+        this.detectedLanguage = this.formatConverter.detectLanguage(
+            bookData.languageSample || bookData.content || this.bookContent.textContent,
+            bookData.metadata && bookData.metadata.language);
+        this.formatConverter.markSectionLanguages(this.bookContent, this.detectedLanguage);
+
+        this.applyFontSize();
+        this.applyTheme();
+        this.applyFont();
+        this.applyMargins();
+        this.applyWidthMode();
+        this.applyTypography();
+
+        if (this.menuVisible) {
+            this.toggleMenu();
+        }
+
+        this.currentChapterIndex = -1;
+        this.isScrolling = false;
+
+        if (this.readingMode === 'paginated') {
+            this.currentPage = 0;
+            this.updatePagination(false);
+
+            this.bookContent.querySelectorAll('img').forEach(img => {
+                if (!img.complete) {
+                    img.addEventListener('load', () => this.scheduleLayoutRefresh(), { once: true });
+                }
+            });
+        } else {
+            window.scrollTo({ top: 0, behavior: 'auto' });
+        }
+
+        this.indexBookWords();
+        this.loadAnnotations();
+        this.observeChunks();
+        this.resumeReading().then(() => this.pullSync(this.syncDocument));
+    }
+
+    // Chunk bookkeeping: text and word offsets for progress and statistics, and
+    // which chunk every id lives in so links, contents and saved positions can
+    // render it first
+    setupChunks(book) {
+        if (this.chunkObserver) {
+            this.chunkObserver.disconnect();
+            this.chunkObserver = null;
+        }
+
+        this.chunkedBook = book || null;
+        this.bookChunks = book ? book.chunks : [];
+        this.chunkIds = new Map();
+
+        const elements = this.bookContent.querySelectorAll('.book-chunk');
+        this.bookChunks.forEach((chunk, index) => {
+            chunk.element = elements[index];
+            chunk.rendered = false;
+
+            this.chunkIds.set(chunk.element.id, index);
+            chunk.ids.forEach(id => this.chunkIds.set('fb2_' + id, index));
+            chunk.sections.forEach(id => this.chunkIds.set(id, index));
+        });
+
+        this.updateChunkOffsets();
+        this.sizeChunkPlaceholders();
+    }
+
+    // Books read in parts only have guessed sizes until their chunks arrive
+    updateChunkOffsets() {
+        let chars = 0;
+        let words = 0;
+        for (const chunk of this.bookChunks) {
+            chunk.offset = chars;
+            chunk.wordOffset = words;
+            chars += chunk.chars;
+            words += chunk.words;
+        }
+
+        this.bookTextLength = chars;
+        this.bookWordCount = words;
+    }
+
+    // Renders chunks as they get near the screen: a screen above and below in
+    // scroll mode, a page to either side in paginated mode
+    observeChunks() {
+        if (this.chunkObserver) {
+            this.chunkObserver.disconnect();
+            this.chunkObserver = null;
+        }
+
+        const pending = this.bookChunks.filter(chunk => !chunk.rendered);
+        if (pending.length === 0) return;
+
+        if (typeof IntersectionObserver === 'undefined') {
+            this.renderAllChunks();
+            return;
+        }
+
+        const paginated = this.readingMode === 'paginated';
+        this.chunkObserver = new IntersectionObserver((entries) => {
+            const visible = entries
+                .filter(entry => entry.isIntersecting)
+                .map(entry => Number(entry.target.dataset.chunk));
+            this.renderChunks(visible);
+        }, {
+            root: paginated ? this.bookContent : null,
+            rootMargin: paginated ? '0px 100%' : '100% 0px'
+        });
+
+        pending.forEach(chunk => this.chunkObserver.observe(chunk.element));
+    }
+
+    // Unrendered chunks get a height estimated from their text, so the scroll
+    // range and page count are close to the real ones from the start
+    sizeChunkPlaceholders() {
+        if (this.bookChunks.length === 0) return;
+
+        const width = Math.max(200, this.bookContent.clientWidth - this.margins * 2);
+        const lineHeight = this.fontSize * (this.typography.lineHeight || 1.6);
+        const charsPerLine = Math.max(20, width / (this.fontSize * 0.5));
+
+        for (const chunk of this.bookChunks) {
+            if (!chunk.rendered) {
+                chunk.element.style.minHeight = Math.round((chunk.chars / charsPerLine) * lineHeight + chunk.images * 300) + 'px';
+            }
+        }
+    }
+
+    // Index of the chunk holding an element id, -1 if it is not in a chunk;
+    // ids inside EPUB documents not fetched yet belong to their chapter
+    findChunk(id) {
+        let index = id ? this.chunkIds.get(id) : undefined;
+        if (index === undefined && id) {
+            index = this.chunkIds.get(id.split('__')[0]);
+        }
+        return index === undefined ? -1 : index;
+    }
+
+    isChunkLoaded(index) {
+        return !this.chunkedBook || !this.chunkedBook.loadChunk || !!this.bookChunks[index].content;
+    }
+
+    // Chunks of books read in parts are fetched before they can be rendered;
+    // resolves when they have arrived or failed
+    loadChunks(indices) {
+        const book = this.chunkedBook;
+
+        return Promise.all(indices.map(index => {
+            const chunk = this.bookChunks[index];
+            if (!chunk || chunk.rendered || this.isChunkLoaded(index)) return null;
+
+            if (!chunk.loading) {
+                chunk.error = null;
+                chunk.loading = book.loadChunk(chunk)
+                    .then(result => {
+                        chunk.content = result.content;
+                        chunk.chars = result.chars;
+                        chunk.words = result.words;
+                        if (result.styles && this.chunkedBook === book) {
+                            this.bookStyles.textContent += '\n' + result.styles;
+                        }
+                    })
+                    .catch(error => {
+                        console.error('Error loading chapter:', error);
+                        chunk.error = error;
+                    })
+                    .finally(() => {
+                        chunk.loading = null;
+                    });
+            }
+            return chunk.loading;
+        }));
+    }
+
+    // Renders chunks once they arrive, and fetches the one after them, so page
+    // turns and reading aloud can go on without a wait
+    fetchChunks(indices) {
+        const book = this.chunkedBook;
+
+        this.loadChunks(indices).then(() => {
+            if (this.chunkedBook !== book) return;
+
+            indices.filter(index => this.bookChunks[index].error).forEach(index => this.showChunkError(index));
+            this.renderChunks(indices);
+
+            const next = Math.max(...indices) + 1;
+            if (next < this.bookChunks.length) {
+                this.loadChunks([next]);
+            }
+        });
+    }
+
+    // Calls back when the chunk holding the target of a jump has arrived;
+    // returns false when there is nothing to wait for
+    waitForChunk(index, callback) {
+        const chunk = this.bookChunks[index];
+        if (!chunk || chunk.rendered || this.isChunkLoaded(index)) return false;
+
+        const book = this.chunkedBook;
+        this.loadChunks([index]).then(() => {
+            if (this.chunkedBook !== book) return;
+
+            if (chunk.error) {
+                this.showChunkError(index);
+            } else {
+                callback();
+            }
+        });
+        return true;
+    }
+
+    showChunkError(index) {
+        const chunk = this.bookChunks[index];
+        if (chunk.rendered) return;
+
+        chunk.element.innerHTML = '';
+        chunk.element.appendChild(this.createErrorBox(this.strings.chapterError, () => {
+            chunk.error = null;
+            chunk.element.innerHTML = '';
+            this.renderChunks([index]);
+        }));
+    }
+
+    renderChunkOf(id) {
+        const index = this.findChunk(id);
+        if (index >= 0) {
+            this.renderChunks([index]);
+        }
+    }
+
+    renderAllChunks() {
+        this.renderChunks(this.bookChunks.map((chunk, index) => index));
+    }
+
+    // Converts chunks to HTML in place and keeps the text on screen where it
+    // was, since chunks above it change their height; returns whether anything
+    // was rendered
+    renderChunks(indices) {
+        let pending = indices.filter(index => this.bookChunks[index] && !this.bookChunks[index].rendered);
+
+        // Chunks still to be fetched are rendered when they arrive, failed ones
+        // wait for their retry button
+        const unloaded = pending.filter(index => !this.isChunkLoaded(index));
+        const fetching = unloaded.filter(index => !this.bookChunks[index].error);
+        if (fetching.length > 0) {
+            this.fetchChunks(fetching);
+        }
+        pending = pending.filter(index => !unloaded.includes(index));
+        if (pending.length === 0) return false;
+
+        const view = this.captureView();
+
+        for (const index of pending) {
+            const chunk = this.bookChunks[index];
+            chunk.element.innerHTML = '';
+            chunk.element.appendChild(chunk.content || this.formatConverter.convertFB2Chunk(this.chunkedBook, chunk));
+            chunk.content = null;
+            this.formatConverter.markSectionLanguages(chunk.element, this.detectedLanguage);
+            chunk.element.style.minHeight = '';
+            chunk.rendered = true;
+            chunk.xml = null;
+
+            if (this.chunkObserver) {
+                this.chunkObserver.unobserve(chunk.element);
+            }
+        }
+
+        this.updateChunkOffsets();
+        this.onChunksRendered(pending);
+        this.restoreView(view);
+        return true;
+    }
+
+    captureView() {
+        if (this.readingMode === 'paginated') {
+            return { anchor: this.getPositionAnchor() };
+        }
+
+        const blocks = this.bookContent.querySelectorAll(this.anchorSelector);
+        if (blocks.length === 0) return null;
+
+        const block = blocks[this.findFirstVisibleBlock(blocks)];
+        return { block, top: block.getBoundingClientRect().top };
+    }
+
+    restoreView(view) {
+        if (this.readingMode === 'paginated') {
+            this.updatePagination(false);
+            if (view && view.anchor) {
+                this.restorePosition(view.anchor);
+            }
+            return;
+        }
+
+        // Browsers with scroll anchoring have already kept it in place
+        if (view && view.block.isConnected) {
+            const shift = view.block.getBoundingClientRect().top - view.top;
+            if (Math.abs(shift) >= 1) {
+                window.scrollBy(0, shift);
+            }
+        }
+        this.updateProgress();
+    }
+
+    // Everything that indexes rendered content learns about the new chunks
+    onChunksRendered(indices) {
+        this.resetSearchIndexes(indices);
+
+        for (const index of indices) {
+            const element = this.bookChunks[index].element;
+            this.renderChunkAnnotations(element);
+
+            if (this.readingMode === 'paginated') {
+                element.querySelectorAll('img').forEach(img => {
+                    if (!img.complete) {
+                        img.addEventListener('load', () => this.scheduleLayoutRefresh(), { once: true });
+                    }
+                });
+            }
+        }
+
+        this.indexStatsBlocks();
+
+        if (this.searchResults.length > 0 && this.searchPanel.classList.contains('visible')) {
+            this.updateSearchHighlights();
+        }
+
+        if (this.ttsBlocks.length > 0) {
+            const current = this.ttsBlocks[this.ttsBlockIndex];
+            this.collectSpeechBlocks();
+            this.ttsBlockIndex = current ? this.ttsBlocks.indexOf(current) : -1;
+        }
+    }
+
+    // Bookmarks and highlights starting or ending in a freshly rendered chunk
+    renderChunkAnnotations(element) {
+        for (const annotation of this.annotations) {
+            const points = [annotation.start, annotation.end].filter(point => point && point.section);
+            if (!points.some(point => element.contains(document.getElementById(point.section)))) continue;
+
+            if (annotation.type === 'bookmark') {
+                const block = this.resolveBlock(annotation.start);
+                if (block) {
+                    block.classList.add('bookmarked');
+                }
+            } else {
+                this.wrapAnnotation(annotation);
+            }
+        }
+    }
+
+    // Renders the nearest unrendered chunk of the main text after (or before)
+    // the one holding the block
+    renderNextChunk(block, direction) {
+        if (!block || this.bookChunks.length === 0) return false;
+
+        const owner = block.closest('.book-chunk');
+        let index = owner ? Number(owner.dataset.chunk) + direction : (direction > 0 ? 0 : -1);
+
+        for (; index >= 0 && index < this.bookChunks.length; index += direction) {
+            const chunk = this.bookChunks[index];
+            if (chunk.body > 0) return false;
+            if (!chunk.rendered) {
+                return this.renderChunks([index]);
+            }
+        }
+        return false;
+    }
+
+    // A chapter that is not rendered yet is represented by its chunk
+    getChapterElement(id) {
+        const element = document.getElementById(id);
+        if (element) return element;
+
+        const index = this.findChunk(id);
+        return index >= 0 ? this.bookChunks[index].element : null;
+    }
+
+    applyHyphenation() {
+        this.bookContent.classList.toggle('hyphens-enabled', this.typography.hyphenation);
+        this.bookContent.classList.toggle('hyphens-disabled', !this.typography.hyphenation);
+        this.bookContent.setAttribute('lang', this.detectedLanguage);
+        document.documentElement.setAttribute('lang', this.detectedLanguage);
+
+        // Force reflow
+        this.bookContent.style.display = 'none';
+        this.bookContent.offsetHeight;
+        this.bookContent.style.display = 'block';
+    }
+
+    changeFontSize(delta) {
+        this.fontSize = Math.max(this.minFontSize, Math.min(this.maxFontSize, this.fontSize + delta));
+        this.applyFontSize();
+        this.refreshLayout();
+        this.savePreferences();
+    }
+
+    applyFontSize() {
         this.bookContent.style.fontSize = this.fontSize + 'px';
     }
 
-    toggleFont() {
-        this.currentFontIndex = (this.currentFontIndex + 1) % this.fonts.length;
+    // CSS font-family value for the chosen font; unknown fonts fall back to serif
+    getFontFamilyValue(font) {
+        if (font.startsWith('local:')) {
+            return `"${font.substring(6).replace(/"/g, '')}", Georgia, serif`;
+        }
+        if (font.startsWith('upload:')) {
+            return `"tinyopds-font-${font.substring(7)}", Georgia, serif`;
+        }
+        return '';
+    }
+
+    applyFont() {
+        const builtin = this.builtinFonts.includes(this.fontFamily);
+
+        this.builtinFonts.forEach(font => this.bookContent.classList.remove('font-' + font));
+        this.bookContent.classList.toggle('font-user', !builtin);
+        if (builtin) {
+            this.bookContent.classList.add('font-' + this.fontFamily);
+        }
+
+        const family = builtin ? '' : this.getFontFamilyValue(this.fontFamily);
+        this.bookContent.style.fontFamily = family;
+        this.fontIndicator.className = builtin ? `font-indicator ${this.fontFamily}` : 'font-indicator';
+        this.fontIndicator.style.fontFamily = family;
+    }
+
+    // null in manual mode (or without theme.js), otherwise whether it is night now
+    isNight() {
+        return window.tinyOPDSTheme ? window.tinyOPDSTheme.isNight() : null;
+    }
+
+    getActiveThemeIndex() {
+        return this.isNight() === true ? this.nightThemeIndex : this.currentThemeIndex;
+    }
+
+    // Picks the theme for the current period: the night theme while it is night
+    selectTheme(name) {
+        const index = Math.max(0, this.themes.indexOf(name));
+        if (this.isNight() === true) {
+            this.nightThemeIndex = index;
+        } else {
+            this.currentThemeIndex = index;
+        }
+
+        this.applyTheme();
+        this.savePreferences();
+        this.syncSettingsControls();
+    }
+
+    applyTheme() {
+        const theme = this.themes[this.getActiveThemeIndex()];
+
+        this.bookContent.className = this.bookContent.className
+            .replace(/\b(light|dark|sepia|custom)\b/g, '')
+            .trim() + ' ' + theme;
+
+        this.themes.forEach(t => document.body.classList.remove('theme-' + t));
+        document.body.classList.add('theme-' + theme);
+
+        const root = document.documentElement.style;
+        root.setProperty('--custom-background', this.customColors.background);
+        root.setProperty('--custom-text', this.customColors.text);
+        root.setProperty('--custom-link', this.customColors.link);
+
+        // In manual mode "night" is simply reading with the dark theme
+        const night = this.isNight();
+        const appearance = window.tinyOPDSTheme ? window.tinyOPDSTheme.load() : { warmFilter: false };
+        document.documentElement.classList.toggle('warm-filter',
+            !!appearance.warmFilter && (night === null ? theme === 'dark' : night));
+    }
+
+    // Typography settings are CSS variables read by the book content rules
+    applyTypography() {
+        const style = this.bookContent.style;
+        style.setProperty('--line-height', this.typography.lineHeight);
+        style.setProperty('--paragraph-spacing', this.typography.paragraphSpacing + 'em');
+        style.setProperty('--text-indent', this.typography.textIndent + 'em');
+        style.setProperty('--text-align', this.typography.justify ? 'justify' : 'left');
+        this.applyHyphenation();
+    }
+
+    bindSettingsEvents() {
+        document.getElementById('settingsButton').onclick = () => this.showSettings();
+        document.getElementById('settingsClose').onclick = () => this.hideSettings();
+        this.settingsOverlay.onclick = (e) => {
+            if (e.target === this.settingsOverlay) {
+                this.hideSettings();
+            }
+        };
+
+        this.settingsOverlay.querySelectorAll('[data-theme]').forEach(btn => {
+            btn.onclick = () => this.selectTheme(btn.getAttribute('data-theme'));
+        });
+
+        ['background', 'text', 'link'].forEach(name => {
+            document.getElementById(name + 'Color').oninput = (e) => {
+                this.customColors[name] = e.target.value;
+                this.selectTheme('custom');
+            };
+        });
+
+        this.bindAppearanceEvents();
+
+        this.fontSelect.onchange = () => this.setFont(this.fontSelect.value);
+        document.getElementById('uploadFontButton').onclick = () => this.fontFileInput.click();
+        document.getElementById('removeFontButton').onclick = () => this.removeUploadedFont(this.fontFamily);
+        this.fontFileInput.onchange = (e) => {
+            this.uploadFont(e.target.files[0]);
+            e.target.value = '';
+        };
+
+        // Local Font Access is Chromium only and asks for permission
+        const localFontsButton = document.getElementById('localFontsButton');
+        if (typeof window.queryLocalFonts === 'function') {
+            localFontsButton.onclick = () => this.loadLocalFonts();
+        } else {
+            localFontsButton.style.display = 'none';
+        }
+
+        const ranges = { lineHeight: 'lineHeight', paragraphSpacing: 'paragraphSpacing', textIndent: 'textIndent' };
+        for (let [id, key] of Object.entries(ranges)) {
+            document.getElementById(id).oninput = (e) => {
+                this.typography[key] = parseFloat(e.target.value);
+                this.onTypographyChanged();
+            };
+        }
+        document.getElementById('justifyText').onchange = (e) => {
+            this.typography.justify = e.target.checked;
+            this.onTypographyChanged();
+        };
+        document.getElementById('hyphenation').onchange = (e) => {
+            this.typography.hyphenation = e.target.checked;
+            this.onTypographyChanged();
+        };
+
+        for (let [id, key] of Object.entries(this.gestureToggles)) {
+            document.getElementById(id).onchange = (e) => {
+                this.gestures[key] = e.target.checked;
+                this.updateToolbarAutoHide(-1);
+                this.savePreferences();
+            };
+        }
+
+        this.presetSelect.onchange = () => {
+            const preset = this.loadPresets().find(p => p.name === this.presetSelect.value);
+            if (preset) {
+                this.applyPreset(preset.settings);
+                this.presetName.value = preset.name;
+            }
+        };
+        document.getElementById('presetSave').onclick = () => this.savePreset(this.presetName.value);
+        document.getElementById('presetDelete').onclick = () => this.deletePreset(this.presetSelect.value);
+        document.getElementById('syncAccountSave').onclick = () => this.saveSyncAccount();
+        document.getElementById('syncAccountForget').onclick = () => this.forgetSyncAccount();
+
+        this.loadUploadedFonts();
+    }
+
+    // Theme mode, schedule and warm filter live in theme.js storage so the
+    // catalog pages switch together with the reader
+    bindAppearanceEvents() {
+        const theme = window.tinyOPDSTheme;
+        if (!theme) {
+            document.getElementById('appearanceSettings').style.display = 'none';
+            return;
+        }
+
+        document.getElementById('themeMode').onchange = (e) => theme.save({ mode: e.target.value });
+        document.getElementById('nightStart').onchange = (e) => theme.save({ nightStart: e.target.value });
+        document.getElementById('nightEnd').onchange = (e) => theme.save({ nightEnd: e.target.value });
+        document.getElementById('warmFilter').onchange = (e) => theme.save({ warmFilter: e.target.checked });
+        document.getElementById('nightTheme').onchange = (e) => {
+            this.nightThemeIndex = parseInt(e.target.value, 10) || 0;
+            this.applyTheme();
+            this.savePreferences();
+            this.syncSettingsControls();
+        };
+
+        // System scheme changes, the schedule and other tabs
+        theme.onChange(() => {
+            this.applyTheme();
+            if (this.settingsOverlay.classList.contains('visible')) {
+                this.syncSettingsControls();
+            }
+        });
+    }
+
+    onTypographyChanged() {
+        this.applyTypography();
+        this.refreshLayout();
+        this.savePreferences();
+        this.syncSettingsControls();
+    }
+
+    showSettings() {
+        this.syncSettingsControls();
+        this.settingsOverlay.classList.add('visible');
+
+        if (this.menuVisible) {
+            this.toggleMenu();
+        }
+    }
+
+    hideSettings() {
+        this.settingsOverlay.classList.remove('visible');
+    }
+
+    syncSettingsControls() {
+        const theme = this.themes[this.getActiveThemeIndex()];
+        this.settingsOverlay.querySelectorAll('[data-theme]').forEach(btn => {
+            btn.classList.toggle('active', btn.getAttribute('data-theme') === theme);
+        });
+        document.getElementById('customColors').classList.toggle('visible', theme === 'custom');
+
+        if (window.tinyOPDSTheme) {
+            const appearance = window.tinyOPDSTheme.load();
+            document.getElementById('themeMode').value = appearance.mode;
+            document.getElementById('scheduleFields').classList.toggle('visible', appearance.mode === 'schedule');
+            document.getElementById('nightThemeRow').classList.toggle('visible', appearance.mode !== 'manual');
+            document.getElementById('nightStart').value = appearance.nightStart;
+            document.getElementById('nightEnd').value = appearance.nightEnd;
+            document.getElementById('nightTheme').value = this.nightThemeIndex;
+            document.getElementById('warmFilter').checked = !!appearance.warmFilter;
+        }
+        ['background', 'text', 'link'].forEach(name => {
+            document.getElementById(name + 'Color').value = this.customColors[name];
+        });
+
+        this.fontSelect.value = this.fontFamily;
+        document.getElementById('removeFontButton').style.display = this.fontFamily.startsWith('upload:') ? '' : 'none';
+
+        const t = this.typography;
+        document.getElementById('lineHeight').value = t.lineHeight;
+        document.getElementById('lineHeightValue').textContent = t.lineHeight.toFixed(1);
+        document.getElementById('paragraphSpacing').value = t.paragraphSpacing;
+        document.getElementById('paragraphSpacingValue').textContent = t.paragraphSpacing.toFixed(1) + 'em';
+        document.getElementById('textIndent').value = t.textIndent;
+        document.getElementById('textIndentValue').textContent = t.textIndent.toFixed(2).replace(/0$/, '') + 'em';
+        document.getElementById('justifyText').checked = t.justify;
+        document.getElementById('hyphenation').checked = t.hyphenation;
+
+        for (let [id, key] of Object.entries(this.gestureToggles)) {
+            document.getElementById(id).checked = this.gestures[key];
+        }
+        this.keyProfileSelect.value = this.keymap.profile;
+    }
+
+    renderFontOptions() {
+        const options = [
+            ['serif', this.strings.fontSerif],
+            ['sans', this.strings.fontSans],
+            ['mono', this.strings.fontMono],
+            ...this.uploadedFonts.map(font => ['upload:' + font.id, font.name]),
+            ...this.localFonts.map(family => ['local:' + family, family])
+        ];
+
+        // Keep a remembered local font selectable before the font list is queried
+        if (this.fontFamily.startsWith('local:') && !options.some(([value]) => value === this.fontFamily)) {
+            options.push([this.fontFamily, this.fontFamily.substring(6)]);
+        }
+
+        this.fontSelect.innerHTML = '';
+        for (const [value, label] of options) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            this.fontSelect.appendChild(option);
+        }
+        this.fontSelect.value = this.fontFamily;
+    }
+
+    setFont(font) {
+        this.fontFamily = font;
         this.applyFont();
+        this.refreshLayout();
         this.savePreferences();
+        this.syncSettingsControls();
     }
 
-    applyFont() {
-        this.fonts.forEach(font => this.bookContent.classList.remove(font));
-        this.bookContent.classList.add(this.fonts[this.currentFontIndex]);
-        this.fontIndicator.className = `font-indicator ${this.fontClasses[this.currentFontIndex]}`;
+    async loadLocalFonts() {
+        try {
+            const fonts = await window.queryLocalFonts();
+            this.localFonts = Array.from(new Set(fonts.map(font => font.family))).sort();
+            this.renderFontOptions();
+            this.fontSelect.focus();
+        } catch (e) {
+            console.warn('Could not list local fonts:', e);
+        }
+    }
+
+    openReaderDatabase() {
+        if (!this.databasePromise) {
+            this.databasePromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open('tinyopds-reader', 1);
+                request.onupgradeneeded = () => request.result.createObjectStore('fonts', { keyPath: 'id' });
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.databasePromise;
+    }
+
+    async runFontStore(mode, action) {
+        const db = await this.openReaderDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction('fonts', mode);
+            const request = action(transaction.objectStore('fonts'));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async registerFont(font) {
+        const face = new FontFace('tinyopds-font-' + font.id, font.data);
+        await face.load();
+        document.fonts.add(face);
+    }
+
+    async loadUploadedFonts() {
+        if (typeof indexedDB === 'undefined' || typeof FontFace === 'undefined') {
+            document.getElementById('uploadFontButton').style.display = 'none';
+            return;
+        }
+
+        try {
+            const fonts = await this.runFontStore('readonly', store => store.getAll());
+            for (const font of fonts) {
+                try {
+                    await this.registerFont(font);
+                    this.uploadedFonts.push({ id: font.id, name: font.name });
+                } catch (e) {
+                    console.warn('Could not register font:', font.name, e);
+                }
+            }
+            this.renderFontOptions();
+        } catch (e) {
+            console.warn('Could not load uploaded fonts:', e);
+        }
+    }
+
+    async uploadFont(file) {
+        if (!file) return;
+
+        try {
+            const data = await file.arrayBuffer();
+            const signature = String.fromCharCode(...new Uint8Array(data, 0, Math.min(4, data.byteLength)));
+            if (signature !== 'wOF2') {
+                throw new Error('Not a WOFF2 file');
+            }
+
+            const font = { id: Date.now().toString(36), name: file.name.replace(/\.woff2$/i, ''), data };
+            await this.registerFont(font);
+            await this.runFontStore('readwrite', store => store.put(font));
+
+            this.uploadedFonts.push({ id: font.id, name: font.name });
+            this.renderFontOptions();
+            this.setFont('upload:' + font.id);
+        } catch (e) {
+            console.error('Error loading font:', e);
+            alert(this.strings.fontUploadFailed + ': ' + e.message);
+        }
+    }
+
+    async removeUploadedFont(font) {
+        if (!font.startsWith('upload:')) return;
+
+        const id = font.substring(7);
+        try {
+            await this.runFontStore('readwrite', store => store.delete(id));
+        } catch (e) {
+            console.warn('Could not remove font:', e);
+        }
+
+        this.uploadedFonts = this.uploadedFonts.filter(f => f.id !== id);
+        this.renderFontOptions();
+        this.setFont('serif');
+    }
+
+    // A preset is everything that shapes the page, but not the reading mode
+    getTypographySettings() {
+        return {
+            theme: this.themes[this.currentThemeIndex],
+            customColors: { ...this.customColors },
+            font: this.fontFamily,
+            fontSize: this.fontSize,
+            margins: this.margins,
+            typography: { ...this.typography }
+        };
     }
 
-    toggleTheme() {
-        this.currentThemeIndex = (this.currentThemeIndex + 1) % this.themes.length;
+    applyPreset(settings) {
+        this.currentThemeIndex = Math.max(0, this.themes.indexOf(settings.theme));
+        this.customColors = { ...this.customColors, ...settings.customColors };
+        this.fontFamily = settings.font || 'serif';
+        this.fontSize = settings.fontSize || this.fontSize;
+        this.margins = settings.margins || this.margins;
+        this.typography = { ...this.typography, ...settings.typography };
+
         this.applyTheme();
+        this.applyFont();
+        this.applyFontSize();
+        this.applyMargins();
+        this.applyTypography();
+        this.refreshLayout();
         this.savePreferences();
+        this.renderFontOptions();
+        this.syncSettingsControls();
     }
 
-    applyTheme() {
-        const theme = this.themes[this.currentThemeIndex];
+    loadPresets() {
+        try {
+            return JSON.parse(localStorage.getItem('reader-presets') || '[]');
+        } catch (e) {
+            console.warn('Could not load presets:', e);
+            return [];
+        }
+    }
 
-        this.bookContent.className = this.bookContent.className
-            .replace(/\b(light|dark|sepia)\b/g, '')
-            .trim() + ' ' + theme;
+    savePreset(name) {
+        name = name.trim();
+        if (!name) {
+            this.presetName.focus();
+            return;
+        }
+
+        const presets = this.loadPresets().filter(p => p.name !== name);
+        presets.push({ name, settings: this.getTypographySettings() });
+        presets.sort((a, b) => a.name.localeCompare(b.name));
+        localStorage.setItem('reader-presets', JSON.stringify(presets));
 
-        document.body.className = 'theme-' + theme;
+        this.renderPresetOptions();
+        this.presetSelect.value = name;
+    }
+
+    deletePreset(name) {
+        if (!name) return;
+
+        localStorage.setItem('reader-presets', JSON.stringify(this.loadPresets().filter(p => p.name !== name)));
+        this.presetName.value = '';
+        this.renderPresetOptions();
+    }
+
+    renderPresetOptions() {
+        this.presetSelect.innerHTML = '';
+
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = this.strings.noPreset;
+        this.presetSelect.appendChild(none);
+
+        for (const preset of this.loadPresets()) {
+            const option = document.createElement('option');
+            option.value = preset.name;
+            option.textContent = preset.name;
+            this.presetSelect.appendChild(option);
+        }
     }
 
     changeMargins(delta) {
         this.margins = Math.max(10, Math.min(80, this.margins + delta));
         this.applyMargins();
+        this.refreshLayout();
         this.savePreferences();
     }
 
@@ -574,6 +5664,7 @@ class UniversalReader {
 
         this.widthMode = mode;
         this.applyWidthMode();
+        this.refreshLayout();
         this.savePreferences();
     }
 
@@ -595,109 +5686,441 @@ class UniversalReader {
     }
 
     updateProgress() {
-        const scrollTop = window.scrollY;
-        const scrollHeight = document.body.scrollHeight - window.innerHeight;
-        const progress = (scrollTop / scrollHeight) * 100;
+        let progress;
+
+        if (this.bookChunks.length > 0) {
+            progress = this.getTextProgress();
+        } else if (this.readingMode === 'paginated') {
+            progress = ((this.currentPage + 1) / this.totalPages) * 100;
+        } else {
+            const scrollTop = window.scrollY;
+            const scrollHeight = document.body.scrollHeight - window.innerHeight;
+            progress = (scrollTop / scrollHeight) * 100;
+        }
+
         this.progressBar.style.width = Math.min(100, Math.max(0, progress)) + '%';
     }
 
+    // Unrendered chunks only have estimated sizes, so in chunked books progress
+    // is the share of the text before the reading point: the chunks before the
+    // one on screen plus the part of it already passed
+    getTextProgress() {
+        const chunks = this.bookChunks;
+        if (this.bookTextLength === 0) return 0;
+
+        let low = 0;
+        let high = chunks.length;
+        let fraction;
+
+        if (this.readingMode === 'paginated') {
+            // Last chunk starting on or before the current page
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (this.getElementPage(chunks[mid].element) <= this.currentPage) {
+                    low = mid + 1;
+                } else {
+                    high = mid;
+                }
+            }
+            if (low === 0) return 0;
+            low--;
+
+            const start = this.getElementPage(chunks[low].element);
+            const end = low + 1 < chunks.length ? this.getElementPage(chunks[low + 1].element) : this.totalPages;
+            fraction = (this.currentPage - start + 1) / Math.max(1, end - start);
+        } else {
+            // First chunk reaching below the top of the window
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (chunks[mid].element.getBoundingClientRect().bottom > 0) {
+                    high = mid;
+                } else {
+                    low = mid + 1;
+                }
+            }
+            if (low === chunks.length) return 100;
+
+            const rect = chunks[low].element.getBoundingClientRect();
+            fraction = rect.height > 0 ? -rect.top / rect.height : 0;
+        }
+
+        const chunk = chunks[low];
+        fraction = Math.min(1, Math.max(0, fraction));
+        return ((chunk.offset + fraction * chunk.chars) / this.bookTextLength) * 100;
+    }
+
+    // Keys are written like 'Ctrl+f', 'Shift+Space' or 'G': printable keys
+    // already carry Shift in the character. Cmd on a Mac counts as Ctrl, and
+    // AltGr (reported as Ctrl+Alt) is left out so '[' works on any layout
+    getKeyName(e) {
+        if (['Control', 'Shift', 'Alt', 'Meta', 'AltGraph', 'CapsLock', 'Dead', 'Unidentified'].includes(e.key)) {
+            return null;
+        }
+
+        const altGraph = e.getModifierState && e.getModifierState('AltGraph');
+        let name = e.key === ' ' ? 'Space' : e.key;
+        if (e.shiftKey && name.length > 1) name = 'Shift+' + name;
+        if (e.altKey && !altGraph) name = 'Alt+' + name;
+        if ((e.ctrlKey || e.metaKey) && !altGraph) name = 'Ctrl+' + name;
+        return name;
+    }
+
+    // Arrows as symbols, letters after Ctrl in upper case as they are usually written
+    getKeyLabel(key) {
+        const names = { Space: 'Space', ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓', PageUp: 'PgUp', PageDown: 'PgDn' };
+        const [, modifiers, name] = /^((?:\w+\+)*)(.+)$/.exec(key);
+        return modifiers + (names[name] || (modifiers && name.length === 1 ? name.toUpperCase() : name));
+    }
+
+    // The profile keys with the ones set by hand in their place; a key set by
+    // hand is dropped from the profile command that had it
+    getKeyBindings() {
+        const profile = this.keyProfiles[this.keymap.profile];
+        const custom = this.keymap.custom;
+        const taken = new Set(Object.values(custom).flat());
+
+        const bindings = {};
+        for (const action of Object.keys(this.keyActions)) {
+            bindings[action] = custom[action] || (profile[action] || []).filter(key => !taken.has(key));
+        }
+        return bindings;
+    }
+
+    // Letters fall back to lower case, so Caps Lock doesn't switch them off
+    // unless the upper case letter has a command of its own (Vim's G)
+    findKeyAction(key) {
+        const bindings = this.getKeyBindings();
+        const find = (name) => Object.keys(bindings).find(action => bindings[action].includes(name));
+        return find(key) || (/(^|\+)[A-Z]$/.test(key) ? find(key.slice(0, -1) + key.slice(-1).toLowerCase()) : undefined);
+    }
+
+    // A key set for one command is taken away from the others
+    bindKey(action, key) {
+        const custom = this.keymap.custom;
+        for (const other of Object.keys(custom)) {
+            custom[other] = custom[other].filter(k => k !== key);
+        }
+        custom[action] = [key];
+        this.keyCapture = null;
+        this.onKeymapChanged();
+    }
+
+    onKeymapChanged() {
+        this.savePreferences();
+        this.renderKeys();
+    }
+
+    bindKeysEvents() {
+        document.getElementById('keysButton').onclick = () => this.showKeys();
+        document.getElementById('keysClose').onclick = () => this.hideKeys();
+        document.getElementById('keysReset').onclick = () => {
+            this.keymap.custom = {};
+            this.keyCapture = null;
+            this.onKeymapChanged();
+        };
+        this.keyProfileSelect.onchange = () => {
+            this.keymap.profile = this.keyProfileSelect.value;
+            this.onKeymapChanged();
+        };
+
+        this.keysOverlay.onclick = (e) => {
+            if (e.target === this.keysOverlay) {
+                this.hideKeys();
+            }
+        };
+        this.keysContent.onclick = (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) {
+                const action = button.getAttribute('data-action');
+                this.keyCapture = this.keyCapture === action ? null : action;
+                this.renderKeys();
+            }
+        };
+    }
+
+    showKeys() {
+        this.hideSettings();
+        this.keysOverlay.classList.add('visible');
+        this.renderKeys();
+
+        if (this.menuVisible) {
+            this.toggleMenu();
+        }
+    }
+
+    hideKeys() {
+        this.keyCapture = null;
+        this.keysOverlay.classList.remove('visible');
+    }
+
+    renderKeys() {
+        const escape = (text) => this.formatConverter.escapeXml(text);
+        const bindings = this.getKeyBindings();
+
+        this.keysContent.innerHTML = Object.keys(this.keyActions).map(action => {
+            const capturing = this.keyCapture === action;
+            const keys = bindings[action].map(key => `<kbd>${escape(this.getKeyLabel(key))}</kbd>`).join('');
+            return `
+                <div class="key-row${capturing ? ' capturing' : ''}">
+                    <span class="key-action">${escape(this.strings[action])}</span>
+                    <span class="key-list">${keys || `<span class="key-empty">${escape(this.strings.noKey)}</span>`}</span>
+                    <button class="settings-btn" data-action="${action}">${escape(capturing ? this.strings.pressKey : this.strings.changeKey)}</button>
+                </div>`;
+        }).join('');
+    }
+
+    // Arrows and j/k: a couple of lines in scroll mode, a page when paginated
+    scrollLines(direction) {
+        if (this.readingMode === 'paginated') {
+            this.turnPage(direction);
+            return;
+        }
+        window.scrollBy({ top: direction * this.fontSize * this.typography.lineHeight * 2 });
+    }
+
+    // Nested entries count too, the same way the TOC marks the current chapter
+    goToAdjacentChapter(direction) {
+        const chapters = this.flattenChapters(this.chapters);
+        const index = chapters.findIndex(chapter => chapter.id === this.getCurrentChapterId());
+        const target = chapters[index + direction];
+        if (target) {
+            this.navigateToChapter(target.id);
+        }
+    }
+
     handleKeyboard(e) {
+        // The shortcuts overlay is waiting for the new key of a command
+        if (this.keyCapture) {
+            e.preventDefault();
+            if (e.key === 'Escape') {
+                this.keyCapture = null;
+                this.renderKeys();
+            } else if (this.getKeyName(e)) {
+                this.bindKey(this.keyCapture, this.getKeyName(e));
+            }
+            return;
+        }
+
+        if (this.imageViewer.classList.contains('visible')) {
+            const actions = {
+                'Escape': () => this.hideImageViewer(),
+                'ArrowLeft': () => this.showViewerImage(this.viewerIndex - 1),
+                'ArrowRight': () => this.showViewerImage(this.viewerIndex + 1),
+                '+': () => this.zoomViewer(this.viewerScale * 1.5),
+                '=': () => this.zoomViewer(this.viewerScale * 1.5),
+                '-': () => this.zoomViewer(this.viewerScale / 1.5),
+                '0': () => this.resetViewerZoom()
+            };
+            if (actions[e.key]) {
+                e.preventDefault();
+                actions[e.key]();
+            }
+            return;
+        }
+
+        if (e.key === 'Escape' && this.footnotePopup.classList.contains('visible')) {
+            e.preventDefault();
+            this.hideFootnote();
+            return;
+        }
+
+        if (e.key === 'Escape' && this.dictionaryPopup.classList.contains('visible')) {
+            e.preventDefault();
+            this.hideDefinition();
+            return;
+        }
+
+        if (e.key === 'Escape' && this.bookInfoOverlay.classList.contains('visible')) {
+            e.preventDefault();
+            this.hideBookInfo();
+            return;
+        }
+
+        if (e.key === 'Escape' && this.vocabularyOverlay.classList.contains('visible')) {
+            e.preventDefault();
+            this.hideVocabulary();
+            return;
+        }
+
+        if (e.key === 'Escape' && this.noteOverlay.classList.contains('visible')) {
+            e.preventDefault();
+            this.hideNoteEditor();
+            return;
+        }
+
+        if (e.key === 'Escape' && this.keysOverlay.classList.contains('visible')) {
+            e.preventDefault();
+            this.hideKeys();
+            return;
+        }
+
+        if (e.key === 'Escape' && this.settingsOverlay.classList.contains('visible')) {
+            e.preventDefault();
+            this.hideSettings();
+            return;
+        }
+
+        if (e.key === 'Escape' && this.statsOverlay.classList.contains('visible')) {
+            e.preventDefault();
+            this.hideStats();
+            return;
+        }
+
+        if (e.key === 'Escape' && this.annotationsOverlay.classList.contains('visible')) {
+            e.preventDefault();
+            this.hideAnnotations();
+            return;
+        }
+
         if (e.key === 'Escape' && this.tocVisible) {
             e.preventDefault();
             this.hideTOC();
             return;
         }
 
-        switch (e.key) {
-            case ' ':
-                e.preventDefault();
-                this.scrollPage(e.shiftKey ? -1 : 1);
-                break;
-            case 'ArrowUp':
-                if (e.ctrlKey) {
-                    e.preventDefault();
-                    this.scrollPage(-1);
-                }
-                break;
-            case 'ArrowDown':
-                if (e.ctrlKey) {
-                    e.preventDefault();
-                    this.scrollPage(1);
-                }
-                break;
-            case 'm':
-            case 'M':
-                e.preventDefault();
-                this.toggleMenu();
-                break;
-            case 't':
-            case 'T':
-                e.preventDefault();
-                if (this.chapters.length > 0) {
-                    if (this.tocVisible) {
-                        this.hideTOC();
-                    } else {
-                        this.showTOC();
-                    }
-                }
-                break;
-            case 'f':
-            case 'F':
-                if (e.ctrlKey) {
-                    e.preventDefault();
-                    this.toggleFullscreen();
-                }
-                break;
-            case '+':
-            case '=':
-                if (e.ctrlKey) {
-                    e.preventDefault();
-                    this.changeFontSize(2);
-                }
-                break;
-            case '-':
-                if (e.ctrlKey) {
-                    e.preventDefault();
-                    this.changeFontSize(-2);
-                }
-                break;
+        if (e.key === 'Escape' && this.searchPanel.classList.contains('visible')) {
+            e.preventDefault();
+            this.hideSearch();
+            return;
+        }
+
+        const key = this.getKeyName(e);
+        const action = key && this.findKeyAction(key);
+        if (!action) return;
+
+        // Don't steal keys while typing a note, except Ctrl+F and the like for search
+        if (e.target.matches && e.target.matches('input, textarea, select') &&
+            !(action === 'search' && key.startsWith('Ctrl+'))) {
+            return;
         }
+
+        e.preventDefault();
+        this.keyActions[action]();
     }
 
+    // While the injected book is fetched the loading screen has a progress bar
+    // and a button to cancel
     showLoading(show) {
         if (show) {
-            this.bookContent.innerHTML = `<div class="loading">${this.strings.loading}</div>`;
+            const controller = this.loadController;
+            this.bookContent.innerHTML = `<div class="load-screen">
+                <div class="loading">${this.strings.loading}</div>
+                ${controller ? `<div class="load-progress" hidden><div class="load-progress-bar"></div></div>
+                <div class="load-status"></div>
+                <button class="load-btn">${this.strings.cancel}</button>` : ''}
+            </div>`;
+            if (controller) {
+                this.bookContent.querySelector('.load-btn').onclick = () => controller.abort();
+            }
             this.bookContent.style.display = 'block';
         }
     }
 
-    showError(message) {
-        this.bookContent.innerHTML = `<div class="error">${message}</div>`;
+    showLoadProgress(received, total) {
+        const progress = this.bookContent.querySelector('.load-progress');
+        const status = this.bookContent.querySelector('.load-status');
+        if (!progress || !status) return;
+
+        const percent = Math.min(100, Math.round((received / total) * 100));
+        const megabytes = (bytes) => (bytes / 1048576).toFixed(1);
+        progress.hidden = false;
+        progress.firstElementChild.style.width = percent + '%';
+        status.textContent = this.strings.loadProgress
+            .replace('{0}', percent)
+            .replace('{1}', megabytes(received))
+            .replace('{2}', megabytes(total));
+    }
+
+    showError(message, retry) {
+        this.bookContent.innerHTML = '';
+        this.bookContent.appendChild(this.createErrorBox(message, retry));
         this.bookContent.style.display = 'block';
     }
 
+    createErrorBox(message, retry) {
+        const box = document.createElement('div');
+        box.className = 'error';
+        box.textContent = message;
+
+        if (retry) {
+            const button = document.createElement('button');
+            button.className = 'load-btn';
+            button.textContent = this.strings.retry;
+            button.onclick = retry;
+            box.appendChild(button);
+        }
+        return box;
+    }
+
     savePreferences() {
-        localStorage.setItem('reader-prefs', JSON.stringify({
+        const prefs = {
             themeIndex: this.currentThemeIndex,
-            fontIndex: this.currentFontIndex,
+            nightThemeIndex: this.nightThemeIndex,
+            customColors: this.customColors,
+            font: this.fontFamily,
+            typography: this.typography,
             fontSize: this.fontSize,
             margins: this.margins,
-            widthMode: this.widthMode
-        }));
+            widthMode: this.widthMode,
+            readingMode: this.readingMode,
+            gestures: this.gestures,
+            keymap: this.keymap,
+            ttsRate: this.ttsRate
+        };
+        const updated = Date.now();
+        localStorage.setItem('reader-prefs', JSON.stringify({ ...prefs, updated }));
+        this.queueSync('prefs', '', updated, prefs);
+    }
+
+    // Preferences from another device, applied without reloading the book
+    applySyncedPreferences(prefs, updated) {
+        localStorage.setItem('reader-prefs', JSON.stringify({ ...prefs, updated }));
+
+        const anchor = this.positionRestored ? this.getPositionAnchor() : null;
+        this.readPreferences(prefs);
+        this.applyTheme();
+        this.applyFont();
+        this.applyTypography();
+        this.applyFontSize();
+        this.applyMargins();
+        this.applyWidthMode();
+        this.applyReadingMode();
+        this.syncSettingsControls();
+
+        if (anchor) {
+            this.restorePosition(anchor);
+        }
+    }
+
+    readPreferences(prefs) {
+        this.currentThemeIndex = Math.min(prefs.themeIndex || 0, this.themes.length - 1);
+        this.nightThemeIndex = Math.min(prefs.nightThemeIndex ?? 1, this.themes.length - 1);
+        this.customColors = { ...this.customColors, ...prefs.customColors };
+        this.fontFamily = prefs.font || this.builtinFonts[prefs.fontIndex || 0] || 'serif';
+        this.typography = { ...this.typography, ...prefs.typography };
+        this.fontSize = prefs.fontSize || 16;
+        this.margins = prefs.margins || 40;
+        this.widthMode = prefs.widthMode || 'standard';
+        this.readingMode = prefs.readingMode || 'scroll';
+        this.gestures = { ...this.gestures, ...prefs.gestures };
+        const keymap = prefs.keymap || {};
+        this.keymap = {
+            profile: this.keyProfiles[keymap.profile] ? keymap.profile : 'browser',
+            custom: { ...keymap.custom }
+        };
+        this.ttsRate = prefs.ttsRate || 1;
+        this.ttsRateSelect.value = String(this.ttsRate);
     }
 
     loadPreferences() {
         try {
-            const prefs = JSON.parse(localStorage.getItem('reader-prefs') || '{}');
-            this.currentThemeIndex = prefs.themeIndex || 0;
-            this.currentFontIndex = prefs.fontIndex || 0;
-            this.fontSize = prefs.fontSize || 16;
-            this.margins = prefs.margins || 40;
-            this.widthMode = prefs.widthMode || 'standard';
+            this.readPreferences(JSON.parse(localStorage.getItem('reader-prefs') || '{}'));
 
-            document.body.className = 'theme-' + this.themes[this.currentThemeIndex];
-            this.bookContent.className = `book-content ${this.themes[this.currentThemeIndex]} ${this.fonts[this.currentFontIndex]} hyphens-enabled`;
-            this.fontIndicator.className = `font-indicator ${this.fontClasses[this.currentFontIndex]}`;
+            document.body.className = '';
+            this.bookContent.className = 'book-content';
+            this.applyTheme();
+            this.applyFont();
+            this.applyTypography();
 
             this.bookContent.style.paddingLeft = this.margins + 'px';
             this.bookContent.style.paddingRight = this.margins + 'px';
@@ -710,6 +6133,8 @@ class UniversalReader {
             }
 
             this.readerContainer.className = `reader-container ${this.widthMode}`;
+
+            this.applyReadingMode();
         } catch (e) {
             console.warn('Could not load preferences:', e);
         }
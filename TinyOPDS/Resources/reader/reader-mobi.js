@@ -0,0 +1,423 @@
+﻿// MOBI/AZW3 reader - Palm database records, PalmDOC and HUFF/CDIC text
+// decompression, EXTH metadata and image records
+
+const MOBI_NO_COMPRESSION = 1;
+const MOBI_PALMDOC = 2;
+const MOBI_HUFF_CDIC = 17480;
+
+// EXTH record types the reader shows
+const MOBI_EXTH_AUTHOR = 100;
+const MOBI_EXTH_PUBLISHER = 101;
+const MOBI_EXTH_DESCRIPTION = 103;
+const MOBI_EXTH_ISBN = 104;
+const MOBI_EXTH_SUBJECT = 105;
+const MOBI_EXTH_DATE = 106;
+const MOBI_EXTH_CONTRIBUTOR = 108;
+const MOBI_EXTH_RIGHTS = 109;
+const MOBI_EXTH_KF8_BOUNDARY = 121;
+const MOBI_EXTH_COVER = 201;
+const MOBI_EXTH_TITLE = 503;
+const MOBI_EXTH_LANGUAGE = 524;
+
+class MobiReader {
+    constructor(buffer) {
+        this.bytes = new Uint8Array(buffer);
+        this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+
+        this.readRecordList();
+        this.readHeader(0);
+
+        // Books with both formats carry KF8 after the old MOBI part; the old
+        // part is used when there is one, its links and images are simpler
+        this.kf8 = this.version >= 8;
+    }
+
+    // Accepts a File/Blob, an ArrayBuffer or a Uint8Array
+    static async open(source) {
+        const buffer = source instanceof Blob ? await source.arrayBuffer() : source;
+        return new MobiReader(buffer);
+    }
+
+    readRecordList() {
+        if (this.bytes.length < 86) {
+            throw new Error('Not a MOBI file');
+        }
+
+        const type = this.readString(60, 8);
+        if (type !== 'BOOKMOBI' && type !== 'TEXtREAd') {
+            throw new Error('Not a MOBI file');
+        }
+
+        this.name = this.readString(0, 32).replace(/\0.*$/, '');
+        const count = this.view.getUint16(76);
+        this.offsets = [];
+        for (let i = 0; i < count; i++) {
+            this.offsets.push(this.view.getUint32(78 + i * 8));
+        }
+        this.offsets.push(this.bytes.length);
+    }
+
+    record(index) {
+        if (index < 0 || index >= this.offsets.length - 1) return null;
+        return this.bytes.subarray(this.offsets[index], this.offsets[index + 1]);
+    }
+
+    readString(offset, length, bytes = this.bytes) {
+        return String.fromCharCode(...bytes.subarray(offset, offset + length));
+    }
+
+    // Record 0: PalmDOC header, then the MOBI header and the EXTH block. A KF8
+    // part has the same layout, with record numbers counted from its own start
+    readHeader(base) {
+        const header = this.record(base);
+        if (!header || header.length < 16) {
+            throw new Error('Broken MOBI header');
+        }
+
+        const view = new DataView(header.buffer, header.byteOffset, header.byteLength);
+        this.base = base;
+        this.compression = view.getUint16(0);
+        this.textLength = view.getUint32(4);
+        this.textRecordCount = view.getUint16(8);
+        this.exth = new Map();
+
+        if (view.getUint16(12) !== 0) {
+            throw new Error('DRM-protected books cannot be opened');
+        }
+
+        this.encoding = 'windows-1252';
+        this.version = 0;
+        this.extraFlags = 0;
+        this.firstImage = -1;
+        this.fdst = -1;
+        this.title = '';
+
+        if (header.length < 24 || this.readString(16, 4, header) !== 'MOBI') {
+            return;
+        }
+
+        const headerLength = view.getUint32(20);
+        const field = (offset) => 16 + offset + 4 <= header.length && offset < headerLength ? view.getUint32(16 + offset) : 0xFFFFFFFF;
+
+        this.encoding = field(0x0C) === 65001 ? 'utf-8' : 'windows-1252';
+        this.version = field(0x14);
+        this.firstImage = field(0x6C) === 0xFFFFFFFF ? -1 : field(0x6C);
+        this.huffRecord = field(0x70);
+        this.huffCount = field(0x74);
+
+        if (headerLength >= 0xE4 && 16 + 0xE2 + 2 <= header.length) {
+            this.extraFlags = view.getUint16(16 + 0xE2);
+        }
+        if (this.version >= 8 && field(0xC0) !== 0xFFFFFFFF) {
+            this.fdst = field(0xC0);
+        }
+
+        const nameOffset = field(0x54);
+        const nameLength = field(0x58);
+        if (nameOffset + nameLength <= header.length) {
+            this.title = new TextDecoder(this.encoding).decode(header.subarray(nameOffset, nameOffset + nameLength));
+        }
+
+        if (field(0x80) & 0x40) {
+            this.readExth(header, view, 16 + headerLength);
+        }
+
+        // The KF8 part of a combined file repeats the metadata
+        const boundary = this.exthNumber(MOBI_EXTH_KF8_BOUNDARY);
+        if (base === 0 && this.version < 8 && boundary > 0 && boundary !== 0xFFFFFFFF) {
+            this.kf8Boundary = boundary;
+        }
+    }
+
+    readExth(header, view, offset) {
+        if (offset + 12 > header.length || this.readString(offset, 4, header) !== 'EXTH') return;
+
+        const count = view.getUint32(offset + 8);
+        let position = offset + 12;
+        for (let i = 0; i < count && position + 8 <= header.length; i++) {
+            const type = view.getUint32(position);
+            const length = view.getUint32(position + 4);
+            if (length < 8 || position + length > header.length) break;
+
+            if (!this.exth.has(type)) {
+                this.exth.set(type, []);
+            }
+            this.exth.get(type).push(header.subarray(position + 8, position + length));
+            position += length;
+        }
+    }
+
+    exthStrings(type) {
+        const decoder = new TextDecoder(this.encoding);
+        return (this.exth.get(type) || []).map(data => decoder.decode(data).trim()).filter(Boolean);
+    }
+
+    exthNumber(type) {
+        const data = (this.exth.get(type) || [])[0];
+        if (!data || data.length < 4) return -1;
+        return new DataView(data.buffer, data.byteOffset, 4).getUint32(0);
+    }
+
+    // Raw markup of the book as bytes; link targets in old MOBI files are
+    // offsets into it
+    readText() {
+        const parts = [];
+        let length = 0;
+        const huff = this.compression === MOBI_HUFF_CDIC ? this.loadHuffCdic() : null;
+
+        for (let i = 1; i <= this.textRecordCount && length < this.textLength; i++) {
+            let data = this.record(this.base + i);
+            if (!data) break;
+
+            data = data.subarray(0, data.length - this.trailingSize(data));
+            if (this.compression === MOBI_PALMDOC) {
+                data = MobiReader.palmDocDecompress(data);
+            } else if (huff) {
+                data = huff.decompress(data);
+            } else if (this.compression !== MOBI_NO_COMPRESSION) {
+                throw new Error('Unsupported MOBI compression: ' + this.compression);
+            }
+
+            parts.push(data);
+            length += data.length;
+        }
+
+        const text = new Uint8Array(Math.min(length, this.textLength));
+        let offset = 0;
+        for (const part of parts) {
+            const count = Math.min(part.length, text.length - offset);
+            text.set(part.subarray(0, count), offset);
+            offset += count;
+        }
+        return text;
+    }
+
+    // KF8 keeps styles and SVG in further flows after the text, the FDST
+    // record lists where each flow starts and ends
+    readFlows(text) {
+        const fdst = this.fdst >= 0 ? this.record(this.base + this.fdst) : null;
+        if (!fdst || fdst.length < 12 || this.readString(0, 4, fdst) !== 'FDST') {
+            return [text];
+        }
+
+        const view = new DataView(fdst.buffer, fdst.byteOffset, fdst.byteLength);
+        const count = view.getUint32(8);
+        const flows = [];
+        for (let i = 0; i < count && 12 + i * 8 + 8 <= fdst.length; i++) {
+            flows.push(text.subarray(view.getUint32(12 + i * 8), view.getUint32(16 + i * 8)));
+        }
+        return flows.length > 0 ? flows : [text];
+    }
+
+    // Text records may end with extra data entries, each flag bit above the
+    // first adds one sized by a backward-encoded number; the first bit marks
+    // multibyte character overlap bytes
+    trailingSize(data) {
+        let size = 0;
+        for (let flags = this.extraFlags >> 1; flags; flags >>= 1) {
+            if (flags & 1) {
+                let value = 0;
+                let shift = 0;
+                let position = data.length - size;
+                while (position > 0) {
+                    const byte = data[--position];
+                    value |= (byte & 0x7F) << shift;
+                    shift += 7;
+                    if ((byte & 0x80) || shift >= 28) break;
+                }
+                size += value;
+            }
+        }
+        if ((this.extraFlags & 1) && data.length > size) {
+            size += (data[data.length - size - 1] & 3) + 1;
+        }
+        return Math.min(size, data.length);
+    }
+
+    // LZ77 variant: 1-8 copy that many literal bytes, 0x80-0xBF start a
+    // distance/length pair, 0xC0-0xFF stand for a space and a character
+    static palmDocDecompress(data) {
+        const output = new Uint8Array(data.length * 8);
+        let length = 0;
+        let i = 0;
+
+        while (i < data.length) {
+            const byte = data[i++];
+
+            if (byte >= 1 && byte <= 8) {
+                for (let j = 0; j < byte && i < data.length; j++) {
+                    output[length++] = data[i++];
+                }
+            } else if (byte < 0x80) {
+                output[length++] = byte;
+            } else if (byte >= 0xC0) {
+                output[length++] = 0x20;
+                output[length++] = byte ^ 0x80;
+            } else if (i < data.length) {
+                const pair = ((byte << 8) | data[i++]) & 0x3FFF;
+                const distance = pair >> 3;
+                const count = (pair & 7) + 3;
+                for (let j = 0; j < count; j++) {
+                    output[length] = distance > 0 && length >= distance ? output[length - distance] : 0;
+                    length++;
+                }
+            }
+        }
+        return output.slice(0, length);
+    }
+
+    loadHuffCdic() {
+        const huff = this.record(this.base + this.huffRecord);
+        if (!huff || this.huffCount < 2) {
+            throw new Error('Broken MOBI Huffman tables');
+        }
+
+        const cdics = [];
+        for (let i = 1; i < this.huffCount; i++) {
+            cdics.push(this.record(this.base + this.huffRecord + i));
+        }
+        return new HuffCdicReader(huff, cdics);
+    }
+
+    // Image records follow the text; old MOBI markup numbers them from 1
+    // (recindex), KF8 uses kindle:embed with the same numbering. Records that
+    // are not images (fonts, indexes, end markers) keep their numbers
+    readImages() {
+        const images = [];
+        if (this.firstImage < 0) return images;
+
+        const end = this.kf8Boundary ? this.kf8Boundary - 1 : this.offsets.length - 1;
+        for (let index = this.base + this.firstImage; index < end; index++) {
+            const data = this.record(index);
+            const type = data ? MobiReader.imageType(data) : '';
+            if (type) {
+                images.push({ number: index - this.base - this.firstImage + 1, type, data });
+            } else if (data && data.length === 4 && data[0] === 0xE9 && data[1] === 0x8E) {
+                break;
+            }
+        }
+        return images;
+    }
+
+    static imageType(data) {
+        if (data.length < 4) return '';
+        if (data[0] === 0xFF && data[1] === 0xD8) return 'image/jpeg';
+        if (data[0] === 0x89 && data[1] === 0x50 && data[2] === 0x4E && data[3] === 0x47) return 'image/png';
+        if (data[0] === 0x47 && data[1] === 0x49 && data[2] === 0x46) return 'image/gif';
+        if (data[0] === 0x42 && data[1] === 0x4D) return 'image/bmp';
+        return '';
+    }
+}
+
+// HUFF/CDIC: canonical Huffman codes for phrases from the CDIC dictionaries;
+// a phrase may itself be compressed and is expanded when first used
+class HuffCdicReader {
+    constructor(huff, cdics) {
+        if (huff.length < 24 || String.fromCharCode(...huff.subarray(0, 4)) !== 'HUFF') {
+            throw new Error('Broken MOBI Huffman tables');
+        }
+
+        const view = new DataView(huff.buffer, huff.byteOffset, huff.byteLength);
+        const table1 = view.getUint32(8);
+        const table2 = view.getUint32(12);
+
+        // Codes are compared left-aligned in 32 bits, so limits are scaled
+        // with multiplication instead of shifts that would overflow
+        const scale = (length) => Math.pow(2, 32 - length);
+
+        this.table = [];
+        for (let i = 0; i < 256; i++) {
+            const value = view.getUint32(table1 + i * 4);
+            const length = value & 0x1F;
+            this.table.push({
+                length,
+                terminal: (value & 0x80) !== 0,
+                max: ((value >>> 8) + 1) * scale(length) - 1
+            });
+        }
+
+        this.minCodes = [0];
+        this.maxCodes = [0];
+        for (let length = 1; length <= 32; length++) {
+            this.minCodes.push(view.getUint32(table2 + (length - 1) * 8) * scale(length));
+            this.maxCodes.push((view.getUint32(table2 + (length - 1) * 8 + 4) + 1) * scale(length) - 1);
+        }
+
+        this.phrases = [];
+        for (const cdic of cdics) {
+            this.loadCdic(cdic);
+        }
+    }
+
+    loadCdic(cdic) {
+        if (!cdic || cdic.length < 16 || String.fromCharCode(...cdic.subarray(0, 4)) !== 'CDIC') {
+            throw new Error('Broken MOBI phrase dictionary');
+        }
+
+        const view = new DataView(cdic.buffer, cdic.byteOffset, cdic.byteLength);
+        const total = view.getUint32(8);
+        const bits = view.getUint32(12);
+        const count = Math.min(1 << bits, total - this.phrases.length);
+
+        for (let i = 0; i < count; i++) {
+            const offset = 16 + view.getUint16(16 + i * 2);
+            const length = view.getUint16(offset);
+            this.phrases.push({
+                data: cdic.subarray(offset + 2, offset + 2 + (length & 0x7FFF)),
+                expanded: (length & 0x8000) !== 0
+            });
+        }
+    }
+
+    decompress(data) {
+        const bytes = new Uint8Array(data.length + 8);
+        bytes.set(data);
+
+        const read32 = (bit) => {
+            const i = bit >> 3;
+            const shift = bit & 7;
+            const high = ((bytes[i] << 24) | (bytes[i + 1] << 16) | (bytes[i + 2] << 8) | bytes[i + 3]) >>> 0;
+            return shift === 0 ? high : ((high << shift) | (bytes[i + 4] >>> (8 - shift))) >>> 0;
+        };
+
+        const parts = [];
+        let total = 0;
+        let position = 0;
+        let bitsLeft = data.length * 8;
+
+        while (bitsLeft > 0) {
+            const code = read32(position);
+            let { length, terminal, max } = this.table[code >>> 24];
+            if (!terminal) {
+                while (length < 32 && code < this.minCodes[length]) {
+                    length++;
+                }
+                max = this.maxCodes[length];
+            }
+
+            position += length;
+            bitsLeft -= length;
+            if (bitsLeft < 0 || length === 0) break;
+
+            const index = Math.floor((max - code) / Math.pow(2, 32 - length));
+            const phrase = this.phrases[index];
+            if (!phrase) break;
+
+            if (!phrase.expanded) {
+                // Mark first so a phrase referring to itself cannot recurse forever
+                phrase.expanded = true;
+                phrase.data = this.decompress(phrase.data);
+            }
+            parts.push(phrase.data);
+            total += phrase.data.length;
+        }
+
+        const output = new Uint8Array(total);
+        let offset = 0;
+        for (const part of parts) {
+            output.set(part, offset);
+            offset += part.length;
+        }
+        return output;
+    }
+}
@@ -0,0 +1,514 @@
+﻿// ZIP archive reader for FB2.ZIP and EPUB files - stored and deflated entries,
+// native DecompressionStream where available, a JavaScript inflater otherwise;
+// books on the server can be read in parts with HTTP Range requests
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+const ZIP64_END_OF_DIRECTORY = 0x06064b50;
+const ZIP64_LOCATOR = 0x07064b50;
+
+// DEFLATE tables (RFC 1951, section 3.2.5)
+const INFLATE_LENGTH_BASE = [
+    3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+    35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258
+];
+const INFLATE_LENGTH_EXTRA = [
+    0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+    3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0
+];
+const INFLATE_DISTANCE_BASE = [
+    1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+    257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577
+];
+const INFLATE_DISTANCE_EXTRA = [
+    0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+    7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13
+];
+const INFLATE_CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+class ZipReader {
+    // The source is anything with a size and an async read(offset, length)
+    constructor(source) {
+        this.source = source;
+        this.entries = new Map();
+    }
+
+    // Accepts a File/Blob, an ArrayBuffer, a Uint8Array or a RangeFile; only a
+    // RangeFile is read in parts, the rest is read into memory at once
+    static async open(source) {
+        if (!(source instanceof RangeFile)) {
+            const bytes = new Uint8Array(source instanceof Blob ? await source.arrayBuffer() : source);
+            source = {
+                size: bytes.length,
+                read: async (offset, length) => bytes.subarray(offset, offset + length)
+            };
+        }
+
+        const zip = new ZipReader(source);
+        await zip.readCentralDirectory();
+        return zip;
+    }
+
+    // Feature test once: older engines know DecompressionStream but not 'deflate-raw'
+    static supportsNativeInflate() {
+        if (ZipReader.nativeInflate === undefined) {
+            try {
+                new DecompressionStream('deflate-raw');
+                ZipReader.nativeInflate = true;
+            } catch (e) {
+                ZipReader.nativeInflate = false;
+            }
+        }
+        return ZipReader.nativeInflate;
+    }
+
+    get names() {
+        return Array.from(this.entries.keys());
+    }
+
+    file(path) {
+        return this.entries.get(path) || null;
+    }
+
+    async read(offset, length) {
+        length = Math.max(0, Math.min(length, this.source.size - offset));
+        return this.source.read(offset, length);
+    }
+
+    async readBytes(entry) {
+        if (typeof entry === 'string') {
+            entry = this.file(entry);
+        }
+        if (!entry) return null;
+
+        // Header and data in one read: the local name and extra field usually
+        // match the central directory ones, if not the data is read again
+        const offset = entry.localHeaderOffset;
+        const bytes = await this.read(offset, 30 + entry.nameLength + entry.extraLength + entry.compressedSize);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        if (bytes.length < 30 || view.getUint32(0, true) !== ZIP_LOCAL_HEADER) {
+            throw new Error('Broken ZIP entry: ' + entry.name);
+        }
+
+        const start = 30 + view.getUint16(26, true) + view.getUint16(28, true);
+        const data = start + entry.compressedSize <= bytes.length
+            ? bytes.subarray(start, start + entry.compressedSize)
+            : await this.read(offset + start, entry.compressedSize);
+
+        if (entry.method === 0) {
+            return data.slice();
+        }
+        if (entry.method === 8) {
+            return this.inflate(data, entry.size);
+        }
+        throw new Error(`Unsupported ZIP compression method ${entry.method}: ${entry.name}`);
+    }
+
+    async readText(entry) {
+        const bytes = await this.readBytes(entry);
+        return bytes === null ? null : new TextDecoder('utf-8').decode(bytes);
+    }
+
+    async inflate(data, size) {
+        if (typeof DecompressionStream !== 'undefined' && ZipReader.supportsNativeInflate()) {
+            const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        }
+        return new Inflater(data, size).inflate();
+    }
+
+    findEndOfDirectory(view) {
+        for (let i = view.byteLength - 22; i >= 0; i--) {
+            if (view.getUint32(i, true) === ZIP_END_OF_DIRECTORY) {
+                return i;
+            }
+        }
+        throw new Error('Not a ZIP archive');
+    }
+
+    async readCentralDirectory() {
+        // The end record is 22 bytes plus a comment of up to 64 KB
+        const tailStart = Math.max(0, this.source.size - 22 - 0xFFFF);
+        const tail = await this.read(tailStart, this.source.size - tailStart);
+        const tailView = new DataView(tail.buffer, tail.byteOffset, tail.byteLength);
+
+        const end = this.findEndOfDirectory(tailView);
+        let count = tailView.getUint16(end + 10, true);
+        let offset = tailView.getUint32(end + 16, true);
+
+        // ZIP64 archives keep the real values in a separate record
+        if ((count === 0xFFFF || offset === 0xFFFFFFFF) && end >= 20 &&
+            tailView.getUint32(end - 20, true) === ZIP64_LOCATOR) {
+            const bytes = await this.read(this.readUint64(tailView, end - 20 + 8), 56);
+            const record = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            if (bytes.length === 56 && record.getUint32(0, true) === ZIP64_END_OF_DIRECTORY) {
+                count = this.readUint64(record, 32);
+                offset = this.readUint64(record, 48);
+            }
+        }
+
+        // The directory runs up to the end record; for remote files this is the
+        // second and last request before the entries themselves
+        const directory = await this.read(offset, tailStart + end - offset);
+        const view = new DataView(directory.buffer, directory.byteOffset, directory.byteLength);
+        let position = 0;
+
+        for (let i = 0; i < count; i++) {
+            if (position + 46 > directory.length || view.getUint32(position, true) !== ZIP_CENTRAL_HEADER) {
+                throw new Error('Broken ZIP central directory');
+            }
+
+            const flags = view.getUint16(position + 8, true);
+            const nameLength = view.getUint16(position + 28, true);
+            const extraLength = view.getUint16(position + 30, true);
+            const commentLength = view.getUint16(position + 32, true);
+
+            const entry = {
+                name: this.decodeName(directory.subarray(position + 46, position + 46 + nameLength), flags),
+                method: view.getUint16(position + 10, true),
+                compressedSize: view.getUint32(position + 20, true),
+                size: view.getUint32(position + 24, true),
+                localHeaderOffset: view.getUint32(position + 42, true),
+                nameLength,
+                extraLength
+            };
+
+            this.readZip64Extra(entry, view, position + 46 + nameLength, extraLength);
+
+            if (flags & 0x1) {
+                throw new Error('Encrypted ZIP archives are not supported');
+            }
+            if (!entry.name.endsWith('/')) {
+                this.entries.set(entry.name, entry);
+            }
+
+            position += 46 + nameLength + extraLength + commentLength;
+        }
+    }
+
+    // Sizes and offsets that overflow 32 bits are listed in the ZIP64 extra field
+    readZip64Extra(entry, view, start, length) {
+        let position = start;
+        while (position + 4 <= start + length) {
+            const id = view.getUint16(position, true);
+            const size = view.getUint16(position + 2, true);
+
+            if (id === 0x0001) {
+                let field = position + 4;
+                for (const key of ['size', 'compressedSize', 'localHeaderOffset']) {
+                    if (entry[key] === 0xFFFFFFFF && field + 8 <= position + 4 + size) {
+                        entry[key] = this.readUint64(view, field);
+                        field += 8;
+                    }
+                }
+                return;
+            }
+            position += 4 + size;
+        }
+    }
+
+    readUint64(view, offset) {
+        return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 0x100000000;
+    }
+
+    // Names are UTF-8 when flagged (or valid), otherwise the DOS code page;
+    // Russian archivers write CP866
+    decodeName(bytes, flags) {
+        if (flags & 0x800) {
+            return new TextDecoder('utf-8').decode(bytes);
+        }
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch (e) {
+            return new TextDecoder('ibm866').decode(bytes);
+        }
+    }
+}
+
+// A book on the server read in parts with HTTP Range requests. It has the bits
+// of the File interface the reader needs; fetched parts are kept, so the ZIP
+// directory and chapters already read cost nothing the second time
+class RangeFile {
+    constructor(url, name, size) {
+        this.url = url;
+        this.name = name;
+        this.size = size;
+        this.type = '';
+        this.signal = undefined;
+        this.parts = [];
+    }
+
+    // Made from the answer to the first ranged request, which is kept as well
+    static async fromResponse(url, name, response) {
+        const match = /bytes\s+(\d+)-\d+\/(\d+)/i.exec(response.headers.get('Content-Range') || '');
+        if (!match) {
+            throw new Error('Invalid Content-Range');
+        }
+
+        const file = new RangeFile(url, name, Number(match[2]));
+        file.parts.push({ offset: Number(match[1]), bytes: new Uint8Array(await response.arrayBuffer()) });
+        return file;
+    }
+
+    async read(offset, length) {
+        const end = Math.min(offset + length, this.size);
+        if (end <= offset) return new Uint8Array(0);
+
+        const part = this.parts.find(p => p.offset <= offset && p.offset + p.bytes.length >= end);
+        if (part) {
+            return part.bytes.subarray(offset - part.offset, end - part.offset);
+        }
+
+        const response = await fetch(this.url, {
+            headers: { 'X-TinyOPDS-Reader': '1', Range: `bytes=${offset}-${end - 1}` },
+            credentials: 'same-origin',
+            signal: this.signal
+        });
+        if (response.status !== 206 && response.status !== 200) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        // A cache in between may answer with the whole file, which is fine too
+        const bytes = new Uint8Array(await response.arrayBuffer());
+        const start = response.status === 206 ? offset : 0;
+        this.parts.push({ offset: start, bytes });
+        return bytes.subarray(offset - start, end - start);
+    }
+
+    slice(start = 0, end = this.size) {
+        return new RangeFileSlice(this, start, Math.min(end, this.size));
+    }
+
+    async arrayBuffer() {
+        return this.slice().arrayBuffer();
+    }
+}
+
+class RangeFileSlice {
+    constructor(file, start, end) {
+        this.file = file;
+        this.start = start;
+        this.size = Math.max(0, end - start);
+    }
+
+    async arrayBuffer() {
+        return (await this.file.read(this.start, this.size)).slice().buffer;
+    }
+}
+
+// Raw DEFLATE decoder (RFC 1951) with canonical Huffman tables decoded bit by bit
+class Inflater {
+    constructor(data, size) {
+        this.data = data;
+        this.position = 0;
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+        this.output = new Uint8Array(Math.max(size || 0, data.length * 4, 1024));
+        this.length = 0;
+    }
+
+    inflate() {
+        let last;
+        do {
+            last = this.bits(1);
+            const type = this.bits(2);
+
+            if (type === 0) {
+                this.storedBlock();
+            } else if (type === 1) {
+                this.huffmanBlock(Inflater.fixedTables().literals, Inflater.fixedTables().distances);
+            } else if (type === 2) {
+                const tables = this.dynamicTables();
+                this.huffmanBlock(tables.literals, tables.distances);
+            } else {
+                throw new Error('Invalid DEFLATE block type');
+            }
+        } while (!last);
+
+        return this.output.slice(0, this.length);
+    }
+
+    bits(count) {
+        while (this.bitCount < count) {
+            if (this.position >= this.data.length) {
+                throw new Error('Unexpected end of DEFLATE data');
+            }
+            this.bitBuffer |= this.data[this.position++] << this.bitCount;
+            this.bitCount += 8;
+        }
+
+        const value = this.bitBuffer & ((1 << count) - 1);
+        this.bitBuffer >>>= count;
+        this.bitCount -= count;
+        return value;
+    }
+
+    ensureCapacity(extra) {
+        if (this.length + extra <= this.output.length) return;
+
+        const grown = new Uint8Array(Math.max(this.output.length * 2, this.length + extra));
+        grown.set(this.output.subarray(0, this.length));
+        this.output = grown;
+    }
+
+    storedBlock() {
+        // Stored blocks start at a byte boundary
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+
+        if (this.position + 4 > this.data.length) {
+            throw new Error('Unexpected end of DEFLATE data');
+        }
+        const length = this.data[this.position] | (this.data[this.position + 1] << 8);
+        const check = this.data[this.position + 2] | (this.data[this.position + 3] << 8);
+        this.position += 4;
+
+        if (length !== (~check & 0xFFFF) || this.position + length > this.data.length) {
+            throw new Error('Broken stored DEFLATE block');
+        }
+
+        this.ensureCapacity(length);
+        this.output.set(this.data.subarray(this.position, this.position + length), this.length);
+        this.length += length;
+        this.position += length;
+    }
+
+    huffmanBlock(literals, distances) {
+        for (;;) {
+            const symbol = this.decodeSymbol(literals);
+
+            if (symbol < 256) {
+                this.ensureCapacity(1);
+                this.output[this.length++] = symbol;
+            } else if (symbol === 256) {
+                return;
+            } else {
+                const index = symbol - 257;
+                if (index >= INFLATE_LENGTH_BASE.length) {
+                    throw new Error('Invalid DEFLATE length code');
+                }
+                const length = INFLATE_LENGTH_BASE[index] + this.bits(INFLATE_LENGTH_EXTRA[index]);
+
+                const distanceCode = this.decodeSymbol(distances);
+                if (distanceCode >= INFLATE_DISTANCE_BASE.length) {
+                    throw new Error('Invalid DEFLATE distance code');
+                }
+                const distance = INFLATE_DISTANCE_BASE[distanceCode] + this.bits(INFLATE_DISTANCE_EXTRA[distanceCode]);
+                if (distance > this.length) {
+                    throw new Error('Invalid DEFLATE distance');
+                }
+
+                // Byte by byte: the copy may overlap its own output
+                this.ensureCapacity(length);
+                for (let i = 0; i < length; i++) {
+                    this.output[this.length] = this.output[this.length - distance];
+                    this.length++;
+                }
+            }
+        }
+    }
+
+    dynamicTables() {
+        const literalCount = this.bits(5) + 257;
+        const distanceCount = this.bits(5) + 1;
+        const codeLengthCount = this.bits(4) + 4;
+
+        const codeLengths = new Uint8Array(19);
+        for (let i = 0; i < codeLengthCount; i++) {
+            codeLengths[INFLATE_CODE_LENGTH_ORDER[i]] = this.bits(3);
+        }
+        const codeLengthTable = Inflater.buildTable(codeLengths);
+
+        const lengths = new Uint8Array(literalCount + distanceCount);
+        for (let i = 0; i < lengths.length;) {
+            const symbol = this.decodeSymbol(codeLengthTable);
+
+            if (symbol < 16) {
+                lengths[i++] = symbol;
+                continue;
+            }
+
+            let repeat;
+            let value = 0;
+            if (symbol === 16) {
+                if (i === 0) throw new Error('Invalid DEFLATE code lengths');
+                value = lengths[i - 1];
+                repeat = 3 + this.bits(2);
+            } else if (symbol === 17) {
+                repeat = 3 + this.bits(3);
+            } else {
+                repeat = 11 + this.bits(7);
+            }
+
+            if (i + repeat > lengths.length) {
+                throw new Error('Invalid DEFLATE code lengths');
+            }
+            lengths.fill(value, i, i + repeat);
+            i += repeat;
+        }
+
+        return {
+            literals: Inflater.buildTable(lengths.subarray(0, literalCount)),
+            distances: Inflater.buildTable(lengths.subarray(literalCount))
+        };
+    }
+
+    // Canonical Huffman table: code counts per length and symbols in code order
+    static buildTable(lengths) {
+        const counts = new Uint16Array(16);
+        for (let i = 0; i < lengths.length; i++) {
+            counts[lengths[i]]++;
+        }
+        counts[0] = 0;
+
+        const offsets = new Uint16Array(16);
+        for (let i = 1; i < 16; i++) {
+            offsets[i] = offsets[i - 1] + counts[i - 1];
+        }
+
+        const symbols = new Uint16Array(lengths.length);
+        for (let i = 0; i < lengths.length; i++) {
+            if (lengths[i]) {
+                symbols[offsets[lengths[i]]++] = i;
+            }
+        }
+
+        return { counts, symbols };
+    }
+
+    decodeSymbol(table) {
+        let code = 0;
+        let first = 0;
+        let index = 0;
+
+        for (let length = 1; length < 16; length++) {
+            code |= this.bits(1);
+            const count = table.counts[length];
+            if (code - first < count) {
+                return table.symbols[index + code - first];
+            }
+            index += count;
+            first = (first + count) << 1;
+            code <<= 1;
+        }
+
+        throw new Error('Invalid DEFLATE Huffman code');
+    }
+
+    static fixedTables() {
+        if (!Inflater.fixed) {
+            const literals = new Uint8Array(288);
+            literals.fill(8, 0, 144);
+            literals.fill(9, 144, 256);
+            literals.fill(7, 256, 280);
+            literals.fill(8, 280, 288);
+
+            Inflater.fixed = {
+                literals: Inflater.buildTable(literals),
+                distances: Inflater.buildTable(new Uint8Array(30).fill(5))
+            };
+        }
+        return Inflater.fixed;
+    }
+}
\ No newline at end of file
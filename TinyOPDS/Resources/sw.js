@@ -0,0 +1,194 @@
+﻿// Service worker for TinyOPDS web interface: offline catalog shell, reader and saved books
+'use strict';
+
+const SHELL_CACHE = 'tinyopds-shell-v2';
+const PAGES_CACHE = 'tinyopds-pages';
+const BOOKS_CACHE = 'tinyopds-offline-books';
+const MAX_CACHED_PAGES = 200;
+
+// Static assets, served from cache and refreshed in the background
+const STATIC_URLS = [
+    '/smart-header.js',
+    '/infinite-scroll.js',
+    '/offline.js',
+    '/theme.js',
+    '/manifest.webmanifest',
+    '/favicon.ico',
+    '/book_cover.jpg',
+    '/logo.png',
+    '/app-icon.png'
+];
+
+// Pages needed to start without network: catalog root and the reader shell
+const SHELL_URLS = ['/', '/reader/'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => Promise.all(STATIC_URLS.concat(SHELL_URLS).map(url =>
+                cache.add(new Request(url, { cache: 'reload' }))
+                    .catch(err => console.warn('Could not cache', url, err)))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('tinyopds-shell-') && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (STATIC_URLS.includes(url.origin === self.location.origin ? url.pathname : url.href)) {
+        event.respondWith(staleWhileRevalidate(request));
+    } else if (url.origin !== self.location.origin) {
+        return;
+    } else if (url.pathname.startsWith('/sync/')) {
+        // Stale sync records are of no use, the reader queues its changes itself
+        return;
+    } else if (url.pathname.startsWith('/download/')) {
+        event.respondWith(savedBookFirst(request));
+    } else if (/^\/reader\/[^/]+/.test(url.pathname)) {
+        event.respondWith(readerPage(request, url));
+    } else if (SHELL_URLS.includes(url.pathname)) {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    } else {
+        event.respondWith(networkFirst(request, PAGES_CACHE));
+    }
+});
+
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+
+    const update = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+
+    return cached || update;
+}
+
+// Catalog pages, covers and feeds: network first, the last copy when offline
+async function networkFirst(request, cacheName) {
+    try {
+        const response = await fetch(request);
+        if (response.ok && response.type === 'basic') {
+            const cache = await caches.open(cacheName);
+            await cache.put(request, response.clone());
+            if (cacheName === PAGES_CACHE) {
+                trimCache(cache, MAX_CACHED_PAGES);
+            }
+        }
+        return response;
+    } catch (e) {
+        const cached = await caches.match(request, { ignoreVary: true });
+        if (cached) return cached;
+        if (request.mode === 'navigate') return offlinePage();
+        return Response.error();
+    }
+}
+
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    for (let i = 0; i < keys.length - maxEntries; i++) {
+        await cache.delete(keys[i]);
+    }
+}
+
+// Books saved for offline reading never hit the network again
+async function savedBookFirst(request) {
+    const cache = await caches.open(BOOKS_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    return cached || fetch(request);
+}
+
+// Reader pages are made per book and never cached; saved books open in the
+// cached reader shell, which loads them from the books cache
+async function readerPage(request, url) {
+    try {
+        return await fetch(request);
+    } catch (e) {
+        const id = url.pathname.substring('/reader/'.length);
+        const books = await caches.open(BOOKS_CACHE);
+        if (await books.match(`/offline/${id}.json`)) {
+            const shell = await caches.match('/reader/');
+            if (shell) return shell;
+        }
+        return offlinePage();
+    }
+}
+
+async function savedBooks() {
+    const cache = await caches.open(BOOKS_CACHE);
+    const books = [];
+
+    for (const key of await cache.keys()) {
+        if (!new URL(key.url).pathname.startsWith('/offline/')) continue;
+        try {
+            const response = await cache.match(key);
+            books.push(await response.json());
+        } catch (e) {
+            // Skip broken entries
+        }
+    }
+
+    return books.sort((a, b) => (b.saved || 0) - (a.saved || 0));
+}
+
+function escapeHtml(text) {
+    return String(text || '').replace(/[&<>"']/g, c => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[c]);
+}
+
+// Shown for pages that were never cached: the list of saved books still works
+async function offlinePage() {
+    const books = await savedBooks();
+
+    const items = books.map(book => `
+        <li><a href="/reader/${escapeHtml(book.id)}">${escapeHtml(book.title)}</a>
+        <div class="author">${escapeHtml(book.author)}</div></li>`).join('');
+
+    const html = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>TinyOPDS - Offline</title>
+<style>
+body { font-family: Arial, Helvetica, sans-serif; margin: 0; padding: 20px; background: #f5f5f5; color: #333; }
+h1 { font-size: 20px; }
+ul { list-style: none; padding: 0; }
+li { background: white; margin: 8px 0; padding: 12px 16px; border-radius: 8px; }
+a { color: #007acc; text-decoration: none; font-weight: 600; }
+.author { color: #666; font-size: 14px; margin-top: 4px; }
+@media (prefers-color-scheme: dark) {
+    body { background: #1a1a1a; color: #e1e1e1; }
+    li { background: #2d2d2d; }
+    a { color: #5fb3f0; }
+    .author { color: #999; }
+}
+</style>
+</head>
+<body>
+<h1>You are offline</h1>
+${books.length > 0 ? `<p>Books saved for offline reading:</p><ul>${items}</ul>` : '<p>No books saved for offline reading.</p>'}
+</body>
+</html>`;
+
+    return new Response(html, { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+}
\ No newline at end of file
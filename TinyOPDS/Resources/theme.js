@@ -0,0 +1,119 @@
+﻿// Shared day/night appearance for the catalog pages and the reader: manual,
+// following the system color scheme or a night schedule, plus a warm filter
+(function () {
+    'use strict';
+
+    // Shared with the reader, which keeps its own day and night themes
+    const STORAGE_KEY = 'tinyopds-appearance';
+
+    const defaults = {
+        mode: 'manual',
+        nightStart: '22:00',
+        nightEnd: '07:00',
+        warmFilter: false
+    };
+
+    const root = document.documentElement;
+    const colorScheme = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+
+    // The class the server rendered from its "dark theme" setting, used in manual mode
+    const serverDark = root.classList.contains('dark');
+
+    const listeners = [];
+
+    function load() {
+        try {
+            return Object.assign({}, defaults, JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}'));
+        } catch (e) {
+            return Object.assign({}, defaults);
+        }
+    }
+
+    function save(settings) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(Object.assign(load(), settings)));
+        } catch (e) {
+            console.warn('Could not save appearance settings:', e);
+        }
+        update();
+    }
+
+    function toMinutes(time) {
+        const parts = String(time).split(':');
+        return (parseInt(parts[0], 10) || 0) * 60 + (parseInt(parts[1], 10) || 0);
+    }
+
+    // The night range may wrap past midnight (22:00 - 07:00)
+    function isScheduledNight(settings, date) {
+        const now = date.getHours() * 60 + date.getMinutes();
+        const start = toMinutes(settings.nightStart);
+        const end = toMinutes(settings.nightEnd);
+
+        if (start === end) return false;
+        return start < end ? now >= start && now < end : now >= start || now < end;
+    }
+
+    // true or false in the automatic modes, null when the page keeps its own theme
+    function isNight(settings) {
+        settings = settings || load();
+
+        if (settings.mode === 'system') {
+            return !!(colorScheme && colorScheme.matches);
+        }
+        if (settings.mode === 'schedule') {
+            return isScheduledNight(settings, new Date());
+        }
+        return null;
+    }
+
+    // Catalog pages only have light and .dark; the class is harmless in the reader
+    function apply(night, settings) {
+        const dark = night === null ? serverDark : night;
+        root.classList.toggle('dark', dark);
+        root.classList.toggle('warm-filter', !!settings.warmFilter && dark);
+    }
+
+    function update() {
+        const settings = load();
+        const night = isNight(settings);
+
+        apply(night, settings);
+        listeners.forEach(listener => listener(night, settings));
+    }
+
+    function onChange(listener) {
+        listeners.push(listener);
+    }
+
+    if (colorScheme) {
+        if (colorScheme.addEventListener) {
+            colorScheme.addEventListener('change', update);
+        } else if (colorScheme.addListener) {
+            colorScheme.addListener(update);
+        }
+    }
+
+    // Other tabs (the reader and catalog pages) change the settings too
+    window.addEventListener('storage', (e) => {
+        if (e.key === STORAGE_KEY) {
+            update();
+        }
+    });
+
+    setInterval(() => {
+        if (load().mode === 'schedule') {
+            update();
+        }
+    }, 60000);
+
+    window.tinyOPDSTheme = {
+        load: load,
+        save: save,
+        isNight: isNight,
+        onChange: onChange,
+        update: update
+    };
+
+    // Runs from <head>, before the first paint
+    update();
+})();
\ No newline at end of file
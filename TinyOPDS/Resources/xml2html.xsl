@@ -11,6 +11,12 @@ xmlns:x="http://www.w3.org/2005/Atom">
 	<xsl:param name="downloadText" select="'Download'"/>
 	<xsl:param name="downloadEpubText" select="'Download EPUB'"/>
 	<xsl:param name="readText" select="'Read'"/>
+	<xsl:param name="saveOfflineText" select="'Save for offline'"/>
+	<xsl:param name="savingOfflineText" select="'Saving...'"/>
+	<xsl:param name="savedOfflineText" select="'Saved offline'"/>
+	<xsl:param name="removeOfflineText" select="'Remove offline copy'"/>
+	<xsl:param name="saveOfflineFailedText" select="'Could not save'"/>
+	<xsl:param name="offlineUnavailableText" select="'Offline saving needs HTTPS'"/>
 
 	<!-- Reader localization parameters -->
 	<xsl:param name="readerTableOfContents" select="'Table of Contents'"/>
@@ -52,6 +58,12 @@ xmlns:x="http://www.w3.org/2005/Atom">
 				<meta http-equiv="Content-Type" content="text/html; charset=utf-8" />
 				<meta name="viewport" content="width=device-width, initial-scale=1.0" />
 				<link rel="icon" type="image/x-icon" href="{$faviconIco}?v=1"/>
+				<link rel="manifest" href="/manifest.webmanifest"/>
+				<meta name="theme-color" content="#667eea"/>
+				<!-- Applies the automatic dark theme before the first paint -->
+				<script src="/theme.js">
+					<xsl:text> </xsl:text>
+				</script>
 				<style>
 					html {
 					scrollbar-gutter: stable;
@@ -394,6 +406,40 @@ xmlns:x="http://www.w3.org/2005/Atom">
 					box-shadow: 0 2px 6px rgba(102, 126, 234, 0.3);
 					}
 
+					.offline-button {
+					display: none;
+					font-size: 11px;
+					padding: 6px 8px;
+					border: 1px solid #667eea;
+					border-radius: 6px;
+					background: transparent;
+					color: #667eea;
+					width: 100%;
+					box-sizing: border-box;
+					margin-top: 4px;
+					cursor: pointer;
+					}
+
+					.offline-capable .offline-button {
+					display: block;
+					}
+
+					.offline-unavailable .offline-button {
+					display: block;
+					opacity: 0.6;
+					cursor: help;
+					}
+
+					.offline-button.saved {
+					background: #667eea;
+					color: white;
+					}
+
+					.offline-button[data-busy] {
+					opacity: 0.6;
+					cursor: wait;
+					}
+
 					.read-button:hover {
 					background: linear-gradient(135deg, #5a67d8 0%, #6b46c1 100%);
 					color: white;
@@ -871,6 +917,16 @@ xmlns:x="http://www.w3.org/2005/Atom">
 					box-shadow: 0 4px 12px rgba(74, 78, 112, 0.8);
 					}
 
+					.dark .offline-button {
+					border-color: #8a8fc0;
+					color: #c5c8f0;
+					}
+
+					.dark .offline-button.saved {
+					background: #4a4e70;
+					color: white;
+					}
+
 					.dark .download-link {
 					color: white;
 					}
@@ -955,6 +1011,20 @@ xmlns:x="http://www.w3.org/2005/Atom">
 					.book-descr.expanded{max-height:none}
 					}
 					.dark .descr-toggle{background:transparent;border-color:#444;color:#eee}
+
+					/* Warm low blue light filter at night, see theme.js */
+					.warm-filter body::after {
+					content: '';
+					position: fixed;
+					top: 0;
+					left: 0;
+					right: 0;
+					bottom: 0;
+					background: rgba(255, 150, 50, 0.18);
+					mix-blend-mode: multiply;
+					pointer-events: none;
+					z-index: 100000;
+					}
 				</style>
 				<script src="/smart-header.js">
 					<xsl:text> </xsl:text>
@@ -962,6 +1032,28 @@ xmlns:x="http://www.w3.org/2005/Atom">
 				<script src="/infinite-scroll.js">
 					<xsl:text> </xsl:text>
 				</script>
+				<!-- Offline labels are attributes, so translations need no JS escaping -->
+				<script src="/offline.js">
+					<xsl:attribute name="data-save">
+						<xsl:value-of select="$saveOfflineText"/>
+					</xsl:attribute>
+					<xsl:attribute name="data-saving">
+						<xsl:value-of select="$savingOfflineText"/>
+					</xsl:attribute>
+					<xsl:attribute name="data-saved">
+						<xsl:value-of select="$savedOfflineText"/>
+					</xsl:attribute>
+					<xsl:attribute name="data-remove">
+						<xsl:value-of select="$removeOfflineText"/>
+					</xsl:attribute>
+					<xsl:attribute name="data-failed">
+						<xsl:value-of select="$saveOfflineFailedText"/>
+					</xsl:attribute>
+					<xsl:attribute name="data-unavailable">
+						<xsl:value-of select="$offlineUnavailableText"/>
+					</xsl:attribute>
+					<xsl:text> </xsl:text>
+				</script>
 				<script>
 					// Store reader localization strings in localStorage for reader.html
 					(function() {
@@ -1232,6 +1324,20 @@ xmlns:x="http://www.w3.org/2005/Atom">
 													</xsl:attribute>
 													<xsl:value-of select="$readText"/>
 												</a>
+
+												<!-- Save for offline button, shown by offline.js where supported -->
+												<button class="offline-button" type="button">
+													<xsl:attribute name="data-book-id">
+														<xsl:value-of select="$bookId"/>
+													</xsl:attribute>
+													<xsl:attribute name="data-format">
+														<xsl:choose>
+															<xsl:when test="x:link[attribute::type='application/fb2+zip'] or x:format = 'fb2'">fb2</xsl:when>
+															<xsl:otherwise>epub</xsl:otherwise>
+														</xsl:choose>
+													</xsl:attribute>
+													<xsl:value-of select="$saveOfflineText"/>
+												</button>
 											</xsl:if>
 
 											<div class="download-links">
@@ -11,6 +11,7 @@
 
 using System;
 using System.Collections.Generic;
+using System.Globalization;
 using System.IO;
 using System.Linq;
 using System.Threading;
@@ -23,6 +24,21 @@ namespace TinyOPDS.Server
     /// </summary>
     public class BookDownloadHandler
     {
+        // EPUB files web readers are reading in parts, most recently used first. An entry
+        // is released when no part of it was asked for a while
+        private const int rangeCacheSize = 3;
+        private static readonly TimeSpan rangeCacheLifetime = TimeSpan.FromMinutes(2);
+        private static readonly object rangeCacheLock = new object();
+        private static readonly List<RangeCacheEntry> rangeCache = new List<RangeCacheEntry>();
+        private static Timer rangeCacheTimer = null;
+
+        private class RangeCacheEntry
+        {
+            public string Key;
+            public byte[] Content;
+            public DateTime LastUsed;
+        }
+
         /// <summary>
         /// Main entry point for handling book download requests
         /// </summary>
@@ -48,6 +64,7 @@ namespace TinyOPDS.Server
 
                 string downloadFormat = null;
                 string downloadType = "download";
+                bool partial = false;
 
                 if (request.Contains("/fb2") || request.Contains(".fb2.zip"))
                 {
@@ -57,7 +74,7 @@ namespace TinyOPDS.Server
                 else if (request.Contains("/epub") || ext.Equals(".epub"))
                 {
                     downloadFormat = "epub";
-                    HandleEpubDownload(processor, book, acceptFB2);
+                    partial = HandleEpubDownload(processor, book, acceptFB2);
                 }
                 else if (request.Contains("/mobi") || ext.Equals(".mobi"))
                 {
@@ -65,9 +82,15 @@ namespace TinyOPDS.Server
                     HandleMobiDownload(processor, book);
                 }
 
-                RecordDownload(bookID, downloadType, downloadFormat, processor);
+                // A book sent in parts is not downloaded once per part, and a book the
+                // web reader fetches was already counted as read when the reader was opened
+                bool readerFetch = processor.HttpHeaders.TryGetValue("X-TinyOPDS-Reader", out string reader) && reader == "1";
+                if (!partial && !readerFetch)
+                {
+                    RecordDownload(bookID, downloadType, downloadFormat, processor);
 
-                HttpServer.ServerStatistics.IncrementBooksSent();
+                    HttpServer.ServerStatistics.IncrementBooksSent();
+                }
             }
             catch (Exception e)
             {
@@ -173,7 +196,10 @@ namespace TinyOPDS.Server
                                 book.Authors.FirstOrDefault() ?? "Unknown",
                                 book.Title));
 
+                        // A fixed entry time keeps the archive the same on every download,
+                        // so partial MD5 document ids (reading sync) do not change
                         var zipEntry = zipArchive.CreateEntry(fileName);
+                        zipEntry.LastWriteTime = book.AddedDate.Year >= 1980 ? book.AddedDate : new DateTime(1980, 1, 1);
                         using (var entryStream = zipEntry.Open())
                         {
                             memStream.Position = 0;
@@ -204,8 +230,15 @@ namespace TinyOPDS.Server
         /// <summary>
         /// Handles EPUB book download (with FB2 to EPUB conversion when needed)
         /// </summary>
-        private void HandleEpubDownload(HttpProcessor processor, Book book, bool acceptFB2)
+        /// <returns>true if the book was not sent whole</returns>
+        private bool HandleEpubDownload(HttpProcessor processor, Book book, bool acceptFB2)
         {
+            // Converted books differ byte-wise on every request, so only EPUB files are sent in parts
+            if (book.BookType == BookType.EPUB && processor.HttpHeaders.TryGetValue("Range", out string range))
+            {
+                return HandleEpubRangeRequest(processor, book, range);
+            }
+
             using (var memStream = new MemoryStream())
             {
                 using (var cts = new CancellationTokenSource(TimeSpan.FromSeconds(60)))
@@ -213,7 +246,7 @@ namespace TinyOPDS.Server
                     if (!ExtractBookContentWithCancellation(book, memStream, cts.Token))
                     {
                         processor.WriteFailure();
-                        return;
+                        return false;
                     }
                 }
 
@@ -225,7 +258,7 @@ namespace TinyOPDS.Server
                     {
                         Log.WriteLine(LogLevel.Error, "Failed to convert FB2 to EPUB for book: {0}", book.FileName);
                         processor.WriteFailure();
-                        return;
+                        return false;
                     }
                 }
                 else if (book.BookType == BookType.EPUB)
@@ -241,6 +274,10 @@ namespace TinyOPDS.Server
                 processor.OutputStream.WriteLine("HTTP/1.0 200 OK");
                 processor.OutputStream.WriteLine("Content-Type: application/epub+zip");
                 processor.OutputStream.WriteLine("Content-Disposition: attachment; filename=\"{0}\"", downloadFileName);
+                if (book.BookType == BookType.EPUB)
+                {
+                    processor.OutputStream.WriteLine("Accept-Ranges: bytes");
+                }
                 processor.OutputStream.WriteLine("Content-Length: {0}", memStream.Length);
                 processor.OutputStream.WriteLine("Connection: close");
                 processor.OutputStream.WriteLine();
@@ -251,40 +288,261 @@ namespace TinyOPDS.Server
 
                 Log.WriteLine(LogLevel.Info, "Successfully sent EPUB file: {0}", downloadFileName);
             }
+
+            return false;
         }
 
         /// <summary>
-        /// Extracts book content from file or ZIP archive
+        /// Sends a part of an EPUB file (the web reader reads the ZIP directory and
+        /// chapters this way), or the whole file when the range can't be parsed
         /// </summary>
-        public bool ExtractBookContent(Book book, MemoryStream memStream)
+        /// <returns>true if a part of the book or nothing (416) was sent</returns>
+        private bool HandleEpubRangeRequest(HttpProcessor processor, Book book, string range)
         {
-            return ExtractBookContentWithCancellation(book, memStream, CancellationToken.None);
+            byte[] content = GetRangeContent(book);
+            if (content == null)
+            {
+                processor.WriteFailure();
+                return false;
+            }
+
+            bool partial = TryParseRange(range, content.Length, out int start, out int end);
+
+            if (partial && start >= content.Length)
+            {
+                processor.OutputStream.WriteLine("HTTP/1.0 416 Range Not Satisfiable");
+                processor.OutputStream.WriteLine("Content-Range: bytes */{0}", content.Length);
+                processor.OutputStream.WriteLine("Content-Length: 0");
+                processor.OutputStream.WriteLine("Connection: close");
+                processor.OutputStream.WriteLine();
+                return true;
+            }
+
+            string downloadFileName = Transliteration.Front(
+                string.Format("{0}_{1}.epub",
+                    book.Authors.FirstOrDefault() ?? "Unknown",
+                    book.Title));
+
+            processor.OutputStream.WriteLine(partial ? "HTTP/1.0 206 Partial Content" : "HTTP/1.0 200 OK");
+            processor.OutputStream.WriteLine("Content-Type: application/epub+zip");
+            processor.OutputStream.WriteLine("Content-Disposition: attachment; filename=\"{0}\"", downloadFileName);
+            processor.OutputStream.WriteLine("Accept-Ranges: bytes");
+            if (partial)
+            {
+                processor.OutputStream.WriteLine("Content-Range: bytes {0}-{1}/{2}", start, end, content.Length);
+            }
+            processor.OutputStream.WriteLine("Content-Length: {0}", end - start + 1);
+            processor.OutputStream.WriteLine("Connection: close");
+            processor.OutputStream.WriteLine();
+
+            processor.OutputStream.BaseStream.Write(content, start, end - start + 1);
+            processor.OutputStream.BaseStream.Flush();
+
+            Log.WriteLine(LogLevel.Info, "Sent bytes {0}-{1} of EPUB file: {2}", start, end, downloadFileName);
+
+            // A range covering the whole file, as "bytes=0-", is a download like any other
+            return partial && end - start + 1 < content.Length;
         }
 
         /// <summary>
-        /// Extracts book content with cancellation support
+        /// Parses a single byte range: "bytes=first-last", "bytes=first-" or "bytes=-suffix".
+        /// Returns false for anything else (including multiple ranges); an unsatisfiable
+        /// range has start equal to length
         /// </summary>
-        public bool ExtractBookContentWithCancellation(Book book, MemoryStream memStream, CancellationToken cancellationToken)
+        private static bool TryParseRange(string range, int length, out int start, out int end)
+        {
+            start = 0;
+            end = length - 1;
+
+            if (!range.StartsWith("bytes=", StringComparison.OrdinalIgnoreCase)) return false;
+
+            string spec = range.Substring(6).Trim();
+            int dash = spec.IndexOf('-');
+            if (dash < 0 || spec.Contains(",")) return false;
+
+            string first = spec.Substring(0, dash).Trim();
+            string last = spec.Substring(dash + 1).Trim();
+
+            if (first.Length == 0)
+            {
+                if (!long.TryParse(last, NumberStyles.None, CultureInfo.InvariantCulture, out long suffix)) return false;
+                start = suffix == 0 ? length : (int)Math.Max(0, length - suffix);
+                return true;
+            }
+
+            if (!long.TryParse(first, NumberStyles.None, CultureInfo.InvariantCulture, out long firstByte)) return false;
+
+            if (last.Length > 0)
+            {
+                if (!long.TryParse(last, NumberStyles.None, CultureInfo.InvariantCulture, out long lastByte) || lastByte < firstByte) return false;
+                end = (int)Math.Min(lastByte, length - 1);
+            }
+
+            start = (int)Math.Min(firstByte, length);
+            return true;
+        }
+
+        /// <summary>
+        /// Returns EPUB file content for range requests. The web reader reads a book
+        /// in many small parts, so the last few extracted books are kept for the next ones
+        /// </summary>
+        private byte[] GetRangeContent(Book book)
+        {
+            string key = GetRangeCacheKey(book);
+            if (key == null) return null;
+
+            lock (rangeCacheLock)
+            {
+                int index = rangeCache.FindIndex(e => e.Key == key);
+                if (index >= 0)
+                {
+                    var entry = rangeCache[index];
+                    entry.LastUsed = DateTime.UtcNow;
+                    rangeCache.RemoveAt(index);
+                    rangeCache.Insert(0, entry);
+                    ScheduleRangeCacheRelease();
+                    return entry.Content;
+                }
+            }
+
+            using (var memStream = new MemoryStream())
+            {
+                using (var cts = new CancellationTokenSource(TimeSpan.FromSeconds(60)))
+                {
+                    if (!ExtractBookContentWithCancellation(book, memStream, cts.Token)) return null;
+                }
+
+                byte[] content = memStream.ToArray();
+                lock (rangeCacheLock)
+                {
+                    // Another request may have extracted the same book meanwhile
+                    rangeCache.RemoveAll(e => e.Key == key);
+                    rangeCache.Insert(0, new RangeCacheEntry { Key = key, Content = content, LastUsed = DateTime.UtcNow });
+                    if (rangeCache.Count > rangeCacheSize)
+                    {
+                        rangeCache.RemoveRange(rangeCacheSize, rangeCache.Count - rangeCacheSize);
+                    }
+                    ScheduleRangeCacheRelease();
+                }
+                return content;
+            }
+        }
+
+        /// <summary>
+        /// The book file (or the archive holding it) with its change time and size,
+        /// so a replaced file is never served from the cache
+        /// </summary>
+        private string GetRangeCacheKey(Book book)
+        {
+            string bookPath = GetBookPath(book);
+            if (bookPath == null) return null;
+
+            var file = new FileInfo(bookPath.Split('@')[0]);
+            if (!file.Exists) return null;
+
+            return string.Format("{0}|{1}|{2}", bookPath, file.LastWriteTimeUtc.Ticks, file.Length);
+        }
+
+        // Called under rangeCacheLock: the timer fires when the least recently used entry expires
+        private static void ScheduleRangeCacheRelease()
+        {
+            if (rangeCacheTimer == null)
+            {
+                rangeCacheTimer = new Timer(_ =>
+                {
+                    lock (rangeCacheLock)
+                    {
+                        DateTime now = DateTime.UtcNow;
+                        rangeCache.RemoveAll(e => now - e.LastUsed >= rangeCacheLifetime);
+                        ScheduleRangeCacheRelease();
+                    }
+                }, null, Timeout.Infinite, Timeout.Infinite);
+            }
+
+            if (rangeCache.Count == 0)
+            {
+                rangeCacheTimer.Change(Timeout.Infinite, Timeout.Infinite);
+                return;
+            }
+
+            TimeSpan due = rangeCache[rangeCache.Count - 1].LastUsed + rangeCacheLifetime - DateTime.UtcNow;
+            rangeCacheTimer.Change(due > TimeSpan.Zero ? due : TimeSpan.Zero, Timeout.InfiniteTimeSpan);
+        }
+
+        /// <summary>
+        /// Checks that the book file (or its entry in a ZIP archive) exists without reading it
+        /// </summary>
+        public bool BookFileExists(Book book)
         {
             try
             {
-                string bookPath = book.FilePath;
+                string bookPath = GetBookPath(book);
+                if (bookPath == null) return false;
 
-                if (!Path.IsPathRooted(bookPath))
+                if (bookPath.ToLower().Contains(".zip@"))
                 {
-                    string libraryPath = Properties.Settings.Default.LibraryPath;
-                    if (!string.IsNullOrEmpty(libraryPath))
+                    string[] pathParts = bookPath.Split('@');
+                    if (!File.Exists(pathParts[0])) return false;
+
+                    using (var zipArchive = System.IO.Compression.ZipFile.OpenRead(pathParts[0]))
                     {
-                        bookPath = Path.Combine(libraryPath, bookPath);
+                        return zipArchive.Entries.Any(e =>
+                            e.FullName.IndexOf(pathParts[1], StringComparison.OrdinalIgnoreCase) >= 0);
                     }
                 }
 
-                // Path traversal protection
-                if (bookPath.Contains("..") || bookPath.Contains("~"))
+                return File.Exists(bookPath);
+            }
+            catch (Exception ex)
+            {
+                Log.WriteLine(LogLevel.Error, "Error checking book file {0}: {1}", book.FilePath, ex.Message);
+                return false;
+            }
+        }
+
+        /// <summary>
+        /// Resolves the book file path against the library folder, null for suspicious paths
+        /// </summary>
+        private string GetBookPath(Book book)
+        {
+            string bookPath = book.FilePath;
+
+            if (!Path.IsPathRooted(bookPath))
+            {
+                string libraryPath = Properties.Settings.Default.LibraryPath;
+                if (!string.IsNullOrEmpty(libraryPath))
                 {
-                    Log.WriteLine(LogLevel.Warning, "Suspicious path detected: {0}", bookPath);
-                    return false;
+                    bookPath = Path.Combine(libraryPath, bookPath);
                 }
+            }
+
+            // Path traversal protection
+            if (bookPath.Contains("..") || bookPath.Contains("~"))
+            {
+                Log.WriteLine(LogLevel.Warning, "Suspicious path detected: {0}", bookPath);
+                return null;
+            }
+
+            return bookPath;
+        }
+
+        /// <summary>
+        /// Extracts book content from file or ZIP archive
+        /// </summary>
+        public bool ExtractBookContent(Book book, MemoryStream memStream)
+        {
+            return ExtractBookContentWithCancellation(book, memStream, CancellationToken.None);
+        }
+
+        /// <summary>
+        /// Extracts book content with cancellation support
+        /// </summary>
+        public bool ExtractBookContentWithCancellation(Book book, MemoryStream memStream, CancellationToken cancellationToken)
+        {
+            try
+            {
+                string bookPath = GetBookPath(book);
+                if (bookPath == null) return false;
 
                 Log.WriteLine(LogLevel.Info, "Attempting to extract book content from: {0}", bookPath);
 
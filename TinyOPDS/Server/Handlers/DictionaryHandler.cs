@@ -0,0 +1,133 @@
+﻿/*
+ * This file is part of TinyOPDS server project
+ * https://github.com/sensboston/tinyopds
+ *
+ * Copyright (c) 2013-2025 SeNSSoFT
+ * SPDX-License-Identifier: MIT
+ *
+ * This module handles dictionary lookups for the web reader
+ *
+ */
+
+using System;
+using System.Collections.Generic;
+using System.Text;
+using TinyOPDS.Dictionaries;
+
+namespace TinyOPDS.Server
+{
+    /// <summary>
+    /// Handles /dictionary/lookup?word=...&amp;lang=... and /dictionary/list requests
+    /// </summary>
+    public class DictionaryHandler
+    {
+        private const int MaxWordLength = 100;
+
+        /// <summary>
+        /// Main entry point for handling dictionary requests
+        /// </summary>
+        public void HandleDictionaryRequest(HttpProcessor processor, string request)
+        {
+            try
+            {
+                if (request.StartsWith("/dictionary/lookup"))
+                {
+                    HandleLookupRequest(processor);
+                }
+                else if (request.StartsWith("/dictionary/list"))
+                {
+                    HandleListRequest(processor);
+                }
+                else
+                {
+                    processor.WriteFailure();
+                }
+            }
+            catch (Exception ex)
+            {
+                Log.WriteLine(LogLevel.Error, "Dictionary request error: {0}", ex.Message);
+                processor.WriteFailure();
+            }
+        }
+
+        private void HandleLookupRequest(HttpProcessor processor)
+        {
+            Dictionary<string, string> query = ParseQuery(processor.HttpUrl);
+            query.TryGetValue("word", out string word);
+            query.TryGetValue("lang", out string language);
+
+            if (string.IsNullOrWhiteSpace(word) || word.Length > MaxWordLength)
+            {
+                processor.WriteBadRequest();
+                return;
+            }
+
+            List<DictionaryArticle> articles = DictionaryManager.Lookup(word, language);
+            Log.WriteLine(LogLevel.Info, "Dictionary lookup \"{0}\" ({1}): {2} articles", word, language, articles.Count);
+
+            var json = new StringBuilder();
+            // "loading" tells the reader the dictionaries are still being read
+            json.Append("{\"word\":\"").Append(OPDSUtilities.EscapeJsonString(word))
+                .Append("\",\"loading\":").Append(DictionaryManager.IsLoading ? "true" : "false")
+                .Append(",\"articles\":[");
+            for (int i = 0; i < articles.Count; i++)
+            {
+                if (i > 0) json.Append(',');
+                json.Append("{\"dictionary\":\"").Append(OPDSUtilities.EscapeJsonString(articles[i].Dictionary))
+                    .Append("\",\"headword\":\"").Append(OPDSUtilities.EscapeJsonString(articles[i].Headword))
+                    .Append("\",\"definition\":\"").Append(OPDSUtilities.EscapeJsonString(articles[i].Definition))
+                    .Append("\"}");
+            }
+            json.Append("]}");
+
+            processor.WriteSuccess("application/json; charset=utf-8");
+            processor.OutputStream.Write(json.ToString());
+        }
+
+        private void HandleListRequest(HttpProcessor processor)
+        {
+            List<BaseDictionary> dictionaries = DictionaryManager.Dictionaries;
+            var json = new StringBuilder("{\"loading\":").Append(DictionaryManager.IsLoading ? "true" : "false").Append(",\"dictionaries\":[");
+            for (int i = 0; i < dictionaries.Count; i++)
+            {
+                if (i > 0) json.Append(',');
+                json.Append("{\"name\":\"").Append(OPDSUtilities.EscapeJsonString(dictionaries[i].Name))
+                    .Append("\",\"from\":\"").Append(dictionaries[i].SourceLanguage)
+                    .Append("\",\"to\":\"").Append(dictionaries[i].TargetLanguage)
+                    .Append("\",\"words\":").Append(dictionaries[i].WordCount)
+                    .Append('}');
+            }
+            json.Append("]}");
+
+            processor.WriteSuccess("application/json; charset=utf-8");
+            processor.OutputStream.Write(json.ToString());
+        }
+
+        /// <summary>
+        /// Parses URL query parameters; request normalization drops them for other routes
+        /// </summary>
+        private static Dictionary<string, string> ParseQuery(string url)
+        {
+            var result = new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase);
+            int queryStart = url.IndexOf('?');
+            if (queryStart < 0) return result;
+
+            foreach (string pair in url.Substring(queryStart + 1).Split('&'))
+            {
+                int separator = pair.IndexOf('=');
+                if (separator <= 0) continue;
+
+                try
+                {
+                    string key = Uri.UnescapeDataString(pair.Substring(0, separator).Replace('+', ' '));
+                    result[key] = Uri.UnescapeDataString(pair.Substring(separator + 1).Replace('+', ' '));
+                }
+                catch (UriFormatException)
+                {
+                    // Skip malformed parameters
+                }
+            }
+            return result;
+        }
+    }
+}
\ No newline at end of file
@@ -13,6 +13,7 @@ using System;
 using System.IO;
 using System.Linq;
 using System.Net;
+using System.Text;
 
 namespace TinyOPDS.Server
 {
@@ -205,7 +206,8 @@ namespace TinyOPDS.Server
         }
 
         /// <summary>
-        /// Escapes JavaScript string for safe embedding in HTML
+        /// Escapes JavaScript string for safe embedding in HTML: markup characters
+        /// become \u escapes, so the string can't close the script element
         /// </summary>
         public static string EscapeJsString(string str)
         {
@@ -215,7 +217,38 @@ namespace TinyOPDS.Server
                      .Replace("'", "\\'")
                      .Replace("\"", "\\\"")
                      .Replace("\r", "\\r")
-                     .Replace("\n", "\\n");
+                     .Replace("\n", "\\n")
+                     .Replace("<", "\\u003c")
+                     .Replace(">", "\\u003e")
+                     .Replace("/", "\\u002f")
+                     .Replace("\u2028", "\\u2028")
+                     .Replace("\u2029", "\\u2029");
+        }
+
+        /// <summary>
+        /// Escapes string for embedding in JSON documents
+        /// </summary>
+        public static string EscapeJsonString(string str)
+        {
+            if (string.IsNullOrEmpty(str)) return "";
+
+            var sb = new StringBuilder(str.Length);
+            foreach (char c in str)
+            {
+                switch (c)
+                {
+                    case '\\': sb.Append("\\\\"); break;
+                    case '"': sb.Append("\\\""); break;
+                    case '\n': sb.Append("\\n"); break;
+                    case '\r': sb.Append("\\r"); break;
+                    case '\t': sb.Append("\\t"); break;
+                    default:
+                        if (c < ' ') sb.AppendFormat("\\u{0:x4}", (int)c);
+                        else sb.Append(c);
+                        break;
+                }
+            }
+            return sb.ToString();
         }
 
         /// <summary>
@@ -13,9 +13,10 @@
 using System;
 using System.IO;
 using System.Linq;
+using System.Net;
 using System.Reflection;
+using System.Security.Cryptography;
 using System.Text;
-using System.Threading;
 using TinyOPDS.Data;
 
 namespace TinyOPDS.Server
@@ -44,6 +45,13 @@ namespace TinyOPDS.Server
                 string bookId = request.Substring(8);
                 bookId = bookId.Replace("%7B", "{").Replace("%7D", "}");
 
+                // Reader without a book: the shell the service worker serves for saved books
+                if (string.IsNullOrEmpty(bookId))
+                {
+                    HandleReaderShellRequest(processor);
+                    return;
+                }
+
                 Log.WriteLine(LogLevel.Info, "Reader request for book: {0}", bookId);
 
                 Book book = Library.GetBook(bookId);
@@ -54,53 +62,124 @@ namespace TinyOPDS.Server
                     return;
                 }
 
-                using (var memStream = new MemoryStream())
+                if (!downloadHandler.BookFileExists(book))
                 {
-                    using (var cts = new CancellationTokenSource(TimeSpan.FromSeconds(30)))
-                    {
-                        if (!downloadHandler.ExtractBookContentWithCancellation(book, memStream, cts.Token))
-                        {
-                            HandleBookFileNotFoundForReader(processor, book);
-                            return;
-                        }
-                    }
+                    HandleBookFileNotFoundForReader(processor, book);
+                    return;
+                }
 
-                    memStream.Position = 0;
-                    byte[] bookData = memStream.ToArray();
-                    string base64Data = Convert.ToBase64String(bookData);
+                // The reader fetches the book itself with progress: EPUB in parts by
+                // Range requests, FB2 as the same ZIP "Save for offline" keeps
+                bool isFB2 = book.BookType == BookType.FB2;
+                string url = string.Format("/download/{0}/{1}", book.ID, isFB2 ? "fb2" : "epub");
 
-                    string mimeType = book.BookType == BookType.FB2 ? "application/x-fictionbook+xml" : "application/epub+zip";
+                string fileName = Transliteration.Front(
+                    string.Format("{0}_{1}.{2}",
+                        book.Authors.FirstOrDefault() ?? "Unknown",
+                        book.Title,
+                        isFB2 ? "fb2.zip" : "epub"));
 
-                    string fileName = Transliteration.Front(
-                        string.Format("{0}_{1}.{2}",
-                            book.Authors.FirstOrDefault() ?? "Unknown",
-                            book.Title,
-                            book.BookType == BookType.FB2 ? "fb2" : "epub"));
+                string nonce = CreateNonce();
+                string html = PrepareReaderHtml(book.ID, url, fileName, book.Title, book.Authors.FirstOrDefault(), nonce);
 
-                    string html = PrepareReaderHtml(base64Data, mimeType, fileName, book.Title, book.Authors.FirstOrDefault());
+                if (!string.IsNullOrEmpty(html))
+                {
+                    WriteReaderHtml(processor, html, nonce);
 
-                    if (!string.IsNullOrEmpty(html))
-                    {
-                        processor.WriteSuccess("text/html; charset=utf-8");
-                        processor.OutputStream.Write(html);
+                    RecordReadEvent(bookId, book.BookType.ToString().ToLower(), processor);
+                    HttpServer.ServerStatistics.IncrementBooksSent();
+                    Log.WriteLine(LogLevel.Info, "Successfully served reader for book: {0}", book.Title);
+                }
+                else
+                {
+                    processor.WriteFailure();
+                }
+            }
+            catch (Exception ex)
+            {
+                Log.WriteLine(LogLevel.Error, "Reader request error: {0}", ex.Message);
+                processor.WriteFailure();
+            }
+        }
 
-                        RecordReadEvent(bookId, book.BookType.ToString().ToLower(), processor);
-                        HttpServer.ServerStatistics.IncrementBooksSent();
-                        Log.WriteLine(LogLevel.Info, "Successfully served reader for book: {0}", book.Title);
-                    }
-                    else
+        /// <summary>
+        /// Serves the reader with localization but without book data
+        /// </summary>
+        private void HandleReaderShellRequest(HttpProcessor processor)
+        {
+            try
+            {
+                if (string.IsNullOrEmpty(readerHtml))
+                {
+                    LoadReaderHtml();
+                    if (string.IsNullOrEmpty(readerHtml))
                     {
                         processor.WriteFailure();
+                        return;
                     }
                 }
+
+                string nonce = CreateNonce();
+                string scriptInjection = string.Format(@"
+<script nonce=""{2}"">
+// Injected localization
+localStorage.setItem('tinyopds-localization', JSON.stringify({0}));
+
+// Injected genre names
+window.tinyOPDSGenres = {1};
+</script>
+</head>", GetLocalizationStrings(), GetGenreNames(), nonce);
+
+                string html = AddNonce(readerHtml, nonce).Replace("</head>", scriptInjection)
+                    .Replace("new UniversalReader();", "window.universalReader = new UniversalReader();");
+
+                WriteReaderHtml(processor, html, nonce);
             }
             catch (Exception ex)
             {
-                Log.WriteLine(LogLevel.Error, "Reader request error: {0}", ex.Message);
+                Log.WriteLine(LogLevel.Error, "Error serving reader shell: {0}", ex.Message);
                 processor.WriteFailure();
             }
         }
 
+        private static string CreateNonce()
+        {
+            using (var rng = new RNGCryptoServiceProvider())
+            {
+                var bytes = new byte[16];
+                rng.GetBytes(bytes);
+                return Convert.ToBase64String(bytes);
+            }
+        }
+
+        /// <summary>
+        /// Gives the script tags of the reader template the nonce of this response.
+        /// Must be called before anything from the book is put into the page, so
+        /// that no inserted tag gets the nonce
+        /// </summary>
+        private static string AddNonce(string template, string nonce)
+        {
+            return template.Replace("<script>", string.Format("<script nonce=\"{0}\">", nonce))
+                           .Replace("<script src=", string.Format("<script nonce=\"{0}\" src=", nonce));
+        }
+
+        /// <summary>
+        /// Sends a reader page under a Content-Security-Policy that only runs the scripts
+        /// carrying the nonce, so markup that makes it from a book into the page can't
+        /// run anything
+        /// </summary>
+        private void WriteReaderHtml(HttpProcessor processor, string html, string nonce)
+        {
+            // Book styles and the reader's own style attributes are inline; images, fonts
+            // and the FB2 parsing worker come from blob: URLs
+            string policy = string.Format("default-src 'self'; script-src 'nonce-{0}'; style-src 'self' 'unsafe-inline'; " +
+                "img-src 'self' blob: data:; font-src 'self' blob: data:; media-src 'self' blob:; worker-src 'self' blob:; " +
+                "connect-src 'self' blob:; object-src 'none'; base-uri 'none'; form-action 'self'; frame-ancestors 'self'", nonce);
+
+            processor.WriteSuccess("text/html; charset=utf-8", "Content-Security-Policy: " + policy);
+            processor.OutputStream.Write(html);
+        }
+
         /// <summary>
         /// Records book read event to database through Library
         /// </summary>
@@ -158,6 +237,8 @@ namespace TinyOPDS.Server
                             string mainCss = LoadResourceText(resourceBase + "reader.css");
                             string themesCss = LoadResourceText(resourceBase + "reader-themes.css");
 
+                            string zipJs = LoadResourceText(resourceBase + "reader-zip.js");
+                            string mobiJs = LoadResourceText(resourceBase + "reader-mobi.js");
                             string formatsJs = LoadResourceText(resourceBase + "reader-formats.js");
                             string mainJs = LoadResourceText(resourceBase + "reader-main.js");
 
@@ -169,10 +250,13 @@ namespace TinyOPDS.Server
                                 html = html.Replace("</head>", cssBlock + "\n</head>");
                             }
 
-                            if (!string.IsNullOrEmpty(formatsJs) && !string.IsNullOrEmpty(mainJs))
+                            if (!string.IsNullOrEmpty(zipJs) && !string.IsNullOrEmpty(mobiJs) && !string.IsNullOrEmpty(formatsJs) && !string.IsNullOrEmpty(mainJs))
                             {
-                                string jsBlock = string.Format("<script>\n{0}\n</script>\n<script>\n{1}\n</script>", formatsJs, mainJs);
-                                html = html.Replace("<script src=\"reader-formats.js\"></script>", "")
+                                string jsBlock = string.Format("<script>\n{0}\n</script>\n<script>\n{1}\n</script>\n<script>\n{2}\n</script>\n<script>\n{3}\n</script>",
+                                    zipJs, mobiJs, formatsJs, mainJs);
+                                html = html.Replace("<script src=\"reader-zip.js\"></script>", "")
+                                           .Replace("<script src=\"reader-mobi.js\"></script>", "")
+                                           .Replace("<script src=\"reader-formats.js\"></script>", "")
                                            .Replace("<script src=\"reader-main.js\"></script>", jsBlock);
                             }
 
@@ -229,7 +313,8 @@ namespace TinyOPDS.Server
                     LoadReaderHtml();
                 }
 
-                string html = readerHtml ?? GetFallbackReaderHtml();
+                string nonce = CreateNonce();
+                string html = AddNonce(readerHtml ?? GetFallbackReaderHtml(), nonce);
 
                 string errorMessage = "Book not found";
                 string errorHtml = html.Replace(
@@ -239,8 +324,7 @@ namespace TinyOPDS.Server
 
                 errorHtml = errorHtml.Replace("Reader", string.Format("Reader - {0}", errorMessage));
 
-                processor.WriteSuccess("text/html; charset=utf-8");
-                processor.OutputStream.Write(errorHtml);
+                WriteReaderHtml(processor, errorHtml, nonce);
 
                 Log.WriteLine(LogLevel.Info, "Served book not found error for book ID: {0}", bookId);
             }
@@ -263,23 +347,23 @@ namespace TinyOPDS.Server
                     LoadReaderHtml();
                 }
 
-                string html = readerHtml ?? GetFallbackReaderHtml();
+                string nonce = CreateNonce();
+                string html = AddNonce(readerHtml ?? GetFallbackReaderHtml(), nonce);
 
                 string errorMessage = "Book file not found";
                 string bookInfo = string.Format("<h1>{0}</h1><p class=\"author\">{1}</p>",
-                    book.Title,
-                    book.Authors.FirstOrDefault() ?? "Unknown Author");
+                    WebUtility.HtmlEncode(book.Title),
+                    WebUtility.HtmlEncode(book.Authors.FirstOrDefault() ?? "Unknown Author"));
 
                 string errorHtml = html.Replace(
                     "<div class=\"book-content light font-serif\" id=\"bookContent\"></div>",
                     string.Format("<div class=\"book-content light font-serif\" id=\"bookContent\">{0}<div class=\"error\">{1}<br><small>File: {2}</small></div></div>",
-                        bookInfo, errorMessage, book.FilePath)
+                        bookInfo, errorMessage, WebUtility.HtmlEncode(book.FilePath))
                 );
 
-                errorHtml = errorHtml.Replace("Reader", string.Format("Reader - {0}", book.Title));
+                errorHtml = errorHtml.Replace("Reader", string.Format("Reader - {0}", WebUtility.HtmlEncode(book.Title)));
 
-                processor.WriteSuccess("text/html; charset=utf-8");
-                processor.OutputStream.Write(errorHtml);
+                WriteReaderHtml(processor, errorHtml, nonce);
 
                 Log.WriteLine(LogLevel.Info, "Served book file not found error for book: {0} (file: {1})", book.Title, book.FilePath);
             }
@@ -301,9 +385,9 @@ namespace TinyOPDS.Server
         }
 
         /// <summary>
-        /// Prepares reader HTML with embedded book data
+        /// Prepares reader HTML with the book's download URL and description
         /// </summary>
-        private string PrepareReaderHtml(string base64Data, string mimeType, string fileName, string bookTitle, string author)
+        private string PrepareReaderHtml(string bookId, string url, string fileName, string bookTitle, string author, string nonce)
         {
             try
             {
@@ -317,66 +401,34 @@ namespace TinyOPDS.Server
                     }
                 }
 
-                string html = readerHtml;
-
-                var locStrings = new StringBuilder();
-                locStrings.Append("{");
-                locStrings.AppendFormat("'tableOfContents':'{0}',", OPDSUtilities.EscapeJsString(Localizer.Text("Table of Contents")));
-                locStrings.AppendFormat("'openBook':'{0}',", OPDSUtilities.EscapeJsString(Localizer.Text("Open Book")));
-                locStrings.AppendFormat("'decreaseFont':'{0}',", OPDSUtilities.EscapeJsString(Localizer.Text("Decrease Font")));
-                locStrings.AppendFormat("'increaseFont':'{0}',", OPDSUtilities.EscapeJsString(Localizer.Text("Increase Font")));
-                locStrings.AppendFormat("'changeFont':'{0}',", OPDSUtilities.EscapeJsString(Localizer.Text("Change Font")));
-                locStrings.AppendFormat("'changeTheme':'{0}',", OPDSUtilities.EscapeJsString(Localizer.Text("Change Theme")));
-                locStrings.AppendFormat("'decreaseMargins':'{0}',", OPDSUtilities.EscapeJsString(Localizer.Text("Decrease Margins")));
-                locStrings.AppendFormat("'increaseMargins':'{0}',", OPDSUtilities.EscapeJsString(Localizer.Text("Increase Margins")));
-                locStrings.AppendFormat("'standardWidth':'{0}',", OPDSUtilities.EscapeJsString(Localizer.Text("Standard Width")));
-                locStrings.AppendFormat("'fullWidth':'{0}',", OPDSUtilities.EscapeJsString(Localizer.Text("Full Width")));
-                locStrings.AppendFormat("'fullscreen':'{0}',", OPDSUtilities.EscapeJsString(Localizer.Text("Fullscreen")));
-                locStrings.AppendFormat("'loading':'{0}',", OPDSUtilities.EscapeJsString(Localizer.Text("Loading...")));
-                locStrings.AppendFormat("'errorLoading':'{0}',", OPDSUtilities.EscapeJsString(Localizer.Text("Error loading file")));
-                locStrings.AppendFormat("'noTitle':'{0}',", OPDSUtilities.EscapeJsString(Localizer.Text("Untitled")));
-                locStrings.AppendFormat("'unknownAuthor':'{0}',", OPDSUtilities.EscapeJsString(Localizer.Text("Unknown Author")));
-                locStrings.AppendFormat("'noChapters':'{0}'", OPDSUtilities.EscapeJsString(Localizer.Text("No chapters available")));
-                locStrings.Append("}");
+                string html = AddNonce(readerHtml, nonce);
 
                 string scriptInjection = string.Format(@"
-<script>
-// Injected book data
+<script nonce=""{7}"">
+// Injected book description, the reader loads the book from its URL
 window.tinyOPDSBook = {{
-    data: 'data:{0};base64,{1}',
-    fileName: '{2}',
-    title: '{3}',
-    author: '{4}'
+    id: '{5}',
+    url: '{0}',
+    fileName: '{1}',
+    title: '{2}',
+    author: '{3}'
 }};
 
 // Injected localization
-localStorage.setItem('tinyopds-localization', JSON.stringify({5}));
-
-// Auto-load the book after page loads
-document.addEventListener('DOMContentLoaded', function() {{
-    setTimeout(function() {{
-        var dataUrl = window.tinyOPDSBook.data;
-        fetch(dataUrl)
-            .then(res => res.blob())
-            .then(blob => {{
-                var file = new File([blob], window.tinyOPDSBook.fileName, {{
-                    type: blob.type
-                }});
-                
-                if (window.universalReader) {{
-                    window.universalReader.handleFileSelect(file);
-                }}
-            }});
-    }}, 500);
-}});
+localStorage.setItem('tinyopds-localization', JSON.stringify({4}));
+
+// Injected genre names
+window.tinyOPDSGenres = {6};
 </script>
 </head>",
-                    mimeType,
-                    base64Data,
+                    OPDSUtilities.EscapeJsString(url),
                     OPDSUtilities.EscapeJsString(fileName),
                     OPDSUtilities.EscapeJsString(bookTitle),
                     OPDSUtilities.EscapeJsString(author ?? ""),
-                    locStrings.ToString()
+                    GetLocalizationStrings(),
+                    OPDSUtilities.EscapeJsString(bookId),
+                    GetGenreNames(),
+                    nonce
                 );
 
                 html = html.Replace("</head>", scriptInjection);
@@ -394,5 +446,57 @@ document.addEventListener('DOMContentLoaded', function() {{
                 return null;
             }
         }
+
+        /// <summary>
+        /// Builds reader localization strings as a JavaScript object literal
+        /// </summary>
+        private string GetLocalizationStrings()
+        {
+            var locStrings = new StringBuilder();
+            locStrings.Append("{");
+            locStrings.AppendFormat("'tableOfContents':'{0}',", OPDSUtilities.EscapeJsString(Localizer.Text("Table of Contents")));
+            locStrings.AppendFormat("'openBook':'{0}',", OPDSUtilities.EscapeJsString(Localizer.Text("Open Book")));
+            locStrings.AppendFormat("'decreaseFont':'{0}',", OPDSUtilities.EscapeJsString(Localizer.Text("Decrease Font")));
+            locStrings.AppendFormat("'increaseFont':'{0}',", OPDSUtilities.EscapeJsString(Localizer.Text("Increase Font")));
+            locStrings.AppendFormat("'changeFont':'{0}',", OPDSUtilities.EscapeJsString(Localizer.Text("Change Font")));
+            locStrings.AppendFormat("'changeTheme':'{0}',", OPDSUtilities.EscapeJsString(Localizer.Text("Change Theme")));
+            locStrings.AppendFormat("'decreaseMargins':'{0}',", OPDSUtilities.EscapeJsString(Localizer.Text("Decrease Margins")));
+            locStrings.AppendFormat("'increaseMargins':'{0}',", OPDSUtilities.EscapeJsString(Localizer.Text("Increase Margins")));
+            locStrings.AppendFormat("'standardWidth':'{0}',", OPDSUtilities.EscapeJsString(Localizer.Text("Standard Width")));
+            locStrings.AppendFormat("'fullWidth':'{0}',", OPDSUtilities.EscapeJsString(Localizer.Text("Full Width")));
+            locStrings.AppendFormat("'fullscreen':'{0}',", OPDSUtilities.EscapeJsString(Localizer.Text("Fullscreen")));
+            locStrings.AppendFormat("'loading':'{0}',", OPDSUtilities.EscapeJsString(Localizer.Text("Loading...")));
+            locStrings.AppendFormat("'errorLoading':'{0}',", OPDSUtilities.EscapeJsString(Localizer.Text("Error loading file")));
+            locStrings.AppendFormat("'noTitle':'{0}',", OPDSUtilities.EscapeJsString(Localizer.Text("Untitled")));
+            locStrings.AppendFormat("'unknownAuthor':'{0}',", OPDSUtilities.EscapeJsString(Localizer.Text("Unknown Author")));
+            locStrings.AppendFormat("'noChapters':'{0}'", OPDSUtilities.EscapeJsString(Localizer.Text("No chapters available")));
+            locStrings.Append("}");
+
+            return locStrings.ToString();
+        }
+
+        /// <summary>
+        /// Builds FB2 genre names by tag as a JavaScript object literal, in the
+        /// same language as the genres catalog
+        /// </summary>
+        private string GetGenreNames()
+        {
+            bool useCyrillic = Properties.Settings.Default.Language.Equals("ru") ||
+                               Properties.Settings.Default.Language.Equals("uk");
+
+            var genreNames = new StringBuilder();
+            genreNames.Append("{");
+            foreach (Genre genre in Library.FB2Genres.SelectMany(g => g.Subgenres))
+            {
+                string name = useCyrillic ? genre.Translation : genre.Name;
+                if (string.IsNullOrEmpty(genre.Tag) || string.IsNullOrEmpty(name)) continue;
+
+                if (genreNames.Length > 1) genreNames.Append(",");
+                genreNames.AppendFormat("'{0}':'{1}'", OPDSUtilities.EscapeJsString(genre.Tag), OPDSUtilities.EscapeJsString(name));
+            }
+            genreNames.Append("}");
+
+            return genreNames.ToString();
+        }
     }
 }
\ No newline at end of file
@@ -107,6 +107,38 @@ namespace TinyOPDS.Server
             }
         }
 
+        /// <summary>
+        /// Handles web app manifest request, so the web interface can be installed
+        /// </summary>
+        public void HandleManifestRequest(HttpProcessor processor)
+        {
+            try
+            {
+                string name = OPDSUtilities.EscapeJsonString(Properties.Settings.Default.ServerName);
+                string manifest = string.Format(@"{{
+    ""name"": ""{0}"",
+    ""short_name"": ""{0}"",
+    ""start_url"": ""/"",
+    ""scope"": ""/"",
+    ""display"": ""standalone"",
+    ""background_color"": ""#f5f5f5"",
+    ""theme_color"": ""#667eea"",
+    ""icons"": [
+        {{ ""src"": ""/logo.png"", ""sizes"": ""128x128"", ""type"": ""image/png"" }},
+        {{ ""src"": ""/app-icon.png"", ""sizes"": ""256x256"", ""type"": ""image/png"" }}
+    ]
+}}", string.IsNullOrEmpty(name) ? "TinyOPDS" : name);
+
+                processor.WriteSuccess("application/manifest+json; charset=utf-8");
+                processor.OutputStream.Write(manifest);
+            }
+            catch (Exception ex)
+            {
+                Log.WriteLine(LogLevel.Error, "Manifest request error: {0}", ex.Message);
+                processor.WriteFailure();
+            }
+        }
+
         /// <summary>
         /// Handles JavaScript file requests from embedded resources
         /// </summary>
@@ -0,0 +1,389 @@
+﻿/*
+ * This file is part of TinyOPDS server project
+ * https://github.com/sensboston/tinyopds
+ *
+ * Copyright (c) 2013-2025 SeNSSoFT
+ * SPDX-License-Identifier: MIT
+ *
+ * This module syncs reading progress, annotations and preferences between
+ * web reader clients and KOReader devices
+ *
+ */
+
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.IO;
+using System.Linq;
+using System.Runtime.Serialization.Json;
+using System.Text;
+using System.Text.RegularExpressions;
+using System.Xml;
+using System.Xml.Linq;
+using TinyOPDS.Data;
+
+namespace TinyOPDS.Server
+{
+    /// <summary>
+    /// Handles GET /sync/?document=... (records of the book and the shared
+    /// preferences), POST /sync/ (stores a record unless a later change is
+    /// stored) and the KOReader progress sync routes under /kosync/.
+    /// Books are identified by the hash KOReader uses, so both kinds of clients
+    /// share positions of the same file; every account has records of its own
+    /// </summary>
+    public class SyncHandler
+    {
+        private const int MaxDocumentLength = 64;
+        private const string KOReaderKind = "koreader";
+        private const string PositionKind = "position";
+        private const string PreferencesKind = "prefs";
+
+        private static readonly HashSet<string> readerKinds = new HashSet<string> { PositionKind, "annotations", PreferencesKind };
+        private static readonly Regex keyPattern = new Regex("^[0-9a-fA-F]{32}$");
+
+        /// <summary>
+        /// Main entry point for GET, POST and PUT sync requests
+        /// </summary>
+        public void HandleSyncRequest(HttpProcessor processor, string request, StreamReader inputData)
+        {
+            try
+            {
+                if (request.StartsWith("/kosync/"))
+                {
+                    HandleKOReaderRequest(processor, request.Substring("/kosync".Length), inputData);
+                }
+                else if (processor.HttpMethod == "GET")
+                {
+                    HandlePullRequest(processor);
+                }
+                else if (processor.HttpMethod == "POST")
+                {
+                    HandlePushRequest(processor, inputData);
+                }
+                else
+                {
+                    processor.WriteMethodNotAllowed();
+                }
+            }
+            catch (Exception ex)
+            {
+                Log.WriteLine(LogLevel.Error, "Sync request error: {0}", ex.Message);
+                processor.WriteFailure();
+            }
+        }
+
+        private void HandlePullRequest(HttpProcessor processor)
+        {
+            string user = GetUser(processor);
+            if (user == null)
+            {
+                WriteAccountRequired(processor);
+                return;
+            }
+
+            string document = GetQueryValue(processor.HttpUrl, "document");
+            if (document == null || document.Length > MaxDocumentLength)
+            {
+                processor.WriteBadRequest();
+                return;
+            }
+
+            List<SyncRecord> records = Library.GetSyncRecords(user, document);
+
+            var json = new StringBuilder("{\"records\":[");
+            json.Append(string.Join(",", records.Select(FormatRecord)));
+            json.Append("]}");
+
+            processor.WriteSuccess("application/json; charset=utf-8");
+            processor.OutputStream.Write(json.ToString());
+        }
+
+        private void HandlePushRequest(HttpProcessor processor, StreamReader inputData)
+        {
+            string user = GetUser(processor);
+            if (user == null)
+            {
+                WriteAccountRequired(processor);
+                return;
+            }
+
+            XElement body = ParseJson(inputData);
+            var record = new SyncRecord
+            {
+                User = user,
+                Document = GetValue(body, "document") ?? string.Empty,
+                Kind = GetValue(body, "kind"),
+                Data = GetValue(body, "data"),
+                Device = GetValue(body, "device"),
+                Updated = ParseLong(GetValue(body, "updated"))
+            };
+
+            // Preferences are shared by all books, everything else belongs to one
+            bool validDocument = record.Kind == PreferencesKind ? record.Document.Length == 0 :
+                record.Document.Length > 0 && record.Document.Length <= MaxDocumentLength;
+
+            if (!readerKinds.Contains(record.Kind ?? string.Empty) || !validDocument ||
+                string.IsNullOrEmpty(record.Data) || record.Updated <= 0)
+            {
+                processor.WriteBadRequest();
+                return;
+            }
+
+            // A client clock running ahead must not win every later conflict
+            record.Updated = Math.Min(record.Updated, NowMilliseconds());
+
+            bool stored = Library.SaveSyncRecord(record);
+            Log.WriteLine(LogLevel.Info, "Sync {0} of \"{1}\" from {2}: {3}", record.Kind, record.Document, record.Device,
+                stored ? "stored" : "older than stored");
+
+            // The client adopts the stored record when its change lost
+            SyncRecord current = Library.GetSyncRecords(record.User, record.Document)
+                .FirstOrDefault(r => r.Document == record.Document && r.Kind == record.Kind);
+
+            var json = new StringBuilder();
+            json.Append("{\"stored\":").Append(stored ? "true" : "false")
+                .Append(",\"record\":").Append(current != null ? FormatRecord(current) : "null")
+                .Append('}');
+
+            processor.WriteSuccess("application/json; charset=utf-8");
+            processor.OutputStream.Write(json.ToString());
+        }
+
+        /// <summary>
+        /// The account records are kept under. With HTTP authentication it is the
+        /// signed-in user, and KOReader signs in with the same credentials. Without
+        /// it the server has no accounts: a client syncs under any name and password
+        /// it sends in KOReader's x-auth headers, and records are kept under both, so
+        /// knowing a name is not enough to read them. Clients sending none don't sync
+        /// </summary>
+        private static string GetUser(HttpProcessor processor)
+        {
+            if (Properties.Settings.Default.UseHTTPAuth) return processor.Username;
+
+            processor.HttpHeaders.TryGetValue("x-auth-user", out string user);
+            processor.HttpHeaders.TryGetValue("x-auth-key", out string key);
+            return GetAccount(user, key);
+        }
+
+        /// <summary>
+        /// Account of a name and the hex MD5 of its password, or null when either is missing
+        /// </summary>
+        private static string GetAccount(string user, string key)
+        {
+            if (string.IsNullOrEmpty(user) || key == null || !keyPattern.IsMatch(key.Trim())) return null;
+
+            return user + "/" + key.Trim().ToLowerInvariant();
+        }
+
+        private static void WriteAccountRequired(HttpProcessor processor)
+        {
+            processor.WriteForbidden();
+            processor.OutputStream.Write("{\"message\":\"Sync account required\"}");
+        }
+
+        /// <summary>
+        /// KOReader progress sync. With HTTP authentication accounts are the server
+        /// credentials, so registering only confirms them; the server has checked
+        /// the x-auth headers of other requests and made their user the request's
+        /// one when they matched. Without it any name and password register
+        /// </summary>
+        private void HandleKOReaderRequest(HttpProcessor processor, string request, StreamReader inputData)
+        {
+            bool useHTTPAuth = Properties.Settings.Default.UseHTTPAuth;
+            string user = !useHTTPAuth ? GetUser(processor) :
+                processor.HttpHeaders.ContainsKey("x-auth-user") &&
+                processor.HttpHeaders["x-auth-user"] == processor.Username ? processor.Username : null;
+
+            if (request == "/users/create" && processor.HttpMethod == "POST")
+            {
+                XElement body = ParseJson(inputData);
+                string username = GetValue(body, "username");
+                string password = GetValue(body, "password");
+                if (useHTTPAuth ? string.IsNullOrEmpty(username) || !processor.ValidateCredentialKey(username, password) :
+                    GetAccount(username, password) == null)
+                {
+                    // Registration is let through HTTP authentication, so it counts as a login
+                    if (useHTTPAuth) processor.CountWrongLoginAttempt();
+                    WriteKOReaderUnauthorized(processor);
+                    return;
+                }
+
+                processor.WriteCreated("application/json");
+                processor.OutputStream.Write("{\"username\":\"" + OPDSUtilities.EscapeJsonString(username) + "\"}");
+            }
+            else if (string.IsNullOrEmpty(user))
+            {
+                WriteKOReaderUnauthorized(processor);
+            }
+            else if (request == "/users/auth" && processor.HttpMethod == "GET")
+            {
+                processor.WriteSuccess("application/json");
+                processor.OutputStream.Write("{\"authorized\":\"OK\"}");
+            }
+            else if (request == "/syncs/progress" && processor.HttpMethod == "PUT")
+            {
+                HandleKOReaderPush(processor, user, inputData);
+            }
+            else if (request.StartsWith("/syncs/progress/") && processor.HttpMethod == "GET")
+            {
+                HandleKOReaderPull(processor, user, Uri.UnescapeDataString(request.Substring("/syncs/progress/".Length)));
+            }
+            else
+            {
+                processor.WriteFailure();
+            }
+        }
+
+        private static void WriteKOReaderUnauthorized(HttpProcessor processor)
+        {
+            processor.WriteNotAuthorized();
+            processor.OutputStream.Write("{\"message\":\"Unauthorized\"}");
+        }
+
+        private void HandleKOReaderPush(HttpProcessor processor, string user, StreamReader inputData)
+        {
+            XElement body = ParseJson(inputData);
+            string document = GetValue(body, "document");
+            double percentage = ParseDouble(GetValue(body, "percentage"));
+
+            if (string.IsNullOrEmpty(document) || document.Length > MaxDocumentLength || double.IsNaN(percentage))
+            {
+                processor.WriteBadRequest();
+                return;
+            }
+
+            // KOReader sends no change time, the request time is used
+            var record = new SyncRecord
+            {
+                User = user,
+                Document = document,
+                Kind = KOReaderKind,
+                Device = GetValue(body, "device_id"),
+                Updated = NowMilliseconds(),
+                Data = new StringBuilder()
+                    .Append("{\"progress\":\"").Append(OPDSUtilities.EscapeJsonString(GetValue(body, "progress")))
+                    .Append("\",\"percentage\":").Append(percentage.ToString("R", CultureInfo.InvariantCulture))
+                    .Append(",\"device\":\"").Append(OPDSUtilities.EscapeJsonString(GetValue(body, "device")))
+                    .Append("\"}").ToString()
+            };
+            Library.SaveSyncRecord(record);
+            Log.WriteLine(LogLevel.Info, "KOReader progress of \"{0}\" from {1}: {2:P1}", document, GetValue(body, "device"), percentage);
+
+            processor.WriteSuccess("application/json");
+            processor.OutputStream.Write("{\"document\":\"" + OPDSUtilities.EscapeJsonString(document) +
+                "\",\"timestamp\":" + record.Updated / 1000 + "}");
+        }
+
+        /// <summary>
+        /// The latest of the KOReader progress and the web reader position; web
+        /// reader positions are only offered when they carry an XPointer KOReader
+        /// can go to
+        /// </summary>
+        private void HandleKOReaderPull(HttpProcessor processor, string user, string document)
+        {
+            string progress = null;
+            string device = null;
+            string deviceId = null;
+            double percentage = 0;
+            long updated = 0;
+
+            foreach (SyncRecord record in Library.GetSyncRecords(user, document).Where(r => r.Document == document))
+            {
+                if ((record.Kind != KOReaderKind && record.Kind != PositionKind) || record.Updated <= updated) continue;
+
+                XElement data = ParseJson(record.Data);
+                string pointer = GetValue(data, record.Kind == KOReaderKind ? "progress" : "xpointer");
+                if (string.IsNullOrEmpty(pointer)) continue;
+
+                progress = pointer;
+                percentage = ParseDouble(GetValue(data, "percentage"));
+                device = record.Kind == KOReaderKind ? GetValue(data, "device") : "TinyOPDS reader";
+                deviceId = record.Device;
+                updated = record.Updated;
+            }
+
+            processor.WriteSuccess("application/json");
+            if (progress == null || double.IsNaN(percentage))
+            {
+                processor.OutputStream.Write("{}");
+                return;
+            }
+
+            processor.OutputStream.Write(new StringBuilder()
+                .Append("{\"document\":\"").Append(OPDSUtilities.EscapeJsonString(document))
+                .Append("\",\"progress\":\"").Append(OPDSUtilities.EscapeJsonString(progress))
+                .Append("\",\"percentage\":").Append(percentage.ToString("R", CultureInfo.InvariantCulture))
+                .Append(",\"device\":\"").Append(OPDSUtilities.EscapeJsonString(device))
+                .Append("\",\"device_id\":\"").Append(OPDSUtilities.EscapeJsonString(deviceId))
+                .Append("\",\"timestamp\":").Append(updated / 1000)
+                .Append('}').ToString());
+        }
+
+        private static string FormatRecord(SyncRecord record)
+        {
+            return new StringBuilder()
+                .Append("{\"document\":\"").Append(OPDSUtilities.EscapeJsonString(record.Document))
+                .Append("\",\"kind\":\"").Append(OPDSUtilities.EscapeJsonString(record.Kind))
+                .Append("\",\"updated\":").Append(record.Updated)
+                .Append(",\"device\":\"").Append(OPDSUtilities.EscapeJsonString(record.Device))
+                .Append("\",\"data\":\"").Append(OPDSUtilities.EscapeJsonString(record.Data))
+                .Append("\"}").ToString();
+        }
+
+        private static long NowMilliseconds()
+        {
+            return DateTimeOffset.UtcNow.ToUnixTimeMilliseconds();
+        }
+
+        private static XElement ParseJson(StreamReader inputData)
+        {
+            return ParseJson(inputData != null ? inputData.ReadToEnd() : string.Empty);
+        }
+
+        /// <summary>
+        /// JSON as the XML the framework maps it to: members become child
+        /// elements named by their keys
+        /// </summary>
+        private static XElement ParseJson(string json)
+        {
+            if (string.IsNullOrWhiteSpace(json)) return new XElement("root");
+
+            using (XmlDictionaryReader reader = JsonReaderWriterFactory.CreateJsonReader(Encoding.UTF8.GetBytes(json), XmlDictionaryReaderQuotas.Max))
+            {
+                return XElement.Load(reader);
+            }
+        }
+
+        private static string GetValue(XElement element, string name)
+        {
+            XElement child = element.Element(name);
+            return child == null || (string)child.Attribute("type") == "null" ? null : child.Value;
+        }
+
+        private static long ParseLong(string value)
+        {
+            return double.TryParse(value, NumberStyles.Float, CultureInfo.InvariantCulture, out double result) ? (long)result : 0;
+        }
+
+        private static double ParseDouble(string value)
+        {
+            return double.TryParse(value, NumberStyles.Float, CultureInfo.InvariantCulture, out double result) ? result : double.NaN;
+        }
+
+        private static string GetQueryValue(string url, string name)
+        {
+            int queryStart = url.IndexOf('?');
+            if (queryStart < 0) return null;
+
+            foreach (string pair in url.Substring(queryStart + 1).Split('&'))
+            {
+                int separator = pair.IndexOf('=');
+                if (separator > 0 && pair.Substring(0, separator) == name)
+                {
+                    return Uri.UnescapeDataString(pair.Substring(separator + 1).Replace('+', ' '));
+                }
+            }
+            return null;
+        }
+    }
+}
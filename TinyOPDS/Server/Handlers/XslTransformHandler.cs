@@ -160,6 +160,12 @@ namespace TinyOPDS.Server
             args.AddParam("downloadText", "", Localizer.Text("Download"));
             args.AddParam("downloadEpubText", "", Localizer.Text("Download EPUB"));
             args.AddParam("readText", "", Localizer.Text("Read"));
+            args.AddParam("saveOfflineText", "", Localizer.Text("Save for offline"));
+            args.AddParam("savingOfflineText", "", Localizer.Text("Saving..."));
+            args.AddParam("savedOfflineText", "", Localizer.Text("Saved offline"));
+            args.AddParam("removeOfflineText", "", Localizer.Text("Remove offline copy"));
+            args.AddParam("saveOfflineFailedText", "", Localizer.Text("Could not save"));
+            args.AddParam("offlineUnavailableText", "", Localizer.Text("Offline saving needs HTTPS"));
         }
 
         /// <summary>
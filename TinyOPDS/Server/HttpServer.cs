@@ -20,6 +20,7 @@ using System.Net.Sockets;
 using System.Threading;
 using System.ComponentModel;
 using System.Security.Cryptography;
+using System.Text;
 
 namespace TinyOPDS.Server
 {
@@ -130,6 +131,8 @@ namespace TinyOPDS.Server
         private static readonly object sha256Lock = new object();
 
         private const int MAX_POST_SIZE = 1024 * 64;
+        // Annotations of a book are synced as one record
+        private const int MAX_SYNC_POST_SIZE = 1024 * 1024;
         private const int OUTPUT_BUFFER_SIZE = 1024 * 128;
 
         private bool disposed = false;
@@ -450,6 +453,14 @@ namespace TinyOPDS.Server
                         }
                     }
 
+                    // KOReader registers without credentials, the sync handler checks the
+                    // ones in the request body
+                    if (checkLogin && IsRequestTo("/kosync/users/create"))
+                    {
+                        authorized = true;
+                        checkLogin = false;
+                    }
+
                     if (checkLogin)
                     {
                         // First check if permanently authorized
@@ -588,6 +599,12 @@ namespace TinyOPDS.Server
                                 }
                             }
                         }
+
+                        // The account KOReader syncs under decides, not a remembered client
+                        if (HasKOReaderCredentials())
+                        {
+                            authorized = ValidateKOReaderCredentials();
+                        }
                     }
                 }
 
@@ -608,8 +625,9 @@ namespace TinyOPDS.Server
                             HandleGETRequest();
                         }
                     }
-                    else if (HttpMethod.Equals("POST"))
+                    else if (HttpMethod.Equals("POST") || HttpMethod.Equals("PUT"))
                     {
+                        // KOReader sends its progress with PUT, the body is read the same way
                         HttpServer.ServerStatistics.IncrementPostRequests();
                         HandlePOSTRequest();
                     }
@@ -619,17 +637,7 @@ namespace TinyOPDS.Server
                     Log.WriteLine(LogLevel.Authentication, "Unauthorized: IP={0}, URL={1}, UserAgent={2}, HasAuth={3}",
                         RealClientIP, HttpUrl, userAgent, HttpHeaders.ContainsKey("Authorization"));
 
-                    if (Properties.Settings.Default.BanClients)
-                    {
-                        lock (bannedLock)
-                        {
-                            if (!BannedClients.ContainsKey(RealClientIP))
-                                BannedClients[RealClientIP] = 0;
-                            BannedClients[RealClientIP]++;
-                        }
-                    }
-
-                    HttpServer.ServerStatistics.IncrementWrongLoginAttempts();
+                    CountWrongLoginAttempt();
                     WriteNotAuthorized();
                 }
             }
@@ -690,6 +698,80 @@ namespace TinyOPDS.Server
             }
         }
 
+        /// <summary>
+        /// Whether the request path, without the OPDS root prefix, starts with the route
+        /// </summary>
+        private bool IsRequestTo(string route)
+        {
+            string path = HttpUrl ?? string.Empty;
+            string rootPrefix = Properties.Settings.Default.RootPrefix;
+            if (!string.IsNullOrEmpty(rootPrefix) && path.StartsWith("/" + rootPrefix))
+            {
+                path = path.Substring(rootPrefix.Length + 1);
+            }
+            while (path.Contains("//")) path = path.Replace("//", "/");
+            if (!path.StartsWith("/")) path = "/" + path;
+
+            return path.StartsWith(route);
+        }
+
+        /// <summary>
+        /// KOReader progress sync sends the user name and the MD5 of the password in
+        /// headers of its own; they only count on its routes
+        /// </summary>
+        private bool HasKOReaderCredentials()
+        {
+            return IsRequestTo("/kosync/") && HttpHeaders.ContainsKey("x-auth-user") && HttpHeaders.ContainsKey("x-auth-key");
+        }
+
+        private bool ValidateKOReaderCredentials()
+        {
+            string user = HttpHeaders["x-auth-user"];
+            if (ValidateCredentialKey(user, HttpHeaders["x-auth-key"]))
+            {
+                this.Username = user;
+                return true;
+            }
+
+            this.Username = null;
+            Log.WriteLine(LogLevel.Authentication, "Sync authentication failed! IP: {0} user: {1}", RealClientIP, user);
+            return false;
+        }
+
+        /// <summary>
+        /// Counts a failed login of the client towards its ban
+        /// </summary>
+        public void CountWrongLoginAttempt()
+        {
+            if (Properties.Settings.Default.BanClients)
+            {
+                lock (bannedLock)
+                {
+                    if (!BannedClients.ContainsKey(RealClientIP))
+                        BannedClients[RealClientIP] = 0;
+                    BannedClients[RealClientIP]++;
+                }
+            }
+
+            HttpServer.ServerStatistics.IncrementWrongLoginAttempts();
+        }
+
+        /// <summary>
+        /// Checks a hex MD5 of the password, as KOReader progress sync sends it
+        /// </summary>
+        public bool ValidateCredentialKey(string user, string key)
+        {
+            Credential credential = Credentials.FirstOrDefault(c => c.User == user);
+            if (credential == null || string.IsNullOrEmpty(key)) return false;
+
+            using (var md5 = MD5.Create())
+            {
+                byte[] hash = md5.ComputeHash(Encoding.UTF8.GetBytes(credential.Password));
+                string expected = BitConverter.ToString(hash).Replace("-", "");
+                return expected.Equals(key.Trim(), StringComparison.OrdinalIgnoreCase);
+            }
+        }
+
         private string CalculateRealClientIP(string directIP)
         {
             if (directIP == "127.0.0.1" || directIP == "::1")
@@ -779,7 +861,8 @@ namespace TinyOPDS.Server
                 if (HttpHeaders.ContainsKey("Content-Length"))
                 {
                     int content_len = Convert.ToInt32(HttpHeaders["Content-Length"]);
-                    if (content_len > MAX_POST_SIZE)
+                    int maxSize = IsRequestTo("/sync/") || IsRequestTo("/kosync/") ? MAX_SYNC_POST_SIZE : MAX_POST_SIZE;
+                    if (content_len > maxSize)
                     {
                         throw new Exception(String.Format("POST Content-Length({0}) too big for this server", content_len));
                     }
@@ -859,6 +942,16 @@ namespace TinyOPDS.Server
             WriteHttpResponse("200 OK", headers, "WriteSuccess", true);
         }
 
+        public void WriteSuccess(string contentType, string additionalHeaders)
+        {
+            WriteHttpResponse("200 OK", "Content-Type: " + contentType + "\n" + additionalHeaders, "WriteSuccess", true);
+        }
+
+        public void WriteCreated(string contentType)
+        {
+            WriteHttpResponse("201 Created", "Content-Type: " + contentType, "WriteCreated", true);
+        }
+
         public void WriteFailure()
         {
             WriteHttpResponse("404 Bad request");
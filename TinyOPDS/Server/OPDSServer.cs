@@ -26,6 +26,8 @@ namespace TinyOPDS.Server
         private readonly ReaderHandler readerHandler;
         private readonly BookDownloadHandler downloadHandler;
         private readonly ImageRequestHandler imageHandler;
+        private readonly DictionaryHandler dictionaryHandler;
+        private readonly SyncHandler syncHandler;
         private readonly XslTransformHandler xslHandler;
         private readonly ResourceHandlers resourceHandlers;
         private readonly OPDSUtilities utilities;
@@ -39,16 +41,27 @@ namespace TinyOPDS.Server
             readerHandler = new ReaderHandler();
             downloadHandler = new BookDownloadHandler();
             imageHandler = new ImageRequestHandler();
+            dictionaryHandler = new DictionaryHandler();
+            syncHandler = new SyncHandler();
             resourceHandlers = new ResourceHandlers();
         }
 
         /// <summary>
-        /// Handles POST requests (not implemented for OPDS)
+        /// Handles POST and PUT requests: reader and KOReader progress sync only
         /// </summary>
         public override void HandlePOSTRequest(HttpProcessor processor, StreamReader inputData)
         {
-            Log.WriteLine(LogLevel.Warning, "HTTP POST request from {0}: {1} : NOT IMPLEMENTED",
-                utilities.GetClientIP(processor), processor.HttpUrl);
+            string request = utilities.NormalizeRequest(processor.HttpUrl);
+
+            if (request.StartsWith("/sync/") || request.StartsWith("/kosync/"))
+            {
+                Log.WriteLine("HTTP {0} request from {1}: {2}", processor.HttpMethod, utilities.GetClientIP(processor), processor.HttpUrl);
+                syncHandler.HandleSyncRequest(processor, request, inputData);
+                return;
+            }
+
+            Log.WriteLine(LogLevel.Warning, "HTTP {0} request from {1}: {2} : NOT IMPLEMENTED",
+                processor.HttpMethod, utilities.GetClientIP(processor), processor.HttpUrl);
             processor.WriteMethodNotAllowed();
         }
 
@@ -111,6 +124,20 @@ namespace TinyOPDS.Server
                 return;
             }
 
+            // Handle reader dictionary lookups
+            if (request.StartsWith("/dictionary/"))
+            {
+                dictionaryHandler.HandleDictionaryRequest(processor, request);
+                return;
+            }
+
+            // Handle reader and KOReader progress sync
+            if (request.StartsWith("/sync/") || request.StartsWith("/kosync/"))
+            {
+                syncHandler.HandleSyncRequest(processor, request, null);
+                return;
+            }
+
             // Handle book download requests
             if (request.StartsWith("/download/"))
             {
@@ -122,13 +149,20 @@ namespace TinyOPDS.Server
                 }
             }
 
-            // Handle dummy book cover request
-            if (request.Equals("/book_cover.jpg"))
+            // Handle dummy book cover request and web app icons
+            if (request.Equals("/book_cover.jpg") || request.Equals("/logo.png") || request.Equals("/app-icon.png"))
             {
                 resourceHandlers.HandleDummyCoverRequest(processor, request.Substring(1));
                 return;
             }
 
+            // Handle web app manifest
+            if (request.Equals("/manifest.webmanifest"))
+            {
+                resourceHandlers.HandleManifestRequest(processor);
+                return;
+            }
+
             // Handle JS scripts
             if (request.EndsWith(".js"))
             {